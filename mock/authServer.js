@@ -0,0 +1,83 @@
+// Servidor de autenticación de prueba (sin dependencias) para desarrollo local.
+// Implementa POST /auth/login y POST /auth/refresh con usuarios fijos de cada rol.
+//
+// Uso:
+//   npm run mock:auth                      (puerto 3002 por defecto)
+//   AUTH_PORT=4000 TOKEN_TTL=30 npm run mock:auth
+// y en .env: REACT_APP_AUTH_URL=http://localhost:3002
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.AUTH_PORT) || 3002;
+// Duración del token de acceso en segundos (bájala para probar el refresco).
+const TOKEN_TTL = Number(process.env.TOKEN_TTL) || 900;
+
+// Usuarios de prueba: la contraseña es igual al nombre de usuario.
+const USERS = {
+  cajero:  { usuario: 'cajero',  nombre: 'Camila Cajera',  rol: 'cajero' },
+  gerente: { usuario: 'gerente', nombre: 'Gonzalo Gerente', rol: 'gerente' },
+  admin:   { usuario: 'admin',   nombre: 'Ana Admin',      rol: 'admin' }
+};
+
+// Tokens de refresco emitidos => usuario.
+const refreshTokens = new Map();
+
+function issue(user) {
+  const refreshToken = crypto.randomBytes(24).toString('hex');
+  refreshTokens.set(refreshToken, user.usuario);
+  return {
+    token: crypto.randomBytes(24).toString('hex'),
+    refreshToken,
+    expiresIn: TOKEN_TTL,
+    user
+  };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise(resolve => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try { resolve(JSON.parse(data || '{}')); } catch { resolve({}); }
+    });
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (req.method !== 'POST') return send(res, 404, { message: 'Ruta no encontrada' });
+
+  const body = await readJson(req);
+
+  if (req.url === '/auth/login') {
+    const user = USERS[body.usuario];
+    if (!user || body.password !== body.usuario) {
+      return send(res, 401, { message: 'Credenciales inválidas' });
+    }
+    return send(res, 200, issue(user));
+  }
+
+  if (req.url === '/auth/refresh') {
+    const usuario = refreshTokens.get(body.refreshToken);
+    if (!usuario) return send(res, 401, { message: 'Token de refresco inválido' });
+    refreshTokens.delete(body.refreshToken);
+    return send(res, 200, issue(USERS[usuario]));
+  }
+
+  return send(res, 404, { message: 'Ruta no encontrada' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Servidor de autenticación de prueba en http://localhost:${PORT}`);
+  console.log(`Usuarios: ${Object.keys(USERS).join(', ')} (contraseña = usuario)`);
+});
@@ -0,0 +1,79 @@
+/* eslint-disable no-restricted-globals */
+// Service worker de Vitoko’s Coffee.
+// Mantiene disponible la aplicación sin conexión:
+// - Navegación: primero la red; sin conexión se sirve el index.html guardado
+//   (el enrutamiento lo resuelve React Router en el navegador).
+// - Archivos estáticos de la build (/static/, con hash en el nombre): primero la caché.
+// - Íconos y manifest: se sirven de la caché y se actualizan en segundo plano.
+// Las peticiones a la API no pasan por aquí: los catálogos y las ventas pendientes
+// se guardan en IndexedDB desde la aplicación (src/api/offline.js y src/api/colaVentas.js).
+
+const CACHE = 'vitoko-v1';
+const SCOPE = new URL(self.registration.scope).pathname;
+const INDEX = `${SCOPE}index.html`;
+const SHELL = [INDEX, `${SCOPE}manifest.json`, `${SCOPE}favicon.ico`, `${SCOPE}logo192.png`, `${SCOPE}logo512.png`];
+
+// Archivos de entrada de la build (JS y CSS principales), tomados de asset-manifest.json
+// para que la primera recarga sin conexión ya los tenga guardados.
+function buildAssets() {
+  return fetch(`${SCOPE}asset-manifest.json`)
+    .then(res => (res.ok ? res.json() : { entrypoints: [] }))
+    .then(manifest => (manifest.entrypoints || []).map(file => `${SCOPE}${file}`))
+    .catch(() => []);
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    buildAssets()
+      .then(assets => caches.open(CACHE).then(cache => cache.addAll([...SHELL, ...assets])))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Guarda una copia de la respuesta si es válida.
+function store(request, response) {
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(CACHE).then(cache => cache.put(request, copy));
+  }
+  return response;
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => store(INDEX, response))
+        .catch(() => caches.match(INDEX))
+    );
+    return;
+  }
+
+  if (url.pathname.startsWith(`${SCOPE}static/`)) {
+    event.respondWith(
+      caches.match(request).then(cached => cached || fetch(request).then(response => store(request, response)))
+    );
+    return;
+  }
+
+  if (SHELL.includes(url.pathname)) {
+    event.respondWith(
+      caches.match(request).then(cached => {
+        const network = fetch(request).then(response => store(request, response)).catch(() => cached);
+        return cached || network;
+      })
+    );
+  }
+});
@@ -1,40 +1,137 @@
-import React, { useState } from 'react';
-// Importamos React y el hook useState para manejar el estado local del componente
+import React from 'react';
+// Importamos React
+import { NavLink, Navigate, Outlet, Route, Routes } from 'react-router-dom';
+// Importamos los componentes de react-router para definir las rutas de cada sección
 import Clientes from './components/clientes';
+import ClienteDetalle from './components/clienteDetalle';
 import Productos from './components/productos';
 import Ventas from './components/ventas';
+import PuntoVenta from './components/puntoVenta';
+import CierreCaja from './components/cierreCaja';
+import Dashboard from './components/dashboard';
+import Login from './components/login';
+import RequireAuth from './components/requireAuth';
+import useLowStockCount from './hooks/useLowStockCount';
+import useAuth from './hooks/useAuth';
+import useColaVentas from './hooks/useColaVentas';
+import useOnline from './hooks/useOnline';
+import useI18n, { IDIOMAS } from './hooks/useI18n';
 
-// Importamos los componentes de las secciones: Clientes, Productos y Ventas
+// Importamos los componentes de las secciones: Clientes, Productos, Ventas y Dashboard,
+// el modo caja, el cierre de caja, la pantalla de login, la protección de rutas según la sesión y el rol, y los textos traducidos
 
-// Componente principal "App":
-// Administra la navegación entre las secciones y renderiza el contenido correspondiente.
-function App() {
-  // Definimos las pestañas disponibles para la navegación
-  const tabs = ['Clientes','Productos','Ventas'];
-  // Estado "active": determina qué pestaña está seleccionada actualmente
-  const [active, setActive] = useState(tabs[0]);
+// Definimos las pestañas disponibles para la navegación, su ruta base, la clave de su
+// nombre en el catálogo de mensajes y el permiso necesario para verlas (si corresponde)
+const TABS = [
+  { label: 'nav.clientes',  path: '/clientes' },
+  { label: 'nav.productos', path: '/productos' },
+  { label: 'nav.ventas',    path: '/ventas' },
+  { label: 'nav.cierre',    path: '/cierre' },
+  { label: 'nav.dashboard', path: '/dashboard', permiso: 'dashboard:view' }
+];
+
+// Componente "Layout":
+// Estructura común de las secciones internas: barra de pestañas, usuario conectado,
+// selector de idioma, aviso de modo sin conexión y contenido de la ruta actual. Solo se monta con sesión iniciada.
+// También envía las ventas registradas sin conexión cuando vuelve la conexión.
+function Layout() {
+  const { user, can, logout } = useAuth();
+  const { t, idioma, setIdioma } = useI18n();
+
+  // Cantidad de productos bajo su stock mínimo, mostrada como alerta en la pestaña Productos
+  const lowStock = useLowStockCount();
+
+  // Ventas registradas sin conexión (pendientes o en conflicto), mostradas en la pestaña Ventas
+  const cola = useColaVentas({ autoSync: true });
+  const online = useOnline();
 
   // Renderizado de la UI:
-  // - Barra de navegación de pestañas
-  // - Contenido condicional según la pestaña activa
+  // - Barra de navegación de pestañas (la activa se deduce de la URL)
+  // - Usuario conectado, selector de idioma y botón para cerrar sesión
+  // - Aviso cuando no hay conexión
+  // - Contenido según la ruta actual
   return (
     <div className="max-w-4xl mx-auto mt-8 p-4 bg-white rounded shadow">
-      <nav className="flex space-x-4 mb-4">
-        {tabs.map(t => (
-          <button
-            key={t}
-            onClick={()=>setActive(t)}
-            className={`px-3 py-1 rounded ${active===t? 'bg-blue-500 text-white':'bg-gray-200'}`}
-          >{t}</button>
+      <nav className="flex items-center space-x-4 mb-4">
+        {TABS.filter(tab => !tab.permiso || can(tab.permiso)).map(tab => (
+          <NavLink
+            key={tab.path}
+            to={tab.path}
+            className={({ isActive }) => `px-3 py-1 rounded ${isActive ? 'bg-blue-500 text-white' : 'bg-gray-200'}`}
+          >
+            {t(tab.label)}
+            {tab.path === '/productos' && lowStock > 0 && (
+              <span
+                className="ml-1 px-1.5 text-xs bg-red-500 text-white rounded-full"
+                title={t('nav.stockBajo', { count: lowStock })}
+              >{lowStock}</span>
+            )}
+            {tab.path === '/ventas' && cola.ventas.length > 0 && (
+              <span
+                className={`ml-1 px-1.5 text-xs rounded-full ${cola.conflictos > 0 ? 'bg-red-500 text-white' : 'bg-yellow-400 text-black'}`}
+                title={t('nav.colaVentas', { pendientes: cola.pendientes, conflictos: cola.conflictos })}
+              >{cola.ventas.length}</span>
+            )}
+          </NavLink>
         ))}
+        <span className="ml-auto text-sm text-gray-600">
+          {user.nombre || user.usuario} ({t(`rol.${user.rol}`)})
+        </span>
+        <select
+          value={idioma}
+          onChange={e => setIdioma(e.target.value)}
+          className="border rounded p-1 text-sm"
+          aria-label={t('nav.idioma')}
+        >
+          {Object.entries(IDIOMAS).map(([codigo, { nombre }]) => (
+            <option key={codigo} value={codigo}>{nombre}</option>
+          ))}
+        </select>
+        <button onClick={logout} className="px-2 py-1 text-sm bg-gray-200 rounded hover:bg-gray-300">
+          {t('nav.salir')}
+        </button>
       </nav>
+      {!online && (
+        <div className="mb-4 p-2 bg-yellow-50 border border-yellow-300 rounded text-yellow-800" role="status">
+          {t('nav.sinConexion')}
+        </div>
+      )}
       <div>
-        {active==='Clientes' && <Clientes />}
-        {active==='Productos' && <Productos />}
-        {active==='Ventas' && <Ventas />}
+        <Outlet />
       </div>
     </div>
   );
 }
 
+// Componente principal "App":
+// Administra la navegación entre las secciones mediante rutas de URL,
+// de modo que recargar la página, usar el botón atrás o compartir un enlace
+// mantenga la sección, el registro y los filtros seleccionados.
+// Todas las secciones requieren sesión; sin ella se redirige a /login.
+// El modo caja (/caja) ocupa la pantalla completa, fuera del layout de pestañas.
+function App() {
+  return (
+    <Routes>
+      <Route path="/login" element={<Login />} />
+      <Route path="/caja" element={<RequireAuth><PuntoVenta /></RequireAuth>} />
+      <Route element={<RequireAuth><Layout /></RequireAuth>}>
+        <Route path="/" element={<Navigate to="/clientes" replace />} />
+        <Route path="/clientes" element={<Clientes />} />
+        <Route path="/clientes/:id" element={<ClienteDetalle />} />
+        <Route path="/clientes/:id/editar" element={<Clientes />} />
+        <Route path="/productos" element={<Productos />} />
+        <Route path="/productos/:id/editar" element={<Productos />} />
+        <Route path="/ventas" element={<Ventas />} />
+        <Route path="/ventas/cliente/:clienteId/fecha/:fecha" element={<Ventas />} />
+        <Route path="/cierre" element={<CierreCaja />} />
+        <Route
+          path="/dashboard"
+          element={<RequireAuth permiso="dashboard:view"><Dashboard /></RequireAuth>}
+        />
+        <Route path="*" element={<Navigate to="/clientes" replace />} />
+      </Route>
+    </Routes>
+  );
+}
+
 export default App;
@@ -1,8 +1,44 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { screen, fireEvent } from '@testing-library/react';
+import renderApp from './mocks/renderApp';
+import { installMockBackend } from './mocks/backend';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// Pruebas de la aplicación completa contra el backend de prueba en memoria (ver src/mocks).
+
+let backend;
+beforeEach(() => {
+  backend = installMockBackend();
+});
+
+test('sin sesión muestra el login y al ingresar abre Clientes', async () => {
+  renderApp('/clientes', { rol: null });
+  fireEvent.change(screen.getByPlaceholderText('Usuario'), { target: { value: 'gerente' } });
+  fireEvent.change(screen.getByPlaceholderText('Contraseña'), { target: { value: 'gerente' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Ingresar' }));
+  expect(await screen.findByText('José Pérez')).toBeInTheDocument();
+  expect(screen.getByText(/Gonzalo Gerente/)).toBeInTheDocument();
+});
+
+test('el login muestra el error del servidor con credenciales inválidas', async () => {
+  renderApp('/', { rol: null });
+  fireEvent.change(screen.getByPlaceholderText('Usuario'), { target: { value: 'admin' } });
+  fireEvent.change(screen.getByPlaceholderText('Contraseña'), { target: { value: 'otra' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Ingresar' }));
+  expect(await screen.findByText(/Usuario o contraseña incorrectos/)).toBeInTheDocument();
+});
+
+test('sin conexión con el servidor el login lo informa en el idioma elegido', async () => {
+  backend.failNext('POST', '/auth/login', { status: 0 });
+  renderApp('/', { rol: null, storage: { 'vitoko.idioma': 'en' } });
+  fireEvent.change(screen.getByPlaceholderText('Username'), { target: { value: 'admin' } });
+  fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: 'admin' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Sign in' }));
+  expect(await screen.findByText('Could not connect to the server.')).toBeInTheDocument();
+});
+
+test('un cajero no ve el dashboard ni la gestión de productos', async () => {
+  renderApp('/productos', { rol: 'cajero' });
+  expect(await screen.findByText('Café americano')).toBeInTheDocument();
+  expect(screen.queryByText('Dashboard')).not.toBeInTheDocument();
+  expect(screen.queryByLabelText('Deshabilitar Café americano')).not.toBeInTheDocument();
+  expect(screen.queryByText('Registrar Producto')).not.toBeInTheDocument();
 });
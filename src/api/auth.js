@@ -0,0 +1,26 @@
+import { request, AUTH_URL } from './client';
+import { saveSession, clearSession } from './session';
+import { clearQueries } from './cache';
+
+// Funciones de autenticación contra /auth del servidor configurado en REACT_APP_AUTH_URL.
+
+// Inicia sesión con usuario y contraseña. El servidor responde
+// { token, refreshToken, expiresIn, user: { usuario, nombre, rol } } y la sesión queda guardada.
+/** @returns {Promise<import('./session').Session>} */
+export async function login(usuario, password, options = {}) {
+  const data = await request('/auth/login', {
+    ...options,
+    method: 'POST',
+    body: { usuario, password },
+    baseUrl: AUTH_URL,
+    auth: false
+  });
+  return saveSession(data);
+}
+
+// Cierra la sesión local y vacía la caché de consultas, para que el siguiente
+// usuario no vea datos cargados por el anterior.
+export function logout() {
+  clearSession();
+  clearQueries();
+}
@@ -0,0 +1,244 @@
+// Caché compartida de consultas a la API ("stale-while-revalidate").
+// Cada consulta se identifica por una clave [recurso, parámetros], p. ej. ['productos', { disponible: true }].
+// - Mientras hay datos guardados se muestran de inmediato, aunque estén vencidos,
+//   y se vuelven a pedir en segundo plano.
+// - Peticiones simultáneas con la misma clave comparten una sola llamada a la API.
+// - Al volver a la ventana (foco o pestaña visible) se refrescan las consultas vencidas en uso.
+// - Las mutaciones invalidan recursos completos (ver invalidateQueries), y las consultas
+//   en uso se vuelven a pedir.
+// Los componentes la usan a través del hook useQuery.
+//
+// Recursos usados como primer elemento de la clave:
+// - 'clientes', 'productos': listas de /clientes y /producto
+// - 'vendidosSemana', 'vendidosAnio': estadísticas de /producto
+// - 'ventas': consultas de ventas por cliente y fecha
+
+// Tiempo durante el cual una respuesta se considera vigente (en milisegundos).
+export const DEFAULT_STALE_TIME = 30000;
+
+/**
+ * @typedef {Object} QueryState
+ * @property {*} data Últimos datos obtenidos (undefined si nunca se obtuvieron)
+ * @property {*} error Error de la última petición, o null
+ * @property {number} updatedAt Momento de la última respuesta exitosa (0 = nunca)
+ * @property {boolean} invalidated true si una mutación dejó los datos desactualizados
+ * @property {boolean} isFetching true mientras hay una petición en curso
+ */
+
+/** @type {QueryState} */
+const EMPTY = { data: undefined, error: null, updatedAt: 0, invalidated: false, isFetching: false };
+
+// Clave serializada => { state, promise, fetcher, listeners, refetchPending, generation }
+// "refetchPending" indica que la consulta se invalidó con una petición en curso,
+// cuya respuesta puede no reflejar el cambio: al terminar se vuelve a pedir.
+// "generation" cambia al vaciar la caché: las respuestas de peticiones iniciadas antes
+// se descartan, para no guardar datos de la sesión anterior.
+const entries = new Map();
+
+// Serializa la clave de una consulta. Los parámetros se ordenan para que
+// { a: 1, b: 2 } y { b: 2, a: 1 } correspondan a la misma consulta.
+export function hashKey([resource, params = {}]) {
+  const sorted = Object.keys(params).sort().reduce((acc, k) => {
+    if (params[k] !== undefined) acc[k] = params[k];
+    return acc;
+  }, {});
+  return `${resource}:${JSON.stringify(sorted)}`;
+}
+
+function entryFor(hash) {
+  let entry = entries.get(hash);
+  if (!entry) {
+    entry = { state: EMPTY, promise: null, fetcher: null, listeners: new Set(), refetchPending: false, generation: 0 };
+    entries.set(hash, entry);
+  }
+  return entry;
+}
+
+function setState(entry, patch) {
+  entry.state = { ...entry.state, ...patch };
+  entry.listeners.forEach(listener => listener());
+}
+
+// Devuelve el estado actual de una consulta (el mismo objeto mientras no cambie).
+/** @returns {QueryState} */
+export function getQueryState(hash) {
+  return entries.get(hash)?.state || EMPTY;
+}
+
+// Indica si la consulta no tiene datos vigentes.
+export function isStale(hash, staleTime = DEFAULT_STALE_TIME) {
+  const { updatedAt, invalidated } = getQueryState(hash);
+  return invalidated || !updatedAt || Date.now() - updatedAt > staleTime;
+}
+
+// Suscribe "listener" a los cambios de una consulta. "fetcher" queda registrado
+// para poder refrescarla al invalidarla o al volver a la ventana. Devuelve la función para desuscribirse.
+export function subscribe(hash, listener, fetcher) {
+  const entry = entryFor(hash);
+  entry.listeners.add(listener);
+  if (fetcher) entry.fetcher = fetcher;
+  return () => entry.listeners.delete(listener);
+}
+
+// Pide los datos de una consulta. Si ya hay una petición en curso para la misma clave
+// devuelve esa misma promesa. Los errores quedan en el estado y también se relanzan.
+// Si la caché se vació mientras tanto, la respuesta se entrega al llamador pero no se guarda.
+// Si la consulta se invalidó mientras tanto y ya hay datos, la respuesta tampoco se guarda:
+// es anterior al cambio y pisaría datos más nuevos (p. ej. los de una actualización optimista)
+// hasta que llegue la recarga.
+export function fetchQuery(hash, fetcher) {
+  const entry = entryFor(hash);
+  if (fetcher) entry.fetcher = fetcher;
+  if (entry.promise) return entry.promise;
+  const { generation } = entry;
+  const current = () => entry.generation === generation;
+  setState(entry, { isFetching: true });
+  const promise = entry.fetcher()
+    .then(data => {
+      if (!current() || (entry.refetchPending && entry.state.data !== undefined)) return data;
+      setState(entry, { data, error: null, updatedAt: Date.now(), invalidated: false, isFetching: false });
+      return data;
+    })
+    .catch(err => {
+      if (current()) setState(entry, { error: err, isFetching: false });
+      throw err;
+    })
+    .finally(() => {
+      if (!current()) return;
+      entry.promise = null;
+      if (entry.refetchPending) {
+        entry.refetchPending = false;
+        setState(entry, { invalidated: true, isFetching: false });
+        if (entry.listeners.size > 0) fetchQuery(hash).catch(() => {});
+      }
+    });
+  entry.promise = promise;
+  return promise;
+}
+
+// Reemplaza los datos guardados de una consulta (p. ej. para reflejar un cambio
+// antes de que responda el servidor). "updater" recibe los datos actuales.
+export function setQueryData(key, updater) {
+  const entry = entryFor(hashKey(key));
+  const data = typeof updater === 'function' ? updater(entry.state.data) : updater;
+  setState(entry, { data });
+}
+
+// Parámetros de una consulta a partir de su clave serializada.
+const paramsOf = hash => JSON.parse(hash.slice(hash.indexOf(':') + 1));
+
+// Campo que identifica las filas de las listas de cada recurso, para revertir fila por fila
+// los cambios optimistas (ver optimisticMutation).
+const ROW_KEYS = { clientes: 'id', productos: 'productoID' };
+
+// Revierte en la lista "actual" solo las filas que un cambio llevó de "antes" a "despues":
+// las modificadas o quitadas vuelven a su versión anterior (en su posición original si ya
+// no están) y las agregadas se quitan. El resto queda como está, con los cambios que otras
+// mutaciones hayan aplicado entretanto.
+function revertirFilas(actual, antes, despues, campo) {
+  const clave = fila => String(fila?.[campo]);
+  const previas = new Map(antes.map(f => [clave(f), f]));
+  const nuevas = new Map(despues.map(f => [clave(f), f]));
+  const tocadas = new Set([...previas.keys(), ...nuevas.keys()].filter(k => previas.get(k) !== nuevas.get(k)));
+  if (tocadas.size === 0) return actual;
+  const lista = actual
+    .filter(f => !tocadas.has(clave(f)) || previas.has(clave(f)))
+    .map(f => (tocadas.has(clave(f)) ? previas.get(clave(f)) : f));
+  antes.forEach((f, i) => {
+    if (tocadas.has(clave(f)) && !lista.some(x => clave(x) === clave(f))) lista.splice(Math.min(i, lista.length), 0, f);
+  });
+  return lista;
+}
+
+// Aplica "updater(datos, parámetros)" a los datos guardados de todas las consultas
+// del recurso (solo a las que ya tienen datos). Devuelve una función que deshace el cambio:
+// en las listas de filas revierte solo las filas que tocó, sin pisar otros cambios hechos
+// entretanto; en otros datos restaura los que había antes. Si la caché se vació no hace nada.
+export function updateQueriesData(resource, updater) {
+  const campo = ROW_KEYS[resource];
+  const cambios = [];
+  entries.forEach((entry, hash) => {
+    if (!hash.startsWith(`${resource}:`) || entry.state.data === undefined) return;
+    const antes = entry.state.data;
+    const despues = updater(antes, paramsOf(hash));
+    cambios.push({ entry, generation: entry.generation, antes, despues });
+    setState(entry, { data: despues });
+  });
+  return () => cambios.forEach(({ entry, generation, antes, despues }) => {
+    if (entry.generation !== generation) return;
+    const actual = entry.state.data;
+    const porFilas = campo && [actual, antes, despues].every(Array.isArray);
+    setState(entry, { data: porFilas ? revertirFilas(actual, antes, despues, campo) : antes });
+  });
+}
+
+// Ejecuta una mutación con actualización optimista de las consultas del recurso:
+// - update(datos, parámetros): se aplica antes de llamar al servidor, para mostrar el cambio al instante
+// - commit(datos, parámetros, respuesta): opcional, se aplica si el servidor acepta el cambio
+//   (p. ej. para quitar la marca de pendiente) mientras llega la recarga que dispara la invalidación
+// Si el servidor rechaza la mutación se revierten las filas que tocó "update" (las demás
+// mutaciones optimistas en curso se conservan), se vuelven a pedir los datos (por si cambiaron
+// entretanto) y se relanza el error para que el llamador lo informe.
+export async function optimisticMutation(resource, mutation, { update, commit }) {
+  const rollback = updateQueriesData(resource, update);
+  try {
+    const result = await mutation();
+    if (commit) updateQueriesData(resource, (data, params) => commit(data, params, result));
+    return result;
+  } catch (err) {
+    rollback();
+    invalidateQueries(resource);
+    throw err;
+  }
+}
+
+// Devuelve los datos guardados de una consulta (undefined si no hay).
+export function getQueryData(key) {
+  return getQueryState(hashKey(key)).data;
+}
+
+// Marca como vencidas todas las consultas de los recursos indicados y vuelve a pedir
+// las que están en uso (con algún componente suscrito).
+export function invalidateQueries(...resources) {
+  entries.forEach((entry, hash) => {
+    if (!resources.some(r => hash.startsWith(`${r}:`))) return;
+    if (entry.promise) {
+      entry.refetchPending = true;
+      return;
+    }
+    setState(entry, { invalidated: true });
+    if (entry.listeners.size > 0 && entry.fetcher) fetchQuery(hash).catch(() => {});
+  });
+}
+
+// Espera una mutación y, si termina bien, invalida los recursos que modifica.
+// Devuelve la misma respuesta de la mutación.
+export async function invalidating(mutation, ...resources) {
+  const result = await mutation;
+  invalidateQueries(...resources);
+  return result;
+}
+
+// Refresca las consultas vencidas en uso al volver a la ventana.
+function revalidateActive() {
+  if (document.visibilityState === 'hidden') return;
+  entries.forEach((entry, hash) => {
+    if (entry.listeners.size > 0 && entry.fetcher && isStale(hash)) fetchQuery(hash).catch(() => {});
+  });
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('focus', revalidateActive);
+  document.addEventListener('visibilitychange', revalidateActive);
+}
+
+// Vacía la caché (p. ej. al cerrar sesión, para no mostrar datos a otro usuario).
+// Las peticiones en curso se abandonan: sus respuestas ya no se guardan (ver fetchQuery).
+export function clearQueries() {
+  entries.forEach(entry => {
+    entry.generation++;
+    entry.promise = null;
+    entry.refetchPending = false;
+    setState(entry, EMPTY);
+  });
+}
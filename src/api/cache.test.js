@@ -0,0 +1,114 @@
+import {
+  hashKey, fetchQuery, getQueryState, getQueryData, setQueryData, invalidateQueries, clearQueries, subscribe,
+  optimisticMutation
+} from './cache';
+
+// Pruebas de la caché de consultas (sin backend: los fetchers son promesas controladas a mano).
+
+beforeEach(() => {
+  clearQueries();
+});
+
+// Promesa que se resuelve o rechaza desde la prueba.
+const diferida = () => {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+};
+
+// Deja que terminen las continuaciones pendientes de las promesas.
+const esperar = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('una respuesta iniciada antes de invalidar no pisa los datos más nuevos y se vuelve a pedir', async () => {
+  const hash = hashKey(['clientes', { type: 'all' }]);
+  const respuestas = [diferida(), diferida()];
+  const fetcher = jest.fn(() => respuestas[fetcher.mock.calls.length - 1].promise);
+  setQueryData(['clientes', { type: 'all' }], [{ id: 1, nombre: 'José' }]);
+  const unsubscribe = subscribe(hash, () => {}, fetcher);
+
+  const vieja = fetchQuery(hash, fetcher);
+  // Un cambio optimista y la invalidación de su mutación llegan con la petición en curso.
+  setQueryData(['clientes', { type: 'all' }], [{ id: 1, nombre: 'José Luis' }]);
+  invalidateQueries('clientes');
+
+  respuestas[0].resolve([{ id: 1, nombre: 'José' }]);
+  await vieja;
+  expect(getQueryState(hash).data).toEqual([{ id: 1, nombre: 'José Luis' }]);
+  expect(fetcher).toHaveBeenCalledTimes(2);
+
+  respuestas[1].resolve([{ id: 1, nombre: 'José Luis' }]);
+  await esperar();
+  expect(getQueryState(hash)).toMatchObject({ data: [{ id: 1, nombre: 'José Luis' }], invalidated: false, isFetching: false });
+  unsubscribe();
+});
+
+test('sin suscriptores la respuesta vieja tampoco se guarda y la consulta queda vencida', async () => {
+  const hash = hashKey(['productos', { disponible: true }]);
+  const respuesta = diferida();
+  setQueryData(['productos', { disponible: true }], [{ productoID: 1, stock: 5 }]);
+
+  const vieja = fetchQuery(hash, () => respuesta.promise);
+  setQueryData(['productos', { disponible: true }], [{ productoID: 1, stock: 4 }]);
+  invalidateQueries('productos');
+  respuesta.resolve([{ productoID: 1, stock: 5 }]);
+  await vieja;
+  await esperar();
+
+  expect(getQueryState(hash)).toMatchObject({ data: [{ productoID: 1, stock: 4 }], invalidated: true, isFetching: false });
+});
+
+test('las respuestas de peticiones iniciadas antes de vaciar la caché se descartan', async () => {
+  const hash = hashKey(['clientes', { type: 'all' }]);
+  const anterior = diferida();
+  const vieja = fetchQuery(hash, () => anterior.promise);
+
+  clearQueries();
+  await fetchQuery(hash, () => Promise.resolve([{ id: 2, nombre: 'María' }]));
+  anterior.resolve([{ id: 1, nombre: 'De la sesión anterior' }]);
+  await vieja;
+  await esperar();
+
+  expect(getQueryState(hash)).toMatchObject({ data: [{ id: 2, nombre: 'María' }], isFetching: false });
+});
+
+test('una mutación rechazada revierte solo sus filas y conserva las de otra mutación en curso', async () => {
+  const key = ['clientes', { type: 'all' }];
+  setQueryData(key, [{ id: 1, nombre: 'José' }, { id: 2, nombre: 'María' }, { id: 3, nombre: 'Luis' }]);
+  const renombrar = (id, nombre) => data => data.map(c => (c.id === id ? { ...c, nombre } : c));
+  const primera = diferida();
+  const segunda = diferida();
+
+  const fallida = optimisticMutation('clientes', () => primera.promise, { update: renombrar(1, 'José Luis') });
+  const exitosa = optimisticMutation('clientes', () => segunda.promise, {
+    update: data => [...renombrar(2, 'María José')(data), { id: 4, nombre: 'Ana', pendiente: true }]
+  });
+  expect(getQueryData(key).map(c => c.nombre)).toEqual(['José Luis', 'María José', 'Luis', 'Ana']);
+
+  primera.reject(new Error('Rechazada'));
+  await expect(fallida).rejects.toThrow('Rechazada');
+  expect(getQueryData(key)).toEqual([
+    { id: 1, nombre: 'José' }, { id: 2, nombre: 'María José' }, { id: 3, nombre: 'Luis' }, { id: 4, nombre: 'Ana', pendiente: true }
+  ]);
+
+  segunda.resolve({ ok: true });
+  await exitosa;
+  expect(getQueryData(key).map(c => c.nombre)).toEqual(['José', 'María José', 'Luis', 'Ana']);
+});
+
+test('al revertir, una fila quitada vuelve a su posición y una agregada se quita', async () => {
+  const key = ['productos', { disponible: true }];
+  setQueryData(key, [{ productoID: 1 }, { productoID: 2 }, { productoID: 3 }]);
+  const quitar = diferida();
+  const agregar = diferida();
+
+  const quitada = optimisticMutation('productos', () => quitar.promise, { update: data => data.filter(p => p.productoID !== 2) });
+  const agregada = optimisticMutation('productos', () => agregar.promise, { update: data => [...data, { productoID: 9 }] });
+
+  agregar.reject(new Error('Rechazada'));
+  await expect(agregada).rejects.toThrow();
+  expect(getQueryData(key).map(p => p.productoID)).toEqual([1, 3]);
+
+  quitar.reject(new Error('Rechazada'));
+  await expect(quitada).rejects.toThrow();
+  expect(getQueryData(key).map(p => p.productoID)).toEqual([1, 2, 3]);
+});
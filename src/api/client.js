@@ -0,0 +1,203 @@
+// Cliente HTTP compartido por todas las secciones.
+// Centraliza la URL base (REACT_APP_API_URL), el manejo de errores,
+// los timeouts, la cancelación de peticiones mediante AbortController
+// y la autenticación (header Authorization y refresco del token).
+import { getSession, saveSession, clearSession, isExpiring } from './session';
+
+// URL base de la API. Se toma desde .env para poder apuntar a distintos backends
+// sin modificar el código. Si no está definida se usan rutas relativas
+// (CRA reenviará las peticiones al "proxy" configurado en package.json).
+export const API_URL = (process.env.REACT_APP_API_URL || '').replace(/\/+$/, '');
+
+// URL base del servicio de autenticación (/auth/login, /auth/refresh).
+// Por defecto es la misma API; se puede apuntar a un servidor de autenticación de prueba.
+export const AUTH_URL = (process.env.REACT_APP_AUTH_URL || API_URL).replace(/\/+$/, '');
+
+// Tiempo máximo de espera por defecto para cada petición (en milisegundos).
+export const DEFAULT_TIMEOUT = 10000;
+
+// Error estructurado devuelto por el cliente:
+// - status: código HTTP (0 si no hubo respuesta, p. ej. red caída o timeout)
+// - message: mensaje del servidor o, si no hubo respuesta, el mismo código del fallo
+// - code: sin respuesta del servidor, clave del mensaje que explica el fallo ('api.timeout' o
+//   'api.sinConexion'), que la interfaz traduce al idioma elegido (ver errorMessage)
+// - fieldErrors: errores por campo ({ nombre: '...', precio: '...' }) si el servidor los envía
+// - body: cuerpo original de la respuesta, para depuración
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = null, fieldErrors = {}, body = null, timeout = false } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fieldErrors = fieldErrors;
+    this.body = body;
+    this.timeout = timeout;
+  }
+}
+
+// Indica si un error corresponde a una petición cancelada a propósito
+// (por ejemplo, al desmontar el componente). Estos errores no deben mostrarse.
+export function isAbortError(err) {
+  return err?.name === 'AbortError';
+}
+
+// Convierte los distintos formatos de error del backend en un objeto { campo: mensaje }.
+// Acepta { errors: { campo: msg } }, { errors: [{ field|param|path, message|msg }] }
+// o { fieldErrors: {...} }.
+function parseFieldErrors(body) {
+  if (!body || typeof body !== 'object') return {};
+  const source = body.fieldErrors || body.errors;
+  if (!source) return {};
+  if (Array.isArray(source)) {
+    return source.reduce((acc, e) => {
+      const field = e?.field || e?.param || e?.path;
+      if (field) acc[field] = e.message || e.msg || String(e);
+      return acc;
+    }, {});
+  }
+  if (typeof source === 'object') {
+    return Object.fromEntries(
+      Object.entries(source).map(([k, v]) => [k, Array.isArray(v) ? v.join(' ') : String(v)])
+    );
+  }
+  return {};
+}
+
+// Lee el cuerpo de la respuesta como JSON si es posible, o como texto en caso contrario.
+async function readBody(res) {
+  if (res.status === 204) return null;
+  const text = await res.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// Construye la URL final a partir de la ruta y los parámetros de query.
+// Los parámetros vacíos (undefined, null, '') se omiten.
+export function buildUrl(path, params, baseUrl = API_URL) {
+  let url = `${baseUrl}${path}`;
+  if (params) {
+    const qs = new URLSearchParams();
+    Object.entries(params).forEach(([k, v]) => {
+      if (v !== undefined && v !== null && v !== '') qs.append(k, v);
+    });
+    const str = qs.toString();
+    if (str) url += `?${str}`;
+  }
+  return url;
+}
+
+// Envía una petición HTTP y devuelve el cuerpo ya parseado (sin lógica de autenticación).
+async function send(url, { method = 'GET', body, signal, timeout = DEFAULT_TIMEOUT, headers } = {}) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = timeout > 0
+    ? setTimeout(() => { timedOut = true; controller.abort(); }, timeout)
+    : null;
+
+  // Si el llamador cancela, propagamos la cancelación a nuestro controller.
+  const onAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', onAbort);
+  }
+
+  try {
+    const res = await fetch(url, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: controller.signal
+    });
+    const data = await readBody(res);
+    if (!res.ok) {
+      const message = (data && typeof data === 'object' && (data.message || data.error))
+        || (typeof data === 'string' && data)
+        || res.statusText
+        || `Error ${res.status}`;
+      throw new ApiError(message, { status: res.status, fieldErrors: parseFieldErrors(data), body: data });
+    }
+    return data;
+  } catch (err) {
+    if (timedOut) {
+      throw new ApiError('api.timeout', { code: 'api.timeout', timeout: true });
+    }
+    if (isAbortError(err) || err instanceof ApiError) throw err;
+    throw new ApiError('api.sinConexion', { code: 'api.sinConexion', body: err });
+  } finally {
+    if (timer) clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+// Promesa del refresco en curso, compartida para que varias peticiones
+// que reciben 401 a la vez disparen un solo refresco.
+let refreshing = null;
+
+// Pide un nuevo token de acceso con el token de refresco.
+// Devuelve true si se obtuvo, false si no hay sesión o el servidor lo rechazó.
+export function refreshSession() {
+  const session = getSession();
+  if (!session?.refreshToken) return Promise.resolve(false);
+  if (!refreshing) {
+    refreshing = send(`${AUTH_URL}/auth/refresh`, {
+      method: 'POST',
+      body: { refreshToken: session.refreshToken }
+    })
+      .then(data => { saveSession(data); return true; })
+      .catch(() => false)
+      .finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+// Realiza una petición a la API y devuelve el cuerpo ya parseado.
+// Opciones:
+// - method: verbo HTTP (GET por defecto)
+// - body: objeto que se enviará como JSON
+// - params: parámetros de query string
+// - signal: AbortSignal externo para cancelar la petición
+// - timeout: milisegundos antes de abortar (0 para desactivarlo)
+// - auth: false para no enviar el token (por defecto se envía si hay sesión)
+// - baseUrl: URL base alternativa (por defecto API_URL)
+// Si el token está por vencer se refresca antes de enviar; ante un 401 se intenta
+// refrescar una vez y reintentar, y si no es posible se cierra la sesión.
+// Lanza ApiError si la respuesta no es 2xx o si se agota el tiempo.
+export async function request(path, { params, auth = true, baseUrl, headers, ...options } = {}) {
+  const url = buildUrl(path, params, baseUrl);
+  if (!auth) return send(url, { ...options, headers });
+
+  if (isExpiring(getSession())) await refreshSession();
+
+  const withToken = () => {
+    const session = getSession();
+    return send(url, {
+      ...options,
+      headers: { ...(session ? { Authorization: `Bearer ${session.token}` } : {}), ...headers }
+    });
+  };
+
+  try {
+    return await withToken();
+  } catch (err) {
+    if (!(err instanceof ApiError) || err.status !== 401) throw err;
+    if (await refreshSession()) return withToken();
+    if (getSession()) clearSession({ expired: true });
+    throw err;
+  }
+}
+
+// Obtiene un mensaje legible para mostrar al usuario a partir de un error.
+// Si el servidor envió un mensaje lo usa; si el error trae un código (p. ej. sin respuesta
+// del servidor) lo traduce con "t"; si no, recurre al mensaje por defecto.
+export function errorMessage(err, fallback, t) {
+  if (err instanceof ApiError && err.status > 0 && err.message) return `${fallback} ${err.message}`;
+  if (err?.code && t) return t(err.code);
+  return fallback;
+}
@@ -0,0 +1,52 @@
+import { request } from './client';
+import { withOfflineCache } from './offline';
+import { invalidating } from './cache';
+import { esActivo } from '../utils/clientes';
+
+// Funciones de acceso al recurso /clientes.
+// Las modificaciones invalidan las listas de clientes guardadas en la caché de consultas.
+
+/**
+ * @typedef {Object} Cliente
+ * @property {number} id
+ * @property {string} nombre
+ * @property {string} ciudad
+ * @property {number} tipo 1 = Normal, 2 = Premium, otro valor = Inactivo
+ */
+
+/**
+ * @typedef {Object} ClienteInput
+ * @property {string} nombre
+ * @property {string} ciudad
+ * @property {number} tipo
+ */
+
+// Lista los clientes. Si se indica "type" ('1' o '2') filtra por tipo de cliente;
+// con 'inactivos' devuelve solo los clientes desactivados (la API no tiene un filtro
+// para ellos, así que se pide la lista completa y se filtra aquí).
+// Sin conexión devuelve la última lista obtenida para ese filtro.
+/** @returns {Promise<Cliente[]>} */
+export function listClientes({ type } = {}, options = {}) {
+  if (type === 'inactivos') {
+    return listClientes({}, options).then(list => list.filter(c => !esActivo(c)));
+  }
+  const params = type === '1' || type === '2' ? { type } : undefined;
+  return withOfflineCache(`clientes?type=${params ? type : 'all'}`, () => request('/clientes', { ...options, params }));
+}
+
+// Registra un nuevo cliente.
+/** @param {ClienteInput} data */
+export function createCliente(data, options = {}) {
+  return invalidating(request('/clientes', { ...options, method: 'POST', body: data }), 'clientes');
+}
+
+// Actualiza los datos de un cliente existente.
+/** @param {ClienteInput} data */
+export function updateCliente(id, data, options = {}) {
+  return invalidating(request(`/clientes/${id}`, { ...options, method: 'PUT', body: data }), 'clientes');
+}
+
+// Desactiva un cliente (el backend lo marca como inactivo).
+export function deleteCliente(id, options = {}) {
+  return invalidating(request(`/clientes/${id}`, { ...options, method: 'DELETE' }), 'clientes');
+}
@@ -0,0 +1,166 @@
+import { createVenta } from './ventas';
+import { listProductos, productosCacheKey } from './productos';
+import { isNetworkError, updateOfflineCache } from './offline';
+import { invalidateQueries } from './cache';
+import { idbAvailable, idbGetAll, idbPut, idbDelete, STORES } from '../utils/idb';
+
+// Cola de ventas registradas sin conexión.
+// Las ventas se guardan en IndexedDB y se envían a POST /venta cuando vuelve la conexión.
+// Antes de enviar cada una se compara con el stock actual: si algún producto ya no está
+// disponible o no alcanza, la venta queda "en conflicto" para que el usuario decida
+// (reintentar tras reponer, o descartarla). Lo mismo si el servidor la rechaza.
+//
+// Cada venta lleva un ID generado en el navegador que se envía como "Idempotency-Key" en cada
+// intento. Si la conexión se corta después de enviar la petición no se sabe si el servidor
+// alcanzó a registrarla: esas ventas quedan "por revisar" y no se reenvían solas, para no duplicarlas.
+
+// Evento emitido cada vez que cambia la cola (para actualizar contadores y listas).
+export const COLA_VENTAS_EVENT = 'cola-ventas';
+
+/**
+ * @typedef {Object} VentaPendiente
+ * @property {number} id Clave local
+ * @property {string} idVenta ID de la venta generado en el navegador (clave de idempotencia)
+ * @property {{ clienteId: string|number, productos: import('./ventas').LineaVenta[] }} venta Cuerpo de POST /venta
+ * @property {string} clienteNombre
+ * @property {{ id: string, nombre: string }[]} productos Nombres de los productos, para mostrar y reportar
+ * @property {number} total
+ * @property {string} creadaEn Fecha y hora ISO en que se registró localmente
+ * @property {'pendiente'|'conflicto'|'revisar'} estado "revisar": pudo quedar registrada en el servidor
+ * @property {MotivoConflicto[]} [conflictos] Motivos por los que no se pudo enviar
+ */
+
+/**
+ * Motivo de conflicto: clave del mensaje ("colaVentas.motivo.*") y sus parámetros, que la interfaz
+ * traduce al mostrarlo (ver components/ventasPendientes).
+ * @typedef {Object} MotivoConflicto
+ * @property {string} key
+ * @property {{ id?: string, disponible?: number, pedido?: number, mensaje?: string }} [params]
+ *   id: ID del producto; disponible y pedido: stock actual y cantidad de la venta; mensaje: rechazo del servidor
+ */
+
+const notify = () => window.dispatchEvent(new Event(COLA_VENTAS_EVENT));
+
+// Genera el ID de una venta antes del primer intento de envío, para reenviarla con la misma clave.
+export function nuevoIdVenta() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Guarda una venta para enviarla más tarde y descuenta el stock de la copia local de productos,
+// para que las siguientes ventas sin conexión vean el stock restante.
+// Con "revisar" (la conexión se cortó tras enviarla) queda por revisar en vez de pendiente.
+// Falla si el navegador no permite guardarla (sin IndexedDB), para no perder la venta en silencio;
+// el error lleva el código del mensaje para mostrarlo traducido (ver errorMessage en api/client).
+export async function encolarVenta(venta, { idVenta = nuevoIdVenta(), clienteNombre, productos, total, revisar = false }) {
+  if (!(await idbAvailable())) {
+    throw Object.assign(new Error('colaVentas.sinAlmacenamiento'), { code: 'colaVentas.sinAlmacenamiento' });
+  }
+  await idbPut(STORES.ventasPendientes, {
+    idVenta,
+    venta,
+    clienteNombre,
+    productos,
+    total,
+    creadaEn: new Date().toISOString(),
+    estado: revisar ? 'revisar' : 'pendiente'
+  });
+  // La venta ya quedó en la cola: si no se puede descontar el stock de la copia local, el envío
+  // igual compara con el stock real del servidor (ver detectarConflictos).
+  const vendidas = new Map(venta.productos.map(l => [String(l.id), l.cantidad]));
+  await updateOfflineCache(productosCacheKey(true), data => data.map(p => (
+    vendidas.has(String(p.productoID)) ? { ...p, stock: p.stock - vendidas.get(String(p.productoID)) } : p
+  ))).catch(() => {});
+  invalidateQueries('productos');
+  notify();
+}
+
+// Devuelve las ventas en cola (pendientes y en conflicto), de la más antigua a la más reciente.
+/** @returns {Promise<VentaPendiente[]>} */
+export function listarVentasPendientes() {
+  return idbGetAll(STORES.ventasPendientes);
+}
+
+// Elimina una venta de la cola sin enviarla.
+export async function descartarVenta(id) {
+  await idbDelete(STORES.ventasPendientes, id);
+  notify();
+}
+
+// Vuelve a marcar una venta en conflicto o por revisar como pendiente (p. ej. tras reponer stock
+// o tras comprobar que el servidor no la registró).
+export async function reintentarVenta(venta) {
+  await idbPut(STORES.ventasPendientes, { ...venta, estado: 'pendiente', conflictos: [] });
+  notify();
+}
+
+// Compara las líneas de la venta con el stock actual y devuelve los motivos de conflicto.
+/** @returns {MotivoConflicto[]} */
+function detectarConflictos(pendiente, stock) {
+  return pendiente.venta.productos.flatMap(l => {
+    const id = String(l.id);
+    const actual = stock.get(id);
+    if (actual === undefined) return [{ key: 'colaVentas.motivo.noDisponible', params: { id } }];
+    if (l.cantidad > actual) {
+      return [{ key: 'colaVentas.motivo.stock', params: { id, disponible: actual, pedido: l.cantidad } }];
+    }
+    return [];
+  });
+}
+
+// Envío en curso, compartido para que dos llamadas simultáneas no dupliquen ventas.
+let syncing = null;
+
+// Envía las ventas pendientes en orden. Devuelve { enviadas, conflictos, revisar, offline }:
+// offline es true si se interrumpió por falta de conexión (las restantes siguen pendientes
+// y la que se estaba enviando queda por revisar).
+export function sincronizarVentas() {
+  if (!syncing) {
+    syncing = sync().finally(() => { syncing = null; });
+  }
+  return syncing;
+}
+
+async function sync() {
+  const result = { enviadas: 0, conflictos: 0, revisar: 0, offline: false };
+  const pendientes = (await listarVentasPendientes()).filter(v => v.estado === 'pendiente');
+  if (pendientes.length === 0) return result;
+
+  let stock;
+  try {
+    const productos = await listProductos({ disponible: true }, { offlineFallback: false });
+    stock = new Map(productos.map(p => [String(p.productoID), Number(p.stock)]));
+  } catch (err) {
+    if (isNetworkError(err)) return { ...result, offline: true };
+    throw err;
+  }
+
+  for (const pendiente of pendientes) {
+    const conflictos = detectarConflictos(pendiente, stock);
+    if (conflictos.length === 0) {
+      try {
+        await createVenta(pendiente.venta, { idempotencyKey: pendiente.idVenta });
+        await idbDelete(STORES.ventasPendientes, pendiente.id);
+        pendiente.venta.productos.forEach(l => stock.set(String(l.id), stock.get(String(l.id)) - l.cantidad));
+        result.enviadas++;
+        continue;
+      } catch (err) {
+        if (isNetworkError(err)) {
+          // La petición pudo llegar al servidor: se deja por revisar y se detiene el envío.
+          await idbPut(STORES.ventasPendientes, { ...pendiente, estado: 'revisar', conflictos: [] });
+          result.revisar++;
+          result.offline = true;
+          break;
+        }
+        conflictos.push(err.message
+          ? { key: 'colaVentas.motivo.rechazada', params: { mensaje: err.message } }
+          : { key: 'colaVentas.motivo.rechazadaSinMotivo' });
+      }
+    }
+    await idbPut(STORES.ventasPendientes, { ...pendiente, estado: 'conflicto', conflictos });
+    result.conflictos++;
+  }
+
+  notify();
+  return result;
+}
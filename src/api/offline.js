@@ -0,0 +1,36 @@
+import { ApiError } from './client';
+import { idbGet, idbPut, STORES } from '../utils/idb';
+
+// Soporte sin conexión para las lecturas de la API: la última respuesta de cada
+// catálogo (clientes, productos) se guarda en IndexedDB y se devuelve cuando el
+// backend no responde, para que la caja siga funcionando con los datos conocidos.
+
+// Indica si el error se debe a que no hubo respuesta del servidor
+// (sin red, backend caído o tiempo de espera agotado), a diferencia de un rechazo del servidor.
+export function isNetworkError(err) {
+  return err instanceof ApiError && err.status === 0;
+}
+
+// Ejecuta "fetcher" y guarda su resultado bajo "key". Si falla por falta de conexión
+// y hay una copia guardada, devuelve la copia; en cualquier otro caso relanza el error.
+// Guardar la copia es opcional: si falla, la respuesta se usa igual y solo falta la copia sin conexión.
+export async function withOfflineCache(key, fetcher) {
+  try {
+    const data = await fetcher();
+    idbPut(STORES.catalogos, { data, savedAt: Date.now() }, key).catch(() => {});
+    return data;
+  } catch (err) {
+    if (!isNetworkError(err)) throw err;
+    const cached = await idbGet(STORES.catalogos, key).catch(() => undefined);
+    if (!cached) throw err;
+    return cached.data;
+  }
+}
+
+// Modifica la copia guardada de un catálogo (p. ej. para descontar stock de una venta
+// registrada sin conexión). "update" recibe los datos y devuelve los nuevos.
+export async function updateOfflineCache(key, update) {
+  const cached = await idbGet(STORES.catalogos, key).catch(() => undefined);
+  if (!cached) return;
+  await idbPut(STORES.catalogos, { ...cached, data: update(cached.data) }, key);
+}
@@ -0,0 +1,157 @@
+import { request } from './client';
+import { withOfflineCache } from './offline';
+import { invalidating } from './cache';
+import { idbGet, idbPut, STORES } from '../utils/idb';
+
+// Funciones de acceso al recurso /producto.
+// Las modificaciones invalidan las listas de productos guardadas en la caché de consultas.
+
+/**
+ * @typedef {Object} Producto
+ * @property {number} productoID
+ * @property {string} nombre
+ * @property {number} precio
+ * @property {number} stock
+ * @property {string} [categoria] 'cafe' | 'te' | 'pasteleria' | 'snacks' (ver utils/productos)
+ * @property {string} [descripcion]
+ * @property {string} [codigo] Código de barras (EAN, UPC o interno)
+ * @property {string} [imagenId] Identifica la imagen del producto (ver imagenProducto); la API la
+ *   devuelve como "imagen" (data URL o dirección), pero listProductos la separa de la fila
+ */
+
+/**
+ * @typedef {Object} ProductoInput
+ * @property {string} [name]
+ * @property {number} [price]
+ * @property {number} [stock]
+ * @property {string} [category]
+ * @property {string} [description]
+ * @property {string} [code]
+ * @property {string} [image]
+ * @property {boolean} [disponible]
+ */
+
+/**
+ * @typedef {Object} ProductoVendido
+ * @property {number} productId
+ * @property {string} productName
+ * @property {number} quantitySold
+ */
+
+// Clave de la copia sin conexión de la lista de productos.
+export const productosCacheKey = disponible => `producto?disponible=${disponible}`;
+
+// Imágenes de los productos, guardadas aparte de las filas: la API las devuelve dentro de cada
+// producto (data URL de hasta 300 KB) y las listas se consultan seguido, se guardan en la caché
+// de consultas y en IndexedDB y se copian en cada cambio optimista. Cada fila lleva solo
+// "imagenId", que cambia cuando cambia la imagen. Se conservan las imágenes que usan las últimas
+// listas obtenidas, con una sola copia en IndexedDB para mostrarlas sin conexión.
+const IMAGENES_CACHE_KEY = 'producto-imagenes';
+const imagenes = new Map();
+// Imágenes que usa cada lista ({ disponible } => Set de imagenId) y firma de la copia guardada.
+const imagenesEnUso = new Map();
+let imagenesGuardadas = '';
+
+// Identificador corto de una imagen, derivado de su contenido (largo + hash FNV-1a).
+function firmaImagen(imagen) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < imagen.length; i++) hash = Math.imul(hash ^ imagen.charCodeAt(i), 0x01000193);
+  return `img-${imagen.length.toString(36)}-${(hash >>> 0).toString(36)}`;
+}
+
+// Registra una imagen y devuelve su identificador (undefined si no hay imagen).
+// También se usa para mostrar al instante la imagen de un cambio optimista.
+export function registrarImagen(imagen) {
+  if (!imagen) return undefined;
+  const id = firmaImagen(imagen);
+  imagenes.set(id, imagen);
+  return id;
+}
+
+// Imagen de un producto (data URL o dirección), o undefined si no tiene.
+export function imagenProducto(producto) {
+  return producto?.imagenId ? imagenes.get(producto.imagenId) : undefined;
+}
+
+// Reemplaza la imagen de cada producto de una lista por su "imagenId", descarta las imágenes
+// que ya no usa ninguna lista y, si cambiaron, actualiza la copia sin conexión.
+function separarImagenes(lista, disponible) {
+  const ids = new Set();
+  const filas = lista.map(({ imagen, ...p }) => {
+    const imagenId = registrarImagen(imagen);
+    if (!imagenId) return p;
+    ids.add(imagenId);
+    return { ...p, imagenId };
+  });
+  imagenesEnUso.set(disponible, ids);
+  const usadas = new Set([...imagenesEnUso.values()].flatMap(set => [...set]));
+  [...imagenes.keys()].forEach(id => { if (!usadas.has(id)) imagenes.delete(id); });
+  const firma = [...imagenes.keys()].sort().join(',');
+  if (firma !== imagenesGuardadas) {
+    imagenesGuardadas = firma;
+    idbPut(STORES.catalogos, { data: Object.fromEntries(imagenes), savedAt: Date.now() }, IMAGENES_CACHE_KEY).catch(() => {});
+  }
+  return filas;
+}
+
+// Recupera de la copia sin conexión las imágenes que falten en memoria (p. ej. al abrir la app sin red).
+async function cargarImagenes() {
+  const guardadas = await idbGet(STORES.catalogos, IMAGENES_CACHE_KEY).catch(() => undefined);
+  Object.entries(guardadas?.data || {}).forEach(([id, imagen]) => {
+    if (!imagenes.has(id)) imagenes.set(id, imagen);
+  });
+}
+
+// Lista los productos. Por defecto solo los disponibles (?disponible=true).
+// Las imágenes se separan de las filas (ver imagenProducto).
+// Sin conexión devuelve la última lista obtenida, salvo que se pase { offlineFallback: false }
+// (p. ej. para verificar el stock real antes de sincronizar ventas pendientes).
+/** @returns {Promise<Producto[]>} */
+export async function listProductos({ disponible = true } = {}, { offlineFallback = true, ...options } = {}) {
+  const fetcher = () => request('/producto', { ...options, params: { disponible } })
+    .then(lista => separarImagenes(lista, disponible));
+  if (!offlineFallback) return fetcher();
+  const lista = await withOfflineCache(productosCacheKey(disponible), fetcher);
+  if (lista.some(p => p.imagenId && !imagenes.has(p.imagenId))) await cargarImagenes();
+  return lista;
+}
+
+// Registra un nuevo producto.
+/** @param {ProductoInput} data */
+export function createProducto(data, options = {}) {
+  return invalidating(request('/producto', { ...options, method: 'POST', body: data }), 'productos');
+}
+
+// Actualiza un producto existente (nombre, precio, stock, datos del catálogo y/o disponibilidad).
+/** @param {ProductoInput} data */
+export function updateProducto(id, data, options = {}) {
+  return invalidating(request(`/producto/${id}`, { ...options, method: 'PUT', body: data }), 'productos');
+}
+
+// Deshabilita un producto.
+export function deleteProducto(id, options = {}) {
+  return invalidating(request(`/producto/${id}`, { ...options, method: 'DELETE' }), 'productos');
+}
+
+// Vuelve a habilitar un producto deshabilitado (PUT /producto/:id con disponible = true).
+export function restoreProducto(id, options = {}) {
+  return updateProducto(id, { disponible: true }, options);
+}
+
+// Incrementa el stock de un producto en "amount" unidades.
+export function incrementStock(id, amount, options = {}) {
+  return invalidating(request(`/producto/${id}/stock`, { ...options, method: 'PUT', body: { amount } }), 'productos');
+}
+
+// Productos vendidos durante la semana actual.
+/** @returns {Promise<ProductoVendido[]>} */
+export function getSoldThisWeek(options = {}) {
+  return request('/producto/sold/estaSemana', options);
+}
+
+// Cantidad total de unidades vendidas en el año actual.
+/** @returns {Promise<number>} */
+export async function getSoldThisYear(options = {}) {
+  const { count } = await request('/producto/vendidos/añoActual', options);
+  return count;
+}
@@ -0,0 +1,51 @@
+// Sesión del usuario autenticado, guardada en localStorage para sobrevivir recargas.
+// Contiene el token de acceso, el token de refresco, la fecha de expiración y el usuario.
+
+const SESSION_KEY = 'vitoko.session';
+
+// Evento emitido cuando la sesión termina (logout, token inválido o refresco fallido).
+export const SESSION_EXPIRED_EVENT = 'session-expired';
+
+/**
+ * @typedef {Object} Session
+ * @property {string} token Token de acceso (se envía como "Authorization: Bearer ...")
+ * @property {string} [refreshToken] Token para obtener un nuevo token de acceso
+ * @property {number} expiresAt Momento de expiración del token (ms desde epoch)
+ * @property {{ usuario: string, nombre: string, rol: 'cajero'|'gerente'|'admin' }} user
+ */
+
+// Devuelve la sesión guardada o null si no hay.
+/** @returns {Session|null} */
+export function getSession() {
+  try {
+    return JSON.parse(window.localStorage.getItem(SESSION_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+// Guarda la sesión a partir de la respuesta del servidor de autenticación
+// ({ token, refreshToken, expiresIn (segundos), user }).
+/** @returns {Session} */
+export function saveSession({ token, refreshToken, expiresIn, user }) {
+  const prev = getSession();
+  const session = {
+    token,
+    refreshToken: refreshToken || prev?.refreshToken,
+    expiresAt: Date.now() + (Number(expiresIn) || 3600) * 1000,
+    user: user || prev?.user
+  };
+  window.localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  return session;
+}
+
+// Elimina la sesión. Si "expired" es true avisa a la app para que redirija al login.
+export function clearSession({ expired = false } = {}) {
+  window.localStorage.removeItem(SESSION_KEY);
+  if (expired) window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+}
+
+// Indica si el token de acceso venció o vence en los próximos "marginMs" milisegundos.
+export function isExpiring(session, marginMs = 30000) {
+  return !session || session.expiresAt - marginMs <= Date.now();
+}
@@ -0,0 +1,120 @@
+import { request } from './client';
+import { invalidating } from './cache';
+import { eachDay } from '../utils/fechas';
+import { anotarMedioPago } from '../utils/mediosPago';
+
+// Funciones de acceso al recurso /venta.
+
+/**
+ * @typedef {Object} LineaVenta
+ * @property {string|number} id ID del producto
+ * @property {number} cantidad
+ * @property {number} precio Precio unitario
+ */
+
+/**
+ * @typedef {Object} DetalleVenta
+ * @property {number} ventaId
+ * @property {number} productoId
+ * @property {number} cantidad
+ * @property {number} subtotal
+ * @property {string} fecha
+ */
+
+// Registra una venta para un cliente con sus líneas de productos y su medio de pago.
+// Invalida lo que la venta modifica: el stock de los productos, las estadísticas
+// de vendidos y las consultas de ventas. El medio de pago se anota localmente con el ID
+// de la venta, porque las consultas de ventas no lo devuelven (ver utils/mediosPago).
+// "idempotencyKey" identifica la venta entre reintentos (ver api/colaVentas): el servidor
+// la usa para no registrar dos veces la misma venta.
+/** @param {{ clienteId: string|number, productos: LineaVenta[], medioPago?: string }} data */
+export async function createVenta(data, { idempotencyKey, ...options } = {}) {
+  const headers = idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined;
+  const res = await invalidating(
+    request('/venta', { ...options, headers, method: 'POST', body: data }),
+    'productos', 'vendidosSemana', 'vendidosAnio', 'ventas'
+  );
+  anotarMedioPago(res?.ventaId ?? res?.id, data.medioPago);
+  return res;
+}
+
+// Consulta las ventas de un cliente en una fecha (YYYY-MM-DD).
+/** @returns {Promise<DetalleVenta[]>} */
+export function getVentasByClienteFecha(clienteId, fecha, options = {}) {
+  return request(`/venta/cliente/${clienteId}/fecha/${fecha}`, options);
+}
+
+// Cantidad máxima de consultas en paralelo al iterar por fecha o por cliente.
+const CONCURRENCY = 4;
+
+// Si el endpoint de rango responde 404 o 405 se recorre día a día y no se vuelve a
+// probar hasta pasados RANGE_RETRY_MS: un 404 suelto (p. ej. durante un despliegue)
+// no lo descarta por el resto de la sesión.
+const RANGE_RETRY_MS = 5 * 60 * 1000;
+let rangeEndpointRetryAt = 0;
+
+// Ejecuta "task" sobre cada elemento con un máximo de "limit" tareas simultáneas.
+async function mapWithConcurrency(items, limit, task, signal) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      if (signal?.aborted) return;
+      const i = next++;
+      results[i] = await task(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Consulta las ventas de un cliente entre dos fechas (YYYY-MM-DD, ambas incluidas).
+// Usa GET /venta/cliente/:id/desde/:desde/hasta/:hasta si el backend lo soporta;
+// si no, recorre el endpoint por fecha día a día. Un 404 en un día se interpreta
+// como "sin ventas". "onProgress" recibe (díasConsultados, totalDías).
+/** @returns {Promise<DetalleVenta[]>} */
+export async function getVentasByClienteRango(clienteId, desde, hasta, { onProgress, ...options } = {}) {
+  if (Date.now() >= rangeEndpointRetryAt) {
+    try {
+      return await request(`/venta/cliente/${clienteId}/desde/${desde}/hasta/${hasta}`, options);
+    } catch (err) {
+      if (err.status !== 404 && err.status !== 405) throw err;
+      rangeEndpointRetryAt = Date.now() + RANGE_RETRY_MS;
+    }
+  }
+
+  const days = eachDay(desde, hasta);
+  let done = 0;
+  const perDay = await mapWithConcurrency(days, CONCURRENCY, async fecha => {
+    try {
+      return await getVentasByClienteFecha(clienteId, fecha, options);
+    } catch (err) {
+      if (err.status === 404) return [];
+      throw err;
+    } finally {
+      onProgress?.(++done, days.length);
+    }
+  }, options.signal);
+  return perDay.filter(Boolean).flat();
+}
+
+// Busca ventas de varios clientes entre dos fechas. Cada línea devuelta incluye
+// el "clienteId" al que pertenece, ya que el endpoint por cliente no lo informa.
+// Se consultan hasta CONCURRENCY clientes a la vez; las líneas quedan en el orden de "clienteIds".
+// "onProgress" recibe (consultasHechas, totalConsultas) sumando todos los clientes.
+/** @returns {Promise<Array<DetalleVenta & { clienteId: number|string }>>} */
+export async function searchVentas({ clienteIds, desde, hasta }, { onProgress, ...options } = {}) {
+  const days = eachDay(desde, hasta).length;
+  const total = clienteIds.length * days;
+  const hechas = new Array(clienteIds.length).fill(0);
+  const avanzar = (i, done) => {
+    hechas[i] = done;
+    onProgress?.(hechas.reduce((a, b) => a + b, 0), total);
+  };
+  const porCliente = await mapWithConcurrency(clienteIds.map((clienteId, i) => [clienteId, i]), CONCURRENCY, async ([clienteId, i]) => {
+    const data = await getVentasByClienteRango(clienteId, desde, hasta, { ...options, onProgress: done => avanzar(i, done) });
+    avanzar(i, days);
+    return data.map(l => ({ clienteId, ...l }));
+  }, options.signal);
+  return porCliente.filter(Boolean).flat();
+}
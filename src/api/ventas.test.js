@@ -0,0 +1,29 @@
+import { getVentasByClienteRango } from './ventas';
+import { installMockBackend, SEED } from '../mocks/backend';
+
+// Pruebas de la consulta de ventas por rango contra el backend de prueba en memoria.
+
+const RANGO = '/venta/cliente/1/desde/2026-03-02/hasta/2026-03-03';
+const consultasDeRango = backend => backend.requests.filter(r => r.path === RANGO).length;
+
+test('ante un 404 del endpoint de rango recorre día a día y lo vuelve a probar más tarde', async () => {
+  const backend = installMockBackend({
+    ...SEED,
+    ventas: [{ ventaId: 1, clienteId: 1, productoId: 1, cantidad: 2, subtotal: 3000, fecha: '2026-03-03T12:00:00.000Z' }]
+  });
+  const ahora = Date.now();
+  const reloj = jest.spyOn(Date, 'now').mockReturnValue(ahora);
+
+  backend.failNext('GET', RANGO, { status: 404 });
+  expect(await getVentasByClienteRango(1, '2026-03-02', '2026-03-03')).toHaveLength(1);
+  expect(backend.requests.map(r => r.path)).toContain('/venta/cliente/1/fecha/2026-03-03');
+
+  // Mientras tanto no se insiste con el endpoint de rango.
+  await getVentasByClienteRango(1, '2026-03-02', '2026-03-03');
+  expect(consultasDeRango(backend)).toBe(1);
+
+  reloj.mockReturnValue(ahora + 10 * 60 * 1000);
+  expect(await getVentasByClienteRango(1, '2026-03-02', '2026-03-03')).toHaveLength(1);
+  expect(consultasDeRango(backend)).toBe(2);
+  reloj.mockRestore();
+});
@@ -0,0 +1,215 @@
+import React, { useState, useMemo } from 'react';
+// Importamos React y los hooks necesarios para estado y memorización
+import { updateProducto } from '../api/productos';
+import { isAbortError, errorMessage } from '../api/client';
+import useAbortSignal from '../hooks/useAbortSignal';
+import useForm from '../hooks/useForm';
+import useHistorialPrecios from '../hooks/useHistorialPrecios';
+import useI18n from '../hooks/useI18n';
+import { ajustePreciosSchema, toNumber } from '../utils/validacion';
+import { ajustarPrecio, describirAjuste, PASOS_REDONDEO, MODOS_REDONDEO } from '../utils/precios';
+import Campo, { INVALID_CLASS } from './campo';
+// Funciones de la API, hooks de cancelación, formularios validados, historial de precios y textos traducidos,
+// reglas de ajuste y redondeo y campos con mensaje de error
+
+// Valores iniciales del formulario de ajuste.
+const INITIAL_AJUSTE = { tipo: 'porcentaje', valor: '', paso: '0', modo: 'cercano' };
+
+// Componente "AjustePrecios":
+// Herramienta para cambiar el precio de varios productos a la vez: se eligen los productos,
+// un ajuste en porcentaje o en pesos (negativo para bajar) y una regla de redondeo
+// (p. ej. a los 10 pesos más cercanos). La tabla muestra el precio actual y el nuevo de cada
+// producto antes de aplicar; al aplicar se envía PUT /producto/:id por producto y cada cambio
+// queda en el historial de precios.
+//
+// Props:
+// - productos: productos disponibles
+// - onClose: cierra el panel
+export default function AjustePrecios({ productos, onClose }) {
+  // Estado local del componente:
+  // - form: ajuste validado ({ tipo, valor, paso, modo })
+  // - selected: IDs de los productos a los que se aplica el ajuste
+  // - progress: avance del envío ({ done, total }) o null
+  // - report: resultado del último envío ({ ok, failed: [{ nombre, message }] }) o null
+  // - historial: registro local de cambios de precio
+  const form                        = useForm(ajustePreciosSchema, INITIAL_AJUSTE);
+  const [selected, setSelected]     = useState(() => new Set());
+  const [progress, setProgress]     = useState(null);
+  const [report, setReport]         = useState(null);
+  const [, registrarCambio]         = useHistorialPrecios();
+  const signalFor                   = useAbortSignal();
+  const { t, formato }              = useI18n();
+
+  // Ajuste actual con sus valores numéricos, o null si el formulario no es válido.
+  const { values, isValid } = form;
+  const ajuste = useMemo(() => (isValid ? {
+    tipo: values.tipo,
+    valor: toNumber(values.valor),
+    paso: Number(values.paso),
+    modo: values.modo
+  } : null), [values, isValid]);
+
+  // Vista previa: precio nuevo de cada producto seleccionado. Un precio resultante
+  // menor o igual a 0 no se puede aplicar y se marca como inválido.
+  const preview = useMemo(() => productos.map(p => {
+    const nuevo = ajuste && selected.has(p.productoID) ? ajustarPrecio(p.precio, ajuste) : null;
+    return { producto: p, nuevo, invalido: nuevo !== null && nuevo <= 0 };
+  }), [productos, ajuste, selected]);
+
+  const aplicables = preview.filter(r => r.nuevo !== null && !r.invalido && r.nuevo !== Number(r.producto.precio));
+  const allSelected = productos.length > 0 && productos.every(p => selected.has(p.productoID));
+
+  const toggle = id => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected(allSelected ? new Set() : new Set(productos.map(p => p.productoID)));
+  };
+
+  // Aplica el ajuste a los productos de la vista previa uno a uno, registra cada cambio
+  // en el historial e informa el resultado.
+  const handleApply = form.handleSubmit(async () => {
+    const signal = signalFor('apply');
+    const targets = aplicables;
+    const origen = describirAjuste(ajuste);
+    const failed = [];
+    let ok = 0;
+    setReport(null);
+    setProgress({ done: 0, total: targets.length });
+    for (let i = 0; i < targets.length; i++) {
+      const { producto, nuevo } = targets[i];
+      try {
+        await updateProducto(producto.productoID, { price: nuevo }, { signal });
+        registrarCambio(producto.productoID, producto.precio, nuevo, origen);
+        ok++;
+      } catch (err) {
+        if (isAbortError(err)) return;
+        failed.push({ nombre: producto.nombre, message: errorMessage(err, t('ajuste.errorPrecio'), t) });
+      }
+      setProgress({ done: i + 1, total: targets.length });
+    }
+    setProgress(null);
+    setReport({ ok, failed });
+    setSelected(new Set());
+  });
+
+  // Renderizado de la UI:
+  // - Formulario del ajuste (tipo, valor y redondeo).
+  // - Tabla de productos con selección y precio actual / nuevo.
+  // - Botón para aplicar, avance e informe del resultado.
+  return (
+    <div className="mb-6 p-4 border rounded bg-gray-50">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-medium">{t('ajuste.titulo')}</h3>
+        <button type="button" onClick={onClose} className="px-2 text-gray-600 hover:text-black" aria-label={t('comun.cerrar')}>✕</button>
+      </div>
+
+      <form onSubmit={handleApply} noValidate>
+        <div className="grid grid-cols-1 sm:grid-cols-4 gap-4 mb-4">
+          <label className="block">
+            <span className="block mb-1 text-sm">{t('ajuste.tipo')}</span>
+            <select {...form.field('tipo')} className="w-full border rounded p-2">
+              <option value="porcentaje">{t('ajuste.tipo.porcentaje')}</option>
+              <option value="monto">{t('ajuste.tipo.monto')}</option>
+            </select>
+          </label>
+          <label className="block">
+            <span className="block mb-1 text-sm">{t(`ajuste.variacion.${form.values.tipo}`)}</span>
+            <Campo error={form.errorFor('valor')}>
+              <input
+                type="number"
+                step="0.01"
+                placeholder={t('ajuste.ejemplo')}
+                {...form.field('valor')}
+                className={`w-full border rounded p-2 ${INVALID_CLASS}`}
+              />
+            </Campo>
+          </label>
+          <label className="block">
+            <span className="block mb-1 text-sm">{t('ajuste.redondeo')}</span>
+            <select {...form.field('paso')} className="w-full border rounded p-2">
+              {PASOS_REDONDEO.map(o => <option key={o.value} value={o.value}>{t(o.label)}</option>)}
+            </select>
+          </label>
+          <label className="block">
+            <span className="block mb-1 text-sm">{t('ajuste.sentido')}</span>
+            <select {...form.field('modo')} disabled={form.values.paso === '0'} className="w-full border rounded p-2 disabled:bg-gray-100">
+              {MODOS_REDONDEO.map(o => <option key={o.value} value={o.value}>{t(o.label)}</option>)}
+            </select>
+          </label>
+        </div>
+
+        <div className="max-h-80 overflow-y-auto mb-4">
+          <table className="w-full table-auto text-sm">
+            <thead className="bg-gray-100 sticky top-0">
+              <tr>
+                <th className="p-2">
+                  <input type="checkbox" checked={allSelected} onChange={toggleAll} aria-label={t('ajuste.seleccionarTodos')} />
+                </th>
+                {['ventas.producto', 'ajuste.precioActual', 'ajuste.precioNuevo', 'ajuste.diferencia'].map(h => (
+                  <th key={h} className="p-2">{t(h)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {preview.map(({ producto: p, nuevo, invalido }) => (
+                <tr key={p.productoID} className={`border-t ${invalido ? 'bg-red-50' : ''}`}>
+                  <td className="p-2">
+                    <input
+                      type="checkbox"
+                      checked={selected.has(p.productoID)}
+                      onChange={() => toggle(p.productoID)}
+                      aria-label={t('ajuste.ajustarAria', { nombre: p.nombre })}
+                    />
+                  </td>
+                  <td className="p-2">{p.nombre}</td>
+                  <td className="p-2">{formato.money(p.precio)}</td>
+                  <td className={`p-2 ${invalido ? 'text-red-600' : 'font-semibold'}`}>
+                    {nuevo === null ? '—' : invalido ? t('ajuste.precioInvalido') : formato.money(nuevo)}
+                  </td>
+                  <td className="p-2">
+                    {nuevo === null || invalido ? '' : `${nuevo >= p.precio ? '+' : ''}${formato.money(nuevo - p.precio)}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <button
+          disabled={!form.canSubmit || aplicables.length === 0 || !!progress}
+          className="bg-green-500 text-white px-3 py-2 rounded hover:bg-green-600 disabled:opacity-50"
+        >
+          {progress ? t('ajuste.aplicando') : t('ajuste.aplicar', { count: aplicables.length })}
+        </button>
+      </form>
+
+      {progress && (
+        <div className="mt-4">
+          <div className="h-2 bg-gray-200 rounded">
+            <div
+              className="h-2 bg-green-500 rounded"
+              style={{ width: `${(progress.done / progress.total) * 100}%` }}
+            />
+          </div>
+          <p className="text-sm text-gray-600">{t('ajuste.progreso', { done: progress.done, total: progress.total })}</p>
+        </div>
+      )}
+
+      {report && (
+        <div className="mt-4 text-sm">
+          <p className="text-green-700">{t('ajuste.actualizados', { count: report.ok })}</p>
+          {report.failed.map(f => (
+            <p key={f.nombre} className="text-red-600">{f.nombre}: {f.message}</p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import React from 'react';
+// Importamos React
+import { createPortal } from 'react-dom';
+// Portal para la copia que se imprime fuera del árbol de la app
+import Modal from './modal';
+import { NEGOCIO, boletaTexto, encabezadoVenta } from '../utils/boleta';
+import { buildTextPdf } from '../utils/pdf';
+import { downloadBlob } from '../utils/export';
+import { formatMoney, formatDateTime } from '../utils/formato';
+import { tipoLabel } from '../utils/clientes';
+import { medioPagoLabel } from '../utils/mediosPago';
+import useI18n from '../hooks/useI18n';
+// Diálogo modal, modelo de boleta, generador de PDF, descarga de archivos, formato de montos y fechas,
+// nombres de tipos de cliente y medios de pago y textos traducidos
+
+// Contenido de la boleta, usado tanto en pantalla como en la copia impresa.
+// Es el documento que recibe el cliente: va siempre en español, como el PDF (ver utils/boleta).
+function ContenidoBoleta({ boleta }) {
+  return (
+    <div className="boleta font-mono text-sm">
+      <div className="text-center">
+        <div className="font-bold">{NEGOCIO}</div>
+        {encabezadoVenta(boleta) && <div>{encabezadoVenta(boleta)}</div>}
+        <div>{formatDateTime(boleta.fecha)}</div>
+      </div>
+      <hr className="my-2 border-dashed border-black" />
+      <div className="flex justify-between"><span>Cliente:</span><span>{boleta.cliente.nombre}</span></div>
+      {boleta.cliente.tipo != null && (
+        <div className="flex justify-between"><span>Tipo:</span><span>{tipoLabel(boleta.cliente.tipo)}</span></div>
+      )}
+      <hr className="my-2 border-dashed border-black" />
+      <table className="w-full">
+        <thead>
+          <tr>
+            <th className="text-left font-normal">Producto</th>
+            <th className="text-right font-normal">Cant.</th>
+            <th className="text-right font-normal">Precio</th>
+            <th className="text-right font-normal">Subtotal</th>
+          </tr>
+        </thead>
+        <tbody>
+          {boleta.lineas.map((l, i) => (
+            <tr key={i}>
+              <td className="text-left">{l.nombre}</td>
+              <td className="text-right">{l.cantidad}</td>
+              <td className="text-right">{formatMoney(l.precio)}</td>
+              <td className="text-right">{formatMoney(l.subtotal)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <hr className="my-2 border-dashed border-black" />
+      {boleta.descuentos?.length > 0 && (
+        <>
+          <div className="flex justify-between"><span>Subtotal</span><span>{formatMoney(boleta.subtotal)}</span></div>
+          {boleta.descuentos.map(d => (
+            <div key={d.nombre} className="flex justify-between"><span>{d.nombre}</span><span>-{formatMoney(d.monto)}</span></div>
+          ))}
+        </>
+      )}
+      <div className="flex justify-between font-bold"><span>TOTAL</span><span>{formatMoney(boleta.total)}</span></div>
+      {boleta.medioPago && (
+        <div className="flex justify-between"><span>Pago:</span><span>{medioPagoLabel(boleta.medioPago)}</span></div>
+      )}
+      <div className="mt-2 text-center">¡Gracias por su compra!</div>
+    </div>
+  );
+}
+
+// Componente "Boleta":
+// Muestra la boleta de una venta en un diálogo, con opciones para imprimirla
+// (hoja de estilos para impresoras térmicas de 80 mm, ver index.css) y para
+// descargarla como PDF generado en el navegador.
+//
+// Props:
+// - boleta: datos de la boleta (ver utils/boleta)
+// - onClose: cierra el diálogo
+export default function Boleta({ boleta, onClose }) {
+  const { t } = useI18n();
+
+  // Descarga la boleta como PDF.
+  const handlePdf = () => {
+    const bytes = buildTextPdf(boletaTexto(boleta));
+    const nombre = boleta.ventaId ? `boleta-${boleta.ventaId}` : `boleta-${Date.now()}`;
+    downloadBlob(new Blob([bytes], { type: 'application/pdf' }), `${nombre}.pdf`);
+  };
+
+  // Renderizado de la UI:
+  // - Diálogo con la boleta y los botones de impresión y PDF.
+  // - Copia de la boleta fuera de la app, que es lo único visible al imprimir.
+  return (
+    <>
+      <Modal title={t('boleta.titulo')} onClose={onClose}>
+        <div className="max-h-[60vh] overflow-y-auto mb-4 p-3 border rounded">
+          <ContenidoBoleta boleta={boleta} />
+        </div>
+        <div className="flex justify-end space-x-2">
+          <button type="button" onClick={handlePdf} className="px-3 py-2 bg-gray-200 rounded hover:bg-gray-300">
+            {t('boleta.pdf')}
+          </button>
+          <button type="button" onClick={() => window.print()} className="px-3 py-2 bg-blue-500 text-white rounded hover:bg-blue-600">
+            {t('boleta.imprimir')}
+          </button>
+        </div>
+      </Modal>
+      {createPortal(<div className="solo-impresion"><ContenidoBoleta boleta={boleta} /></div>, document.body)}
+    </>
+  );
+}
@@ -0,0 +1,17 @@
+import React from 'react';
+// Importamos React
+
+// Componente "Campo":
+// Envuelve un input/select de formulario y muestra debajo su mensaje de error (si hay).
+// Los inputs con aria-invalid se marcan con borde rojo mediante la clase INVALID_CLASS.
+export default function Campo({ error, className = '', children }) {
+  return (
+    <div className={className}>
+      {children}
+      {error && <p className="mt-1 text-sm text-red-600" role="alert">{error}</p>}
+    </div>
+  );
+}
+
+// Clases para resaltar un control inválido (se combina con aria-invalid).
+export const INVALID_CLASS = 'aria-[invalid=true]:border-red-500';
@@ -0,0 +1,62 @@
+import React from 'react';
+// Importamos React para definir el componente
+import { imagenProducto } from '../api/productos';
+import useI18n from '../hooks/useI18n';
+// Imágenes de los productos, textos traducidos y formato de montos
+import { categoriaKey, categoriaIcono } from '../utils/productos';
+import { isLowStock } from '../utils/stock';
+import { pendiente } from '../utils/optimista';
+// Categorías del catálogo, reglas de stock bajo y marcas de filas con cambios pendientes
+
+// Componente "Catalogo":
+// Vista en tarjetas de los productos: imagen (o el ícono de su categoría), nombre, categoría,
+// descripción, precio y stock.
+//
+// Props:
+// - productos: productos a mostrar (ya filtrados por categoría)
+// - thresholds: mínimos de stock por producto, para resaltar el stock bajo
+// - onEdit: función que recibe el producto a editar; sin ella no se muestra el botón
+export default function Catalogo({ productos, thresholds, onEdit }) {
+  const { t, formato } = useI18n();
+
+  // Renderizado de la UI:
+  // - Mensaje si no hay productos.
+  // - Grilla de tarjetas, con el botón para editar cada producto.
+  if (!productos.length) {
+    return <p className="mb-4 text-gray-500">{t('productos.sinProductos')}</p>;
+  }
+  return (
+    <ul className="mb-4 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+      {productos.map(p => (
+        <li
+          key={p.productoID}
+          aria-label={p.nombre}
+          className={`border rounded shadow-sm overflow-hidden flex flex-col ${pendiente(p) ? 'opacity-60' : ''}`}
+        >
+          {p.imagenId
+            ? <img src={imagenProducto(p)} alt={p.nombre} className="h-32 w-full object-cover" />
+            : <div className="h-32 flex items-center justify-center bg-gray-50 text-5xl" aria-hidden="true">{categoriaIcono(p.categoria)}</div>}
+          <div className="p-3 flex-1 flex flex-col">
+            <h4 className="font-semibold">{p.nombre}</h4>
+            <span className="text-xs text-gray-500">{t(`categoria.${categoriaKey(p.categoria)}`)}</span>
+            {p.descripcion && <p className="text-sm mt-1 flex-1">{p.descripcion}</p>}
+            <div className="mt-2 flex items-center justify-between">
+              <span className="font-semibold">{formato.money(p.precio)}</span>
+              <span className={`text-sm ${isLowStock(p, thresholds) ? 'text-red-600 font-semibold' : 'text-gray-600'}`}>
+                {t('productos.stockDisponible', { stock: formato.number(p.stock) })}
+              </span>
+            </div>
+            {onEdit && (
+              <button
+                onClick={() => onEdit(p)}
+                disabled={!!pendiente(p)}
+                className="mt-2 px-2 py-1 bg-yellow-400 text-white rounded disabled:opacity-50"
+                aria-label={t('productos.editarAria', { nombre: p.nombre })}
+              >✎</button>
+            )}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,369 @@
+import React, { useState, useMemo } from 'react';
+// Importamos React y los hooks useState (para manejar estado local) y useMemo (para los datos derivados)
+import { useSearchParams } from 'react-router-dom';
+// Hook de react-router para reflejar el día del cierre en la URL (?fecha=)
+import { errorMessage } from '../api/client';
+import { useClientes, useProductos, useVendidosSemana, useVentasDelDia } from '../hooks/useConsultas';
+import useColaVentas from '../hooks/useColaVentas';
+import useCierres from '../hooks/useCierres';
+import useForm from '../hooks/useForm';
+import useAuth from '../hooks/useAuth';
+import useConfirm from '../hooks/useConfirm';
+import useToast from '../hooks/useToast';
+import useI18n from '../hooks/useI18n';
+// Mensajes de error de la API, consultas de la caché compartida, cola de ventas sin conexión, cierres guardados,
+// formulario validado, permisos, confirmaciones, notificaciones y textos traducidos
+import { daysFromToday } from '../utils/fechas';
+import { productNameResolver } from '../utils/ventas';
+import { cierreSchema, toNumber } from '../utils/validacion';
+import { leerMediosPago } from '../utils/mediosPago';
+import {
+  resumenVentas, conciliarSemana, cuadrarCaja, armarCierre, estadoArqueo, fechaCierre
+} from '../utils/cierre';
+// Utilidades de fechas, nombres de productos, validación, medios de pago anotados y cálculo del cierre
+import Campo, { INVALID_CLASS } from './campo';
+import EstadoCarga from './estadoCarga';
+import Tabla from './tabla';
+import ResumenCierre from './resumenCierre';
+// Campo de formulario con error, indicador de carga, tabla reutilizable y resumen imprimible del cierre
+
+// Lista vacía estable, usada mientras no hay datos.
+const EMPTY_LIST = [];
+
+// Valores iniciales del arqueo.
+const EMPTY_ARQUEO = { fondo: '', contado: '', notas: '' };
+
+// Colores de la diferencia del arqueo según su estado.
+const ESTADO_CLASS = { sobrante: 'text-blue-700', faltante: 'text-red-600', cuadrada: 'text-green-700' };
+
+// Componente "CierreCaja":
+// Cierre de caja de un día: reúne las ventas de todos los clientes en la fecha elegida, totaliza
+// lo vendido por producto y por medio de pago, cuenta transacciones y unidades y las concilia con
+// los vendidos de la semana que informa la API. El cajero ingresa el efectivo contado para calcular
+// la diferencia con lo esperado y guarda el cierre en este navegador, desde donde se puede
+// volver a ver, imprimir o exportar.
+export default function CierreCaja() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const hoy   = daysFromToday(0);
+  const fecha = searchParams.get('fecha') || hoy;
+
+  // Consultas de la caché compartida:
+  // - clientes: todos, incluidos los inactivos, porque pueden tener ventas ese día
+  // - disponibles / deshabilitados: catálogo completo, para resolver los nombres de los productos
+  // - ventas: líneas de las ventas del día, compartidas con el dashboard (ver useVentasDelDia)
+  // - semana: vendidos de la semana, solo si el día está dentro de los últimos 7
+  // Registrar una venta invalida estas consultas, así que el resumen se actualiza solo.
+  const clientes       = useClientes();
+  const disponibles    = useProductos({ disponible: true });
+  const deshabilitados = useProductos({ disponible: false });
+  const ventas         = useVentasDelDia(fecha);
+  const enSemana = fecha >= daysFromToday(-6) && fecha <= hoy;
+  const semana   = useVendidosSemana({ enabled: enSemana });
+
+  // Estado local del componente:
+  // - abierto: cierre mostrado en el resumen imprimible (o null)
+  const [abierto, setAbierto]           = useState(null);
+  const [cierres, guardar, eliminar]    = useCierres();
+  const { ventas: pendientes }          = useColaVentas();
+  const form                            = useForm(cierreSchema, EMPTY_ARQUEO);
+  const { user, can }                   = useAuth();
+  const confirm                         = useConfirm();
+  const toast                           = useToast();
+  const { t, formato }                  = useI18n();
+
+  const queries = [clientes, disponibles, deshabilitados, ventas];
+  const failed  = queries.find(q => q.error);
+  const error   = failed ? errorMessage(failed.error, t('cierre.errorConsulta'), t) : '';
+  const listo   = !!ventas.data && !ventas.error;
+
+  // Resumen de las ventas del día. Los medios de pago se leen al llegar las ventas,
+  // que es cuando ya quedaron anotados los de las ventas recién registradas.
+  const lineas = ventas.data || EMPTY_LIST;
+  const productos = useMemo(
+    () => [...(disponibles.data || EMPTY_LIST), ...(deshabilitados.data || EMPTY_LIST)],
+    [disponibles.data, deshabilitados.data]
+  );
+  const resumen = useMemo(
+    () => resumenVentas(lineas, { nombreProducto: productNameResolver(productos), mediosPago: leerMediosPago() }),
+    [lineas, productos]
+  );
+  const conciliacion = useMemo(
+    () => conciliarSemana(resumen.porProducto, semana.data || EMPTY_LIST),
+    [resumen.porProducto, semana.data]
+  );
+  const ticket = resumen.transacciones ? resumen.total / resumen.transacciones : 0;
+
+  // Arqueo en vivo: esperado en caja y, si el efectivo contado es válido, la diferencia.
+  const fondo = form.errors.fondo ? 0 : toNumber(form.values.fondo) || 0;
+  const contadoValido = !form.errors.contado;
+  const arqueo = cuadrarCaja({ fondo, contado: contadoValido ? toNumber(form.values.contado) : 0, porMedio: resumen.porMedio });
+  const estado = estadoArqueo(arqueo.diferencia);
+
+  // Función para cambiar el día del cierre (hoy no se guarda en la URL).
+  const handleFecha = e => {
+    const value = e.target.value;
+    if (!value) return;
+    setSearchParams(value === hoy ? {} : { fecha: value });
+  };
+
+  // Función para guardar el cierre del día. Si ya había uno guardado para esa fecha, pide confirmación
+  // antes de reemplazarlo. Al guardarlo se abre el resumen para imprimirlo o exportarlo.
+  const handleGuardar = form.handleSubmit(async values => {
+    if (cierres.some(c => c.fecha === fecha)) {
+      const ok = await confirm({
+        title: t('cierre.reemplazarTitulo'),
+        message: t('cierre.reemplazarMensaje', { fecha: fechaCierre(fecha) }),
+        confirmLabel: t('cierre.reemplazar')
+      });
+      if (!ok) return;
+    }
+    const cierre = armarCierre({
+      fecha,
+      resumen,
+      fondo: toNumber(values.fondo) || 0,
+      contado: toNumber(values.contado),
+      notas: values.notas,
+      usuario: user?.nombre || user?.usuario || ''
+    });
+    guardar(cierre);
+    form.reset();
+    toast.success(t('cierre.guardado', { fecha: fechaCierre(fecha) }));
+    setAbierto(cierre);
+  });
+
+  // Función para eliminar un cierre guardado, previa confirmación.
+  const handleEliminar = async cierre => {
+    const ok = await confirm({
+      title: t('cierre.eliminarTitulo'),
+      message: t('cierre.eliminarMensaje', { fecha: fechaCierre(cierre.fecha) }),
+      confirmLabel: t('cierre.eliminar'),
+      danger: true
+    });
+    if (!ok) return;
+    eliminar(cierre.fecha);
+    toast.info(t('cierre.eliminado', { fecha: fechaCierre(cierre.fecha) }));
+  };
+
+  // Diferencia del arqueo con su signo y estado.
+  const diferencia = n => `${n > 0 ? '+' : ''}${formato.money(n)} (${t(`cierre.estado.${estadoArqueo(n)}`)})`;
+  // Diferencia de un cierre guardado, marcada si quedó provisional.
+  const diferenciaCierre = c => (c.provisional ? `${diferencia(c.diferencia)} · ${t('cierre.provisional')}` : diferencia(c.diferencia));
+
+  // Columnas de la tabla de cierres guardados.
+  const columns = [
+    { key: 'fecha', header: t('ventas.fecha'), searchValue: c => fechaCierre(c.fecha), render: c => fechaCierre(c.fecha) },
+    { key: 'transacciones', header: t('cierre.transacciones'), render: c => formato.number(c.transacciones) },
+    { key: 'total', header: t('cierre.total'), searchValue: c => formato.money(c.total), render: c => formato.money(c.total) },
+    {
+      key: 'diferencia', header: t('cierre.arqueo'), searchValue: diferenciaCierre,
+      render: c => <span className={ESTADO_CLASS[estadoArqueo(c.diferencia)]}>{diferenciaCierre(c)}</span>
+    },
+    { key: 'usuario', header: t('cierre.usuario') },
+    {
+      key: 'acciones', header: t('comun.acciones'), sortable: false, hideable: false, searchValue: () => '',
+      render: c => (
+        <div className="flex gap-2">
+          <button
+            onClick={() => setAbierto(c)}
+            className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300"
+            aria-label={t('cierre.verAria', { fecha: fechaCierre(c.fecha) })}
+          >{t('cierre.ver')}</button>
+          {can('cierres:delete') && (
+            <button
+              onClick={() => handleEliminar(c)}
+              className="px-2 py-1 bg-red-500 text-white rounded hover:bg-red-600"
+              aria-label={t('cierre.eliminarAria', { fecha: fechaCierre(c.fecha) })}
+            >{t('cierre.eliminar')}</button>
+          )}
+        </div>
+      )
+    }
+  ];
+
+  // Renderizado de la UI:
+  // - Día del cierre, botón para actualizar y avisos (errores, ventas sin enviar).
+  // - Tarjetas con transacciones, unidades, total y ticket promedio.
+  // - Ventas por producto y por medio de pago.
+  // - Conciliación con los vendidos de la semana.
+  // - Arqueo de efectivo y botón para guardar el cierre.
+  // - Cierres guardados y resumen imprimible del cierre abierto.
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <h2 className="text-xl font-semibold mr-auto">{t('cierre.titulo')}</h2>
+        <label htmlFor="cierre-fecha" className="text-sm">{t('cierre.fecha')}</label>
+        <input id="cierre-fecha" type="date" value={fecha} max={hoy} onChange={handleFecha} className="border rounded p-1" />
+        <button
+          onClick={() => queries.forEach(q => q.refetch().catch(() => {}))}
+          disabled={ventas.isFetching}
+          className="bg-blue-500 text-white px-3 py-1 rounded disabled:opacity-50"
+        >
+          {t('cierre.actualizar')}
+        </button>
+        <EstadoCarga isLoading={!ventas.data && !error} isFetching={ventas.isFetching} />
+      </div>
+
+      {error && <div className="mb-4 text-red-600" role="alert">{error}</div>}
+      {pendientes.length > 0 && (
+        <div className="mb-4 p-2 bg-yellow-50 border border-yellow-300 rounded text-yellow-800" role="status">
+          {t('cierre.pendientes', { count: pendientes.length })}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-6">
+        {[
+          ['cierre.transacciones', formato.number(resumen.transacciones)],
+          ['cierre.unidades', formato.number(resumen.unidades)],
+          ['cierre.total', formato.money(resumen.total)],
+          ['cierre.ticket', formato.money(ticket)]
+        ].map(([label, valor]) => (
+          <div key={label} className="p-3 bg-gray-100 rounded">
+            <div className="text-sm text-gray-600">{t(label)}</div>
+            <div className="text-2xl font-semibold">{valor}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid sm:grid-cols-2 gap-6 mb-6">
+        <section>
+          <h3 className="text-lg font-medium mb-2">{t('cierre.porProducto')}</h3>
+          {resumen.porProducto.length === 0 ? (
+            <p className="text-gray-500">{t('cierre.sinVentas')}</p>
+          ) : (
+            <table className="w-full table-auto text-sm" aria-label={t('cierre.porProducto')}>
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="p-2 text-left">{t('ventas.producto')}</th>
+                  <th className="p-2 text-right">{t('cierre.unidades')}</th>
+                  <th className="p-2 text-right">{t('cierre.monto')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {resumen.porProducto.map(p => (
+                  <tr key={p.productoId} className="border-t">
+                    <td className="p-2">{p.nombre}</td>
+                    <td className="p-2 text-right">{formato.number(p.unidades)}</td>
+                    <td className="p-2 text-right">{formato.money(p.total)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+
+        <section>
+          <h3 className="text-lg font-medium mb-2">{t('cierre.porMedio')}</h3>
+          <table className="w-full table-auto text-sm" aria-label={t('cierre.porMedio')}>
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="p-2 text-left">{t('mediosPago.titulo')}</th>
+                <th className="p-2 text-right">{t('cierre.ventas')}</th>
+                <th className="p-2 text-right">{t('cierre.monto')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {resumen.porMedio.map(m => (
+                <tr key={m.medio} className="border-t">
+                  <td className="p-2">{t(`mediosPago.${m.medio}`)}</td>
+                  <td className="p-2 text-right">{formato.number(m.ventas)}</td>
+                  <td className="p-2 text-right">{formato.money(m.total)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {resumen.porMedio.some(m => m.medio === 'sinRegistro') && (
+            <p className="mt-1 text-xs text-gray-500">{t('cierre.sinRegistroAyuda')}</p>
+          )}
+        </section>
+      </div>
+
+      <section className="mb-6">
+        <h3 className="text-lg font-medium mb-2">{t('cierre.conciliacion')}</h3>
+        {!enSemana ? (
+          <p className="text-gray-500">{t('cierre.conciliacionFuera')}</p>
+        ) : semana.error ? (
+          <p className="text-red-600">{errorMessage(semana.error, t('cierre.errorSemana'), t)}</p>
+        ) : conciliacion.length === 0 ? (
+          <p className="text-gray-500">{t('cierre.sinVentas')}</p>
+        ) : (
+          <table className="w-full table-auto text-sm" aria-label={t('cierre.conciliacion')}>
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="p-2 text-left">{t('ventas.producto')}</th>
+                <th className="p-2 text-right">{t('cierre.unidadesDia')}</th>
+                <th className="p-2 text-right">{t('cierre.unidadesSemana')}</th>
+                <th className="p-2 text-left">{t('cierre.estado')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {conciliacion.map(c => (
+                <tr key={c.productoId} className="border-t">
+                  <td className="p-2">{c.nombre}</td>
+                  <td className="p-2 text-right">{formato.number(c.unidadesDia)}</td>
+                  <td className="p-2 text-right">{semana.data ? formato.number(c.unidadesSemana) : '—'}</td>
+                  <td className={`p-2 ${c.ok ? 'text-green-700' : 'text-red-600'}`}>
+                    {semana.data ? t(c.ok ? 'cierre.cuadra' : 'cierre.noCuadra') : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className="mb-6">
+        <h3 className="text-lg font-medium mb-2">{t('cierre.arqueo')}</h3>
+        <form onSubmit={handleGuardar} noValidate className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          <Campo error={form.errorFor('fondo')}>
+            <label htmlFor="cierre-fondo" className="block text-sm">{t('cierre.fondo')}</label>
+            <input id="cierre-fondo" inputMode="decimal" {...form.field('fondo')} className={`w-full border rounded p-2 ${INVALID_CLASS}`} />
+          </Campo>
+          <Campo error={form.errorFor('contado')}>
+            <label htmlFor="cierre-contado" className="block text-sm">{t('cierre.contado')}</label>
+            <input id="cierre-contado" inputMode="decimal" {...form.field('contado')} className={`w-full border rounded p-2 ${INVALID_CLASS}`} />
+          </Campo>
+          <Campo error={form.errorFor('notas')} className="sm:col-span-2">
+            <label htmlFor="cierre-notas" className="block text-sm">{t('cierre.notas')}</label>
+            <textarea id="cierre-notas" rows={2} {...form.field('notas')} className={`w-full border rounded p-2 ${INVALID_CLASS}`} />
+          </Campo>
+          {arqueo.provisional && (
+            <p role="alert" className="sm:col-span-2 p-2 text-sm text-yellow-800 bg-yellow-50 border border-yellow-300 rounded">
+              {t('cierre.sinRegistroArqueo', {
+                count: resumen.porMedio.find(m => m.medio === 'sinRegistro').ventas,
+                monto: formato.money(arqueo.sinRegistro)
+              })}
+            </p>
+          )}
+          <div className="sm:col-span-2 flex flex-wrap items-center gap-4">
+            <span className="text-sm text-gray-600">
+              {t('cierre.esperado', { monto: formato.money(arqueo.efectivoEsperado) })}
+            </span>
+            {contadoValido && (
+              <span role="status" className={`font-semibold ${ESTADO_CLASS[estado]}`}>
+                {t(arqueo.provisional ? 'cierre.diferenciaProvisional' : 'cierre.diferencia', { monto: diferencia(arqueo.diferencia) })}
+              </span>
+            )}
+            <button
+              type="submit"
+              disabled={!listo || form.submitting}
+              className="ml-auto bg-green-500 text-white px-4 py-2 rounded disabled:opacity-50"
+            >
+              {t('cierre.guardar')}
+            </button>
+          </div>
+        </form>
+      </section>
+
+      <h3 className="text-lg font-medium mb-2">{t('cierre.historial')}</h3>
+      <Tabla
+        rows={cierres}
+        columns={columns}
+        rowKey={c => c.fecha}
+        initialSort={{ key: 'fecha', dir: 'desc' }}
+        emptyMessage={t('cierre.sinHistorial')}
+      />
+
+      {abierto && <ResumenCierre cierre={abierto} onClose={() => setAbierto(null)} />}
+    </div>
+  );
+}
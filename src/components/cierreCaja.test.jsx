@@ -0,0 +1,116 @@
+import { screen, fireEvent, within, waitFor } from '@testing-library/react';
+import renderApp from '../mocks/renderApp';
+import { installMockBackend } from '../mocks/backend';
+import { daysFromToday } from '../utils/fechas';
+
+// Pruebas de integración del cierre de caja contra el backend de prueba en memoria.
+
+let backend;
+beforeEach(() => {
+  backend = installMockBackend();
+});
+
+// Ventas de hoy: José paga en efectivo, María con tarjeta y la de Luis se registró en otro equipo
+// (sin medio de pago anotado en este navegador).
+const sembrarVentas = () => {
+  const fecha = new Date().toISOString();
+  backend.db.ventas.push(
+    { ventaId: 1, clienteId: 1, productoId: 1, cantidad: 2, subtotal: 3000, fecha },
+    { ventaId: 2, clienteId: 2, productoId: 2, cantidad: 1, subtotal: 2200, fecha },
+    { ventaId: 3, clienteId: 3, productoId: 1, cantidad: 1, subtotal: 1500, fecha }
+  );
+  return { 'vitoko.mediosPago': { 1: 'efectivo', 2: 'tarjeta' } };
+};
+
+// Fila de una tabla del cierre.
+const fila = (tabla, nombre) => within(screen.getByRole('table', { name: tabla })).getByRole('row', { name: new RegExp(nombre) });
+
+test('totaliza las ventas del día por producto y medio de pago, concilia con la semana y calcula la diferencia', async () => {
+  renderApp('/cierre', { rol: 'cajero', storage: sembrarVentas() });
+
+  expect(await screen.findByText('$6.700')).toBeInTheDocument();
+  expect(fila('Ventas por producto', 'Café americano')).toHaveTextContent('Café americano3$4.500');
+  expect(fila('Por medio de pago', 'Efectivo')).toHaveTextContent('Efectivo1$3.000');
+  expect(fila('Por medio de pago', 'Tarjeta')).toHaveTextContent('Tarjeta1$2.200');
+  expect(fila('Por medio de pago', 'Transferencia')).toHaveTextContent('Transferencia0$0');
+  expect(fila('Por medio de pago', 'Sin registro')).toHaveTextContent('Sin registro1$1.500');
+  expect(await screen.findAllByText('✓ Cuadra')).toHaveLength(2);
+
+  fireEvent.change(screen.getByLabelText('Fondo inicial'), { target: { value: '10000' } });
+  expect(screen.getByText('Esperado en caja: $13.000 (fondo + ventas en efectivo)')).toBeInTheDocument();
+  // La venta sin medio de pago anotado pudo ser en efectivo: la diferencia queda como provisional.
+  expect(screen.getByRole('alert')).toHaveTextContent('Hay 1 venta por $1.500 sin medio de pago anotado');
+  fireEvent.change(screen.getByLabelText('Efectivo contado'), { target: { value: '12500' } });
+  expect(screen.getByText(/^Diferencia provisional: .*500 \(Faltante\)$/)).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Efectivo contado'), { target: { value: '13000' } });
+  expect(screen.getByText(/\(Caja cuadrada\)$/)).toBeInTheDocument();
+});
+
+test('guarda el cierre, abre el resumen imprimible y lo deja en el historial', async () => {
+  renderApp('/cierre', { rol: 'cajero', storage: sembrarVentas() });
+  await screen.findByText('$6.700');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Guardar cierre' }));
+  expect(await screen.findByText('Ingresa el efectivo contado.')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Efectivo contado'), { target: { value: '3500' } });
+  fireEvent.change(screen.getByLabelText('Observaciones'), { target: { value: 'Turno tarde' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Guardar cierre' }));
+
+  const resumen = await screen.findByRole('dialog', { name: /^Cierre de caja del/ });
+  expect(resumen).toHaveTextContent('CIERRE DE CAJA');
+  expect(resumen).toHaveTextContent('Sin registro (1)');
+  expect(resumen).toHaveTextContent('Turno tarde');
+  expect(within(resumen).getByRole('button', { name: 'XLSX' })).toBeEnabled();
+  fireEvent.click(within(resumen).getByRole('button', { name: 'Cerrar' }));
+
+  const [cierre] = JSON.parse(window.localStorage.getItem('vitoko.cierres'));
+  expect(cierre).toMatchObject({
+    fecha: daysFromToday(0), usuario: 'Camila Cajera', transacciones: 3, unidades: 4, total: 6700,
+    fondo: 0, efectivoEsperado: 3000, contado: 3500, diferencia: 500, provisional: true, notas: 'Turno tarde'
+  });
+  const historial = await screen.findByRole('row', { name: /Camila Cajera/ });
+  expect(historial).toHaveTextContent('(Sobrante) · provisional');
+  expect(within(historial).queryByRole('button', { name: /^Eliminar/ })).not.toBeInTheDocument();
+});
+
+test('incluye la venta recién registrada con su medio de pago', async () => {
+  renderApp('/ventas', { storage: { 'vitoko.promociones': [] } });
+  const select = await screen.findByDisplayValue('Selecciona un cliente…');
+  await screen.findAllByText('José Pérez', { selector: 'option', exact: false });
+  fireEvent.change(select, { target: { value: '1' } });
+  fireEvent.change(screen.getByLabelText('Medio de pago'), { target: { value: 'transferencia' } });
+  await screen.findByText('Cappuccino —', { exact: false });
+  const cappuccino = screen.getAllByRole('listitem').find(li => within(li).queryByText('Cappuccino —', { exact: false }));
+  fireEvent.click(within(cappuccino).getByText('Agregar'));
+  fireEvent.click(screen.getByRole('button', { name: 'Registrar Venta' }));
+  fireEvent.click(within(await screen.findByRole('dialog')).getByRole('button', { name: 'Cerrar' }));
+
+  fireEvent.click(screen.getByRole('link', { name: 'Cierre de caja' }));
+  await waitFor(() => expect(fila('Por medio de pago', 'Transferencia')).toHaveTextContent('Transferencia1$2.200'));
+  expect(fila('Por medio de pago', 'Efectivo')).toHaveTextContent('Efectivo0$0');
+  expect(screen.queryByRole('row', { name: /Sin registro/ })).not.toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Efectivo contado'), { target: { value: '0' } });
+  expect(screen.getByText(/^Diferencia: /)).toBeInTheDocument();
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+});
+
+test('el gerente revisa y elimina un cierre guardado previa confirmación', async () => {
+  const anterior = {
+    fecha: daysFromToday(-30), generado: new Date().toISOString(), usuario: 'Gonzalo Gerente',
+    transacciones: 1, unidades: 2, total: 3000, porProducto: [{ productoId: 1, nombre: 'Café americano', unidades: 2, total: 3000 }],
+    porMedio: [{ medio: 'efectivo', ventas: 1, total: 3000 }], fondo: 5000, efectivoEsperado: 8000, contado: 8000, diferencia: 0
+  };
+  renderApp('/cierre', { rol: 'gerente', storage: { 'vitoko.cierres': [anterior] } });
+
+  const historial = await screen.findByRole('row', { name: /Gonzalo Gerente/ });
+  expect(historial).toHaveTextContent('(Caja cuadrada)');
+  fireEvent.click(within(historial).getByRole('button', { name: /^Ver cierre/ }));
+  expect(await screen.findByRole('dialog', { name: /^Cierre de caja del/ })).toHaveTextContent('Efectivo (1)');
+  fireEvent.click(screen.getByRole('button', { name: 'Cerrar' }));
+
+  fireEvent.click(within(historial).getByRole('button', { name: /^Eliminar cierre/ }));
+  fireEvent.click(within(await screen.findByRole('dialog')).getByRole('button', { name: 'Eliminar' }));
+  expect(await screen.findByText('Aún no hay cierres guardados en este navegador.')).toBeInTheDocument();
+  expect(JSON.parse(window.localStorage.getItem('vitoko.cierres'))).toEqual([]);
+});
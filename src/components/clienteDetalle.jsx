@@ -0,0 +1,216 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+// Importamos React y los hooks necesarios para estado, efectos y memorización
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+// Hooks de react-router para leer el cliente (/clientes/:id) y el rango (?desde=&hasta=) desde la URL
+import { getVentasByClienteRango } from '../api/ventas';
+import { isAbortError, errorMessage } from '../api/client';
+import useAbortSignal from '../hooks/useAbortSignal';
+import { useClientes, useProductos } from '../hooks/useConsultas';
+import useI18n from '../hooks/useI18n';
+import { daysFromToday, eachDay } from '../utils/fechas';
+import { productNameResolver } from '../utils/ventas';
+import { tipoKey } from '../utils/clientes';
+// Funciones de la API, hook de cancelación, catálogos de la caché de consultas, textos traducidos
+// y utilidades de fechas, ventas y clientes
+
+// Rango máximo permitido, para no disparar demasiadas consultas día a día.
+const MAX_DAYS = 366;
+
+// Calcula las estadísticas de compra a partir de las líneas de venta:
+// total gastado, visitas (ventas distintas), última compra y productos favoritos.
+function computeStats(lineas) {
+  const ventas = new Set();
+  const porProducto = new Map();
+  let total = 0;
+  let ultima = null;
+  lineas.forEach(l => {
+    ventas.add(l.ventaId);
+    total += Number(l.subtotal) || 0;
+    const fecha = new Date(l.fecha);
+    if (!ultima || fecha > ultima) ultima = fecha;
+    const acc = porProducto.get(l.productoId) || { productoId: l.productoId, cantidad: 0, gastado: 0 };
+    acc.cantidad += Number(l.cantidad) || 0;
+    acc.gastado  += Number(l.subtotal) || 0;
+    porProducto.set(l.productoId, acc);
+  });
+  const favoritos = [...porProducto.values()]
+    .sort((a, b) => b.cantidad - a.cantidad)
+    .slice(0, 5);
+  return { total, visitas: ventas.size, ultima, favoritos };
+}
+
+// Componente "ClienteDetalle":
+// Muestra los datos de un cliente y su historial de compras en un rango de fechas,
+// con total gastado, número de visitas, productos favoritos y fecha de la última compra.
+// Sirve para decidir qué clientes Normales (tipo 1) conviene pasar a Premium (tipo 2).
+export default function ClienteDetalle() {
+  const { id } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const desde = searchParams.get('desde') || daysFromToday(-30);
+  const hasta = searchParams.get('hasta') || daysFromToday(0);
+
+  // Catálogos de la caché compartida:
+  // - cliente: datos del cliente seleccionado (null si no se encontró)
+  // - productos: catálogo para resolver nombres de producto
+  const clientesQuery  = useClientes();
+  const productosQuery = useProductos({ disponible: true });
+  const cliente        = clientesQuery.data?.find(c => String(c.id) === id) || null;
+  const productos      = productosQuery.data;
+
+  // Estado local del componente:
+  // - lineas: líneas de venta del cliente dentro del rango
+  // - range: valores del formulario de rango antes de aplicarlos
+  // - progress: avance de la consulta día a día ({ done, total }) o null
+  // - error: mensaje de error para mostrar al usuario
+  const [lineas, setLineas]       = useState([]);
+  const [range, setRange]         = useState({ desde, hasta });
+  const [progress, setProgress]   = useState(null);
+  const [error, setError]         = useState('');
+  const signalFor                 = useAbortSignal();
+  const { t, formato }            = useI18n();
+
+  // Función para cargar las ventas del cliente en el rango indicado en la URL.
+  const loadHistorial = useCallback(async () => {
+    const days = eachDay(desde, hasta).length;
+    if (days === 0) {
+      setError(t('ventas.errorFechas'));
+      setLineas([]);
+      return;
+    }
+    if (days > MAX_DAYS) {
+      setError(t('clienteDetalle.errorRango', { dias: MAX_DAYS }));
+      setLineas([]);
+      return;
+    }
+    try {
+      setError('');
+      setProgress({ done: 0, total: days });
+      const data = await getVentasByClienteRango(id, desde, hasta, {
+        signal: signalFor('historial'),
+        onProgress: (done, total) => setProgress({ done, total })
+      });
+      setLineas(data);
+      setProgress(null);
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setError(errorMessage(err, t('clienteDetalle.errorHistorial'), t));
+      setLineas([]);
+      setProgress(null);
+    }
+  }, [id, desde, hasta, signalFor, t]);
+
+  useEffect(() => {
+    setRange({ desde, hasta });
+    loadHistorial();
+  }, [desde, hasta, loadHistorial]);
+
+  const stats = useMemo(() => computeStats(lineas), [lineas]);
+  const nombreProducto = useMemo(() => productNameResolver(productos || []), [productos]);
+
+  // Aplica el rango del formulario reflejándolo en la URL.
+  const handleRange = e => {
+    e.preventDefault();
+    setSearchParams({ desde: range.desde, hasta: range.hasta });
+  };
+
+  // Renderizado de la UI:
+  // - Encabezado con datos del cliente y enlace para editarlo.
+  // - Formulario de rango de fechas.
+  // - Tarjetas con las estadísticas y tabla de productos favoritos.
+  return (
+    <div>
+      <Link to="/clientes" className="text-blue-600 hover:underline">{t('clienteDetalle.volver')}</Link>
+
+      {error && <div className="my-4 text-red-600">{error}</div>}
+      {(clientesQuery.error || productosQuery.error) && (
+        <div className="my-4 text-red-600">
+          {errorMessage(clientesQuery.error || productosQuery.error, t('clienteDetalle.errorCliente'), t)}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between my-4">
+        <h2 className="text-xl font-semibold">
+          {cliente ? cliente.nombre : t('ventas.clienteId', { id })}
+          {cliente && (
+            <span className="ml-2 text-base font-normal text-gray-600">
+              {cliente.ciudad} · {t(`clientes.tipo.${tipoKey(cliente.tipo)}`)}
+            </span>
+          )}
+        </h2>
+        <Link to={`/clientes/${id}/editar`} className="px-3 py-1 bg-yellow-400 text-white rounded">{t('clienteDetalle.editar')}</Link>
+      </div>
+
+      <form onSubmit={handleRange} className="flex flex-wrap items-center gap-2 mb-4">
+        <label htmlFor="detalle-desde">{t('ventas.desde')}</label>
+        <input
+          id="detalle-desde"
+          type="date"
+          value={range.desde}
+          onChange={e => setRange({ ...range, desde: e.target.value })}
+          className="border rounded p-1"
+          required
+        />
+        <label htmlFor="detalle-hasta">{t('ventas.hasta')}</label>
+        <input
+          id="detalle-hasta"
+          type="date"
+          value={range.hasta}
+          onChange={e => setRange({ ...range, hasta: e.target.value })}
+          className="border rounded p-1"
+          required
+        />
+        <button className="bg-blue-500 text-white px-3 py-1 rounded">{t('clienteDetalle.aplicar')}</button>
+        {progress && (
+          <span className="text-sm text-gray-500">{t('clienteDetalle.consultando', { done: progress.done, total: progress.total })}</span>
+        )}
+      </form>
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-6">
+        <div className="p-3 bg-gray-100 rounded">
+          <div className="text-sm text-gray-600">{t('clienteDetalle.totalGastado')}</div>
+          <div className="text-xl font-semibold">{formato.money(stats.total)}</div>
+        </div>
+        <div className="p-3 bg-gray-100 rounded">
+          <div className="text-sm text-gray-600">{t('clienteDetalle.visitas')}</div>
+          <div className="text-xl font-semibold">{formato.number(stats.visitas)}</div>
+        </div>
+        <div className="p-3 bg-gray-100 rounded">
+          <div className="text-sm text-gray-600">{t('clienteDetalle.ticket')}</div>
+          <div className="text-xl font-semibold">
+            {formato.money(stats.visitas ? stats.total / stats.visitas : 0)}
+          </div>
+        </div>
+        <div className="p-3 bg-gray-100 rounded">
+          <div className="text-sm text-gray-600">{t('clienteDetalle.ultimaCompra')}</div>
+          <div className="text-xl font-semibold">
+            {stats.ultima ? formato.date(stats.ultima) : '—'}
+          </div>
+        </div>
+      </div>
+
+      <h3 className="text-lg font-medium mb-2">{t('clienteDetalle.favoritos')}</h3>
+      {stats.favoritos.length === 0 ? (
+        <p className="text-gray-500">{t('clienteDetalle.sinCompras')}</p>
+      ) : (
+        <table className="w-full table-auto">
+          <thead className="bg-gray-100">
+            <tr>
+              {['ventas.producto', 'ventas.unidades', 'clienteDetalle.gastado'].map(h => (
+                <th key={h} className="p-2">{t(h)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {stats.favoritos.map(f => (
+              <tr key={f.productoId} className="border-t">
+                <td className="p-2">{nombreProducto(f.productoId)}</td>
+                <td className="p-2">{formato.number(f.cantidad)}</td>
+                <td className="p-2">{formato.money(f.gastado)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -1,183 +1,387 @@
-import React, { useState, useEffect, useCallback } from 'react';
-// Importamos React y los hooks useState (para manejar estado local) 
-// y useEffect (para ejecutar efectos al montar o actualizar el componente)
+import React, { useState, useEffect, useRef } from 'react';
+// Importamos React y los hooks useState (para manejar estado local),
+// useEffect (para ejecutar efectos al montar o actualizar el componente)
+// y useRef (para recordar qué cliente se cargó en el formulario)
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+// Hooks de react-router para leer el filtro (?type=) y el cliente en edición (/clientes/:id/editar) desde la URL
+import { createCliente, updateCliente, deleteCliente } from '../api/clientes';
+import { isAbortError, errorMessage } from '../api/client';
+import { optimisticMutation } from '../api/cache';
+import useAuth from '../hooks/useAuth';
+import useForm from '../hooks/useForm';
+import { useClientes } from '../hooks/useConsultas';
+import useI18n from '../hooks/useI18n';
+import useArchivo from '../hooks/useArchivo';
+// Funciones del cliente de API compartido, mutaciones optimistas, permisos del usuario,
+// formularios validados, lista de clientes de la caché de consultas, textos traducidos
+// y registro local de bajas
+import { idTemporal, marcar, desmarcar, pendiente, actualizarFilas } from '../utils/optimista';
+// Marcas de filas con cambios pendientes de confirmar
+import { tipoLabel, tipoKey, esActivo } from '../utils/clientes';
+import { clienteSchema, validateField } from '../utils/validacion';
+import Campo, { INVALID_CLASS } from './campo';
+import useToast from '../hooks/useToast';
+import useConfirm from '../hooks/useConfirm';
+import Exportar from './exportar';
+import Importar from './importar';
+import Tabla from './tabla';
+import EstadoCarga from './estadoCarga';
+import ClientesInactivos from './clientesInactivos';
+// Nombre del tipo de cliente, esquema de validación, campos con error, notificaciones, confirmaciones,
+// botones de exportación, importación masiva desde CSV, tabla reutilizable, indicador de carga
+// y archivo de clientes desactivados
+
+// Tiempo durante el cual se puede deshacer la desactivación de un cliente (en milisegundos).
+const UNDO_MS = 8000;
+
+// Lista vacía estable, usada mientras no hay datos (evita recalcular la tabla en cada render).
+const EMPTY_LIST = [];
+
+// Indica si un cliente corresponde al filtro de tipo de una lista ('all' | '1' | '2' | 'inactivos').
+const enFiltro = (c, type) => type === 'all' || (type === 'inactivos' ? !esActivo(c) : String(c.tipo) === type);
+
+// Valores del formulario vacío.
+const EMPTY_FORM = { id: '', nombre: '', ciudad: '', tipo: '1' };
+
+// Columnas exportadas a CSV/XLSX.
+const EXPORT_COLUMNS = [
+  { header: 'ID',     value: c => c.id, type: 'integer' },
+  { header: 'Nombre', value: c => c.nombre },
+  { header: 'Ciudad', value: c => c.ciudad },
+  { header: 'Tipo',   value: c => tipoLabel(c.tipo) }
+];
+
+// Columnas aceptadas al importar clientes desde CSV y sus validaciones.
+// El tipo puede venir como número (1/2) o como texto (Normal/Premium).
+// Se valida con el mismo esquema que el formulario. Las etiquetas son claves del catálogo de mensajes.
+const IMPORT_FIELDS = [
+  { key: 'nombre', label: 'comun.nombre', validate: v => validateField(clienteSchema.nombre, v) },
+  { key: 'ciudad', label: 'clientes.ciudad', validate: v => validateField(clienteSchema.ciudad, v) },
+  {
+    key: 'tipo', label: 'clientes.tipo',
+    parse: text => ({ '1': 1, '2': 2, normal: 1, premium: 2 }[text.trim().toLowerCase()] ?? text),
+    validate: v => validateField(clienteSchema.tipo, v)
+  }
+];
 
 // Componente "Clientes":
 // Permite listar, crear, editar y desactivar clientes usando la API REST.
 // Presenta una tabla con filtros y un formulario para registrar o editar.
 export default function Clientes() {
-  // URL base de la API para clientes.
-  // En desarrollo, CRA reenviará '/api/cliente' a 'http://localhost:3000/api/cliente'
-  const API = "http://localhost:3001/clientes";
+  // Estado derivado de la URL:
+  // - filter: tipo de cliente a mostrar ('all' | '1' = normal | '2' = premium | 'inactivos' = archivo), desde ?type=
+  // - id: cliente seleccionado para editar, desde /clientes/:id/editar
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { id: selectedId } = useParams();
+  const navigate = useNavigate();
+  const filter = searchParams.get('type') || 'all';
 
   // Estado local del componente:
-  // - clientes: arreglo con los datos de clientes obtenidos del servidor
-  // - filter: tipo de cliente a mostrar ('all' | '1' = normal | '2' = premium)
-  // - form: objeto con campos para crear/editar un cliente
-  // - error: mensaje de error en caso de fallo en peticiones
-  const [clientes, setClientes] = useState([]);
-  const [filter, setFilter]     = useState('all');
-  const [form, setForm]         = useState({ id: '', nombre: '', ciudad: '', tipo: '1' });
-  const [error, setError]       = useState('');
-
-  // Función para obtener clientes del backend según el filtro seleccionado.
-  // Realiza fetch a la ruta '/api/cliente' con query string opcional '?type=1' o '?type=2'.
-  const loadClients = useCallback(async () => {
+  // - query: clientes del filtro actual desde la caché de consultas (se muestran al instante
+  //   si ya se cargaron y se actualizan en segundo plano)
+  // - todos: todos los clientes, para marcar duplicados al importar (se pide al abrir la importación)
+  // - form: formulario validado para crear/editar un cliente (valores, errores y envío)
+  // - importing: muestra el panel de importación desde CSV
+  // - visibleRows: filas que quedan tras la búsqueda de la tabla (las que se exportan)
+  // Los errores de las acciones se notifican con toasts; los de carga se muestran arriba de la tabla.
+  const query                   = useClientes({ type: filter });
+  const clientes                = query.data || EMPTY_LIST;
+  const form                    = useForm(clienteSchema, EMPTY_FORM);
+  const [importing, setImporting] = useState(false);
+  const todos                   = useClientes({}, { enabled: importing });
+  const [visibleRows, setVisibleRows] = useState([]);
+  const { can }                 = useAuth();
+  const toast                   = useToast();
+  const confirm                 = useConfirm();
+  const { t }                   = useI18n();
+  const [, archivar, desarchivar] = useArchivo();
+
+  // Nombre del tipo de cliente en el idioma elegido.
+  const nombreTipo = tipo => t(`clientes.tipo.${tipoKey(tipo)}`);
+
+  // Cuando la URL indica un cliente (/clientes/:id/editar), lo cargamos en el formulario de edición.
+  // Al volver al listado (/clientes) se limpia el formulario.
+  // Se carga una sola vez por cliente: la lista cambia al actualizarse en segundo plano
+  // o con cambios optimistas, y eso no debe pisar lo que el usuario está escribiendo.
+  const { reset } = form;
+  const loadedId = useRef(null);
+  useEffect(() => {
+    if (!selectedId) {
+      loadedId.current = null;
+      reset(EMPTY_FORM);
+    }
+  }, [selectedId, reset]);
+
+  useEffect(() => {
+    if (!selectedId || loadedId.current === selectedId) return;
+    const c = clientes.find(c => String(c.id) === selectedId);
+    if (!c) return;
+    loadedId.current = selectedId;
+    reset({ id: c.id, nombre: c.nombre, ciudad: c.ciudad, tipo: c.tipo.toString() });
+  }, [selectedId, clientes, reset]);
+
+  // Cambia el filtro de tipo reflejándolo en la URL (?type=1 | ?type=2 | ?type=inactivos).
+  const setFilter = value => {
+    setSearchParams(value === 'all' ? {} : { type: value });
+  };
+
+  // Navega a la edición de un cliente (o al listado si id es vacío) conservando el filtro.
+  const goTo = id => {
+    navigate({ pathname: id ? `/clientes/${id}/editar` : '/clientes', search: searchParams.toString() });
+  };
+
+  // Función que maneja el envío del formulario (solo se llama si pasa la validación).
+  // Decide si crea (POST) o actualiza (PUT) en base a la presencia de values.id.
+  // El cambio se muestra en la tabla al instante, marcado como pendiente; si el servidor
+  // lo rechaza se revierte y los errores por campo se muestran junto al campo correspondiente.
+  const handleSubmit = form.handleSubmit(async values => {
+    const payload = {
+      nombre: values.nombre.trim(),
+      ciudad: values.ciudad.trim(),
+      tipo:   parseInt(values.tipo, 10)
+    };
+    const id = values.id || idTemporal();
+    const esCliente = c => String(c.id) === String(id);
     try {
-      setError('');
-      let url = API;
-      if (filter === '1' || filter === '2') url += `?type=${filter}`;
-      const res = await fetch(url);
-      if (!res.ok) throw new Error(res.statusText);
-      const data = await res.json();
-      setClientes(data);
+      if (values.id) {
+        await optimisticMutation('clientes', () => updateCliente(values.id, payload), {
+          update: (list, { type }) => actualizarFilas(list, esCliente, c => marcar({ ...c, ...payload }, 'editar'))
+            .filter(c => !esCliente(c) || enFiltro(c, type)),
+          commit: list => actualizarFilas(list, esCliente, desmarcar)
+        });
+      } else {
+        await optimisticMutation('clientes', () => createCliente(payload), {
+          update: (list, { type }) => (enFiltro(payload, type) ? [...list, marcar({ id, ...payload }, 'crear')] : list),
+          // Con el ID asignado por el servidor la fila queda confirmada; si no lo informa
+          // sigue pendiente hasta que llegue la lista actualizada.
+          commit: (list, params, res) => (res?.id
+            ? actualizarFilas(list, esCliente, c => ({ ...desmarcar(c), id: res.id }))
+            : list)
+        });
+      }
+      form.reset(EMPTY_FORM);
+      toast.success(values.id ? t('clientes.actualizado') : t('clientes.registrado', { nombre: payload.nombre }));
+      if (selectedId) goTo('');
     } catch (err) {
-      console.error(err);
-      setError('No se pudieron cargar los clientes.');
-      setClientes([]);
+      if (isAbortError(err)) return;
+      if (form.setServerErrors(err)) toast.error(`${t('comun.revisarCampos')} ${t('comun.revertido')}`);
+      else toast.error(`${errorMessage(err, t('clientes.errorGuardar'), t)} ${t('comun.revertido')}`);
     }
-  }, [filter, API]);
+  });
 
-  // Hook que se ejecuta al montar el componente y cada vez que 'filter' cambie,
-  // para recargar la lista de clientes.
-  useEffect(() => {
-    loadClients();
-  }, [loadClients]);
-
-  // Función que maneja el envío del formulario.
-  // Decide si crea (POST) o actualiza (PUT) en base a la presencia de form.id.
-  // Envía nombre, ciudad y tipo al backend.
-  const handleSubmit = async e => {
-    e.preventDefault();
+  // Función para reactivar un cliente recién desactivado ("Deshacer").
+  // La API desactiva cambiando el tipo, así que basta con volver a guardar el tipo original.
+  // El cliente vuelve a la tabla al instante y desaparece de nuevo si el servidor lo rechaza.
+  const handleUndoDelete = async c => {
+    const esCliente = x => String(x.id) === String(c.id);
     try {
-      setError('');
-      const method = form.id ? 'PUT' : 'POST';
-      const url    = form.id ? `${API}/${form.id}` : API;
-      const payload = {
-        nombre: form.nombre,
-        ciudad: form.ciudad,
-        tipo:   parseInt(form.tipo, 10)
-      };
-      const res = await fetch(url, {
-        method,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
+      await optimisticMutation('clientes', () => updateCliente(c.id, { nombre: c.nombre, ciudad: c.ciudad, tipo: c.tipo }), {
+        update: (list, { type }) => {
+          if (!enFiltro(c, type)) return list.filter(x => !esCliente(x));
+          if (list.some(esCliente)) return actualizarFilas(list, esCliente, x => marcar({ ...x, tipo: c.tipo }, 'editar'));
+          return [...list, marcar(c, 'editar')];
+        },
+        commit: list => actualizarFilas(list, esCliente, desmarcar)
       });
-      if (!res.ok) throw new Error(res.statusText);
-      setForm({ id: '', nombre: '', ciudad: '', tipo: '1' });
-      await loadClients();
+      desarchivar('clientes', c.id);
+      toast.success(t('clientes.reactivado', { nombre: c.nombre }));
     } catch (err) {
-      console.error(err);
-      setError('Error al guardar el cliente.');
+      if (isAbortError(err)) return;
+      toast.error(errorMessage(err, t('clientes.errorReactivar'), t));
     }
   };
 
-  // Función para desactivar (eliminar) un cliente en el servidor.
-  // Llama a DELETE /api/cliente/:id y recarga la lista.
-  const handleDelete = async id => {
+  // Función para desactivar (eliminar) un cliente en el servidor, previa confirmación.
+  // Llama a DELETE /clientes/:id marcando la fila como pendiente mientras responde,
+  // al confirmarse la quita de las listas de activos (en la de todos queda como inactivo)
+  // y ofrece deshacer durante unos segundos.
+  // La baja queda anotada en el archivo (fecha, usuario y tipo, para poder reactivarlo después).
+  // Si el servidor lo rechaza la fila vuelve a su estado anterior.
+  const handleDelete = async c => {
+    const ok = await confirm({
+      title: t('clientes.desactivarTitulo'),
+      message: t('clientes.desactivarMensaje', { nombre: c.nombre }),
+      confirmLabel: t('clientes.desactivar'),
+      danger: true
+    });
+    if (!ok) return;
+    const esCliente = x => String(x.id) === String(c.id);
     try {
-      setError('');
-      const res = await fetch(`${API}/${id}`, { method: 'DELETE' });
-      if (!res.ok) throw new Error(res.statusText);
-      await loadClients();
+      await optimisticMutation('clientes', () => deleteCliente(c.id), {
+        update: list => actualizarFilas(list, esCliente, x => marcar(x, 'eliminar')),
+        commit: (list, { type }) => {
+          const baja = { ...c, tipo: 0 };
+          if (!enFiltro(baja, type)) return list.filter(x => !esCliente(x));
+          if (list.some(esCliente)) return actualizarFilas(list, esCliente, () => baja);
+          return [...list, baja];
+        }
+      });
+      archivar('clientes', c.id, { tipo: c.tipo });
+      toast.info(t('clientes.desactivado', { nombre: c.nombre }), {
+        duration: UNDO_MS,
+        action: { label: t('comun.deshacer'), onClick: () => handleUndoDelete(c) }
+      });
     } catch (err) {
-      console.error(err);
-      setError('Error al desactivar el cliente.');
+      if (isAbortError(err)) return;
+      toast.error(`${errorMessage(err, t('clientes.errorDesactivar'), t)} ${t('comun.revertido')}`);
     }
   };
 
+  // Columnas de la tabla de clientes.
+  // Las filas con cambios pendientes de confirmar muestran el estado y no admiten acciones.
+  const columns = [
+    { key: 'id', header: t('comun.id'), render: c => (pendiente(c) === 'crear' ? '—' : c.id) },
+    {
+      key: 'nombre', header: t('comun.nombre'), hideable: false,
+      render: c => (
+        <>
+          {pendiente(c) === 'crear'
+            ? c.nombre
+            : <Link to={`/clientes/${c.id}`} className="text-blue-600 hover:underline">{c.nombre}</Link>}
+          {pendiente(c) && <span className="ml-2 text-xs text-gray-500">{t(`pendiente.${pendiente(c)}`)}</span>}
+        </>
+      )
+    },
+    { key: 'ciudad', header: t('clientes.ciudad') },
+    { key: 'tipo', header: t('clientes.tipo'), sortValue: c => nombreTipo(c.tipo), render: c => nombreTipo(c.tipo) },
+    {
+      key: 'acciones', header: t('comun.acciones'), sortable: false, hideable: false, className: 'space-x-1',
+      searchValue: () => '',
+      render: c => (
+        <>
+          <button
+            onClick={() => goTo(c.id)}
+            disabled={!!pendiente(c)}
+            className="px-2 py-1 bg-yellow-400 text-white rounded disabled:opacity-50"
+          >✎</button>
+          {can('clientes:delete') && (
+            <button
+              onClick={() => handleDelete(c)}
+              disabled={!!pendiente(c)}
+              className="px-2 py-1 bg-red-500 text-white rounded disabled:opacity-50"
+              aria-label={t('clientes.desactivarAria', { nombre: c.nombre })}
+            >🗑</button>
+          )}
+        </>
+      )
+    }
+  ];
+
   // Renderizado de la UI:
   // - Muestra mensaje de error si existe.
   // - Select para filtrar por tipo de cliente.
-  // - Tabla con datos de clientes y botones de acción.
+  // - Tabla con datos de clientes y botones de acción (ordenable, con búsqueda y paginación),
+  //   o el archivo de clientes desactivados si se eligió ese filtro.
   // - Formulario para registrar o editar un cliente.
   return (
     <div>
-      {error && <div className="mb-4 text-red-600">{error}</div>}
+      {query.error && (
+        <div className="mb-4 text-red-600">{errorMessage(query.error, t('clientes.errorCarga'), t)}</div>
+      )}
 
       <div className="mb-4 flex items-center space-x-2">
-        <label>Filtro:</label>
+        <label>{t('clientes.filtro')}</label>
         <select
           value={filter}
           onChange={e => setFilter(e.target.value)}
           className="border rounded p-1"
         >
-          <option value="all">Todos</option>
-          <option value="1">Normales</option>
-          <option value="2">Premium</option>
+          <option value="all">{t('clientes.filtro.todos')}</option>
+          <option value="1">{t('clientes.filtro.normales')}</option>
+          <option value="2">{t('clientes.filtro.premium')}</option>
+          <option value="inactivos">{t('clientes.filtro.inactivos')}</option>
         </select>
         <button
-          onClick={loadClients}
-          className="bg-blue-500 text-white px-3 py-1 rounded"
+          onClick={() => query.refetch().catch(() => {})}
+          disabled={query.isFetching}
+          className="bg-blue-500 text-white px-3 py-1 rounded disabled:opacity-50"
         >
-          Cargar
+          {t('comun.cargar')}
         </button>
+        <EstadoCarga isLoading={query.isLoading} isFetching={query.isFetching} />
+        {can('clientes:import') && (
+          <div className="ml-auto">
+            <button onClick={() => setImporting(true)} className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300">
+              {t('comun.importarCsv')}
+            </button>
+          </div>
+        )}
       </div>
 
-      <table className="w-full table-auto mb-4">
-        <thead className="bg-gray-100">
-          <tr>
-            {['ID','Nombre','Ciudad','Tipo','Acciones'].map(h => (
-              <th key={h} className="p-2">{h}</th>
-            ))}
-          </tr>
-        </thead>
-        <tbody>
-          {clientes.map(c => (
-            <tr key={c.id} className="border-t">
-              <td className="p-2">{c.id}</td>
-              <td className="p-2">{c.nombre}</td>
-              <td className="p-2">{c.ciudad}</td>
-              <td className="p-2">
-                {c.tipo === 1 ? 'Normal' : c.tipo === 2 ? 'Premium' : 'Inactivo'}
-              </td>
-              <td className="p-2 space-x-1">
-                <button
-                  onClick={() => setForm({ id: c.id, nombre: c.nombre, ciudad: c.ciudad, tipo: c.tipo.toString() })}
-                  className="px-2 py-1 bg-yellow-400 text-white rounded"
-                >✎</button>
-                <button
-                  onClick={() => handleDelete(c.id)}
-                  className="px-2 py-1 bg-red-500 text-white rounded"
-                >🗑</button>
-              </td>
-            </tr>
-          ))}
-        </tbody>
-      </table>
+      {importing && can('clientes:import') && (
+        <Importar
+          title={t('clientes.importar')}
+          fields={IMPORT_FIELDS}
+          existingNames={(todos.data || clientes).map(c => c.nombre)}
+          toPayload={v => v}
+          create={createCliente}
+          onClose={() => setImporting(false)}
+        />
+      )}
+
+      {filter === 'inactivos' ? (
+        <ClientesInactivos clientes={clientes} />
+      ) : (
+      <Tabla
+        rows={clientes}
+        columns={columns}
+        rowKey={c => c.id}
+        rowClassName={c => [
+          String(c.id) === selectedId ? 'bg-yellow-50' : '',
+          pendiente(c) ? 'opacity-60' : '',
+          pendiente(c) === 'eliminar' ? 'line-through' : ''
+        ].join(' ')}
+        initialSort={{ key: 'nombre', dir: 'asc' }}
+        onVisibleRowsChange={setVisibleRows}
+        toolbar={
+          <Exportar
+            filename={filter === '1' ? 'clientes-normales' : filter === '2' ? 'clientes-premium' : 'clientes'}
+            sheetName="Clientes"
+            rows={visibleRows}
+            columns={EXPORT_COLUMNS}
+          />
+        }
+      />
+      )}
 
       <h3 className="text-lg font-medium mb-2">
-        {form.id ? 'Editar Cliente' : 'Registrar Cliente'}
+        {t(form.values.id ? 'clientes.editar' : 'clientes.registrar')}
       </h3>
-      <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-4 gap-4">
-        <input type="hidden" value={form.id} />
-        <input
-          placeholder="Nombre"
-          value={form.nombre}
-          onChange={e => setForm({ ...form, nombre: e.target.value })}
-          className="border rounded p-2"
-          required
-        />
-        <input
-          type="text"
-          placeholder="Ciudad"
-          value={form.ciudad}
-          onChange={e => setForm({ ...form, ciudad: e.target.value })}
-          className="border rounded p-2"
-          required
-        />
-        <select
-          value={form.tipo}
-          onChange={e => setForm({ ...form, tipo: e.target.value })}
-          className="border rounded p-2"
-          required
+      <form onSubmit={handleSubmit} noValidate className="grid grid-cols-1 sm:grid-cols-4 gap-4">
+        <Campo error={form.errorFor('nombre')}>
+          <input
+            placeholder={t('comun.nombre')}
+            {...form.field('nombre')}
+            className={`w-full border rounded p-2 ${INVALID_CLASS}`}
+          />
+        </Campo>
+        <Campo error={form.errorFor('ciudad')}>
+          <input
+            type="text"
+            placeholder={t('clientes.ciudad')}
+            {...form.field('ciudad')}
+            className={`w-full border rounded p-2 ${INVALID_CLASS}`}
+          />
+        </Campo>
+        <Campo error={form.errorFor('tipo')}>
+          <select {...form.field('tipo')} className={`w-full border rounded p-2 ${INVALID_CLASS}`}>
+            <option value="1">{nombreTipo(1)}</option>
+            <option value="2">{nombreTipo(2)}</option>
+          </select>
+        </Campo>
+        <button
+          disabled={!form.canSubmit}
+          className={`bg-green-500 text-white py-2 rounded hover:bg-green-600 disabled:opacity-50 ${form.values.id ? 'sm:col-span-3' : 'sm:col-span-4'}`}
         >
-          <option value="1">Normal</option>
-          <option value="2">Premium</option>
-        </select>
-        <button className="bg-green-500 text-white py-2 rounded sm:col-span-4 hover:bg-green-600">
-          {form.id ? 'Actualizar Cliente' : 'Registrar Cliente'}
+          {form.submitting ? t('comun.guardando') : t(form.values.id ? 'clientes.actualizar' : 'clientes.registrar')}
         </button>
+        {form.values.id && (
+          <button
+            type="button"
+            onClick={() => goTo('')}
+            className="bg-gray-200 py-2 rounded hover:bg-gray-300"
+          >{t('comun.cancelar')}</button>
+        )}
       </form>
     </div>
   );
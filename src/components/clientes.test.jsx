@@ -0,0 +1,173 @@
+import { screen, fireEvent, within, waitFor } from '@testing-library/react';
+import renderApp from '../mocks/renderApp';
+import { installMockBackend } from '../mocks/backend';
+
+// Pruebas de integración de la sección Clientes contra el backend de prueba en memoria.
+
+let backend;
+beforeEach(() => {
+  backend = installMockBackend();
+});
+
+// Fila de la tabla que contiene el texto indicado.
+const fila = texto => screen.getByRole('row', { name: new RegExp(texto) });
+
+test('lista los clientes y filtra por tipo', async () => {
+  renderApp('/clientes');
+  expect(await screen.findByText('José Pérez')).toBeInTheDocument();
+  expect(within(fila('María Soto')).getByText('Premium')).toBeInTheDocument();
+  expect(within(fila('Luis Rojas')).getByText('Inactivo')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByDisplayValue('Todos'), { target: { value: '2' } });
+  await waitFor(() => expect(screen.queryByText('José Pérez')).not.toBeInTheDocument());
+  expect(screen.getByText('María Soto')).toBeInTheDocument();
+  expect(backend.requests).toContainEqual(expect.objectContaining({ method: 'GET', path: '/clientes', query: { type: '2' } }));
+});
+
+test('muestra el error del servidor al cargar', async () => {
+  backend.failNext('GET', '/clientes', { status: 500, body: { message: 'Base de datos no disponible.' } });
+  renderApp('/clientes');
+  expect(await screen.findByText('No se pudieron cargar los clientes. Base de datos no disponible.')).toBeInTheDocument();
+});
+
+test('registra un cliente nuevo', async () => {
+  renderApp('/clientes');
+  await screen.findByText('José Pérez');
+  fireEvent.change(screen.getByPlaceholderText('Nombre'), { target: { value: 'Ana Díaz' } });
+  fireEvent.change(screen.getByPlaceholderText('Ciudad'), { target: { value: 'Valparaíso' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Registrar Cliente' }));
+
+  expect(await screen.findByText('Cliente "Ana Díaz" registrado.')).toBeInTheDocument();
+  expect(screen.getByText('Ana Díaz')).toBeInTheDocument();
+  expect(backend.db.clientes).toContainEqual({ id: 4, nombre: 'Ana Díaz', ciudad: 'Valparaíso', tipo: 1 });
+});
+
+test('muestra los errores por campo del servidor y revierte el alta', async () => {
+  backend.failNext('POST', '/clientes', { status: 400, body: { errors: { ciudad: 'No hay reparto en esa ciudad.' } } });
+  renderApp('/clientes');
+  await screen.findByText('José Pérez');
+  fireEvent.change(screen.getByPlaceholderText('Nombre'), { target: { value: 'Ana Díaz' } });
+  fireEvent.change(screen.getByPlaceholderText('Ciudad'), { target: { value: 'Arica' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Registrar Cliente' }));
+
+  expect(await screen.findByText('No hay reparto en esa ciudad.')).toBeInTheDocument();
+  expect(screen.getByText('Revisa los campos marcados. Se revirtió el cambio.')).toBeInTheDocument();
+  expect(screen.queryByText('Ana Díaz')).not.toBeInTheDocument();
+  expect(backend.db.clientes).toHaveLength(3);
+});
+
+test('edita un cliente desde la tabla', async () => {
+  renderApp('/clientes');
+  await screen.findByText('José Pérez');
+  fireEvent.click(within(fila('José Pérez')).getByText('✎'));
+  const ciudad = await screen.findByDisplayValue('Ñuñoa');
+  fireEvent.change(ciudad, { target: { value: 'La Reina' } });
+  fireEvent.change(screen.getByDisplayValue('Normal'), { target: { value: '2' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Actualizar Cliente' }));
+
+  expect(await screen.findByText('Cliente actualizado.')).toBeInTheDocument();
+  expect(within(fila('José Pérez')).getByText('La Reina')).toBeInTheDocument();
+  expect(backend.db.clientes[0]).toMatchObject({ ciudad: 'La Reina', tipo: 2 });
+});
+
+test('desactiva un cliente previa confirmación y permite deshacer', async () => {
+  renderApp('/clientes?type=1');
+  await screen.findByText('José Pérez');
+  fireEvent.click(screen.getByLabelText('Desactivar José Pérez'));
+  const dialogo = await screen.findByRole('dialog');
+  fireEvent.click(within(dialogo).getByRole('button', { name: 'Desactivar' }));
+
+  expect(await screen.findByText('Cliente "José Pérez" desactivado.')).toBeInTheDocument();
+  await waitFor(() => expect(screen.queryByText('José Pérez')).not.toBeInTheDocument());
+  expect(backend.db.clientes[0].tipo).toBe(0);
+
+  fireEvent.click(screen.getByText('Deshacer'));
+  expect(await screen.findByText('Cliente "José Pérez" reactivado.')).toBeInTheDocument();
+  expect(await screen.findByText('José Pérez')).toBeInTheDocument();
+  expect(backend.db.clientes[0].tipo).toBe(1);
+});
+
+test('en la lista de todos el cliente desactivado queda como inactivo sin esperar la recarga', async () => {
+  renderApp('/clientes');
+  await screen.findByText('José Pérez');
+  // Las recargas fallan: lo que se ve es solo el cambio optimista.
+  backend.failNext('GET', '/clientes', { status: 500 });
+  fireEvent.click(screen.getByLabelText('Desactivar José Pérez'));
+  fireEvent.click(within(await screen.findByRole('dialog')).getByRole('button', { name: 'Desactivar' }));
+
+  expect(await screen.findByText('Cliente "José Pérez" desactivado.')).toBeInTheDocument();
+  expect(within(fila('José Pérez')).getByText('Inactivo')).toBeInTheDocument();
+
+  backend.failNext('GET', '/clientes', { status: 500 });
+  fireEvent.click(screen.getByText('Deshacer'));
+  expect(await screen.findByText('Cliente "José Pérez" reactivado.')).toBeInTheDocument();
+  expect(within(fila('José Pérez')).getByText('Normal')).toBeInTheDocument();
+});
+
+test('si el servidor rechaza la desactivación el cliente vuelve a la tabla', async () => {
+  backend.failNext('DELETE', '/clientes/1', { status: 409, body: { message: 'El cliente tiene ventas abiertas.' } });
+  renderApp('/clientes');
+  await screen.findByText('José Pérez');
+  fireEvent.click(screen.getByLabelText('Desactivar José Pérez'));
+  fireEvent.click(within(await screen.findByRole('dialog')).getByRole('button', { name: 'Desactivar' }));
+
+  expect(await screen.findByText(/El cliente tiene ventas abiertas\. Se revirtió el cambio\./)).toBeInTheDocument();
+  expect(fila('José Pérez')).not.toHaveClass('line-through');
+  expect(backend.db.clientes[0].tipo).toBe(1);
+});
+
+test('lista los clientes desactivados y reactiva uno', async () => {
+  renderApp('/clientes?type=inactivos');
+  expect(await screen.findByText('Luis Rojas')).toBeInTheDocument();
+  expect(screen.queryByText('José Pérez')).not.toBeInTheDocument();
+  fireEvent.click(screen.getByLabelText('Reactivar Luis Rojas'));
+
+  expect(await screen.findByText('Cliente "Luis Rojas" reactivado como Normal.')).toBeInTheDocument();
+  await waitFor(() => expect(screen.queryByText('Luis Rojas')).not.toBeInTheDocument());
+  expect(backend.db.clientes[2].tipo).toBe(1);
+});
+
+test('al desactivar un cliente queda en el archivo con su baja y se reactiva con su tipo', async () => {
+  renderApp('/clientes?type=2');
+  await screen.findByText('María Soto');
+  fireEvent.click(screen.getByLabelText('Desactivar María Soto'));
+  fireEvent.click(within(await screen.findByRole('dialog')).getByRole('button', { name: 'Desactivar' }));
+  await screen.findByText('Cliente "María Soto" desactivado.');
+
+  fireEvent.change(screen.getByDisplayValue('Premium'), { target: { value: 'inactivos' } });
+  expect(await screen.findByText('María Soto')).toBeInTheDocument();
+  expect(within(fila('María Soto')).getByText(/por Ana Admin/)).toBeInTheDocument();
+  expect(within(fila('Luis Rojas')).getByText('—')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByLabelText('Reactivar María Soto'));
+  expect(await screen.findByText('Cliente "María Soto" reactivado como Premium.')).toBeInTheDocument();
+  expect(backend.db.clientes[1].tipo).toBe(2);
+});
+
+// Archivo CSV para el panel de importación (con un lector que falla si "contenido" es un Error).
+const archivoCsv = contenido => {
+  const file = new File([''], 'clientes.csv', { type: 'text/csv' });
+  file.text = () => (contenido instanceof Error ? Promise.reject(contenido) : Promise.resolve(contenido));
+  return file;
+};
+
+test('al importar marca como duplicados los clientes de cualquier tipo, aunque la tabla esté filtrada', async () => {
+  renderApp('/clientes', { rol: 'gerente' });
+  await screen.findByText('José Pérez');
+  fireEvent.change(screen.getByDisplayValue('Todos'), { target: { value: '2' } });
+  await waitFor(() => expect(screen.queryByText('José Pérez')).not.toBeInTheDocument());
+
+  fireEvent.click(screen.getByRole('button', { name: 'Importar CSV' }));
+  const input = await screen.findByLabelText('Importar clientes');
+  fireEvent.change(input, { target: { files: [archivoCsv('nombre,ciudad,tipo\nJosé Pérez,Santiago,1\nAna Díaz,Talca,2\n')] } });
+  expect(within(await screen.findByRole('row', { name: /José Pérez/ })).getByText('Ya existe')).toBeInTheDocument();
+  expect(within(screen.getByRole('row', { name: /Ana Díaz/ })).getByText('OK')).toBeInTheDocument();
+});
+
+test('informa si no se puede leer el archivo a importar', async () => {
+  renderApp('/clientes', { rol: 'gerente' });
+  await screen.findByText('José Pérez');
+  fireEvent.click(screen.getByRole('button', { name: 'Importar CSV' }));
+  fireEvent.change(await screen.findByLabelText('Importar clientes'), { target: { files: [archivoCsv(new Error('NotReadableError'))] } });
+  expect(await screen.findByRole('alert')).toHaveTextContent('No se pudo leer clientes.csv');
+});
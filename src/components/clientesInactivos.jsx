@@ -0,0 +1,100 @@
+import React from 'react';
+// Importamos React para definir el componente
+import { updateCliente } from '../api/clientes';
+import { isAbortError, errorMessage } from '../api/client';
+import { optimisticMutation } from '../api/cache';
+import useAuth from '../hooks/useAuth';
+import useToast from '../hooks/useToast';
+import useI18n from '../hooks/useI18n';
+import useArchivo from '../hooks/useArchivo';
+// Funciones de la API, mutaciones optimistas, permisos, notificaciones, textos traducidos
+// y registro local de bajas
+import { marcar, pendiente, actualizarFilas } from '../utils/optimista';
+import Tabla from './tabla';
+// Marcas de filas con cambios pendientes y tabla reutilizable
+
+// Componente "ClientesInactivos":
+// Archivo de clientes desactivados, con la fecha y el usuario de la baja (si se hizo en este
+// equipo) y un botón para reactivarlos. Reactivar envía PUT /clientes/:id con el tipo que
+// tenía el cliente antes de desactivarlo (Normal si no se conoce).
+//
+// Props:
+// - clientes: clientes desactivados (lista 'inactivos' de la caché de consultas, que carga Clientes)
+export default function ClientesInactivos({ clientes }) {
+  // Estado local del componente:
+  // - archivo: registro local de bajas (fecha, usuario y tipo anterior)
+  const [archivo, , desarchivar]     = useArchivo();
+  const { can }                      = useAuth();
+  const toast                        = useToast();
+  const { t, formato }               = useI18n();
+
+  // Función para reactivar un cliente. La fila se marca como pendiente y sale del archivo
+  // al confirmarse; si el servidor lo rechaza vuelve a su estado anterior.
+  const handleRestore = async c => {
+    const tipo = archivo.clientes[c.id]?.tipo === 2 ? 2 : 1;
+    const esCliente = x => String(x.id) === String(c.id);
+    try {
+      await optimisticMutation('clientes', () => updateCliente(c.id, { nombre: c.nombre, ciudad: c.ciudad, tipo }), {
+        update: (list, { type }) => (type === 'inactivos' ? actualizarFilas(list, esCliente, x => marcar(x, 'editar')) : list),
+        commit: (list, { type }) => (type === 'inactivos' ? list.filter(x => !esCliente(x)) : list)
+      });
+      desarchivar('clientes', c.id);
+      toast.success(t('archivo.clienteReactivado', { nombre: c.nombre, tipo: t(`clientes.tipo.${tipo === 2 ? 'premium' : 'normal'}`) }));
+    } catch (err) {
+      if (isAbortError(err)) return;
+      toast.error(`${errorMessage(err, t('clientes.errorReactivar'), t)} ${t('comun.revertido')}`);
+    }
+  };
+
+  // Fecha y usuario de la baja, o un guion si no se registró en este equipo.
+  const baja = c => {
+    const registro = archivo.clientes[c.id];
+    if (!registro) return '—';
+    return registro.usuario
+      ? t('archivo.bajaPor', { fecha: formato.dateTime(registro.fecha), usuario: registro.usuario })
+      : formato.dateTime(registro.fecha);
+  };
+
+  // Columnas de la tabla de clientes desactivados.
+  const columns = [
+    { key: 'id', header: t('comun.id') },
+    {
+      key: 'nombre', header: t('comun.nombre'), hideable: false,
+      render: c => (
+        <>
+          {c.nombre}
+          {pendiente(c) && <span className="ml-2 text-xs text-gray-500">{t(`pendiente.${pendiente(c)}`)}</span>}
+        </>
+      )
+    },
+    { key: 'ciudad', header: t('clientes.ciudad') },
+    {
+      key: 'baja', header: t('archivo.desactivado'),
+      sortValue: c => archivo.clientes[c.id]?.fecha || '', searchValue: baja, render: baja
+    },
+    {
+      key: 'acciones', header: t('comun.acciones'), sortable: false, hideable: false, searchValue: () => '',
+      render: c => (
+        <button
+          onClick={() => handleRestore(c)}
+          disabled={!!pendiente(c)}
+          className="px-2 py-1 bg-green-500 text-white rounded disabled:opacity-50"
+          aria-label={t('archivo.reactivarAria', { nombre: c.nombre })}
+        >{t('archivo.reactivar')}</button>
+      )
+    }
+  ].filter(col => col.key !== 'acciones' || can('clientes:restore'));
+
+  // Renderizado de la UI:
+  // - Tabla de clientes desactivados con su baja y el botón para reactivarlos.
+  return (
+    <Tabla
+      rows={clientes}
+      columns={columns}
+      rowKey={c => c.id}
+      rowClassName={c => (pendiente(c) ? 'opacity-60' : '')}
+      initialSort={{ key: 'nombre', dir: 'asc' }}
+      emptyMessage={t('archivo.sinClientes')}
+    />
+  );
+}
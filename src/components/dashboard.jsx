@@ -0,0 +1,146 @@
+import React, { useMemo } from 'react';
+// Importamos React y el hook useMemo para los datos derivados
+import { useSearchParams } from 'react-router-dom';
+// Hook de react-router para reflejar el intervalo de actualización en la URL (?refresco=)
+import { errorMessage } from '../api/client';
+import { useClientes, useProductos, useVendidosSemana, useVendidosAnio, useVentasDelDia } from '../hooks/useConsultas';
+import useI18n from '../hooks/useI18n';
+import { daysFromToday } from '../utils/fechas';
+import { groupVentas } from '../utils/ventas';
+// Mensajes de error de la API, consultas de la caché compartida, textos traducidos y utilidades
+import GraficoBarras from './graficoBarras';
+import EstadoCarga from './estadoCarga';
+// Gráfico de barras simple e indicador de carga
+
+// Lista vacía estable, usada mientras no hay datos.
+const EMPTY_LIST = [];
+
+// Opciones de actualización automática (en segundos; 0 = desactivada).
+const REFRESH_OPTIONS = [0, 30, 60, 300];
+const DEFAULT_REFRESH = 60;
+
+// Vigencia de las ventas de hoy (en milisegundos): al volver al panel no se repiten
+// las consultas por cliente si son recientes.
+const VENTAS_HOY_STALE_TIME = 5 * 60 * 1000;
+
+// Componente "Dashboard":
+// Panel para gerencia con los productos más vendidos de la semana (gráfico de barras),
+// las unidades vendidas en el año (KPI), los ingresos del día calculados a partir de las ventas
+// registradas y los ingresos estimados de la semana. Se actualiza automáticamente.
+export default function Dashboard() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const refresh = Number(searchParams.get('refresco') ?? DEFAULT_REFRESH);
+  const { t, formato } = useI18n();
+
+  // Consultas de la caché compartida (se actualizan cada "refresh" segundos, salvo ventasHoy):
+  // - semana: productos vendidos esta semana ({ productId, productName, quantitySold })
+  // - anio: unidades vendidas en el año actual
+  // - productos: catálogo, para valorizar las unidades vendidas con su precio
+  // - clientes: para consultar las ventas de hoy de cada cliente
+  // - ventasHoy: líneas de las ventas registradas hoy, compartidas con el cierre de caja (ver useVentasDelDia).
+  //   Cuesta una petición por cliente, así que no entra en la actualización automática:
+  //   se pide al abrir el panel, con el botón "Actualizar" y tras registrar una venta.
+  const options   = { refetchInterval: refresh * 1000 };
+  const semana    = useVendidosSemana(options);
+  const anio      = useVendidosAnio(options);
+  const productos = useProductos({ disponible: true }, options);
+  const clientes  = useClientes({}, options);
+  const ventasHoy = useVentasDelDia(daysFromToday(0), { staleTime: VENTAS_HOY_STALE_TIME });
+
+  const queries   = [semana, anio, productos, clientes, ventasHoy];
+  const weekSold  = semana.data || EMPTY_LIST;
+  const yearCount = anio.data ?? null;
+  const loading   = queries.some(q => q.isFetching);
+  const failed    = queries.find(q => q.error);
+  const error     = failed ? errorMessage(failed.error, t('dashboard.error'), t) : '';
+  // Hora de la última actualización: la más antigua entre las consultas, si todas tienen datos.
+  const updatedAt = queries.every(q => q.updatedAt) ? new Date(Math.min(...queries.map(q => q.updatedAt))) : null;
+
+  // Vuelve a pedir todas las métricas del panel.
+  const loadAll = () => {
+    queries.forEach(q => q.refetch().catch(() => {}));
+  };
+
+  // Datos derivados para los gráficos y KPI.
+  const topSemana = useMemo(() => (
+    [...weekSold]
+      .sort((a, b) => b.quantitySold - a.quantitySold)
+      .slice(0, 10)
+      .map(i => ({ label: i.productName, value: Number(i.quantitySold) }))
+  ), [weekSold]);
+
+  const ingresosSemana = useMemo(() => {
+    const precios = new Map((productos.data || EMPTY_LIST).map(p => [String(p.productoID), Number(p.precio)]));
+    return weekSold.reduce((s, i) => s + (precios.get(String(i.productId)) || 0) * Number(i.quantitySold), 0);
+  }, [weekSold, productos.data]);
+
+  const hoy = useMemo(() => {
+    const ventas = groupVentas(ventasHoy.data || EMPTY_LIST);
+    const total = ventas.reduce((s, v) => s + v.total, 0);
+    return { ventas: ventas.length, total, ticket: ventas.length ? Math.round(total / ventas.length) : 0 };
+  }, [ventasHoy.data]);
+
+  const unidadesSemana = weekSold.reduce((s, i) => s + Number(i.quantitySold), 0);
+
+  // Renderizado de la UI:
+  // - Controles de actualización.
+  // - Tarjetas KPI.
+  // - Gráfico de productos más vendidos de la semana.
+  return (
+    <div>
+      {error && <div className="mb-4 text-red-600">{error}</div>}
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <h2 className="text-xl font-semibold mr-auto">{t('dashboard.titulo')}</h2>
+        <label htmlFor="dashboard-refresco" className="text-sm">{t('dashboard.actualizarCada')}</label>
+        <select
+          id="dashboard-refresco"
+          value={refresh}
+          onChange={e => setSearchParams(Number(e.target.value) === DEFAULT_REFRESH ? {} : { refresco: e.target.value })}
+          className="border rounded p-1"
+        >
+          {REFRESH_OPTIONS.map(s => (
+            <option key={s} value={s}>
+              {s === 0 ? t('dashboard.nunca') : s < 60 ? t('dashboard.segundos', { s }) : t('dashboard.minutos', { m: s / 60 })}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={loadAll}
+          disabled={loading}
+          className="bg-blue-500 text-white px-3 py-1 rounded disabled:opacity-50"
+        >
+          {t('dashboard.actualizar')}
+        </button>
+        <EstadoCarga isLoading={queries.some(q => q.isLoading)} isFetching={loading} />
+      </div>
+      {updatedAt && (
+        <p className="mb-4 text-sm text-gray-500">{t('dashboard.ultimaActualizacion', { hora: formato.time(updatedAt) })}</p>
+      )}
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-6">
+        <div className="p-3 bg-gray-100 rounded">
+          <div className="text-sm text-gray-600">{t('dashboard.unidadesAnio')}</div>
+          <div className="text-2xl font-semibold">{yearCount === null ? '—' : formato.number(yearCount)}</div>
+        </div>
+        <div className="p-3 bg-gray-100 rounded">
+          <div className="text-sm text-gray-600">{t('dashboard.unidadesSemana')}</div>
+          <div className="text-2xl font-semibold">{formato.number(unidadesSemana)}</div>
+        </div>
+        <div className="p-3 bg-gray-100 rounded">
+          <div className="text-sm text-gray-600">{t('dashboard.ingresosHoy', { count: hoy.ventas })}</div>
+          <div className="text-2xl font-semibold">{formato.money(hoy.total)}</div>
+          <div className="text-xs text-gray-500">{t('dashboard.ticket', { monto: formato.money(hoy.ticket) })}</div>
+        </div>
+        <div className="p-3 bg-gray-100 rounded">
+          <div className="text-sm text-gray-600">{t('dashboard.ingresosSemana')}</div>
+          <div className="text-2xl font-semibold">{formato.money(ingresosSemana)}</div>
+          <div className="text-xs text-gray-500">{t('dashboard.ingresosSemanaAyuda')}</div>
+        </div>
+      </div>
+
+      <h3 className="text-lg font-medium mb-2">{t('dashboard.masVendidos')}</h3>
+      <GraficoBarras data={topSemana} format={v => t('ventas.lineaUnidades', { cantidad: formato.number(v) })} />
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React, { useMemo } from 'react';
+// Importamos React y el hook useMemo
+import Modal from './modal';
+import Campo, { INVALID_CLASS } from './campo';
+import useForm from '../hooks/useForm';
+import useI18n from '../hooks/useI18n';
+import { isAbortError, errorMessage } from '../api/client';
+// Diálogo modal, campo con mensaje de error, formularios validados, textos traducidos y manejo de errores de la API
+
+// Componente "DialogoValor":
+// Diálogo modal para editar un único valor numérico (p. ej. precio o stock de un producto),
+// validado con las reglas del esquema correspondiente. Mientras se guarda el botón queda
+// deshabilitado; si el servidor rechaza el valor, el error se muestra bajo el campo.
+//
+// Props:
+// - title / label: título del diálogo y etiqueta del campo
+// - rules: reglas de validación del campo (ver utils/validacion)
+// - initialValue: valor inicial
+// - inputProps: props extra del input (step, min, …)
+// - onSubmit: valor => Promise; si lanza un ApiError con errores por campo se muestran en el campo
+// - onClose: cierra el diálogo
+export default function DialogoValor({ title, label, rules, initialValue = '', inputProps, onSubmit, onClose }) {
+  const schema = useMemo(() => ({ valor: rules }), [rules]);
+  const form = useForm(schema, { valor: String(initialValue) });
+  const { t } = useI18n();
+
+  const handleSubmit = form.handleSubmit(async ({ valor }) => {
+    try {
+      await onSubmit(valor);
+      onClose();
+    } catch (err) {
+      if (isAbortError(err)) return;
+      // Cualquier error del servidor se muestra sobre el único campo del diálogo.
+      const message = Object.values(err.fieldErrors || {})[0] || errorMessage(err, t('comun.errorGuardar'), t);
+      form.setServerErrors({ fieldErrors: { valor: message } });
+    }
+  });
+
+  return (
+    <Modal title={title} onClose={onClose}>
+      <form onSubmit={handleSubmit} noValidate>
+        <label className="block mb-4">
+          <span className="block mb-1">{label}</span>
+          <Campo error={form.errorFor('valor')}>
+            <input
+              type="number"
+              {...inputProps}
+              {...form.field('valor')}
+              className={`w-full border rounded p-2 ${INVALID_CLASS}`}
+            />
+          </Campo>
+        </label>
+        <div className="flex justify-end space-x-2">
+          <button type="button" onClick={onClose} className="px-3 py-2 bg-gray-200 rounded hover:bg-gray-300">
+            {t('comun.cancelar')}
+          </button>
+          <button
+            disabled={!form.canSubmit}
+            className="px-3 py-2 bg-green-500 text-white rounded hover:bg-green-600 disabled:opacity-50"
+          >
+            {form.submitting ? t('comun.guardando') : t('comun.guardar')}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
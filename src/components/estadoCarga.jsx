@@ -0,0 +1,23 @@
+import React from 'react';
+// Importamos React para definir el componente
+import useI18n from '../hooks/useI18n';
+// Textos traducidos
+
+// Componente "EstadoCarga":
+// Indicador de carga de una consulta. Muestra "Cargando…" mientras se piden datos
+// por primera vez y "Actualizando…" mientras se refrescan en segundo plano
+// datos que ya están en pantalla. No muestra nada cuando no hay peticiones en curso.
+//
+// Props:
+// - isLoading / isFetching: estado de la consulta (ver useQuery)
+// - className: clases adicionales
+export default function EstadoCarga({ isLoading, isFetching, className = '' }) {
+  const { t } = useI18n();
+  if (!isLoading && !isFetching) return null;
+  return (
+    <span role="status" className={`inline-flex items-center gap-1 text-sm text-gray-500 ${className}`}>
+      <span className="inline-block w-3 h-3 border-2 border-gray-300 border-t-gray-600 rounded-full animate-spin" aria-hidden="true" />
+      {t(isLoading ? 'comun.cargando' : 'comun.actualizando')}
+    </span>
+  );
+}
@@ -0,0 +1,32 @@
+import React from 'react';
+// Importamos React
+import { exportCsv, exportXlsx } from '../utils/export';
+import useI18n from '../hooks/useI18n';
+// Utilidades de exportación a CSV y XLSX y textos traducidos
+
+// Componente "Exportar":
+// Botones para descargar las filas visibles de una tabla como CSV o XLSX.
+// - filename: nombre base del archivo (se le agrega la fecha de hoy)
+// - rows: filas a exportar (ya filtradas por la sección)
+// - columns: definición de columnas [{ header, value: fila => valor, type }]
+export default function Exportar({ filename, rows, columns, sheetName }) {
+  const { t } = useI18n();
+  const disabled = rows.length === 0;
+  return (
+    <div className="inline-flex items-center space-x-1">
+      <span className="text-sm text-gray-600">{t('exportar.titulo')}</span>
+      <button
+        type="button"
+        onClick={() => exportCsv(filename, rows, columns)}
+        disabled={disabled}
+        className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50"
+      >CSV</button>
+      <button
+        type="button"
+        onClick={() => exportXlsx(filename, rows, columns, sheetName)}
+        disabled={disabled}
+        className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50"
+      >XLSX</button>
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import React from 'react';
+// Importamos React
+import useI18n from '../hooks/useI18n';
+// Textos traducidos
+
+// Componente "GraficoBarras":
+// Gráfico de barras horizontales simple construido con Tailwind, sin librerías externas.
+// Recibe "data" como [{ label, value }] y dibuja cada barra proporcional al valor máximo.
+// "format" permite personalizar cómo se muestra el valor (por defecto, el número tal cual).
+export default function GraficoBarras({ data, format = v => v, color = 'bg-indigo-500' }) {
+  const { t } = useI18n();
+  const max = Math.max(0, ...data.map(d => d.value));
+
+  if (data.length === 0) {
+    return <p className="text-gray-500">{t('grafico.sinDatos')}</p>;
+  }
+
+  return (
+    <ul className="space-y-2">
+      {data.map(d => (
+        <li key={d.label} className="grid grid-cols-4 items-center gap-2">
+          <span className="truncate text-sm" title={d.label}>{d.label}</span>
+          <div className="col-span-3 flex items-center gap-2">
+            <div
+              className={`${color} h-5 rounded`}
+              style={{ width: `${max ? (d.value / max) * 100 : 0}%`, minWidth: d.value ? '0.25rem' : 0 }}
+              role="presentation"
+            />
+            <span className="text-sm whitespace-nowrap">{format(d.value)}</span>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,60 @@
+import React from 'react';
+// Importamos React para definir el componente
+import Modal from './modal';
+import useI18n from '../hooks/useI18n';
+// Diálogo modal y textos traducidos con formato de montos y fechas
+
+// Componente "HistorialPrecios":
+// Línea de tiempo con los cambios de precio de un producto, del más reciente al más antiguo:
+// fecha, precio anterior y nuevo, variación en pesos y en porcentaje, quién lo cambió y cómo.
+// El historial se registra en este navegador (ver useHistorialPrecios); el origen de cada cambio
+// se guarda como mensaje y se traduce al mostrarlo (los registros antiguos en texto se muestran tal cual).
+//
+// Props:
+// - producto: producto consultado
+// - cambios: cambios de precio del producto (CambioPrecio[], del más antiguo al más reciente)
+// - onClose: cierra el diálogo
+export default function HistorialPrecios({ producto, cambios = [], onClose }) {
+  const { t, formato } = useI18n();
+  const ordenados = [...cambios].reverse();
+
+  // Renderizado de la UI:
+  // - Precio actual.
+  // - Línea de tiempo de cambios (o aviso si no hay).
+  return (
+    <Modal title={t('historial.titulo', { nombre: producto.nombre })} onClose={onClose}>
+      <p className="mb-4 text-sm text-gray-600">{t('historial.precioActual')} <strong>{formato.money(producto.precio)}</strong></p>
+      {ordenados.length === 0 ? (
+        <p className="text-gray-500">{t('historial.sinCambios')}</p>
+      ) : (
+        <ol className="relative max-h-96 overflow-y-auto border-l border-gray-300 ml-2">
+          {ordenados.map(c => {
+            const diferencia = c.nuevo - c.anterior;
+            const porcentaje = c.anterior ? (diferencia / c.anterior) * 100 : 0;
+            return (
+              <li key={`${c.fecha}-${c.nuevo}`} className="mb-4 ml-4">
+                <span
+                  className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full ${diferencia > 0 ? 'bg-red-500' : 'bg-green-500'}`}
+                  aria-hidden="true"
+                />
+                <time className="block text-xs text-gray-500">{formato.dateTime(c.fecha)}</time>
+                <div>
+                  {formato.money(c.anterior)} → <strong>{formato.money(c.nuevo)}</strong>
+                  <span className={`ml-2 text-sm ${diferencia > 0 ? 'text-red-600' : 'text-green-700'}`}>
+                    {diferencia > 0 ? '+' : ''}{formato.money(diferencia)} ({diferencia > 0 ? '+' : ''}{porcentaje.toFixed(1)} %)
+                  </span>
+                </div>
+                <div className="text-xs text-gray-500">{c.origen && t(c.origen)}{c.usuario && ` · ${c.usuario}`}</div>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+      <div className="flex justify-end mt-4">
+        <button type="button" onClick={onClose} className="px-3 py-2 bg-gray-200 rounded hover:bg-gray-300">
+          {t('comun.cerrar')}
+        </button>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,211 @@
+import React, { useState, useMemo } from 'react';
+// Importamos React y los hooks useState y useMemo
+import { parseCsvObjects, normalizeKey } from '../utils/csv';
+import { isAbortError, errorMessage } from '../api/client';
+import useAbortSignal from '../hooks/useAbortSignal';
+import useI18n from '../hooks/useI18n';
+// Lector de CSV, manejo de errores de la API, hook de cancelación y textos traducidos
+
+// Normaliza un nombre para detectar duplicados (sin tildes, mayúsculas ni espacios extra).
+const normalizeName = name => normalizeKey(String(name)).replace(/\s+/g, ' ');
+
+// Componente "Importar":
+// Flujo de importación masiva desde CSV: se elige el archivo, se muestra una vista previa
+// con los errores de validación por fila y los duplicados (contra los registros existentes
+// y dentro del mismo archivo), y luego se envían las filas válidas una a una mostrando
+// el avance y un informe final de éxitos y fallos.
+//
+// Props:
+// - title: título del panel
+// - fields: [{ key, label, aliases, parse: texto => valor, validate: valor => mensaje|null }]
+//   (label y los mensajes de validate son claves del catálogo de mensajes)
+// - existingNames: nombres ya registrados, para marcar duplicados
+// - toPayload: fila validada => cuerpo del POST
+// - create: (payload, options) => Promise, normalmente la función de la API
+// - onDone: se llama al terminar la importación (p. ej. para recargar la lista)
+// - onClose: cierra el panel
+export default function Importar({ title, fields, existingNames, toPayload, create, onDone, onClose }) {
+  // Estado local del componente:
+  // - fileName: nombre del archivo elegido
+  // - rows: filas leídas del CSV ({ values, errors, duplicate })
+  // - missing: columnas obligatorias que no vienen en el archivo
+  // - fileError: error al leer el archivo, o ''
+  // - skipDuplicates: si se omiten las filas duplicadas al importar
+  // - progress: avance del envío ({ done, total }) o null
+  // - report: resultado final ({ ok, failed: [{ line, nombre, message }] }) o null
+  const [fileName, setFileName]   = useState('');
+  const [rows, setRows]           = useState([]);
+  const [missing, setMissing]     = useState([]);
+  const [fileError, setFileError] = useState('');
+  const [skipDuplicates, setSkip] = useState(true);
+  const [progress, setProgress]   = useState(null);
+  const [report, setReport]       = useState(null);
+  const signalFor                 = useAbortSignal();
+  const { t }                     = useI18n();
+
+  // Lee el archivo, mapea las columnas (aceptando alias) y valida cada fila.
+  // Si no se puede leer (archivo ilegible o CSV mal formado) se informa y no se muestra vista previa.
+  const handleFile = async e => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setFileName(file.name);
+    setReport(null);
+    setFileError('');
+    let parsed;
+    try {
+      parsed = parseCsvObjects(await file.text());
+    } catch {
+      setFileError(t('importar.errorArchivo', { archivo: file.name }));
+      setMissing([]);
+      setRows([]);
+      return;
+    }
+    const { columns, rows: raw } = parsed;
+
+    const columnFor = f => [f.key, ...(f.aliases || [])].map(normalizeKey).find(k => columns.includes(k));
+    setMissing(fields.filter(f => !columnFor(f)).map(f => t(f.label)));
+
+    const existing = new Set(existingNames.map(normalizeName));
+    const seen = new Set();
+    setRows(raw.map((r, i) => {
+      const values = {};
+      const errors = {};
+      fields.forEach(f => {
+        const text = r[columnFor(f)] ?? '';
+        const value = f.parse ? f.parse(text) : text;
+        const err = f.validate?.(value, text);
+        values[f.key] = value;
+        if (err) errors[f.key] = err;
+      });
+      const key = normalizeName(values.nombre ?? '');
+      const duplicate = existing.has(key) ? 'importar.yaExiste' : seen.has(key) ? 'importar.repetido' : null;
+      seen.add(key);
+      return { line: i + 2, values, errors, duplicate };
+    }));
+  };
+
+  // Filas que se enviarán: sin errores y, si corresponde, sin duplicados.
+  const importable = useMemo(
+    () => rows.filter(r => Object.keys(r.errors).length === 0 && !(skipDuplicates && r.duplicate)),
+    [rows, skipDuplicates]
+  );
+
+  // Envía las filas válidas de a una (para informar el resultado de cada una).
+  const handleImport = async () => {
+    const signal = signalFor('import');
+    const failed = [];
+    let ok = 0;
+    setProgress({ done: 0, total: importable.length });
+    for (let i = 0; i < importable.length; i++) {
+      const r = importable[i];
+      try {
+        await create(toPayload(r.values), { signal });
+        ok++;
+      } catch (err) {
+        if (isAbortError(err)) return;
+        failed.push({ line: r.line, nombre: r.values.nombre, message: errorMessage(err, t('importar.errorGuardar'), t) });
+      }
+      setProgress({ done: i + 1, total: importable.length });
+    }
+    setProgress(null);
+    setReport({ ok, failed });
+    setRows([]);
+    onDone?.();
+  };
+
+  // Renderizado de la UI:
+  // - Selector de archivo y formato esperado.
+  // - Vista previa con errores por fila.
+  // - Barra de progreso e informe final.
+  return (
+    <div className="mb-6 p-4 border rounded bg-gray-50">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-medium">{title}</h3>
+        <button type="button" onClick={onClose} className="px-2 text-gray-600 hover:text-black" aria-label={t('comun.cerrar')}>✕</button>
+      </div>
+      <p className="mb-2 text-sm text-gray-600">
+        {t('importar.columnas', { columnas: fields.map(f => f.key).join(', ') })}
+      </p>
+      <input type="file" accept=".csv,text/csv" aria-label={title} onChange={handleFile} disabled={!!progress} className="mb-4" />
+
+      {fileError && <div role="alert" className="mb-4 text-red-600">{fileError}</div>}
+
+      {missing.length > 0 && (
+        <div className="mb-4 text-red-600">{t('importar.faltan', { archivo: fileName, columnas: missing.join(', ') })}</div>
+      )}
+
+      {rows.length > 0 && (
+        <>
+          <div className="max-h-64 overflow-y-auto mb-4">
+            <table className="w-full table-auto text-sm">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="p-2">{t('importar.linea')}</th>
+                  {fields.map(f => <th key={f.key} className="p-2">{t(f.label)}</th>)}
+                  <th className="p-2">{t('importar.estado')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(r => {
+                  const invalid = Object.keys(r.errors).length > 0;
+                  return (
+                    <tr key={r.line} className={`border-t ${invalid ? 'bg-red-50' : r.duplicate ? 'bg-yellow-50' : ''}`}>
+                      <td className="p-2">{r.line}</td>
+                      {fields.map(f => (
+                        <td key={f.key} className="p-2">
+                          {String(r.values[f.key] ?? '')}
+                          {r.errors[f.key] && <div className="text-red-600">{t(r.errors[f.key])}</div>}
+                        </td>
+                      ))}
+                      <td className="p-2">{t(invalid ? 'importar.conErrores' : r.duplicate || 'importar.ok')}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <label className="flex items-center space-x-2 mb-4">
+            <input type="checkbox" checked={skipDuplicates} onChange={e => setSkip(e.target.checked)} />
+            <span>{t('importar.omitirDuplicados')}</span>
+          </label>
+          <button
+            type="button"
+            onClick={handleImport}
+            disabled={importable.length === 0 || !!progress || missing.length > 0}
+            className="bg-green-500 text-white px-3 py-2 rounded hover:bg-green-600 disabled:opacity-50"
+          >
+            {t('importar.importar', { count: importable.length, total: rows.length })}
+          </button>
+        </>
+      )}
+
+      {progress && (
+        <div className="mt-4">
+          <div className="h-2 bg-gray-200 rounded">
+            <div
+              className="h-2 bg-green-500 rounded"
+              style={{ width: `${(progress.done / progress.total) * 100}%` }}
+            />
+          </div>
+          <p className="text-sm text-gray-600">{t('importar.importando', { done: progress.done, total: progress.total })}</p>
+        </div>
+      )}
+
+      {report && (
+        <div className="mt-4">
+          <p className="text-green-700">{t('importar.importados', { count: report.ok })}</p>
+          {report.failed.length > 0 && (
+            <>
+              <p className="text-red-600">{t('importar.fallaron', { count: report.failed.length })}</p>
+              <ul className="list-disc list-inside text-sm text-red-600">
+                {report.failed.map(f => (
+                  <li key={f.line}>{t('importar.fallo', { linea: f.line, nombre: f.nombre, mensaje: f.message })}</li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+// Importamos React y el hook useState
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+// Hooks de react-router para volver a la página solicitada tras iniciar sesión
+import useAuth from '../hooks/useAuth';
+import useI18n from '../hooks/useI18n';
+import { errorMessage } from '../api/client';
+// Sesión del usuario, textos traducidos y mensajes de error de la API
+
+// Componente "Login":
+// Pantalla de inicio de sesión. Tras autenticarse vuelve a la ruta que el usuario
+// intentaba abrir (guardada por RequireAuth en el estado de la navegación).
+export default function Login() {
+  const { user, login, expired } = useAuth();
+  const { t } = useI18n();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const from = location.state?.from || '/';
+
+  // Estado local del componente:
+  // - form: usuario y contraseña
+  // - loading: true mientras se valida el login
+  // - error: mensaje de error para mostrar al usuario
+  const [form, setForm]       = useState({ usuario: '', password: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError]     = useState('');
+
+  if (user) return <Navigate to={from} replace />;
+
+  // Función que maneja el envío del formulario de login.
+  const handleSubmit = async e => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      setError('');
+      await login(form.usuario, form.password);
+      navigate(from, { replace: true });
+    } catch (err) {
+      setError(err.status === 401
+        ? t('login.incorrecto')
+        : errorMessage(err, t('login.error'), t));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="max-w-sm mx-auto mt-16 p-6 bg-white rounded shadow">
+      <h1 className="text-xl font-semibold mb-4">Vitoko’s Coffee</h1>
+      {expired && !error && (
+        <div className="mb-4 text-yellow-700">{t('login.expirada')}</div>
+      )}
+      {error && <div className="mb-4 text-red-600">{error}</div>}
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <input
+          placeholder={t('login.usuario')}
+          autoComplete="username"
+          value={form.usuario}
+          onChange={e => setForm({ ...form, usuario: e.target.value })}
+          className="w-full border rounded p-2"
+          required
+        />
+        <input
+          type="password"
+          placeholder={t('login.password')}
+          autoComplete="current-password"
+          value={form.password}
+          onChange={e => setForm({ ...form, password: e.target.value })}
+          className="w-full border rounded p-2"
+          required
+        />
+        <button
+          disabled={loading}
+          className="w-full bg-blue-500 text-white py-2 rounded hover:bg-blue-600 disabled:opacity-50"
+        >
+          {loading ? t('login.ingresando') : t('login.ingresar')}
+        </button>
+      </form>
+    </div>
+  );
+}
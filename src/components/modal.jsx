@@ -0,0 +1,81 @@
+import React, { useEffect, useRef, useId } from 'react';
+// Importamos React y los hooks para efectos, referencias e IDs accesibles
+import useI18n from '../hooks/useI18n';
+// Textos traducidos
+
+// Selector de elementos que pueden recibir el foco dentro del diálogo.
+const FOCUSABLE = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// Componente "Modal":
+// Diálogo modal accesible: role="dialog" con aria-modal y título asociado,
+// foco inicial en el primer control del contenido (o el marcado con autoFocus), Tab/Shift+Tab circulan dentro del diálogo,
+// Escape o clic fuera lo cierran y al cerrar el foco vuelve al elemento que lo abrió.
+//
+// Props:
+// - title: título del diálogo
+// - onClose: se llama al cerrar (Escape, clic fuera o botón ✕)
+// - children: contenido
+export default function Modal({ title, onClose, children }) {
+  const titleId = useId();
+  const dialogRef = useRef(null);
+  const bodyRef = useRef(null);
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+  const { t } = useI18n();
+
+  useEffect(() => {
+    const previous = document.activeElement;
+    const dialog = dialogRef.current;
+    // React ya enfoca los controles con autoFocus; si no hay ninguno, se enfoca el primero del contenido.
+    if (!dialog.contains(document.activeElement)) {
+      (bodyRef.current.querySelector(FOCUSABLE) || dialog).focus();
+    }
+
+    const onKeyDown = e => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        onCloseRef.current();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+      const items = [...dialog.querySelectorAll(FOCUSABLE)].filter(el => !el.disabled);
+      if (items.length === 0) return;
+      const firstItem = items[0];
+      const lastItem = items[items.length - 1];
+      if (e.shiftKey && document.activeElement === firstItem) {
+        e.preventDefault();
+        lastItem.focus();
+      } else if (!e.shiftKey && document.activeElement === lastItem) {
+        e.preventDefault();
+        firstItem.focus();
+      }
+    };
+    dialog.addEventListener('keydown', onKeyDown);
+    return () => {
+      dialog.removeEventListener('keydown', onKeyDown);
+      previous?.focus?.();
+    };
+  }, []);
+
+  return (
+    <div
+      className="fixed inset-0 z-40 flex items-center justify-center bg-black/40"
+      onMouseDown={e => { if (e.target === e.currentTarget) onClose(); }}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+        className="w-full max-w-md mx-4 p-4 bg-white rounded shadow-lg outline-none"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 id={titleId} className="text-lg font-medium">{title}</h2>
+          <button type="button" onClick={onClose} className="px-2 text-gray-600 hover:text-black" aria-label={t('comun.cerrar')}>✕</button>
+        </div>
+        <div ref={bodyRef}>{children}</div>
+      </div>
+    </div>
+  );
+}
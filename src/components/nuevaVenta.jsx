@@ -0,0 +1,251 @@
+import React, { useState, useMemo } from 'react';
+// Importamos React y los hooks necesarios para estado y memorización
+import { isAbortError, errorMessage } from '../api/client';
+import useSaleCart from '../hooks/useSaleCart';
+import useRegistrarVenta from '../hooks/useRegistrarVenta';
+import useForm from '../hooks/useForm';
+import useToast from '../hooks/useToast';
+import { useClientes, useProductos } from '../hooks/useConsultas';
+import useI18n from '../hooks/useI18n';
+import usePromociones from '../hooks/usePromociones';
+import useInterval from '../hooks/useInterval';
+import { tipoKey } from '../utils/clientes';
+import { MEDIOS_PAGO } from '../utils/mediosPago';
+import { ventaSchema } from '../utils/validacion';
+import Campo, { INVALID_CLASS } from './campo';
+import Boleta from './boleta';
+// Errores de la API, hooks de líneas de la venta, de registro (con cola sin conexión),
+// de formularios validados, de notificaciones, de catálogos (caché de consultas), de textos traducidos,
+// de promociones y de intervalos, utilidades y boleta de la venta
+import EstadoCarga from './estadoCarga';
+// Indicador de carga de los catálogos
+
+// Lista vacía estable, usada mientras no hay datos.
+const EMPTY_LIST = [];
+
+// Componente "NuevaVenta":
+// Editor guiado para registrar una venta: se elige el cliente desde la lista y el medio de pago,
+// se buscan y agregan productos disponibles (el precio se toma del producto),
+// se ajustan cantidades con subtotales por línea y se muestra el total.
+// No permite registrar cantidades mayores al stock actual ni clientes inexistentes o inactivos.
+// Las promociones vigentes (por tipo de cliente, combos, cantidad y horario) se aplican al instante:
+// cada línea muestra sus descuentos y el precio enviado a la API es el precio ya descontado.
+// Los catálogos vienen de la caché compartida: registrar la venta invalida el stock de los productos,
+// que se recarga solo. Sin conexión trabaja con los últimos catálogos conocidos y deja la venta en la cola local,
+// que se envía sola al volver la conexión. Tras registrar la venta muestra su boleta.
+//
+// Props:
+// - onRegistered: se llama con la boleta de cada venta registrada (o dejada en la cola local)
+export default function NuevaVenta({ onRegistered }) {
+  // Catálogos de la caché compartida: clientes activos y productos disponibles.
+  const clientesQuery             = useClientes();
+  const productosQuery            = useProductos({ disponible: true });
+  const productos                 = productosQuery.data || EMPTY_LIST;
+  const clientes                  = useMemo(
+    () => (clientesQuery.data || EMPTY_LIST).filter(c => c.tipo === 1 || c.tipo === 2),
+    [clientesQuery.data]
+  );
+  const catalogError              = clientesQuery.error || productosQuery.error;
+
+  // Estado local del componente:
+  // - form: formulario validado con el cliente seleccionado (clienteId) y el medio de pago (medioPago)
+  // - search: texto para filtrar productos por nombre
+  // - boleta: boleta de la última venta registrada, mostrada en un diálogo (o null)
+  // - ahora: momento actual, refrescado cada minuto para las promociones por horario
+  // - promociones: reglas de descuento configuradas (persisten en el navegador)
+  const [search, setSearch]       = useState('');
+  const [boleta, setBoleta]       = useState(null);
+  const [ahora, setAhora]         = useState(() => new Date());
+  const [promociones]             = usePromociones();
+  const registrar                 = useRegistrarVenta();
+  const toast                     = useToast();
+  const { t, formato }            = useI18n();
+  const schema                    = useMemo(() => ventaSchema(clientes.map(c => c.id)), [clientes]);
+  const form                      = useForm(schema, { clienteId: '', medioPago: MEDIOS_PAGO[0] });
+  const cliente                   = clientes.find(c => String(c.id) === String(form.values.clienteId)) || null;
+  const cart                      = useSaleCart({ promociones, cliente, fecha: ahora });
+
+  useInterval(() => setAhora(new Date()), 60000);
+
+  // Productos que coinciden con la búsqueda (por nombre o ID).
+  const matches = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    if (!q) return productos;
+    return productos.filter(p =>
+      p.nombre.toLowerCase().includes(q) || String(p.productoID) === q
+    );
+  }, [productos, search]);
+
+  // Función para registrar la venta armada en el editor.
+  // Envía POST a /venta y, tras el éxito, limpia el carrito (el stock se recarga al invalidarse).
+  // Si no hay conexión (o el servidor no responde) la venta se deja en la cola local.
+  const handleSubmit = form.handleSubmit(async ({ clienteId, medioPago }) => {
+    if (!cart.isValid) return;
+    try {
+      const registrada = await registrar({ clienteId, medioPago, cliente, cart });
+      setBoleta(registrada);
+      cart.clear();
+      form.reset();
+      setSearch('');
+      onRegistered?.(registrada);
+    } catch (err) {
+      if (isAbortError(err)) return;
+      if (form.setServerErrors(err)) toast.error(t('comun.revisarCampos'));
+      else toast.error(errorMessage(err, t('nuevaVenta.error'), t));
+    }
+  });
+
+  // Renderizado de la UI:
+  // - Boleta de la última venta registrada (diálogo).
+  // - Selectores de cliente y de medio de pago.
+  // - Buscador y lista de productos disponibles para agregar.
+  // - Tabla de líneas con cantidad editable, descuentos aplicados, subtotal y total general.
+  return (
+    <>
+      {boleta && <Boleta boleta={boleta} onClose={() => setBoleta(null)} />}
+      <form onSubmit={handleSubmit} noValidate className="mb-8">
+        {catalogError && (
+          <div className="mb-4 text-red-600">{errorMessage(catalogError, t('ventas.errorCatalogos'), t)}</div>
+        )}
+        <EstadoCarga
+          isLoading={clientesQuery.isLoading || productosQuery.isLoading}
+          isFetching={clientesQuery.isFetching || productosQuery.isFetching}
+          className="mb-2"
+        />
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+          <Campo error={form.errorFor('clienteId')}>
+            <select {...form.field('clienteId')} className={`w-full border rounded p-2 ${INVALID_CLASS}`}>
+              <option value="">{t('nuevaVenta.seleccionaCliente')}</option>
+              {clientes.map(c => (
+                <option key={c.id} value={c.id}>
+                  {c.nombre} ({t(`clientes.tipo.${tipoKey(c.tipo)}`)})
+                </option>
+              ))}
+            </select>
+          </Campo>
+          <Campo error={form.errorFor('medioPago')}>
+            <select
+              {...form.field('medioPago')}
+              aria-label={t('mediosPago.titulo')}
+              className={`w-full border rounded p-2 ${INVALID_CLASS}`}
+            >
+              {MEDIOS_PAGO.map(m => <option key={m} value={m}>{t(`mediosPago.${m}`)}</option>)}
+            </select>
+          </Campo>
+          <input
+            type="search"
+            placeholder={t('nuevaVenta.buscarProducto')}
+            value={search}
+            onChange={e => setSearch(e.target.value)}
+            className="border rounded p-2 self-start sm:col-span-2"
+          />
+        </div>
+
+        <ul className="mb-4 max-h-40 overflow-y-auto border rounded divide-y">
+          {matches.map(p => (
+            <li key={p.productoID} className="flex items-center justify-between p-2">
+              <span>
+                {p.nombre} — {formato.money(p.precio)}
+                <span className="ml-2 text-sm text-gray-500">{t('nuevaVenta.stock', { stock: formato.number(p.stock) })}</span>
+              </span>
+              <button
+                type="button"
+                onClick={() => cart.addProduct(p)}
+                disabled={p.stock < 1}
+                className="px-2 py-1 bg-blue-500 text-white rounded disabled:opacity-50"
+              >{t('nuevaVenta.agregar')}</button>
+            </li>
+          ))}
+          {matches.length === 0 && (
+            <li className="p-2 text-gray-500">{t('nuevaVenta.sinCoincidencias')}</li>
+          )}
+        </ul>
+
+        {cart.lines.length > 0 && (
+          <table className="w-full table-auto mb-4">
+            <thead className="bg-gray-100">
+              <tr>
+                {['ventas.producto', 'nuevaVenta.precio', 'nuevaVenta.cantidad', 'nuevaVenta.subtotal'].map(h => (
+                  <th key={h} className="p-2">{t(h)}</th>
+                ))}
+                <th className="p-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {cart.lines.map(({ producto: p, cantidad }, i) => {
+                const linea = cart.detalle.lineas[i];
+                return (
+                  <tr key={p.productoID} className="border-t">
+                    <td className="p-2">
+                      {p.nombre}
+                      {linea.descuentos.map(d => (
+                        <div key={d.id} className="text-xs text-green-700">
+                          {t('nuevaVenta.descuento', { nombre: d.nombre || t('nuevaVenta.promocion'), monto: formato.money(d.monto) })}
+                        </div>
+                      ))}
+                    </td>
+                    <td className="p-2">
+                      {linea.precio !== linea.precioBase && (
+                        <span className="mr-1 text-sm text-gray-500 line-through">{formato.money(linea.precioBase)}</span>
+                      )}
+                      {formato.money(linea.precio)}
+                    </td>
+                    <td className="p-2">
+                      <input
+                        type="number"
+                        min="1"
+                        max={p.stock}
+                        value={cantidad}
+                        onChange={e => cart.setQuantity(p.productoID, e.target.value)}
+                        className={`border rounded p-1 w-20 ${cart.errors[p.productoID] ? 'border-red-500' : ''}`}
+                      />
+                      {cart.errors[p.productoID] && (
+                        <div className="text-sm text-red-600">{t(cart.errors[p.productoID])}</div>
+                      )}
+                    </td>
+                    <td className="p-2">{formato.money(linea.subtotal)}</td>
+                    <td className="p-2">
+                      <button
+                        type="button"
+                        onClick={() => cart.removeLine(p.productoID)}
+                        className="px-2 py-1 bg-red-500 text-white rounded"
+                      >🗑</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+            <tfoot>
+              {cart.descuento > 0 && (
+                <>
+                  <tr className="border-t">
+                    <td className="p-2" colSpan={3}>{t('nuevaVenta.subtotal')}</td>
+                    <td className="p-2" colSpan={2}>{formato.money(cart.subtotal)}</td>
+                  </tr>
+                  {cart.detalle.descuentos.map(d => (
+                    <tr key={d.id} className="text-green-700">
+                      <td className="p-2" colSpan={3}>{d.nombre || t('nuevaVenta.promocion')}</td>
+                      <td className="p-2" colSpan={2}>-{formato.money(d.monto)}</td>
+                    </tr>
+                  ))}
+                </>
+              )}
+              <tr className="border-t font-semibold">
+                <td className="p-2" colSpan={3}>{t('ventas.total')}</td>
+                <td className="p-2" colSpan={2}>{formato.money(cart.total)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        )}
+
+        <button
+          disabled={!form.canSubmit || !cart.isValid}
+          className="w-full bg-green-500 text-white py-2 rounded hover:bg-green-600 disabled:opacity-50"
+        >
+          {t(form.submitting ? 'nuevaVenta.registrando' : 'ventas.registrar')}
+        </button>
+      </form>
+    </>
+  );
+}
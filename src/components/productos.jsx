@@ -1,226 +1,658 @@
-import React, { useState, useEffect, useCallback } from 'react';
-// Importamos React y los hooks useState (para manejar estado local) 
-// useEffect (para ejecutar efectos al montar o actualizar el componente)
-// y useCallback (para optimizar funciones que dependen de estado)
+import React, { useState, useEffect, useRef } from 'react';
+// Importamos React y los hooks useState (estado local), useEffect (efectos) y useRef (referencias)
+import {
+  createProducto, updateProducto, deleteProducto, restoreProducto, incrementStock, imagenProducto, registrarImagen
+} from '../api/productos';
+import { isAbortError, errorMessage } from '../api/client';
+import { optimisticMutation } from '../api/cache';
+import useAuth from '../hooks/useAuth';
+import useForm from '../hooks/useForm';
+import { useProductos, useVendidosSemana, useVendidosAnio } from '../hooks/useConsultas';
+import useI18n from '../hooks/useI18n';
+import useArchivo from '../hooks/useArchivo';
+// Funciones del cliente de API compartido e imágenes de los productos, mutaciones optimistas, permisos del usuario,
+// formularios validados, consultas de productos y estadísticas de la caché de consultas, textos traducidos
+// y registro local de bajas
+import { idTemporal, marcar, desmarcar, pendiente, actualizarFilas } from '../utils/optimista';
+// Marcas de filas con cambios pendientes de confirmar
+import { useSearchParams, useParams, useNavigate } from 'react-router-dom';
+// Hooks de react-router para reflejar la vista, la categoría y el modo en la URL (?vista=, ?categoria=, ?modo=)
+// y el producto en edición (/productos/:id/editar)
+import Exportar from './exportar';
+import Importar from './importar';
+import Reposicion from './reposicion';
+import Tabla from './tabla';
+import Campo, { INVALID_CLASS } from './campo';
+import DialogoValor from './dialogoValor';
+import EstadoCarga from './estadoCarga';
+import AjustePrecios from './ajustePrecios';
+import HistorialPrecios from './historialPrecios';
+import ProductosArchivados from './productosArchivados';
+import Catalogo from './catalogo';
+// Botones de exportación a CSV/XLSX, importación masiva desde CSV, panel de reposición, tabla reutilizable,
+// campos con mensaje de error, diálogo para editar precio o stock, indicador de carga,
+// ajuste masivo de precios, historial de precios de un producto, archivo de productos deshabilitados
+// y vista en tarjetas
+import useToast from '../hooks/useToast';
+import useConfirm from '../hooks/useConfirm';
+// Notificaciones y diálogos de confirmación
+import { productoSchema, incrementoStockSchema, validateField, toNumber } from '../utils/validacion';
+// Esquemas de validación de productos
+import useStockThresholds from '../hooks/useStockThresholds';
+import useHistorialPrecios from '../hooks/useHistorialPrecios';
+import { isLowStock, minStockFor, DEFAULT_MIN_STOCK } from '../utils/stock';
+// Mínimos de stock por producto y cambios de precio guardados localmente, y reglas de stock bajo
+import { CATEGORIAS, categoriaKey, categoriaLabel, enCategoria, leerImagen } from '../utils/productos';
+// Categorías del catálogo y lectura de imágenes
+
+// Columnas exportadas a CSV/XLSX.
+const EXPORT_COLUMNS = [
+  { header: 'ID',     value: p => p.productoID, type: 'integer' },
+  { header: 'Nombre', value: p => p.nombre },
+  { header: 'Precio', value: p => p.precio, type: 'decimal' },
+  { header: 'Stock',  value: p => p.stock, type: 'integer' },
+  { header: 'Categoría',   value: p => categoriaLabel(p.categoria) },
+  { header: 'Descripción', value: p => p.descripcion || '' },
+  { header: 'Código',      value: p => p.codigo || '' }
+];
+
+// Columnas aceptadas al importar productos desde CSV y sus validaciones
+// (las mismas reglas que el formulario; se valida el texto original del archivo).
+// Las etiquetas son claves del catálogo de mensajes.
+const IMPORT_FIELDS = [
+  {
+    key: 'nombre', label: 'comun.nombre', aliases: ['name'],
+    validate: v => validateField(productoSchema.name, v)
+  },
+  {
+    key: 'precio', label: 'productos.precio', aliases: ['price'], parse: toNumber,
+    validate: (v, text) => validateField(productoSchema.price, text)
+  },
+  {
+    key: 'stock', label: 'productos.stock', parse: toNumber,
+    validate: (v, text) => validateField(productoSchema.stock, text)
+  }
+];
+
+// Lista vacía estable, usada mientras no hay datos (evita recalcular la tabla en cada render).
+const EMPTY_LIST = [];
+
+// Valores del formulario vacío.
+// "disponible" es el indicador de producto activo (false = se guarda deshabilitado).
+const EMPTY_FORM = { id: '', name: '', price: '', stock: '', category: '', description: '', code: '', image: '', disponible: true };
+
+// Nombres de campo que el servidor puede usar en sus errores => campo del formulario.
+const SERVER_FIELDS = { nombre: 'name', precio: 'price', categoria: 'category', descripcion: 'description', codigo: 'code', imagen: 'image' };
+
+// Tiempo durante el cual se ofrece deshacer una deshabilitación (en milisegundos).
+const UNDO_MS = 6000;
 
 // Componente "Productos":
 // Permite listar, crear, editar, deshabilitar productos y ver estadísticas de ventas recientes y anuales.
 // Presenta una interfaz completa con filtros, estadísticas y formularios para gestión de productos.
 export default function Productos() {
-  // URL base de la API para productos.
-  // En desarrollo, CRA reenviará '/api/producto' a 'http://localhost:3000/api/producto'
-  const API = "http://localhost:3001/producto";
+  // Estado derivado de la URL, para poder compartirlo:
+  // - vista: 'disponibles' (por defecto) | 'semana' (vendidos esta semana) | 'anual' (total del año)
+  //   | 'archivo' (productos deshabilitados)
+  // - categoria: categoría a mostrar ('' = todas | 'cafe' | ... | 'sinCategoria'), desde ?categoria=
+  // - modo: 'tabla' (por defecto) | 'tarjetas' (catálogo en grilla), desde ?modo=
+  // - id: producto seleccionado para editar, desde /productos/:id/editar
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { id: selectedId } = useParams();
+  const navigate = useNavigate();
+  const vista = searchParams.get('vista') || 'disponibles';
+  const categoria = searchParams.get('categoria') || '';
+  const modo = searchParams.get('modo') || 'tabla';
 
   // Estado local del componente:
-  // - productos: lista de productos disponibles
-  // - recentSold: lista de productos vendidos en la última semana
-  // - yearCount: total vendido en el año actual
-  // - form: datos del formulario para crear/editar producto
-  // - error: mensaje de error para mostrar al usuario
-  const [productos, setProductos]   = useState([]);
-  const [recentSold, setRecentSold] = useState([]);
-  const [yearCount, setYearCount]   = useState(null);
-  const [form, setForm]             = useState({ id: '', name: '', price: '', stock: '' });
-  const [error, setError]           = useState('');
-
-  // Función para cargar productos disponibles desde el backend.
-  // Realiza fetch a la ruta '/api/producto?disponible=true' para obtener solo productos activos.
-  const loadAvailable = useCallback(async () => {
-    try {
-      setError('');
-      const res = await fetch(`${API}?disponible=true`);
-      if (!res.ok) throw new Error(`Status ${res.status}`);
-      const data = await res.json();
-      setProductos(data);
-    } catch (err) {
-      console.error(err);
-      setError('No se pudo cargar productos disponibles.');
-      setProductos([]);
-    }
-  }, [API]);
+  // - form: formulario validado para crear/editar producto (valores, errores y envío)
+  // - importing: muestra el panel de importación desde CSV
+  // - restocking: muestra el panel de reposición de stock
+  // - adjusting: muestra el panel de ajuste masivo de precios
+  // - editing: diálogo abierto para un producto ({ campo: 'precio' | 'stock' | 'historial', producto }) o null
+  // - visibleRows: filas que quedan tras la búsqueda de la tabla (las que se exportan)
+  // - thresholds: mínimos de stock por producto (persisten en el navegador)
+  // - historial: cambios de precio por producto (persisten en el navegador)
+  // - archivo: fecha y usuario de cada deshabilitación (persisten en el navegador)
+  const form                        = useForm(productoSchema, EMPTY_FORM, { serverFields: SERVER_FIELDS });
+  const [importing, setImporting]   = useState(false);
+  const [restocking, setRestocking] = useState(false);
+  const [adjusting, setAdjusting]   = useState(false);
+  const [editing, setEditing]       = useState(null);
+  const [visibleRows, setVisibleRows] = useState([]);
+  const [thresholds, setThreshold]  = useStockThresholds();
+  const [historial, registrarCambio] = useHistorialPrecios();
+  const [, archivar, desarchivar]   = useArchivo();
+  const { can }                     = useAuth();
+  const toast                       = useToast();
+  const confirm                     = useConfirm();
+  const { t, formato }              = useI18n();
 
-  // Función para cargar productos vendidos recientemente en la semana.
-  // Realiza fetch a la ruta '/api/producto/sold/estaSemana' para obtener estadísticas de ventas.
-  const loadRecentSold = useCallback(async () => {
-    try {
-      setError('');
-      const res = await fetch(`${API}/sold/estaSemana`);
-      if (!res.ok) throw new Error(`Status ${res.status}`);
-      const data = await res.json();
-      setRecentSold(data);
-    } catch (err) {
-      console.error(err);
-      setError('No se pudo cargar productos vendidos esta semana.');
-      setRecentSold([]);
-    }
-  }, [API]);
+  // Consultas de la caché compartida (se muestran al instante si ya se cargaron y se
+  // actualizan en segundo plano; las estadísticas solo se piden en su vista):
+  // - disponibles: lista de productos disponibles
+  // - semana: lista de productos vendidos en la última semana
+  // - anual: total vendido en el año actual
+  // - deshabilitados: lista de productos deshabilitados (archivo; también se pide al importar,
+  //   para marcar como duplicados los nombres de productos deshabilitados)
+  const disponibles = useProductos({ disponible: true });
+  const deshabilitados = useProductos({ disponible: false }, { enabled: vista === 'archivo' || importing });
+  const semana      = useVendidosSemana({ enabled: vista === 'semana' });
+  const anual       = useVendidosAnio({ enabled: vista === 'anual' });
+  const productos   = disponibles.data || EMPTY_LIST;
+  const enVista     = categoria ? productos.filter(p => enCategoria(p, categoria)) : productos;
+  const recentSold  = semana.data || EMPTY_LIST;
+  const yearCount   = anual.data ?? null;
 
-  // Función para obtener la cantidad de productos vendidos en el año actual.
-  // Realiza fetch a la ruta '/api/producto/vendidos/añoActual' para obtener estadísticas anuales.
-  const loadYearCount = useCallback(async () => {
-    try {
-      setError('');
-      const res = await fetch(`${API}/vendidos/añoActual`);
-      if (!res.ok) throw new Error(`Status ${res.status}`);
-      const { count } = await res.json();
-      setYearCount(count);
-    } catch (err) {
-      console.error(err);
-      setError('No se pudo cargar conteo de ventas anual.');
-      setYearCount(null);
+  // Cuando la URL indica un producto (/productos/:id/editar), lo cargamos en el formulario de edición.
+  // Al volver al listado (/productos) se limpia el formulario.
+  // Se carga una sola vez por producto, para no pisar lo que el usuario está escribiendo
+  // cuando la lista se actualiza en segundo plano.
+  const { reset } = form;
+  const loadedId = useRef(null);
+  useEffect(() => {
+    if (!selectedId) {
+      loadedId.current = null;
+      reset(EMPTY_FORM);
     }
-  }, [API]);
+  }, [selectedId, reset]);
 
-  // Hook que se ejecuta al montar el componente para cargar la lista de productos disponibles.
-  // Se ejecuta una vez al montar y cada vez que loadAvailable cambie.
   useEffect(() => {
-    loadAvailable();
-  }, [loadAvailable]);
-
-  // Función que maneja el envío del formulario.
-  // Decide si crea (POST) o actualiza (PUT) en base a la presencia de form.id.
-  // Envía name, price y stock al backend.
-  const handleSubmit = async e => {
-    e.preventDefault();
+    if (!selectedId || loadedId.current === selectedId) return;
+    const p = productos.find(p => String(p.productoID) === selectedId);
+    if (!p) return;
+    loadedId.current = selectedId;
+    reset({
+      id: p.productoID,
+      name: p.nombre,
+      price: String(p.precio),
+      stock: String(p.stock),
+      category: p.categoria || '',
+      description: p.descripcion || '',
+      code: p.codigo || '',
+      image: imagenProducto(p) || '',
+      disponible: true
+    });
+  }, [selectedId, productos, reset]);
+
+  // Cambia un parámetro de la URL conservando los demás; el valor por defecto se quita de la URL.
+  const setParam = (key, value, defecto) => {
+    const next = new URLSearchParams(searchParams);
+    if (value === defecto) next.delete(key);
+    else next.set(key, value);
+    setSearchParams(next);
+  };
+
+  // Cambia la vista reflejándola en la URL.
+  const setVista = value => setParam('vista', value, 'disponibles');
+
+  // Navega a la edición de un producto (o al listado si id es vacío) conservando la vista y los filtros.
+  const goTo = id => {
+    navigate({ pathname: id ? `/productos/${id}/editar` : '/productos', search: searchParams.toString() });
+  };
+
+  // Función para cargar la imagen elegida en el formulario (se previsualiza y se envía como data URL).
+  const handleImagen = async e => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
     try {
-      setError('');
-      const method = form.id ? 'PUT' : 'POST';
-      const url = form.id ? `${API}/${form.id}` : API;
-      const payload = {
-        name: form.name,
-        price: parseFloat(form.price),
-        stock: parseInt(form.stock, 10)
-      };
-      const res = await fetch(url, {
-        method,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-      if (!res.ok) throw new Error(`Status ${res.status}`);
-      setForm({ id: '', name: '', price: '', stock: '' });
-      await loadAvailable();
-    } catch (err) {
-      console.error(err);
-      setError('Error al guardar el producto.');
+      form.setValue('image', await leerImagen(file));
+    } catch {
+      toast.error(t('productos.errorImagen'));
     }
   };
 
-  // Función para deshabilitar (eliminar) un producto en el servidor.
-  // Llama a DELETE /api/producto/:id y recarga la lista.
-  const handleDelete = async id => {
+  // Función que maneja el envío del formulario (solo se llama si pasa la validación).
+  // Decide si crea (POST) o actualiza (PUT) en base a la presencia de values.id.
+  // El cambio se muestra en la tabla al instante, marcado como pendiente; si el servidor
+  // lo rechaza se revierte y los errores por campo se muestran junto al campo correspondiente.
+  const handleSubmit = form.handleSubmit(async values => {
+    const payload = {
+      name: values.name.trim(),
+      price: toNumber(values.price),
+      stock: toNumber(values.stock),
+      category: values.category,
+      description: values.description.trim(),
+      code: values.code.trim(),
+      image: values.image,
+      disponible: values.disponible
+    };
+    const fila = {
+      nombre: payload.name,
+      precio: payload.price,
+      stock: payload.stock,
+      categoria: payload.category,
+      descripcion: payload.description,
+      codigo: payload.code,
+      imagenId: registrarImagen(payload.image)
+    };
+    const id = values.id || idTemporal();
+    const esProducto = p => String(p.productoID) === String(id);
     try {
-      setError('');
-      const res = await fetch(`${API}/${id}`, { method: 'DELETE' });
-      if (!res.ok) throw new Error(`Status ${res.status}`);
-      await loadAvailable();
+      if (values.id) {
+        const original = productos.find(esProducto);
+        const anterior = original?.precio;
+        const mutation = () => updateProducto(values.id, payload).then(res => {
+          if (anterior !== undefined) registrarCambio(values.id, anterior, payload.price, 'precios.origen.edicion');
+          if (!payload.disponible) archivar('productos', values.id);
+          return res;
+        });
+        // Si cambia "Activo" el producto pasa de una lista a la otra (disponibles o archivo):
+        // sale de la que deja y entra, ya editado, en la que le corresponde.
+        const editado = p => marcar({ ...p, ...fila, disponible: payload.disponible }, 'editar');
+        await optimisticMutation('productos', mutation, {
+          update: (list, { disponible }) => {
+            if (disponible !== payload.disponible) return list.filter(p => !esProducto(p));
+            if (list.some(esProducto)) return actualizarFilas(list, esProducto, editado);
+            return [...list, editado(original || { productoID: values.id })];
+          },
+          commit: list => actualizarFilas(list, esProducto, desmarcar)
+        });
+      } else {
+        await optimisticMutation('productos', () => createProducto(payload), {
+          update: (list, { disponible }) => (
+            disponible === payload.disponible ? [...list, marcar({ productoID: id, ...fila }, 'crear')] : list
+          ),
+          // Con el ID asignado por el servidor la fila queda confirmada; si no lo informa
+          // sigue pendiente hasta que llegue la lista actualizada.
+          commit: (list, params, res) => {
+            const nuevoId = res?.productoID ?? res?.id;
+            return nuevoId ? actualizarFilas(list, esProducto, p => ({ ...desmarcar(p), productoID: nuevoId })) : list;
+          }
+        });
+      }
+      form.reset(EMPTY_FORM);
+      if (selectedId) goTo('');
+      toast.success(values.id ? t('productos.actualizado') : t('productos.registrado', { nombre: payload.name }));
     } catch (err) {
-      console.error(err);
-      setError('Error al deshabilitar el producto.');
+      if (isAbortError(err)) return;
+      if (form.setServerErrors(err)) toast.error(`${t('comun.revisarCampos')} ${t('comun.revertido')}`);
+      else toast.error(`${errorMessage(err, t('productos.errorGuardar'), t)} ${t('comun.revertido')}`);
     }
-  };
+  });
 
-  // Función para actualizar el precio de un producto.
-  // Solicita nuevo precio al usuario y actualiza mediante PUT /api/producto/:id.
-  const handleUpdatePrice = async id => {
-    const p = prompt('Nuevo precio:');
-    if (!p) return;
+  // Función para volver a habilitar un producto recién deshabilitado (acción "Deshacer" del toast).
+  const handleUndoDelete = async producto => {
+    const esProducto = p => p.productoID === producto.productoID;
     try {
-      setError('');
-      const res = await fetch(`${API}/${id}`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ price: parseFloat(p) })
+      await optimisticMutation('productos', () => restoreProducto(producto.productoID), {
+        update: (list, { disponible }) => (
+          disponible ? [...list.filter(p => !esProducto(p)), marcar(producto, 'editar')] : list.filter(p => !esProducto(p))
+        ),
+        commit: list => actualizarFilas(list, esProducto, desmarcar)
       });
-      if (!res.ok) throw new Error(`Status ${res.status}`);
-      await loadAvailable();
+      desarchivar('productos', producto.productoID);
+      toast.success(t('archivo.productoRestaurado', { nombre: producto.nombre }));
     } catch (err) {
-      console.error(err);
-      setError('Error al actualizar precio.');
+      if (isAbortError(err)) return;
+      toast.error(errorMessage(err, t('archivo.errorRestaurar'), t));
     }
   };
 
-  // Función para incrementar el stock de un producto.
-  // Solicita cantidad al usuario y actualiza mediante PUT /api/producto/:id/stock.
-  const handleIncStock = async id => {
-    const s = prompt('Incrementar stock en:');
-    if (!s) return;
+  // Función para deshabilitar (eliminar) un producto en el servidor, previa confirmación.
+  // Llama a DELETE /producto/:id marcando la fila como pendiente mientras responde, la quita
+  // de la lista al confirmarse y ofrece deshacer durante unos segundos; si el servidor lo
+  // rechaza la fila vuelve a su estado anterior. La baja queda anotada en el archivo.
+  const handleDelete = async producto => {
+    const ok = await confirm({
+      title: t('productos.deshabilitarTitulo'),
+      message: t('productos.deshabilitarMensaje', { nombre: producto.nombre }),
+      confirmLabel: t('productos.deshabilitar'),
+      danger: true
+    });
+    if (!ok) return;
+    const esProducto = p => p.productoID === producto.productoID;
     try {
-      setError('');
-      const res = await fetch(`${API}/${id}/stock`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ amount: parseInt(s, 10) })
+      await optimisticMutation('productos', () => deleteProducto(producto.productoID), {
+        update: list => actualizarFilas(list, esProducto, p => marcar(p, 'eliminar')),
+        commit: (list, { disponible }) => (
+          disponible ? list.filter(p => !esProducto(p)) : [...list.filter(p => !esProducto(p)), producto]
+        )
+      });
+      archivar('productos', producto.productoID);
+      toast.info(t('productos.deshabilitado', { nombre: producto.nombre }), {
+        duration: UNDO_MS,
+        action: { label: t('comun.deshacer'), onClick: () => handleUndoDelete(producto) }
       });
-      if (!res.ok) throw new Error(`Status ${res.status}`);
-      await loadAvailable();
     } catch (err) {
-      console.error(err);
-      setError('Error al incrementar stock.');
+      if (isAbortError(err)) return;
+      toast.error(`${errorMessage(err, t('productos.errorDeshabilitar'), t)} ${t('comun.revertido')}`);
     }
   };
 
+  // Aplica un cambio optimista a un producto desde los diálogos de precio y stock:
+  // el diálogo se cierra al instante y, si el servidor rechaza el cambio, se revierte
+  // y se informa con un toast.
+  const cambiarProducto = (producto, cambio, mutation, { ok, fallo }) => {
+    const esProducto = p => p.productoID === producto.productoID;
+    optimisticMutation('productos', mutation, {
+      update: list => actualizarFilas(list, esProducto, p => marcar({ ...p, ...cambio(p) }, 'editar')),
+      commit: list => actualizarFilas(list, esProducto, desmarcar)
+    })
+      .then(() => toast.success(ok))
+      .catch(err => {
+        if (!isAbortError(err)) toast.error(`${errorMessage(err, fallo, t)} ${t('comun.revertido')}`);
+      });
+  };
+
+  // Función para actualizar el precio de un producto (desde el diálogo de precio) mediante PUT /producto/:id.
+  // Si el servidor lo acepta, el cambio queda en el historial de precios.
+  const handleUpdatePrice = (producto, valor) => {
+    const precio = toNumber(valor);
+    const mutation = () => updateProducto(producto.productoID, { price: precio }).then(res => {
+      registrarCambio(producto.productoID, producto.precio, precio, 'precios.origen.cambio');
+      return res;
+    });
+    cambiarProducto(producto, () => ({ precio }), mutation, {
+      ok: t('productos.precioActualizado', { nombre: producto.nombre }),
+      fallo: t('productos.errorPrecio', { nombre: producto.nombre })
+    });
+  };
+
+  // Función para incrementar el stock de un producto (desde el diálogo de stock) mediante PUT /producto/:id/stock.
+  const handleIncStock = (producto, valor) => {
+    const amount = toNumber(valor);
+    cambiarProducto(producto, p => ({ stock: Number(p.stock) + amount }), () => incrementStock(producto.productoID, amount), {
+      ok: t('productos.stockIncrementado', { nombre: producto.nombre, cantidad: formato.number(amount) }),
+      fallo: t('productos.errorStock', { nombre: producto.nombre })
+    });
+  };
+
+  // Cantidad de unidades con separador de miles, p. ej. "1.250 unidades".
+  const unidades = n => t('comun.unidades', { count: Number(n), cantidad: formato.number(n) });
+
+  // Nombre de la categoría de un producto en el idioma elegido.
+  const nombreCategoria = p => t(`categoria.${categoriaKey(p.categoria)}`);
+
+  // Cantidad de productos bajo su stock mínimo.
+  const lowCount = productos.filter(p => isLowStock(p, thresholds)).length;
+
+  // Un cajero solo consulta: sin permisos de gestión se oculta la columna de acciones.
+  const canManage = ['productos:edit', 'productos:price', 'productos:stock', 'productos:delete'].some(can);
+
+  // Columnas de la tabla de productos.
+  // Las filas con cambios pendientes de confirmar muestran el estado y no admiten acciones.
+  const columns = [
+    { key: 'productoID', header: t('comun.id'), render: p => (pendiente(p) === 'crear' ? '—' : p.productoID) },
+    {
+      key: 'nombre', header: t('comun.nombre'), hideable: false,
+      render: p => (
+        <>
+          {p.nombre}
+          {pendiente(p) && <span className="ml-2 text-xs text-gray-500">{t(`pendiente.${pendiente(p)}`)}</span>}
+        </>
+      )
+    },
+    {
+      key: 'categoria', header: t('productos.categoria'),
+      sortValue: nombreCategoria, searchValue: nombreCategoria, render: nombreCategoria
+    },
+    { key: 'precio', header: t('productos.precio'), render: p => formato.money(p.precio) },
+    {
+      key: 'stock', header: t('productos.stock'),
+      render: p => (
+        <span className={isLowStock(p, thresholds) ? 'text-red-600 font-semibold' : ''}>{formato.number(p.stock)}</span>
+      )
+    },
+    {
+      key: 'minimo', header: t('productos.minimo'), searchValue: () => '',
+      sortValue: p => minStockFor(p.productoID, thresholds),
+      render: p => (
+        <input
+          type="number"
+          min="0"
+          value={thresholds[p.productoID] ?? ''}
+          placeholder={String(DEFAULT_MIN_STOCK)}
+          onChange={e => setThreshold(p.productoID, e.target.value)}
+          disabled={!can('productos:stock') || pendiente(p) === 'crear'}
+          className="border rounded p-1 w-16 disabled:bg-gray-100"
+          aria-label={t('productos.minimoAria', { nombre: p.nombre })}
+          title={t('productos.minimoActual', { minimo: minStockFor(p.productoID, thresholds) })}
+        />
+      )
+    },
+    {
+      key: 'acciones', header: t('comun.acciones'), sortable: false, hideable: false, className: 'space-x-1',
+      searchValue: () => '',
+      render: p => (
+        <>
+          {can('productos:edit') && (
+            <button
+              onClick={() => goTo(p.productoID)}
+              disabled={!!pendiente(p)}
+              className="px-2 py-1 bg-yellow-400 text-white rounded disabled:opacity-50"
+              aria-label={t('productos.editarAria', { nombre: p.nombre })}
+            >✎</button>
+          )}
+          {can('productos:price') && (
+            <button
+              onClick={() => setEditing({ campo: 'precio', producto: p })}
+              disabled={!!pendiente(p)}
+              className="px-2 py-1 bg-yellow-400 text-white rounded disabled:opacity-50"
+              aria-label={t('productos.cambiarPrecioAria', { nombre: p.nombre })}
+            >💲</button>
+          )}
+          {can('productos:price') && (
+            <button
+              onClick={() => setEditing({ campo: 'historial', producto: p })}
+              disabled={pendiente(p) === 'crear'}
+              className="px-2 py-1 bg-gray-200 rounded disabled:opacity-50"
+              aria-label={t('productos.historialAria', { nombre: p.nombre })}
+              title={t('productos.historial')}
+            >🕘</button>
+          )}
+          {can('productos:stock') && (
+            <button
+              onClick={() => setEditing({ campo: 'stock', producto: p })}
+              disabled={!!pendiente(p)}
+              className="px-2 py-1 bg-green-500 text-white rounded disabled:opacity-50"
+              aria-label={t('productos.incrementarAria', { nombre: p.nombre })}
+            >➕</button>
+          )}
+          {can('productos:delete') && (
+            <button
+              onClick={() => handleDelete(p)}
+              disabled={!!pendiente(p)}
+              className="px-2 py-1 bg-red-500 text-white rounded disabled:opacity-50"
+              aria-label={t('productos.deshabilitarAria', { nombre: p.nombre })}
+            >🗑</button>
+          )}
+        </>
+      )
+    }
+  ].filter(c => c.key !== 'acciones' || canManage);
+
   // Renderizado de la UI:
   // - Muestra mensaje de error si existe.
-  // - Botones para filtrar acciones (disponibles, vendidos esta semana, total anual).
-  // - Tabla de productos con datos y botones de acción.
+  // - Botones para filtrar acciones (disponibles, vendidos esta semana, total anual, archivo).
+  // - Filtro por categoría y cambio entre tabla y tarjetas.
+  // - Tabla (o tarjetas) de productos con datos y botones de acción, o el archivo de productos deshabilitados.
   // - Sección de ventas recientes y conteo anual.
   // - Formulario para registrar o editar productos.
   return (
     <div>
-      {error && <div className="mb-4 text-red-600">{error}</div>}
+      {disponibles.error && (
+        <div className="mb-4 text-red-600">{errorMessage(disponibles.error, t('productos.errorDisponibles'), t)}</div>
+      )}
+      {vista === 'semana' && semana.error && (
+        <div className="mb-4 text-red-600">{errorMessage(semana.error, t('productos.errorSemana'), t)}</div>
+      )}
+      {vista === 'anual' && anual.error && (
+        <div className="mb-4 text-red-600">{errorMessage(anual.error, t('productos.errorAnual'), t)}</div>
+      )}
+      {vista === 'archivo' && deshabilitados.error && (
+        <div className="mb-4 text-red-600">{errorMessage(deshabilitados.error, t('archivo.errorCarga'), t)}</div>
+      )}
 
       <div className="mb-4 space-x-2">
-        <button onClick={loadAvailable}  className="bg-blue-500 text-white px-3 py-1 rounded">
-          Disponibles
+        <button
+          onClick={() => { setVista('disponibles'); disponibles.refetch().catch(() => {}); }}
+          className={`bg-blue-500 text-white px-3 py-1 rounded ${vista === 'disponibles' ? 'ring-2 ring-blue-300' : ''}`}
+        >
+          {t('productos.vista.disponibles')}
+        </button>
+        <button
+          onClick={() => setVista('semana')}
+          className={`bg-indigo-500 text-white px-3 py-1 rounded ${vista === 'semana' ? 'ring-2 ring-indigo-300' : ''}`}
+        >
+          {t('productos.vista.semana')}
         </button>
-        <button onClick={loadRecentSold} className="bg-indigo-500 text-white px-3 py-1 rounded">
-          Vendidos esta semana
+        <button
+          onClick={() => setVista('anual')}
+          className={`bg-teal-500 text-white px-3 py-1 rounded ${vista === 'anual' ? 'ring-2 ring-teal-300' : ''}`}
+        >
+          {t('productos.vista.anual')}
         </button>
-        <button onClick={loadYearCount}  className="bg-teal-500 text-white px-3 py-1 rounded">
-          Total año actual
+        <button
+          onClick={() => setVista('archivo')}
+          className={`bg-gray-500 text-white px-3 py-1 rounded ${vista === 'archivo' ? 'ring-2 ring-gray-300' : ''}`}
+        >
+          {t('productos.vista.archivo')}
         </button>
+        <EstadoCarga
+          isLoading={disponibles.isLoading || semana.isLoading || anual.isLoading || deshabilitados.isLoading}
+          isFetching={disponibles.isFetching || semana.isFetching || anual.isFetching || deshabilitados.isFetching}
+        />
+        <span className="float-right space-x-2">
+          {can('productos:price') && (
+            <button onClick={() => setAdjusting(true)} className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300">
+              {t('productos.ajustarPrecios')}
+            </button>
+          )}
+          {can('productos:import') && (
+            <button onClick={() => setImporting(true)} className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300">
+              {t('comun.importarCsv')}
+            </button>
+          )}
+        </span>
       </div>
 
-      {/* Lista de productos disponibles */}
-      <table className="w-full table-auto mb-4">
-        <thead className="bg-gray-100">
-          <tr>
-            {['ID', 'Nombre', 'Precio', 'Stock', 'Acciones'].map(h => (
-              <th key={h} className="p-2">{h}</th>
+      {lowCount > 0 && !restocking && (
+        <div className="mb-4 p-2 bg-red-50 border border-red-200 rounded flex items-center justify-between">
+          <span className="text-red-700">{t('productos.stockBajo', { count: lowCount })}</span>
+          {can('productos:stock') && (
+            <button onClick={() => setRestocking(true)} className="px-2 py-1 bg-red-500 text-white rounded">
+              {t('productos.verReposicion')}
+            </button>
+          )}
+        </div>
+      )}
+
+      {restocking && can('productos:stock') && (
+        <Reposicion
+          productos={productos}
+          thresholds={thresholds}
+          onClose={() => setRestocking(false)}
+        />
+      )}
+
+      {adjusting && can('productos:price') && (
+        <AjustePrecios productos={productos.filter(p => !pendiente(p))} onClose={() => setAdjusting(false)} />
+      )}
+
+      {importing && can('productos:import') && (
+        <Importar
+          title={t('productos.importar')}
+          fields={IMPORT_FIELDS}
+          existingNames={[...productos, ...(deshabilitados.data || EMPTY_LIST)].map(p => p.nombre)}
+          toPayload={v => ({ name: v.nombre, price: v.precio, stock: v.stock })}
+          create={createProducto}
+          onClose={() => setImporting(false)}
+        />
+      )}
+
+      {editing?.campo === 'precio' && (
+        <DialogoValor
+          title={t('productos.precioDe', { nombre: editing.producto.nombre })}
+          label={t('productos.nuevoPrecio')}
+          rules={productoSchema.price}
+          initialValue={editing.producto.precio}
+          inputProps={{ step: '0.01', min: '0' }}
+          onSubmit={valor => handleUpdatePrice(editing.producto, valor)}
+          onClose={() => setEditing(null)}
+        />
+      )}
+      {editing?.campo === 'historial' && (
+        <HistorialPrecios
+          producto={editing.producto}
+          cambios={historial[editing.producto.productoID]}
+          onClose={() => setEditing(null)}
+        />
+      )}
+      {editing?.campo === 'stock' && (
+        <DialogoValor
+          title={t('productos.stockDe', { nombre: editing.producto.nombre })}
+          label={t('productos.incrementarEn', { stock: formato.number(editing.producto.stock) })}
+          rules={incrementoStockSchema.amount}
+          inputProps={{ step: '1', min: '1' }}
+          onSubmit={valor => handleIncStock(editing.producto, valor)}
+          onClose={() => setEditing(null)}
+        />
+      )}
+
+      {/* Filtro por categoría y modo de visualización */}
+      {vista !== 'archivo' && (
+        <div className="mb-4 flex items-center space-x-2">
+          <label htmlFor="filtro-categoria">{t('productos.filtroCategoria')}</label>
+          <select
+            id="filtro-categoria"
+            value={categoria}
+            onChange={e => setParam('categoria', e.target.value, '')}
+            className="border rounded p-1"
+          >
+            <option value="">{t('productos.todasCategorias')}</option>
+            {CATEGORIAS.map(c => <option key={c} value={c}>{t(`categoria.${c}`)}</option>)}
+            <option value="sinCategoria">{t('categoria.sinCategoria')}</option>
+          </select>
+          <span className="ml-auto inline-flex rounded border overflow-hidden" role="group" aria-label={t('productos.modo')}>
+            {['tabla', 'tarjetas'].map(m => (
+              <button
+                key={m}
+                onClick={() => setParam('modo', m, 'tabla')}
+                aria-pressed={modo === m}
+                className={`px-2 py-1 ${modo === m ? 'bg-blue-500 text-white' : 'bg-white hover:bg-gray-100'}`}
+              >{t(`productos.modo.${m}`)}</button>
             ))}
-          </tr>
-        </thead>
-        <tbody>
-          {productos.map(p => (
-            <tr key={p.productoID} className="border-t">
-              <td className="p-2">{p.productoID}</td>
-              <td className="p-2">{p.nombre}</td>
-              <td className="p-2">{p.precio}</td>
-              <td className="p-2">{p.stock}</td>
-              <td className="p-2 space-x-1">
-                <button onClick={() => handleUpdatePrice(p.productoID)} className="px-2 py-1 bg-yellow-400 text-white rounded">
-                  💲
-                </button>
-                <button onClick={() => handleIncStock(p.productoID)} className="px-2 py-1 bg-green-500 text-white rounded">
-                  ➕
-                </button>
-                <button onClick={() => handleDelete(p.productoID)} className="px-2 py-1 bg-red-500 text-white rounded">
-                  🗑
-                </button>
-              </td>
-            </tr>
-          ))}
-        </tbody>
-      </table>
+          </span>
+        </div>
+      )}
+
+      {/* Lista de productos disponibles (tabla o tarjetas), o archivo de deshabilitados */}
+      {vista === 'archivo' ? (
+        <ProductosArchivados productos={deshabilitados.data || EMPTY_LIST} />
+      ) : modo === 'tarjetas' ? (
+        <Catalogo
+          productos={enVista}
+          thresholds={thresholds}
+          onEdit={can('productos:edit') ? p => goTo(p.productoID) : undefined}
+        />
+      ) : (
+      <Tabla
+        rows={enVista}
+        columns={columns}
+        rowKey={p => p.productoID}
+        rowClassName={p => [
+          isLowStock(p, thresholds) ? 'bg-red-50' : '',
+          pendiente(p) ? 'opacity-60' : '',
+          pendiente(p) === 'eliminar' ? 'line-through' : ''
+        ].join(' ')}
+        initialSort={{ key: 'nombre', dir: 'asc' }}
+        onVisibleRowsChange={setVisibleRows}
+        toolbar={
+          <Exportar filename="productos-disponibles" sheetName="Productos" rows={visibleRows} columns={EXPORT_COLUMNS} />
+        }
+      />
+      )}
 
       {/* Ventas recientes esta semana */}
-      {recentSold.length > 0 && (
+      {vista === 'semana' && recentSold.length > 0 && (
         <>
-          <h3 className="text-lg font-semibold mb-2">Vendidos Esta Semana</h3>
+          <h3 className="text-lg font-semibold mb-2">{t('productos.vendidosSemana')}</h3>
           <ul className="mb-4 list-disc list-inside">
             {recentSold.map(item => (
               <li key={item.productId}>
-                {item.productName}: {item.quantitySold} unidades
+                {item.productName}: {unidades(item.quantitySold)}
               </li>
             ))}
           </ul>
@@ -228,46 +660,110 @@ export default function Productos() {
       )}
 
       {/* Conteo anual */}
-      {yearCount !== null && (
+      {vista === 'anual' && yearCount !== null && (
         <p className="mb-4">
-          <strong>Total vendidos este año:</strong> {yearCount} unidades
+          <strong>{t('productos.totalAnio')}</strong> {unidades(yearCount)}
         </p>
       )}
 
-      {/* Formulario crear/editar producto */}
-      <h3 className="text-lg font-medium mb-2">
-        {form.id ? 'Editar Producto' : 'Registrar Producto'}
-      </h3>
-      <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-4 gap-4">
-        <input type="hidden" value={form.id} />
-        <input
-          placeholder="Nombre"
-          value={form.name}
-          onChange={e => setForm({ ...form, name: e.target.value })}
-          className="border rounded p-2"
-          required
-        />
-        <input
-          placeholder="Precio"
-          type="number"
-          step="0.01"
-          value={form.price}
-          onChange={e => setForm({ ...form, price: e.target.value })}
-          className="border rounded p-2"
-          required
-        />
-        <input
-          placeholder="Stock"
-          type="number"
-          value={form.stock}
-          onChange={e => setForm({ ...form, stock: e.target.value })}
-          className="border rounded p-2"
-          required
-        />
-        <button className="bg-green-500 text-white py-2 rounded sm:col-span-4 hover:bg-green-600">
-          {form.id ? 'Actualizar Producto' : 'Registrar Producto'}
-        </button>
-      </form>
+      {/* Formulario crear/editar producto (solo gerente y admin) */}
+      {can('productos:edit') && (
+        <>
+          <h3 className="text-lg font-medium mb-2">
+            {t(form.values.id ? 'productos.editar' : 'productos.registrar')}
+          </h3>
+          <form onSubmit={handleSubmit} noValidate className="grid grid-cols-1 sm:grid-cols-4 gap-4">
+            <Campo error={form.errorFor('name')}>
+              <input
+                placeholder={t('comun.nombre')}
+                {...form.field('name')}
+                className={`w-full border rounded p-2 ${INVALID_CLASS}`}
+              />
+            </Campo>
+            <Campo error={form.errorFor('price')}>
+              <input
+                placeholder={t('productos.precio')}
+                type="number"
+                step="0.01"
+                {...form.field('price')}
+                className={`w-full border rounded p-2 ${INVALID_CLASS}`}
+              />
+            </Campo>
+            <Campo error={form.errorFor('stock')}>
+              <input
+                placeholder={t('productos.stock')}
+                type="number"
+                {...form.field('stock')}
+                className={`w-full border rounded p-2 ${INVALID_CLASS}`}
+              />
+            </Campo>
+            <Campo error={form.errorFor('category')}>
+              <select
+                {...form.field('category')}
+                aria-label={t('productos.categoria')}
+                className={`w-full border rounded p-2 ${INVALID_CLASS}`}
+              >
+                <option value="">{t('categoria.sinCategoria')}</option>
+                {CATEGORIAS.map(c => <option key={c} value={c}>{t(`categoria.${c}`)}</option>)}
+              </select>
+            </Campo>
+            <Campo error={form.errorFor('description')} className="sm:col-span-2">
+              <textarea
+                placeholder={t('productos.descripcion')}
+                rows={3}
+                {...form.field('description')}
+                className={`w-full border rounded p-2 ${INVALID_CLASS}`}
+              />
+            </Campo>
+            <Campo error={form.errorFor('code')}>
+              <input
+                placeholder={t('productos.codigo')}
+                {...form.field('code')}
+                className={`w-full border rounded p-2 ${INVALID_CLASS}`}
+              />
+            </Campo>
+            <Campo error={form.errorFor('image')}>
+              <div className="flex items-center space-x-2">
+                {form.values.image
+                  ? <img src={form.values.image} alt={t('productos.vistaPrevia')} className="h-16 w-16 object-cover rounded border" />
+                  : <div className="h-16 w-16 rounded border bg-gray-50" aria-hidden="true" />}
+                <div className="flex flex-col space-y-1 text-sm">
+                  <label className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300 cursor-pointer text-center">
+                    {t('productos.elegirImagen')}
+                    <input type="file" accept="image/*" onChange={handleImagen} className="sr-only" />
+                  </label>
+                  {form.values.image && (
+                    <button type="button" onClick={() => form.setValue('image', '')} className="text-red-600 hover:underline">
+                      {t('productos.quitarImagen')}
+                    </button>
+                  )}
+                </div>
+              </div>
+            </Campo>
+            <label className="flex items-center space-x-2 sm:col-span-4">
+              <input
+                type="checkbox"
+                checked={form.values.disponible}
+                onChange={e => form.setValue('disponible', e.target.checked)}
+              />
+              <span>{t('productos.activo')}</span>
+            </label>
+            <button
+              disabled={!form.canSubmit}
+              className={`bg-green-500 text-white py-2 rounded hover:bg-green-600 disabled:opacity-50 ${form.values.id ? 'sm:col-span-3' : 'sm:col-span-4'}`}
+            >
+              {form.submitting ? t('comun.guardando') : t(form.values.id ? 'productos.actualizar' : 'productos.registrar')}
+            </button>
+            {form.values.id && (
+              <button
+                type="button"
+                onClick={() => goTo('')}
+                className="bg-gray-200 py-2 rounded hover:bg-gray-300"
+              >{t('comun.cancelar')}</button>
+            )}
+          </form>
+        </>
+      )}
     </div>
   );
 }
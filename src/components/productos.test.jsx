@@ -0,0 +1,230 @@
+import { screen, fireEvent, within, waitFor } from '@testing-library/react';
+import renderApp from '../mocks/renderApp';
+import { installMockBackend, SEED } from '../mocks/backend';
+
+// Pruebas de integración de la sección Productos contra el backend de prueba en memoria.
+
+let backend;
+beforeEach(() => {
+  backend = installMockBackend();
+});
+
+// Fila de la tabla que contiene el texto indicado.
+const fila = texto => screen.getByRole('row', { name: new RegExp(texto) });
+
+// Abre el diálogo de una acción de la fila, escribe el valor, lo guarda y espera a que se cierre.
+const editarValor = async (accion, valor) => {
+  fireEvent.click(screen.getByLabelText(accion));
+  const dialogo = await screen.findByRole('dialog');
+  fireEvent.change(within(dialogo).getByRole('spinbutton'), { target: { value: valor } });
+  fireEvent.click(within(dialogo).getByText('Guardar'));
+  await waitFor(() => expect(screen.queryByRole('dialog')).not.toBeInTheDocument());
+};
+
+test('lista solo los productos disponibles con precio y stock', async () => {
+  renderApp('/productos');
+  expect(await screen.findByText('Café americano')).toBeInTheDocument();
+  expect(within(fila('Cappuccino')).getByText('$2.200')).toBeInTheDocument();
+  expect(screen.queryByText('Té chai')).not.toBeInTheDocument();
+  // Medialuna (stock 0) y Cappuccino (stock 3) están bajo el mínimo por defecto.
+  expect(screen.getByText('2 productos están bajo su stock mínimo.')).toBeInTheDocument();
+});
+
+test('registra un producto nuevo', async () => {
+  renderApp('/productos');
+  await screen.findByText('Café americano');
+  fireEvent.change(screen.getByPlaceholderText('Nombre'), { target: { value: 'Mocaccino' } });
+  fireEvent.change(screen.getByPlaceholderText('Precio'), { target: { value: '2500' } });
+  fireEvent.change(screen.getByPlaceholderText('Stock'), { target: { value: '12' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Registrar Producto' }));
+
+  expect(await screen.findByText('Producto "Mocaccino" registrado.')).toBeInTheDocument();
+  expect(within(fila('Mocaccino')).getByText('$2.500')).toBeInTheDocument();
+  expect(backend.db.productos).toContainEqual({ productoID: 5, nombre: 'Mocaccino', precio: 2500, stock: 12, disponible: true });
+});
+
+test('edita un producto con su categoría, descripción, código de barras e imagen', async () => {
+  renderApp('/productos');
+  await screen.findByText('Medialuna');
+  fireEvent.click(screen.getByLabelText('Editar Medialuna'));
+  const nombre = await screen.findByDisplayValue('Medialuna');
+  fireEvent.change(nombre, { target: { value: 'Medialuna de manjar' } });
+  fireEvent.change(screen.getByPlaceholderText('Descripción'), { target: { value: 'Rellena con manjar.' } });
+  fireEvent.change(screen.getByPlaceholderText('Código de barras'), { target: { value: '78#12' } });
+  fireEvent.blur(screen.getByPlaceholderText('Código de barras'));
+  expect(await screen.findByText('El código debe tener de 4 a 32 letras, números o guiones.')).toBeInTheDocument();
+  fireEvent.change(screen.getByPlaceholderText('Código de barras'), { target: { value: '7809876500013' } });
+  const imagen = new File(['png'], 'medialuna.png', { type: 'image/png' });
+  fireEvent.change(screen.getByLabelText('Elegir imagen'), { target: { files: [imagen] } });
+  expect(await screen.findByAltText('Vista previa de la imagen')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Actualizar Producto' }));
+
+  expect(await screen.findByText('Producto actualizado.')).toBeInTheDocument();
+  expect(within(fila('Medialuna de manjar')).getByText('Pastelería')).toBeInTheDocument();
+  expect(backend.db.productos[2]).toMatchObject({
+    nombre: 'Medialuna de manjar', categoria: 'pasteleria', descripcion: 'Rellena con manjar.', codigo: '7809876500013',
+    disponible: true
+  });
+  expect(backend.db.productos[2].imagen).toMatch(/^data:image\/png;base64,/);
+  expect(screen.getByPlaceholderText('Nombre')).toHaveValue('');
+
+  // La imagen no viaja en la fila cacheada del listado, pero la tarjeta la sigue mostrando.
+  fireEvent.click(screen.getByRole('button', { name: 'Tarjetas' }));
+  const tarjeta = await screen.findByRole('listitem', { name: 'Medialuna de manjar' });
+  expect(within(tarjeta).getByAltText('Medialuna de manjar')).toHaveAttribute('src', expect.stringMatching(/^data:image\/png;base64,/));
+});
+
+test('al desmarcar Activo el producto pasa a deshabilitados', async () => {
+  renderApp('/productos/2/editar');
+  await screen.findByDisplayValue('Cappuccino');
+  fireEvent.click(screen.getByLabelText('Activo (disponible para la venta)'));
+  fireEvent.click(screen.getByRole('button', { name: 'Actualizar Producto' }));
+
+  expect(await screen.findByText('Producto actualizado.')).toBeInTheDocument();
+  await waitFor(() => expect(screen.queryByText('Cappuccino')).not.toBeInTheDocument());
+  expect(backend.db.productos[1].disponible).toBe(false);
+});
+
+test('al desmarcar Activo el producto entra al archivo sin esperar la recarga', async () => {
+  renderApp('/productos/2/editar?vista=archivo');
+  await screen.findByText('Té chai');
+  await screen.findByDisplayValue('Cappuccino');
+  // Las recargas de ambas listas fallan: lo que se ve es solo el cambio optimista.
+  backend.failNext('GET', '/producto', { status: 500 });
+  backend.failNext('GET', '/producto', { status: 500 });
+  fireEvent.click(screen.getByLabelText('Activo (disponible para la venta)'));
+  fireEvent.click(screen.getByRole('button', { name: 'Actualizar Producto' }));
+
+  expect(await screen.findByText('Producto actualizado.')).toBeInTheDocument();
+  expect(fila('Cappuccino')).toBeInTheDocument();
+  expect(fila('Té chai')).toBeInTheDocument();
+});
+
+test('filtra por categoría y muestra el catálogo en tarjetas', async () => {
+  renderApp('/productos');
+  await screen.findByText('Café americano');
+  fireEvent.change(screen.getByLabelText('Categoría:'), { target: { value: 'pasteleria' } });
+  await waitFor(() => expect(screen.queryByText('Café americano')).not.toBeInTheDocument());
+  expect(screen.getByText('Medialuna')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Tarjetas' }));
+  const tarjeta = await screen.findByRole('listitem', { name: 'Medialuna' });
+  expect(within(tarjeta).getByText('$900')).toBeInTheDocument();
+  expect(within(tarjeta).getByText('Stock: 0')).toBeInTheDocument();
+  expect(screen.queryByRole('listitem', { name: 'Cappuccino' })).not.toBeInTheDocument();
+});
+
+test('cambia el precio y lo registra en el historial', async () => {
+  renderApp('/productos');
+  await screen.findByText('Café americano');
+  await editarValor('Cambiar precio de Café americano', '1650');
+
+  expect(await screen.findByText('Precio de "Café americano" actualizado.')).toBeInTheDocument();
+  expect(within(fila('Café americano')).getByText('$1.650')).toBeInTheDocument();
+  expect(backend.db.productos[0].precio).toBe(1650);
+  const historial = JSON.parse(window.localStorage.getItem('vitoko.historialPrecios'));
+  expect(historial['1'][0]).toMatchObject({ anterior: 1500, nuevo: 1650, origen: 'precios.origen.cambio' });
+});
+
+test('revierte el precio si el servidor lo rechaza', async () => {
+  backend.failNext('PUT', '/producto/1', { status: 409, body: { message: 'Precio bloqueado.' } });
+  renderApp('/productos');
+  await screen.findByText('Café americano');
+  await editarValor('Cambiar precio de Café americano', '1990');
+
+  expect(await screen.findByText(/Precio bloqueado\. Se revirtió el cambio\./)).toBeInTheDocument();
+  expect(within(fila('Café americano')).getByText('$1.500')).toBeInTheDocument();
+  expect(backend.db.productos[0].precio).toBe(1500);
+});
+
+test('incrementa el stock de un producto', async () => {
+  renderApp('/productos');
+  await screen.findByText('Café americano');
+  await editarValor('Incrementar stock de Cappuccino', '7');
+
+  expect(await screen.findByText('Stock de "Cappuccino" incrementado en 7.')).toBeInTheDocument();
+  expect(within(fila('Cappuccino')).getByText('10')).toBeInTheDocument();
+  expect(backend.db.productos[1].stock).toBe(10);
+});
+
+test('deshabilita un producto previa confirmación', async () => {
+  renderApp('/productos');
+  await screen.findByText('Café americano');
+  fireEvent.click(screen.getByLabelText('Deshabilitar Medialuna'));
+  fireEvent.click(within(await screen.findByRole('dialog')).getByRole('button', { name: 'Deshabilitar' }));
+
+  expect(await screen.findByText('Producto "Medialuna" deshabilitado.')).toBeInTheDocument();
+  await waitFor(() => expect(screen.queryByText('Medialuna')).not.toBeInTheDocument());
+  expect(backend.db.productos[2].disponible).toBe(false);
+});
+
+test('lista los productos deshabilitados y restaura uno', async () => {
+  renderApp('/productos?vista=archivo');
+  expect(await screen.findByText('Té chai')).toBeInTheDocument();
+  fireEvent.click(screen.getByLabelText('Restaurar Té chai'));
+
+  expect(await screen.findByText('Producto "Té chai" restaurado.')).toBeInTheDocument();
+  expect(await screen.findByText('No hay productos deshabilitados.')).toBeInTheDocument();
+  expect(backend.db.productos[3].disponible).toBe(true);
+
+  fireEvent.click(screen.getByText('Disponibles'));
+  expect(await screen.findByText('Té chai')).toBeInTheDocument();
+});
+
+test('permite deshacer la deshabilitación de un producto', async () => {
+  renderApp('/productos');
+  await screen.findByText('Café americano');
+  fireEvent.click(screen.getByLabelText('Deshabilitar Medialuna'));
+  fireEvent.click(within(await screen.findByRole('dialog')).getByRole('button', { name: 'Deshabilitar' }));
+  await screen.findByText('Producto "Medialuna" deshabilitado.');
+  expect(JSON.parse(window.localStorage.getItem('vitoko.archivo')).productos['3']).toMatchObject({ usuario: 'Ana Admin' });
+
+  fireEvent.click(screen.getByText('Deshacer'));
+  expect(await screen.findByText('Producto "Medialuna" restaurado.')).toBeInTheDocument();
+  expect(await screen.findByText('Medialuna')).toBeInTheDocument();
+  expect(backend.db.productos[2].disponible).toBe(true);
+});
+
+// Archivo CSV para el panel de importación.
+const archivoCsv = contenido => {
+  const file = new File([''], 'productos.csv', { type: 'text/csv' });
+  file.text = () => Promise.resolve(contenido);
+  return file;
+};
+
+test('al importar marca como duplicados también los productos deshabilitados', async () => {
+  renderApp('/productos');
+  await screen.findByText('Café americano');
+  fireEvent.click(screen.getByRole('button', { name: 'Importar CSV' }));
+  const input = await screen.findByLabelText('Importar productos');
+  // Al abrir la importación se piden también los deshabilitados.
+  expect(backend.requests).toContainEqual(expect.objectContaining({ method: 'GET', path: '/producto', query: { disponible: 'false' } }));
+  await waitFor(() => expect(screen.queryByRole('status')).not.toBeInTheDocument());
+  fireEvent.change(input, { target: { files: [archivoCsv('nombre,precio,stock\nTé chai,1800,5\nMocaccino,2500,12\n')] } });
+
+  expect(within(await screen.findByRole('row', { name: /Té chai/ })).getByText('Ya existe')).toBeInTheDocument();
+  expect(within(screen.getByRole('row', { name: /Mocaccino/ })).getByText('OK')).toBeInTheDocument();
+});
+
+test('muestra los vendidos de la semana y el total del año', async () => {
+  const hoy = new Date().toISOString();
+  backend = installMockBackend({
+    ...SEED,
+    ventas: [
+      { ventaId: 1, clienteId: 1, productoId: 1, cantidad: 4, subtotal: 6000, fecha: hoy },
+      { ventaId: 1, clienteId: 1, productoId: 2, cantidad: 1, subtotal: 2200, fecha: hoy }
+    ]
+  });
+  renderApp('/productos?vista=semana');
+  expect(await screen.findByText('Café americano: 4 unidades')).toBeInTheDocument();
+  expect(screen.getByText('Cappuccino: 1 unidad')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Total año actual'));
+  expect(await screen.findByText('5 unidades')).toBeInTheDocument();
+});
+
+test('muestra el error del servidor al cargar las estadísticas', async () => {
+  backend.failNext('GET', '/producto/sold/estaSemana', { status: 500, body: { message: 'Consulta fallida.' } });
+  renderApp('/productos?vista=semana');
+  expect(await screen.findByText('No se pudo cargar productos vendidos esta semana. Consulta fallida.')).toBeInTheDocument();
+});
@@ -0,0 +1,99 @@
+import React from 'react';
+// Importamos React para definir el componente
+import { restoreProducto } from '../api/productos';
+import { isAbortError, errorMessage } from '../api/client';
+import { optimisticMutation } from '../api/cache';
+import useAuth from '../hooks/useAuth';
+import useToast from '../hooks/useToast';
+import useI18n from '../hooks/useI18n';
+import useArchivo from '../hooks/useArchivo';
+// Funciones de la API, mutaciones optimistas, permisos, notificaciones, textos traducidos
+// y registro local de bajas
+import { marcar, pendiente, actualizarFilas } from '../utils/optimista';
+import Tabla from './tabla';
+// Marcas de filas con cambios pendientes y tabla reutilizable
+
+// Componente "ProductosArchivados":
+// Archivo de productos deshabilitados, con la fecha y el usuario de la baja (si se hizo en este
+// equipo) y un botón para restaurarlos. Restaurar envía PUT /producto/:id con disponible = true.
+//
+// Props:
+// - productos: productos deshabilitados (lista { disponible: false } de la caché de consultas, que carga Productos)
+export default function ProductosArchivados({ productos }) {
+  // Estado local del componente:
+  // - archivo: registro local de bajas (fecha y usuario)
+  const [archivo, , desarchivar]     = useArchivo();
+  const { can }                      = useAuth();
+  const toast                        = useToast();
+  const { t, formato }               = useI18n();
+
+  // Función para restaurar un producto. La fila se marca como pendiente y sale del archivo
+  // al confirmarse; si el servidor lo rechaza vuelve a su estado anterior.
+  const handleRestore = async producto => {
+    const esProducto = p => p.productoID === producto.productoID;
+    try {
+      await optimisticMutation('productos', () => restoreProducto(producto.productoID), {
+        update: (list, { disponible }) => (disponible ? list : actualizarFilas(list, esProducto, p => marcar(p, 'editar'))),
+        commit: (list, { disponible }) => (disponible ? list : list.filter(p => !esProducto(p)))
+      });
+      desarchivar('productos', producto.productoID);
+      toast.success(t('archivo.productoRestaurado', { nombre: producto.nombre }));
+    } catch (err) {
+      if (isAbortError(err)) return;
+      toast.error(`${errorMessage(err, t('archivo.errorRestaurar'), t)} ${t('comun.revertido')}`);
+    }
+  };
+
+  // Fecha y usuario de la baja, o un guion si no se registró en este equipo.
+  const baja = p => {
+    const registro = archivo.productos[p.productoID];
+    if (!registro) return '—';
+    return registro.usuario
+      ? t('archivo.bajaPor', { fecha: formato.dateTime(registro.fecha), usuario: registro.usuario })
+      : formato.dateTime(registro.fecha);
+  };
+
+  // Columnas de la tabla de productos deshabilitados.
+  const columns = [
+    { key: 'productoID', header: t('comun.id') },
+    {
+      key: 'nombre', header: t('comun.nombre'), hideable: false,
+      render: p => (
+        <>
+          {p.nombre}
+          {pendiente(p) && <span className="ml-2 text-xs text-gray-500">{t(`pendiente.${pendiente(p)}`)}</span>}
+        </>
+      )
+    },
+    { key: 'precio', header: t('productos.precio'), render: p => formato.money(p.precio) },
+    { key: 'stock', header: t('productos.stock'), render: p => formato.number(p.stock) },
+    {
+      key: 'baja', header: t('archivo.deshabilitado'),
+      sortValue: p => archivo.productos[p.productoID]?.fecha || '', searchValue: baja, render: baja
+    },
+    {
+      key: 'acciones', header: t('comun.acciones'), sortable: false, hideable: false, searchValue: () => '',
+      render: p => (
+        <button
+          onClick={() => handleRestore(p)}
+          disabled={!!pendiente(p)}
+          className="px-2 py-1 bg-green-500 text-white rounded disabled:opacity-50"
+          aria-label={t('archivo.restaurarAria', { nombre: p.nombre })}
+        >{t('archivo.restaurar')}</button>
+      )
+    }
+  ].filter(col => col.key !== 'acciones' || can('productos:restore'));
+
+  // Renderizado de la UI:
+  // - Tabla de productos deshabilitados con su baja y el botón para restaurarlos.
+  return (
+    <Tabla
+      rows={productos}
+      columns={columns}
+      rowKey={p => p.productoID}
+      rowClassName={p => (pendiente(p) ? 'opacity-60' : '')}
+      initialSort={{ key: 'nombre', dir: 'asc' }}
+      emptyMessage={t('archivo.sinProductos')}
+    />
+  );
+}
@@ -0,0 +1,230 @@
+import React, { useState } from 'react';
+// Importamos React y el hook useState (para manejar estado local)
+import Modal from './modal';
+import Campo, { INVALID_CLASS } from './campo';
+import usePromociones from '../hooks/usePromociones';
+import useI18n, { IDIOMAS } from '../hooks/useI18n';
+import { TIPOS_PROMOCION, nuevaPromocion } from '../utils/promociones';
+import { CATEGORIAS } from '../utils/productos';
+import { promocionSchema, validateField } from '../utils/validacion';
+// Diálogo modal, campo con mensaje de error, reglas de promociones guardadas localmente, textos traducidos,
+// categorías del catálogo y validación del mínimo de unidades
+
+// Días de la semana en el orden en que se muestran (0 = domingo, como Date.getDay).
+const DIAS = [1, 2, 3, 4, 5, 6, 0];
+
+// Componente "Promociones":
+// Configuración de las reglas de descuento que se aplican al registrar ventas (ver utils/promociones):
+// por tipo de cliente, combos de categorías, cantidad mínima y franja horaria (happy hour).
+// Cada cambio se guarda al instante en este navegador; las reglas se aplican en el orden de la lista.
+//
+// Props:
+// - onClose: cierra el diálogo
+export default function Promociones({ onClose }) {
+  // Estado local del componente:
+  // - promociones: reglas configuradas (persisten en el navegador)
+  // - tipoNueva: tipo de la regla que se agrega con el botón "Agregar"
+  // - minimos: mínimos de unidades escritos que aún no se guardan por no ser válidos (por ID de regla)
+  const [promociones, setPromociones, restablecer] = usePromociones();
+  const [tipoNueva, setTipoNueva]                  = useState('cliente');
+  const [minimos, setMinimos]                      = useState({});
+  const { t, idioma }                              = useI18n();
+
+  // Nombre corto de un día de la semana en el idioma elegido (7/1/2024 fue domingo).
+  const nombreDia = d => new Intl.DateTimeFormat(IDIOMAS[idioma].locale, { weekday: 'short' }).format(new Date(2024, 0, 7 + d));
+
+  // Cambia campos de una regla.
+  const cambiar = (id, cambio) => setPromociones(prev => prev.map(p => (p.id === id ? { ...p, ...cambio } : p)));
+
+  // Número escrito en un input (vacío se conserva para poder borrar mientras se escribe).
+  const numero = e => (e.target.value === '' ? '' : Number(e.target.value));
+
+  // Cambia el mínimo de unidades de una regla por cantidad: solo se guarda si es un entero de 2 o más;
+  // mientras no lo sea se conserva lo escrito para mostrar el error.
+  const cambiarMinimo = (id, texto) => {
+    const valido = !validateField(promocionSchema.minimo, texto);
+    setMinimos(prev => {
+      const { [id]: _, ...resto } = prev;
+      return valido ? resto : { ...resto, [id]: texto };
+    });
+    if (valido) cambiar(id, { minimo: Number(texto) });
+  };
+
+  // Vuelve a las reglas iniciales, descartando los mínimos sin guardar.
+  const handleRestablecer = () => {
+    setMinimos({});
+    restablecer();
+  };
+
+  // Agrega o quita un valor de una lista (categorías de un combo, días de un horario).
+  const alternar = (lista = [], valor) => (lista.includes(valor) ? lista.filter(v => v !== valor) : [...lista, valor]);
+
+  // Mueve una regla una posición arriba (-1) o abajo (+1).
+  const mover = (index, delta) => setPromociones(prev => {
+    const next = [...prev];
+    const [regla] = next.splice(index, 1);
+    next.splice(index + delta, 0, regla);
+    return next;
+  });
+
+  // Selector de categoría para las reglas por cantidad y por horario ('' = todas).
+  const selectorCategoria = p => (
+    <label className="flex items-center space-x-1">
+      <span>{t('promociones.categoria')}</span>
+      <select value={p.categoria || ''} onChange={e => cambiar(p.id, { categoria: e.target.value })} className="border rounded p-1">
+        <option value="">{t('productos.todasCategorias')}</option>
+        {CATEGORIAS.map(c => <option key={c} value={c}>{t(`categoria.${c}`)}</option>)}
+      </select>
+    </label>
+  );
+
+  // Campos propios de cada tipo de regla.
+  const condiciones = p => {
+    if (p.tipo === 'cliente') {
+      return (
+        <label className="flex items-center space-x-1">
+          <span>{t('promociones.tipoCliente')}</span>
+          <select value={p.tipoCliente} onChange={e => cambiar(p.id, { tipoCliente: Number(e.target.value) })} className="border rounded p-1">
+            <option value={1}>{t('clientes.tipo.normal')}</option>
+            <option value={2}>{t('clientes.tipo.premium')}</option>
+          </select>
+        </label>
+      );
+    }
+    if (p.tipo === 'combo') {
+      return (
+        <fieldset className="flex items-center space-x-2">
+          <legend className="sr-only">{t('promociones.categoriasCombo')}</legend>
+          <span aria-hidden="true">{t('promociones.categoriasCombo')}</span>
+          {CATEGORIAS.map(c => (
+            <label key={c} className="flex items-center space-x-1">
+              <input
+                type="checkbox"
+                checked={(p.categorias || []).includes(c)}
+                onChange={() => cambiar(p.id, { categorias: alternar(p.categorias, c) })}
+              />
+              <span>{t(`categoria.${c}`)}</span>
+            </label>
+          ))}
+        </fieldset>
+      );
+    }
+    if (p.tipo === 'cantidad') {
+      const minimo = minimos[p.id] ?? p.minimo ?? '';
+      const error = validateField(promocionSchema.minimo, minimo);
+      return (
+        <>
+          {selectorCategoria(p)}
+          <Campo error={error && t(error)}>
+            <label className="flex items-center space-x-1">
+              <span>{t('promociones.minimo')}</span>
+              <input
+                type="number"
+                min="2"
+                step="1"
+                value={minimo}
+                onChange={e => cambiarMinimo(p.id, e.target.value)}
+                aria-invalid={!!error}
+                className={`border rounded p-1 w-16 ${INVALID_CLASS}`}
+              />
+            </label>
+          </Campo>
+        </>
+      );
+    }
+    return (
+      <>
+        {selectorCategoria(p)}
+        <fieldset className="flex items-center space-x-1">
+          <legend className="sr-only">{t('promociones.dias')}</legend>
+          {DIAS.map(d => (
+            <label key={d} className="flex items-center space-x-0.5">
+              <input
+                type="checkbox"
+                checked={(p.dias || []).includes(d)}
+                onChange={() => cambiar(p.id, { dias: alternar(p.dias, d) })}
+              />
+              <span>{nombreDia(d)}</span>
+            </label>
+          ))}
+        </fieldset>
+        <label className="flex items-center space-x-1">
+          <span>{t('promociones.desde')}</span>
+          <input type="time" value={p.desde} onChange={e => cambiar(p.id, { desde: e.target.value })} className="border rounded p-1" />
+        </label>
+        <label className="flex items-center space-x-1">
+          <span>{t('promociones.hasta')}</span>
+          <input type="time" value={p.hasta} onChange={e => cambiar(p.id, { hasta: e.target.value })} className="border rounded p-1" />
+        </label>
+      </>
+    );
+  };
+
+  // Renderizado de la UI:
+  // - Aviso de que las reglas viven solo en este navegador.
+  // - Lista de reglas con su estado, nombre, descuento, condiciones y botones para ordenar y eliminar.
+  // - Controles para agregar una regla y volver a las reglas iniciales.
+  return (
+    <Modal title={t('promociones.titulo')} onClose={onClose}>
+      <p className="mb-2 text-sm text-gray-600">{t('promociones.ayuda')}</p>
+      <p role="note" className="mb-4 p-2 text-sm text-yellow-800 bg-yellow-50 border border-yellow-300 rounded">{t('promociones.soloLocal')}</p>
+      <ol className="mb-4 max-h-[60vh] overflow-y-auto space-y-3">
+        {promociones.map((p, i) => (
+          <li key={p.id} aria-label={p.nombre || t(`promociones.tipo.${p.tipo}`)} className={`border rounded p-3 ${p.activa ? '' : 'opacity-60'}`}>
+            <div className="flex flex-wrap items-center gap-2 mb-2">
+              <input
+                type="checkbox"
+                checked={p.activa}
+                onChange={e => cambiar(p.id, { activa: e.target.checked })}
+                aria-label={t('promociones.activa')}
+              />
+              <input
+                value={p.nombre}
+                placeholder={t(`promociones.tipo.${p.tipo}`)}
+                onChange={e => cambiar(p.id, { nombre: e.target.value })}
+                aria-label={t('promociones.nombre')}
+                className="border rounded p-1 flex-1"
+              />
+              <label className="flex items-center space-x-1">
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={p.porcentaje}
+                  onChange={e => cambiar(p.id, { porcentaje: numero(e) })}
+                  aria-label={t('promociones.porcentaje')}
+                  className="border rounded p-1 w-16"
+                />
+                <span>%</span>
+              </label>
+              <span className="text-xs text-gray-500">{t(`promociones.tipo.${p.tipo}`)}</span>
+              <button type="button" onClick={() => mover(i, -1)} disabled={i === 0} aria-label={t('promociones.subir')} className="px-2 py-1 bg-gray-200 rounded disabled:opacity-50">↑</button>
+              <button type="button" onClick={() => mover(i, 1)} disabled={i === promociones.length - 1} aria-label={t('promociones.bajar')} className="px-2 py-1 bg-gray-200 rounded disabled:opacity-50">↓</button>
+              <button
+                type="button"
+                onClick={() => setPromociones(prev => prev.filter(x => x.id !== p.id))}
+                aria-label={t('promociones.eliminar')}
+                className="px-2 py-1 bg-red-500 text-white rounded"
+              >🗑</button>
+            </div>
+            <div className="flex flex-wrap items-center gap-3 text-sm">{condiciones(p)}</div>
+          </li>
+        ))}
+        {promociones.length === 0 && <li className="text-gray-500">{t('promociones.sinReglas')}</li>}
+      </ol>
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={tipoNueva} onChange={e => setTipoNueva(e.target.value)} aria-label={t('promociones.tipoNueva')} className="border rounded p-1">
+          {TIPOS_PROMOCION.map(tipo => <option key={tipo} value={tipo}>{t(`promociones.tipo.${tipo}`)}</option>)}
+        </select>
+        <button
+          type="button"
+          onClick={() => setPromociones(prev => [...prev, nuevaPromocion(tipoNueva)])}
+          className="px-3 py-1 bg-blue-500 text-white rounded"
+        >{t('promociones.agregar')}</button>
+        <button type="button" onClick={handleRestablecer} className="ml-auto px-3 py-1 bg-gray-200 rounded hover:bg-gray-300">
+          {t('promociones.restablecer')}
+        </button>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,481 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+// Importamos React y los hooks para estado, memorización, referencias y efectos
+import { Link } from 'react-router-dom';
+// Enlace para volver a la sección Ventas
+import { isAbortError, errorMessage } from '../api/client';
+import { imagenProducto } from '../api/productos';
+import useSaleCart from '../hooks/useSaleCart';
+import useRegistrarVenta from '../hooks/useRegistrarVenta';
+import useLectorCodigos, { esEditable } from '../hooks/useLectorCodigos';
+import useColaVentas from '../hooks/useColaVentas';
+import useOnline from '../hooks/useOnline';
+import useAuth from '../hooks/useAuth';
+import useToast from '../hooks/useToast';
+import useConfirm from '../hooks/useConfirm';
+import { useClientes, useProductos } from '../hooks/useConsultas';
+import useI18n from '../hooks/useI18n';
+import usePromociones from '../hooks/usePromociones';
+import useInterval from '../hooks/useInterval';
+// Errores de la API, imágenes de los productos, hooks de líneas de la venta, de registro (con cola sin conexión), de lector de códigos,
+// de envío de la cola y estado de la conexión, sesión, notificaciones, confirmaciones, catálogos (caché de consultas),
+// textos traducidos, promociones e intervalos
+import { CATEGORIAS, categoriaIcono, enCategoria, buscarPorCodigo } from '../utils/productos';
+import { tipoKey } from '../utils/clientes';
+import { MEDIOS_PAGO } from '../utils/mediosPago';
+import { NEGOCIO } from '../utils/boleta';
+import Boleta from './boleta';
+import EstadoCarga from './estadoCarga';
+// Categorías y códigos de los productos, tipos de cliente, medios de pago, nombre del local,
+// boleta de la venta e indicador de carga
+
+// Lista vacía estable, usada mientras no hay datos.
+const EMPTY_LIST = [];
+
+// Cantidad máxima de clientes sugeridos en la búsqueda.
+const MAX_SUGERENCIAS = 5;
+
+// Teclas del teclado numérico, en el orden en que se muestran.
+const TECLAS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'C', '0', '⌫'];
+
+// Componente "PuntoVenta":
+// Modo caja en pantalla completa, pensado para una tablet en el mostrador: productos disponibles
+// en botones grandes (se tocan para agregarlos), filtro por categoría, búsqueda rápida de cliente,
+// teclado numérico para la cantidad de la línea elegida, medio de pago y total con las promociones vigentes.
+// Atajos de teclado: F2 o "/" buscan un producto, Enter agrega el primero que coincide (o el del código
+// escrito), F4 busca el cliente, F9 cobra y Escape cancela la venta. Los lectores de códigos de barras
+// que funcionan como teclado agregan el producto leído (por su código o, si no tiene, por su ID).
+// Cobrar registra la venta con POST /venta igual que el editor de Ventas (sin conexión queda en la cola
+// local) y muestra la boleta.
+export default function PuntoVenta() {
+  // Catálogos de la caché compartida: clientes activos y productos disponibles.
+  const clientesQuery               = useClientes();
+  const productosQuery              = useProductos({ disponible: true });
+  const productos                   = productosQuery.data || EMPTY_LIST;
+  const clientes                    = useMemo(
+    () => (clientesQuery.data || EMPTY_LIST).filter(c => c.tipo === 1 || c.tipo === 2),
+    [clientesQuery.data]
+  );
+  const catalogError                = clientesQuery.error || productosQuery.error;
+
+  // Estado local del componente:
+  // - search: texto (o código) para filtrar productos
+  // - categoria: categoría elegida ('' = todas)
+  // - clienteId: cliente de la venta (o null)
+  // - buscarCliente: texto para buscar el cliente
+  // - medioPago: medio de pago de la venta (ver utils/mediosPago)
+  // - seleccion: ID del producto de la línea que edita el teclado numérico
+  // - teclado: dígitos escritos en el teclado numérico para esa línea
+  // - cobrando: true mientras se registra la venta
+  // - boleta: boleta de la última venta registrada, mostrada en un diálogo (o null)
+  // - ahora: momento actual, refrescado cada minuto para las promociones por horario
+  const [search, setSearch]               = useState('');
+  const [categoria, setCategoria]         = useState('');
+  const [clienteId, setClienteId]         = useState(null);
+  const [buscarCliente, setBuscarCliente] = useState('');
+  const [medioPago, setMedioPago]         = useState(MEDIOS_PAGO[0]);
+  const [seleccion, setSeleccion]         = useState(null);
+  const [teclado, setTeclado]             = useState('');
+  const [cobrando, setCobrando]           = useState(false);
+  const [boleta, setBoleta]               = useState(null);
+  const [ahora, setAhora]                 = useState(() => new Date());
+  const [promociones]                     = usePromociones();
+  const registrar                         = useRegistrarVenta();
+  const { user }                          = useAuth();
+  const online                            = useOnline();
+  const toast                             = useToast();
+  const confirm                           = useConfirm();
+  const { t, formato }                    = useI18n();
+  const cliente                           = clientes.find(c => c.id === clienteId) || null;
+  const cart                              = useSaleCart({ promociones, cliente, fecha: ahora });
+  const searchRef                         = useRef(null);
+  const clienteRef                        = useRef(null);
+
+  // Fuera del layout no hay otro componente que envíe la cola de ventas sin conexión.
+  useColaVentas({ autoSync: true });
+
+  useInterval(() => setAhora(new Date()), 60000);
+
+  // Productos de la categoría elegida que coinciden con la búsqueda (por nombre, código o ID).
+  const matches = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    return productos.filter(p => enCategoria(p, categoria) && (
+      !q || p.nombre.toLowerCase().includes(q) || String(p.productoID) === q || String(p.codigo || '').toLowerCase() === q
+    ));
+  }, [productos, categoria, search]);
+
+  // Clientes sugeridos para la búsqueda (por nombre o ID).
+  const sugerencias = useMemo(() => {
+    const q = buscarCliente.trim().toLowerCase();
+    if (!q) return EMPTY_LIST;
+    return clientes
+      .filter(c => c.nombre.toLowerCase().includes(q) || String(c.id) === q)
+      .slice(0, MAX_SUGERENCIAS);
+  }, [clientes, buscarCliente]);
+
+  // Línea que edita el teclado numérico (o undefined si no hay una elegida).
+  const lineaSeleccionada = cart.lines.find(l => l.producto.productoID === seleccion);
+
+  // Elige la línea que edita el teclado numérico; los dígitos siguientes reemplazan su cantidad.
+  const seleccionar = productoID => {
+    setSeleccion(productoID);
+    setTeclado('');
+  };
+
+  // Agrega una unidad de un producto y elige su línea.
+  const agregar = producto => {
+    if (producto.stock < 1) {
+      toast.error(t('caja.sinStock', { nombre: producto.nombre }));
+      return;
+    }
+    cart.addProduct(producto);
+    seleccionar(producto.productoID);
+  };
+
+  // Agrega el producto de un código leído o escrito.
+  const agregarCodigo = codigo => {
+    const producto = buscarPorCodigo(productos, codigo);
+    if (producto) agregar(producto);
+    else toast.error(t('caja.codigoDesconocido', { codigo }));
+  };
+
+  // Enter en el buscador: agrega el producto del código escrito o, si no es un código, el primero de la lista.
+  const handleSearchKey = e => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    const producto = buscarPorCodigo(productos, search) || matches[0];
+    if (!producto) {
+      if (search.trim()) toast.error(t('caja.codigoDesconocido', { codigo: search.trim() }));
+      return;
+    }
+    agregar(producto);
+    setSearch('');
+  };
+
+  // Elige el cliente de la venta.
+  const elegirCliente = c => {
+    setClienteId(c.id);
+    setBuscarCliente('');
+  };
+
+  // Quita el cliente elegido y enfoca la búsqueda de clientes.
+  const cambiarCliente = () => {
+    setClienteId(null);
+    setTimeout(() => clienteRef.current?.focus());
+  };
+
+  // Teclado numérico: los dígitos arman la cantidad de la línea elegida, ⌫ borra el último
+  // y C la devuelve a 1.
+  const handleTecla = tecla => {
+    if (!lineaSeleccionada) return;
+    let texto = teclado;
+    if (tecla === 'C') texto = '';
+    else if (tecla === '⌫') texto = teclado.slice(0, -1);
+    else texto = `${teclado}${tecla}`.replace(/^0+/, '').slice(0, 4);
+    setTeclado(texto);
+    cart.setQuantity(seleccion, tecla === 'C' ? 1 : texto);
+  };
+
+  // Quita una línea de la venta.
+  const quitar = productoID => {
+    cart.removeLine(productoID);
+    if (productoID === seleccion) seleccionar(null);
+  };
+
+  // Vacía la venta en curso (productos, cliente, medio de pago y búsquedas).
+  const limpiar = () => {
+    cart.clear();
+    setClienteId(null);
+    setMedioPago(MEDIOS_PAGO[0]);
+    setBuscarCliente('');
+    setSearch('');
+    seleccionar(null);
+  };
+
+  // Función para cancelar la venta en curso, pidiendo confirmación si tiene productos.
+  const cancelar = async () => {
+    if (cart.lines.length > 0) {
+      const ok = await confirm({
+        title: t('caja.cancelarTitulo'),
+        message: t('caja.cancelarMensaje'),
+        confirmLabel: t('caja.cancelar'),
+        danger: true
+      });
+      if (!ok) return;
+    }
+    limpiar();
+    searchRef.current?.focus();
+  };
+
+  // Función para cobrar: registra la venta (POST /venta o cola sin conexión) y muestra la boleta.
+  const cobrar = async () => {
+    if (cobrando || cart.lines.length === 0) return;
+    if (!cliente) {
+      toast.error(t('caja.faltaCliente'));
+      clienteRef.current?.focus();
+      return;
+    }
+    if (!cart.isValid) {
+      toast.error(t('caja.revisarCantidades'));
+      return;
+    }
+    setCobrando(true);
+    try {
+      setBoleta(await registrar({ clienteId: String(cliente.id), medioPago, cliente, cart }));
+      limpiar();
+    } catch (err) {
+      if (!isAbortError(err)) toast.error(errorMessage(err, t('nuevaVenta.error'), t));
+    } finally {
+      setCobrando(false);
+    }
+  };
+
+  // Lector de códigos de barras (se pausa mientras se muestra la boleta).
+  useLectorCodigos(agregarCodigo, { activo: !boleta });
+
+  // Atajos de teclado. Las funciones se leen de una referencia para usar siempre las del último render.
+  // Se ignoran mientras haya un diálogo abierto (boleta o confirmación), que maneja sus propias teclas.
+  const atajos = useRef(null);
+  atajos.current = { cobrar, cancelar, cambiarCliente, pausado: !!boleta };
+  useEffect(() => {
+    const onKeyDown = e => {
+      if (atajos.current.pausado || e.defaultPrevented || document.querySelector('[role="dialog"]')) return;
+      if (e.key === 'F2' || (e.key === '/' && !esEditable(e.target))) {
+        e.preventDefault();
+        searchRef.current?.focus();
+      } else if (e.key === 'F4') {
+        e.preventDefault();
+        atajos.current.cambiarCliente();
+      } else if (e.key === 'F9') {
+        e.preventDefault();
+        atajos.current.cobrar();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        atajos.current.cancelar();
+      }
+    };
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // Renderizado de la UI:
+  // - Barra superior con el usuario, el aviso sin conexión y el enlace para salir del modo caja.
+  // - Buscador, filtro por categoría y botones grandes de productos.
+  // - Panel de la venta: cliente, líneas con descuentos, totales, teclado numérico, medio de pago
+  //   y botones para cobrar o cancelar.
+  // - Boleta de la última venta registrada (diálogo).
+  return (
+    <div className="min-h-screen flex flex-col bg-gray-100">
+      {boleta && (
+        <Boleta boleta={boleta} onClose={() => { setBoleta(null); setTimeout(() => searchRef.current?.focus()); }} />
+      )}
+      <header className="flex items-center gap-4 px-4 py-2 bg-white shadow">
+        <h1 className="text-xl font-semibold">{NEGOCIO} — {t('caja.titulo')}</h1>
+        <EstadoCarga
+          isLoading={clientesQuery.isLoading || productosQuery.isLoading}
+          isFetching={clientesQuery.isFetching || productosQuery.isFetching}
+        />
+        <span className="ml-auto text-sm text-gray-600">{user.nombre || user.usuario} ({t(`rol.${user.rol}`)})</span>
+        <Link to="/ventas" className="px-3 py-2 bg-gray-200 rounded hover:bg-gray-300">{t('caja.salir')}</Link>
+      </header>
+      {!online && (
+        <div className="px-4 py-2 bg-yellow-50 border-b border-yellow-300 text-yellow-800" role="status">
+          {t('nav.sinConexion')}
+        </div>
+      )}
+      {catalogError && (
+        <div className="px-4 py-2 text-red-600">{errorMessage(catalogError, t('ventas.errorCatalogos'), t)}</div>
+      )}
+
+      <div className="flex-1 grid grid-cols-1 lg:grid-cols-3 gap-4 p-4">
+        <section className="lg:col-span-2 flex flex-col">
+          <input
+            ref={searchRef}
+            type="search"
+            autoFocus
+            value={search}
+            onChange={e => setSearch(e.target.value)}
+            onKeyDown={handleSearchKey}
+            placeholder={t('caja.buscarProducto')}
+            aria-label={t('caja.buscarProducto')}
+            className="mb-3 p-3 text-lg border rounded"
+          />
+          <div role="group" aria-label={t('caja.categorias')} className="mb-3 flex flex-wrap gap-2">
+            {['', ...CATEGORIAS].map(c => (
+              <button
+                key={c || 'todas'}
+                type="button"
+                onClick={() => setCategoria(c)}
+                aria-pressed={categoria === c}
+                className={`px-4 py-2 rounded ${categoria === c ? 'bg-blue-500 text-white' : 'bg-white border'}`}
+              >
+                {c ? `${categoriaIcono(c)} ${t(`categoria.${c}`)}` : t('productos.todasCategorias')}
+              </button>
+            ))}
+          </div>
+          <div className="grid grid-cols-2 sm:grid-cols-3 xl:grid-cols-4 gap-3 content-start">
+            {matches.map(p => (
+              <button
+                key={p.productoID}
+                type="button"
+                onClick={() => agregar(p)}
+                disabled={p.stock < 1}
+                aria-label={p.nombre}
+                className="h-36 flex flex-col items-center justify-center p-2 bg-white rounded shadow hover:bg-blue-50 active:bg-blue-100 disabled:opacity-50"
+              >
+                {p.imagenId
+                  ? <img src={imagenProducto(p)} alt="" className="h-14 w-14 object-cover rounded" />
+                  : <span className="text-4xl" aria-hidden="true">{categoriaIcono(p.categoria)}</span>}
+                <span className="mt-1 font-semibold text-center">{p.nombre}</span>
+                <span>{formato.money(p.precio)}</span>
+                <span className="text-xs text-gray-500">{t('productos.stockDisponible', { stock: formato.number(p.stock) })}</span>
+              </button>
+            ))}
+            {matches.length === 0 && <p className="col-span-full text-gray-500">{t('nuevaVenta.sinCoincidencias')}</p>}
+          </div>
+        </section>
+
+        <aside className="flex flex-col bg-white rounded shadow p-4">
+          <h2 className="text-sm text-gray-600">{t('caja.cliente')}</h2>
+          {cliente ? (
+            <div className="mb-3 flex items-center justify-between">
+              <span className="text-lg font-semibold">{cliente.nombre} ({t(`clientes.tipo.${tipoKey(cliente.tipo)}`)})</span>
+              <button type="button" onClick={cambiarCliente} className="px-3 py-2 bg-gray-200 rounded hover:bg-gray-300">
+                {t('caja.cambiarCliente')}
+              </button>
+            </div>
+          ) : (
+            <div className="mb-3">
+              <input
+                ref={clienteRef}
+                type="search"
+                value={buscarCliente}
+                onChange={e => setBuscarCliente(e.target.value)}
+                onKeyDown={e => {
+                  if (e.key !== 'Enter' || !sugerencias[0]) return;
+                  e.preventDefault();
+                  elegirCliente(sugerencias[0]);
+                }}
+                placeholder={t('caja.buscarCliente')}
+                aria-label={t('caja.buscarCliente')}
+                className="w-full p-2 border rounded"
+              />
+              {buscarCliente.trim() && (
+                <ul className="mt-1 border rounded divide-y">
+                  {sugerencias.map(c => (
+                    <li key={c.id}>
+                      <button type="button" onClick={() => elegirCliente(c)} className="w-full p-2 text-left hover:bg-blue-50">
+                        {c.nombre} ({t(`clientes.tipo.${tipoKey(c.tipo)}`)})
+                      </button>
+                    </li>
+                  ))}
+                  {sugerencias.length === 0 && <li className="p-2 text-gray-500">{t('caja.sinClientes')}</li>}
+                </ul>
+              )}
+            </div>
+          )}
+
+          <h2 className="text-sm text-gray-600">{t('caja.venta')}</h2>
+          <ul aria-label={t('caja.venta')} className="flex-1 min-h-[6rem] overflow-y-auto divide-y border rounded mb-3">
+            {cart.lines.map(({ producto: p, cantidad }, i) => {
+              const linea = cart.detalle.lineas[i];
+              return (
+                <li
+                  key={p.productoID}
+                  aria-label={p.nombre}
+                  className={`flex items-start gap-2 p-2 ${p.productoID === seleccion ? 'bg-blue-50 ring-2 ring-blue-300' : ''}`}
+                >
+                  <button
+                    type="button"
+                    onClick={() => seleccionar(p.productoID)}
+                    aria-pressed={p.productoID === seleccion}
+                    className="flex-1 text-left"
+                  >
+                    <span className="block font-semibold">{p.nombre}</span>
+                    <span className="block text-sm text-gray-600">
+                      {t('caja.lineaDetalle', { cantidad: formato.number(cantidad), precio: formato.money(linea.precio) })}
+                    </span>
+                    {linea.descuentos.map(d => (
+                      <span key={d.id} className="block text-xs text-green-700">
+                        {t('nuevaVenta.descuento', { nombre: d.nombre || t('nuevaVenta.promocion'), monto: formato.money(d.monto) })}
+                      </span>
+                    ))}
+                    {cart.errors[p.productoID] && (
+                      <span className="block text-sm text-red-600">{t(cart.errors[p.productoID])}</span>
+                    )}
+                  </button>
+                  <span className="font-semibold">{formato.money(linea.subtotal)}</span>
+                  <button
+                    type="button"
+                    onClick={() => quitar(p.productoID)}
+                    aria-label={t('caja.quitar', { nombre: p.nombre })}
+                    className="px-2 py-1 bg-red-500 text-white rounded"
+                  >🗑</button>
+                </li>
+              );
+            })}
+            {cart.lines.length === 0 && <li className="p-2 text-gray-500">{t('caja.ventaVacia')}</li>}
+          </ul>
+
+          <dl className="mb-3">
+            {cart.descuento > 0 && (
+              <>
+                <div className="flex justify-between"><dt>{t('nuevaVenta.subtotal')}</dt><dd>{formato.money(cart.subtotal)}</dd></div>
+                {cart.detalle.descuentos.map(d => (
+                  <div key={d.id} className="flex justify-between text-green-700">
+                    <dt>{d.nombre || t('nuevaVenta.promocion')}</dt><dd>-{formato.money(d.monto)}</dd>
+                  </div>
+                ))}
+              </>
+            )}
+            <div className="flex justify-between text-2xl font-semibold">
+              <dt>{t('ventas.total')}</dt><dd>{formato.money(cart.total)}</dd>
+            </div>
+          </dl>
+
+          <p className="text-sm text-gray-600 mb-1">
+            {lineaSeleccionada ? t('caja.cantidadDe', { nombre: lineaSeleccionada.producto.nombre }) : t('caja.seleccionaLinea')}
+          </p>
+          <div role="group" aria-label={t('caja.teclado')} className="grid grid-cols-3 gap-2 mb-3">
+            {TECLAS.map(tecla => (
+              <button
+                key={tecla}
+                type="button"
+                onClick={() => handleTecla(tecla)}
+                disabled={!lineaSeleccionada}
+                aria-label={tecla === '⌫' ? t('caja.borrar') : tecla === 'C' ? t('caja.limpiar') : tecla}
+                className="py-3 text-xl bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50"
+              >{tecla}</button>
+            ))}
+          </div>
+
+          <div role="group" aria-label={t('mediosPago.titulo')} className="grid grid-cols-3 gap-2 mb-3">
+            {MEDIOS_PAGO.map(m => (
+              <button
+                key={m}
+                type="button"
+                onClick={() => setMedioPago(m)}
+                aria-pressed={medioPago === m}
+                className={`py-2 rounded ${medioPago === m ? 'bg-blue-500 text-white' : 'bg-gray-200 hover:bg-gray-300'}`}
+              >{t(`mediosPago.${m}`)}</button>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-3 gap-2">
+            <button type="button" onClick={cancelar} className="py-4 bg-red-500 text-white rounded hover:bg-red-600">
+              {t('caja.cancelar')}
+            </button>
+            <button
+              type="button"
+              onClick={cobrar}
+              disabled={cobrando || cart.lines.length === 0}
+              className="col-span-2 py-4 text-xl bg-green-500 text-white rounded hover:bg-green-600 disabled:opacity-50"
+            >
+              {cobrando ? t('caja.cobrando') : t('caja.cobrar', { total: formato.money(cart.total) })}
+            </button>
+          </div>
+          <p className="mt-3 text-xs text-gray-500">{t('caja.atajos')}</p>
+        </aside>
+      </div>
+    </div>
+  );
+}
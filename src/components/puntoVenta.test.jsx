@@ -0,0 +1,117 @@
+import { screen, fireEvent, within, waitFor } from '@testing-library/react';
+import renderApp from '../mocks/renderApp';
+import { installMockBackend } from '../mocks/backend';
+
+// Pruebas de integración del modo caja contra el backend de prueba en memoria.
+
+let backend;
+beforeEach(() => {
+  backend = installMockBackend();
+});
+
+// Sin promociones, para que los precios no dependan del día ni de la hora.
+const SIN_PROMOCIONES = { storage: { 'vitoko.promociones': [] } };
+
+// Líneas de la venta en curso.
+const venta = () => screen.getByRole('list', { name: 'Venta actual' });
+
+// Simula un lector de códigos de barras: teclas muy seguidas fuera de los campos de texto, terminadas en Enter.
+const escanear = codigo => {
+  [...codigo].forEach(key => fireEvent.keyDown(document.body, { key }));
+  fireEvent.keyDown(document.body, { key: 'Enter' });
+};
+
+test('arma la venta tocando productos, ajusta la cantidad con el teclado numérico y cobra', async () => {
+  renderApp('/caja', { ...SIN_PROMOCIONES, rol: 'cajero' });
+  fireEvent.click(await screen.findByRole('button', { name: 'Café americano' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Cappuccino' }));
+  expect(screen.getByRole('button', { name: 'Medialuna' })).toBeDisabled();
+
+  fireEvent.click(within(venta()).getByRole('button', { name: /^Café americano/ }));
+  expect(screen.getByText('Cantidad de Café americano')).toBeInTheDocument();
+  const teclado = screen.getByRole('group', { name: 'Teclado numérico' });
+  fireEvent.click(within(teclado).getByRole('button', { name: '1' }));
+  fireEvent.click(within(teclado).getByRole('button', { name: '2' }));
+  fireEvent.click(within(teclado).getByRole('button', { name: 'Borrar' }));
+  fireEvent.click(within(teclado).getByRole('button', { name: '3' }));
+  expect(within(venta()).getByRole('listitem', { name: 'Café americano' })).toHaveTextContent('13 × $1.500');
+  expect(within(venta()).getByRole('listitem', { name: 'Café americano' })).toHaveTextContent('$19.500');
+  fireEvent.click(within(teclado).getByRole('button', { name: 'Volver a 1' }));
+  fireEvent.click(within(teclado).getByRole('button', { name: '3' }));
+
+  fireEvent.change(screen.getByRole('searchbox', { name: 'Buscar cliente por nombre o ID (F4)' }), { target: { value: 'maría' } });
+  fireEvent.click(await screen.findByRole('button', { name: 'María Soto (Premium)' }));
+  fireEvent.click(within(screen.getByRole('group', { name: 'Medio de pago' })).getByRole('button', { name: 'Tarjeta' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Cobrar $6.700' }));
+
+  const boleta = await screen.findByRole('dialog');
+  expect(boleta).toHaveTextContent('María Soto');
+  expect(boleta).toHaveTextContent('$6.700');
+  expect(boleta).toHaveTextContent('Pago:Tarjeta');
+  expect(backend.requests).toContainEqual(expect.objectContaining({
+    method: 'POST',
+    path: '/venta',
+    body: { clienteId: '2', productos: [{ id: '1', cantidad: 3, precio: 1500 }, { id: '2', cantidad: 1, precio: 2200 }], medioPago: 'tarjeta' }
+  }));
+  expect(backend.db.productos[0].stock).toBe(17);
+  expect(within(venta()).getByText('Toca un producto o escanea su código para agregarlo.')).toBeInTheDocument();
+});
+
+test('agrega productos leídos con el lector de códigos de barras o escritos en el buscador', async () => {
+  renderApp('/caja', SIN_PROMOCIONES);
+  await screen.findByRole('button', { name: 'Cappuccino' });
+
+  escanear('7801234500028');
+  escanear('7801234500028');
+  expect(within(venta()).getByRole('listitem', { name: 'Cappuccino' })).toHaveTextContent('2 × $2.200');
+
+  escanear('0000000000');
+  expect(await screen.findByText('No hay un producto con el código 0000000000.')).toBeInTheDocument();
+
+  const buscador = screen.getByRole('searchbox', { name: 'Buscar producto o escanear código (F2)' });
+  fireEvent.change(buscador, { target: { value: '7801234500011' } });
+  fireEvent.keyDown(buscador, { key: 'Enter' });
+  expect(within(venta()).getByRole('listitem', { name: 'Café americano' })).toHaveTextContent('1 × $1.500');
+  expect(buscador).toHaveValue('');
+});
+
+test('atajos de teclado para buscar, agregar, elegir cliente, cobrar y cancelar', async () => {
+  renderApp('/caja', SIN_PROMOCIONES);
+  await screen.findByRole('button', { name: 'Cappuccino' });
+  const buscador = screen.getByRole('searchbox', { name: 'Buscar producto o escanear código (F2)' });
+  buscador.blur();
+
+  fireEvent.keyDown(document.body, { key: 'F2' });
+  expect(buscador).toHaveFocus();
+  fireEvent.change(buscador, { target: { value: 'capp' } });
+  fireEvent.keyDown(buscador, { key: 'Enter' });
+  expect(within(venta()).getByRole('listitem', { name: 'Cappuccino' })).toBeInTheDocument();
+
+  fireEvent.keyDown(document.body, { key: 'F9' });
+  expect(await screen.findByText('Elige el cliente antes de cobrar.')).toBeInTheDocument();
+  const buscarCliente = screen.getByRole('searchbox', { name: 'Buscar cliente por nombre o ID (F4)' });
+  expect(buscarCliente).toHaveFocus();
+  fireEvent.change(buscarCliente, { target: { value: 'josé' } });
+  fireEvent.keyDown(buscarCliente, { key: 'Enter' });
+  expect(screen.getByText('José Pérez (Normal)')).toBeInTheDocument();
+
+  fireEvent.keyDown(document.body, { key: 'Escape' });
+  const dialogo = await screen.findByRole('dialog');
+  // Con la confirmación abierta los atajos no cobran ni cambian el foco.
+  fireEvent.keyDown(document.body, { key: 'F9' });
+  fireEvent.keyDown(document.body, { key: 'F2' });
+  expect(buscador).not.toHaveFocus();
+  fireEvent.click(within(dialogo).getByRole('button', { name: 'Cancelar venta' }));
+  await waitFor(() => expect(within(venta()).queryByRole('listitem', { name: 'Cappuccino' })).not.toBeInTheDocument());
+  expect(screen.getByRole('searchbox', { name: 'Buscar cliente por nombre o ID (F4)' })).toHaveValue('');
+  expect(backend.requests.some(r => r.method === 'POST' && r.path === '/venta')).toBe(false);
+});
+
+test('se abre desde la sección Ventas y vuelve con "Salir del modo caja"', async () => {
+  renderApp('/ventas', { rol: 'cajero' });
+  fireEvent.click(await screen.findByRole('link', { name: 'Modo caja' }));
+  expect(await screen.findByRole('heading', { name: /Modo caja/ })).toBeInTheDocument();
+  expect(screen.queryByRole('link', { name: 'Clientes' })).not.toBeInTheDocument();
+  fireEvent.click(screen.getByRole('link', { name: 'Salir del modo caja' }));
+  expect(await screen.findByRole('heading', { name: 'Consultar Ventas' })).toBeInTheDocument();
+});
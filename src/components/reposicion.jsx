@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useMemo } from 'react';
+// Importamos React y los hooks necesarios para estado, efectos y memorización
+import { incrementStock } from '../api/productos';
+import { isAbortError, errorMessage } from '../api/client';
+import useAbortSignal from '../hooks/useAbortSignal';
+import { useVendidosSemana } from '../hooks/useConsultas';
+import useI18n from '../hooks/useI18n';
+import { isLowStock, minStockFor, suggestedReorder } from '../utils/stock';
+// Funciones de la API, hook de cancelación, vendidos de la semana (caché de consultas), textos traducidos
+// y reglas de stock mínimo
+
+// Componente "Reposicion":
+// Panel de reposición con los productos bajo su stock mínimo. Sugiere una cantidad
+// a reponer según lo vendido esta semana (/producto/sold/estaSemana) y permite
+// reponer varios productos de una vez mediante PUT /producto/:id/stock.
+//
+// Props:
+// - productos: productos disponibles
+// - thresholds: mínimos de stock por producto
+// - onDone: se llama tras reponer (la lista de productos se recarga sola al invalidarse)
+// - onClose: cierra el panel
+export default function Reposicion({ productos, thresholds, onDone, onClose }) {
+  // Estado local del componente:
+  // - semana: productos vendidos esta semana, base de la cantidad sugerida
+  // - cantidades: cantidad a reponer por producto (editable, parte de la sugerencia)
+  // - selected: productos marcados para reponer
+  // - saving: true mientras se envían las reposiciones
+  // - report: resultado del último envío ({ ok, failed: [{ nombre, message }] }) o null
+  const semana                      = useVendidosSemana();
+  const [cantidades, setCantidades] = useState({});
+  const [selected, setSelected]     = useState(() => new Set());
+  const [saving, setSaving]         = useState(false);
+  const [report, setReport]         = useState(null);
+  const signalFor                   = useAbortSignal();
+  const { t, formato }              = useI18n();
+
+  // Unidades vendidas esta semana por producto ({ [productId]: cantidad }).
+  const weekly = useMemo(() => Object.fromEntries(
+    (semana.data || []).map(i => [String(i.productId), Number(i.quantitySold)])
+  ), [semana.data]);
+
+  // Productos bajo el mínimo con su cantidad sugerida.
+  const items = useMemo(() => productos
+    .filter(p => isLowStock(p, thresholds))
+    .map(p => {
+      const min = minStockFor(p.productoID, thresholds);
+      const vendidos = weekly[String(p.productoID)] || 0;
+      return { producto: p, min, vendidos, sugerido: suggestedReorder(p, min, vendidos) };
+    }), [productos, thresholds, weekly]);
+
+  // Cada vez que cambian las sugerencias se preseleccionan todos los productos
+  // y se reinician las cantidades a la sugerencia.
+  useEffect(() => {
+    setCantidades(Object.fromEntries(items.map(i => [i.producto.productoID, i.sugerido])));
+    setSelected(new Set(items.filter(i => i.sugerido > 0).map(i => i.producto.productoID)));
+  }, [items]);
+
+  const toggle = id => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  // Repone los productos seleccionados uno a uno e informa el resultado.
+  const handleRestock = async () => {
+    const signal = signalFor('restock');
+    const targets = items.filter(i => selected.has(i.producto.productoID) && cantidades[i.producto.productoID] > 0);
+    const failed = [];
+    let ok = 0;
+    setSaving(true);
+    setReport(null);
+    for (const { producto } of targets) {
+      try {
+        await incrementStock(producto.productoID, cantidades[producto.productoID], { signal });
+        ok++;
+      } catch (err) {
+        if (isAbortError(err)) return;
+        failed.push({ nombre: producto.nombre, message: errorMessage(err, t('reposicion.errorStock'), t) });
+      }
+    }
+    setSaving(false);
+    setReport({ ok, failed });
+    onDone?.();
+  };
+
+  // Renderizado de la UI:
+  // - Tabla de productos bajo el mínimo con cantidad editable.
+  // - Botón para reponer los seleccionados e informe del resultado.
+  return (
+    <div className="mb-6 p-4 border rounded bg-gray-50">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-medium">{t('reposicion.titulo')}</h3>
+        <button type="button" onClick={onClose} className="px-2 text-gray-600 hover:text-black" aria-label={t('comun.cerrar')}>✕</button>
+      </div>
+      {semana.error && (
+        <div className="mb-2 text-sm text-red-600">
+          {errorMessage(semana.error, t('reposicion.errorSemana'), t)}
+        </div>
+      )}
+
+      {items.length === 0 ? (
+        <p className="text-gray-500">{t('reposicion.sinProductos')}</p>
+      ) : (
+        <>
+          <table className="w-full table-auto mb-4 text-sm">
+            <thead className="bg-gray-100">
+              <tr>
+                {['', 'ventas.producto', 'productos.stock', 'productos.minimo', 'reposicion.vendidosSemana', 'reposicion.reponer'].map(h => (
+                  <th key={h} className="p-2">{h && t(h)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {items.map(({ producto: p, min, vendidos }) => (
+                <tr key={p.productoID} className="border-t">
+                  <td className="p-2">
+                    <input
+                      type="checkbox"
+                      checked={selected.has(p.productoID)}
+                      onChange={() => toggle(p.productoID)}
+                      aria-label={t('reposicion.reponerAria', { nombre: p.nombre })}
+                    />
+                  </td>
+                  <td className="p-2">{p.nombre}</td>
+                  <td className="p-2">{formato.number(p.stock)}</td>
+                  <td className="p-2">{formato.number(min)}</td>
+                  <td className="p-2">{formato.number(vendidos)}</td>
+                  <td className="p-2">
+                    <input
+                      type="number"
+                      min="0"
+                      value={cantidades[p.productoID] ?? 0}
+                      onChange={e => setCantidades({ ...cantidades, [p.productoID]: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                      className="border rounded p-1 w-20"
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            type="button"
+            onClick={handleRestock}
+            disabled={saving || selected.size === 0}
+            className="bg-green-500 text-white px-3 py-2 rounded hover:bg-green-600 disabled:opacity-50"
+          >
+            {saving ? t('reposicion.reponiendo') : t('reposicion.reponerSeleccionados', { count: selected.size })}
+          </button>
+        </>
+      )}
+
+      {report && (
+        <div className="mt-4 text-sm">
+          <p className="text-green-700">{t('reposicion.repuestos', { count: report.ok })}</p>
+          {report.failed.map(f => (
+            <p key={f.nombre} className="text-red-600">{f.nombre}: {f.message}</p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
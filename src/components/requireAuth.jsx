@@ -0,0 +1,22 @@
+import React from 'react';
+// Importamos React
+import { Navigate, useLocation } from 'react-router-dom';
+// Componentes y hooks de react-router para redirigir al login
+import useAuth from '../hooks/useAuth';
+// Sesión del usuario
+
+// Componente "RequireAuth":
+// Protege las rutas internas: sin sesión redirige a /login recordando la ruta pedida.
+// Si se indica "permiso" y el rol del usuario no lo tiene, vuelve al inicio.
+export default function RequireAuth({ children, permiso }) {
+  const { user, can } = useAuth();
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location.pathname + location.search }} />;
+  }
+  if (permiso && !can(permiso)) {
+    return <Navigate to="/" replace />;
+  }
+  return children;
+}
@@ -0,0 +1,65 @@
+import React from 'react';
+// Importamos React
+import { createPortal } from 'react-dom';
+// Portal para la copia que se imprime fuera del árbol de la app
+import Modal from './modal';
+import Exportar from './exportar';
+import { cierreTexto, fechaCierre, filasCierre, CIERRE_EXPORT_COLUMNS } from '../utils/cierre';
+import { buildTextPdf } from '../utils/pdf';
+import { downloadBlob } from '../utils/export';
+import useI18n from '../hooks/useI18n';
+// Diálogo modal, botones de exportación, modelo del cierre impreso, generador de PDF,
+// descarga de archivos y textos traducidos
+
+// Renglones del cierre en texto monoespaciado, usados tanto en pantalla como en la copia impresa.
+function ContenidoCierre({ cierre }) {
+  return (
+    <div className="font-mono text-sm whitespace-pre">
+      {cierreTexto(cierre).map((linea, i) => (
+        typeof linea === 'string'
+          ? <div key={i}>{linea || ' '}</div>
+          : <div key={i} className={linea.bold ? 'font-bold' : undefined}>{linea.text}</div>
+      ))}
+    </div>
+  );
+}
+
+// Componente "ResumenCierre":
+// Muestra un cierre de caja guardado en un diálogo, con opciones para imprimirlo
+// (mismo formato de 80 mm que la boleta), descargarlo como PDF y exportarlo a CSV/XLSX.
+//
+// Props:
+// - cierre: cierre de caja (ver utils/cierre)
+// - onClose: cierra el diálogo
+export default function ResumenCierre({ cierre, onClose }) {
+  const { t } = useI18n();
+
+  // Descarga el cierre como PDF.
+  const handlePdf = () => {
+    const bytes = buildTextPdf(cierreTexto(cierre));
+    downloadBlob(new Blob([bytes], { type: 'application/pdf' }), `cierre-${cierre.fecha}.pdf`);
+  };
+
+  // Renderizado de la UI:
+  // - Diálogo con el cierre, los botones de exportación, PDF e impresión.
+  // - Copia del cierre fuera de la app, que es lo único visible al imprimir.
+  return (
+    <>
+      <Modal title={t('cierre.resumen', { fecha: fechaCierre(cierre.fecha) })} onClose={onClose}>
+        <div className="max-h-[60vh] overflow-y-auto mb-4 p-3 border rounded">
+          <ContenidoCierre cierre={cierre} />
+        </div>
+        <div className="flex flex-wrap items-center justify-end gap-2">
+          <Exportar filename={`cierre-${cierre.fecha}`} rows={filasCierre(cierre)} columns={CIERRE_EXPORT_COLUMNS} sheetName="Cierre" />
+          <button type="button" onClick={handlePdf} className="px-3 py-2 bg-gray-200 rounded hover:bg-gray-300">
+            {t('cierre.pdf')}
+          </button>
+          <button type="button" onClick={() => window.print()} className="px-3 py-2 bg-blue-500 text-white rounded hover:bg-blue-600">
+            {t('cierre.imprimir')}
+          </button>
+        </div>
+      </Modal>
+      {createPortal(<div className="solo-impresion"><ContenidoCierre cierre={cierre} /></div>, document.body)}
+    </>
+  );
+}
@@ -0,0 +1,267 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+// Importamos React y los hooks necesarios para estado, efectos y memorización
+import { normalizeText } from '../utils/texto';
+import useI18n from '../hooks/useI18n';
+// Normalización de texto para la búsqueda sin tildes y textos traducidos
+
+// Tamaños de página disponibles por defecto.
+const PAGE_SIZES = [10, 25, 50, 100];
+
+// Valor usado para ordenar y buscar en una columna: sortValue/searchValue si existen,
+// o la propiedad "key" de la fila.
+const sortValueOf = (col, row) => (col.sortValue ? col.sortValue(row) : row[col.key]);
+const searchValueOf = (col, row) => (col.searchValue ? col.searchValue(row) : sortValueOf(col, row));
+
+// Compara dos valores: números como números y el resto como texto en español.
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined || a === '') return 1;
+  if (b === null || b === undefined || b === '') return -1;
+  const na = Number(a);
+  const nb = Number(b);
+  if (!Number.isNaN(na) && !Number.isNaN(nb)) return na - nb;
+  return String(a).localeCompare(String(b), 'es', { sensitivity: 'base', numeric: true });
+}
+
+// Componente "Tabla":
+// Tabla reutilizable con ordenamiento por columna, búsqueda de texto en todas las columnas,
+// paginación en el cliente con tamaño de página configurable, columnas ocultables
+// y encabezado fijo al desplazarse.
+//
+// Props:
+// - rows: filas a mostrar
+// - columns: [{ key, header, render?, sortValue?, searchValue?, sortable?, hideable?, className? }]
+// - rowKey: fila => clave única
+// - rowClassName: fila => clases adicionales para la fila
+// - renderExpanded: fila => contenido adicional bajo la fila (o null si no está expandida)
+// - onRowClick: se llama al hacer clic en una fila
+// - initialSort: { key, dir: 'asc' | 'desc' }
+// - pageSizes / initialPageSize: opciones de tamaño de página
+// - toolbar: contenido extra para la barra superior (p. ej. botones de exportación)
+// - footer: contenido de resumen que se muestra en el pie de la tabla (ocupa todas las columnas)
+// - onVisibleRowsChange: recibe las filas filtradas y ordenadas (todas las páginas)
+// - emptyMessage: texto cuando no hay filas (por defecto "No hay registros." en el idioma elegido)
+export default function Tabla({
+  rows,
+  columns,
+  rowKey,
+  rowClassName,
+  renderExpanded,
+  onRowClick,
+  initialSort,
+  pageSizes = PAGE_SIZES,
+  initialPageSize = pageSizes[0],
+  toolbar,
+  footer,
+  onVisibleRowsChange,
+  emptyMessage
+}) {
+  const { t, formato } = useI18n();
+
+  // Estado local del componente:
+  // - search: texto de búsqueda
+  // - sort: columna y dirección de orden ({ key, dir }) o null
+  // - page / pageSize: página actual (desde 0) y filas por página
+  // - hidden: claves de las columnas ocultas
+  // - showColumns: muestra el menú de columnas visibles
+  const [search, setSearch]         = useState('');
+  const [sort, setSort]             = useState(initialSort || null);
+  const [page, setPage]             = useState(0);
+  const [pageSize, setPageSize]     = useState(initialPageSize);
+  const [hidden, setHidden]         = useState(() => new Set());
+  const [showColumns, setShowColumns] = useState(false);
+
+  const visibleColumns = columns.filter(c => !hidden.has(c.key));
+
+  // Filas filtradas por la búsqueda y ordenadas según la columna elegida.
+  const filtered = useMemo(() => {
+    const q = normalizeText(search.trim());
+    let result = q
+      ? rows.filter(r => columns.some(c => normalizeText(searchValueOf(c, r)).includes(q)))
+      : rows;
+    if (sort) {
+      const col = columns.find(c => c.key === sort.key);
+      if (col) {
+        result = [...result].sort((a, b) => {
+          const diff = compare(sortValueOf(col, a), sortValueOf(col, b));
+          return sort.dir === 'desc' ? -diff : diff;
+        });
+      }
+    }
+    return result;
+  }, [rows, columns, search, sort]);
+
+  // Informa las filas visibles solo cuando realmente cambian: las columnas suelen
+  // definirse en cada render, lo que recalcula "filtered" aunque el resultado sea el mismo.
+  const lastVisible = useRef(null);
+  useEffect(() => {
+    const prev = lastVisible.current;
+    if (prev && prev.length === filtered.length && prev.every((r, i) => r === filtered[i])) return;
+    lastVisible.current = filtered;
+    onVisibleRowsChange?.(filtered);
+  }, [filtered, onVisibleRowsChange]);
+
+  // Si los datos o el filtro reducen la cantidad de páginas, se vuelve a una página válida.
+  const pageCount = Math.max(1, Math.ceil(filtered.length / pageSize));
+  useEffect(() => {
+    if (page > pageCount - 1) setPage(pageCount - 1);
+  }, [page, pageCount]);
+
+  const pageRows = filtered.slice(page * pageSize, (page + 1) * pageSize);
+
+  // Alterna el orden de una columna: ascendente → descendente → sin orden.
+  const toggleSort = key => {
+    setSort(prev => {
+      if (!prev || prev.key !== key) return { key, dir: 'asc' };
+      if (prev.dir === 'asc') return { key, dir: 'desc' };
+      return null;
+    });
+  };
+
+  const toggleColumn = key => {
+    setHidden(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  // Renderizado de la UI:
+  // - Barra con búsqueda, menú de columnas y contenido extra.
+  // - Tabla con encabezado fijo y filas de la página actual.
+  // - Paginación con selector de tamaño de página.
+  return (
+    <div className="mb-4">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <input
+          type="search"
+          placeholder={t('tabla.buscar')}
+          value={search}
+          onChange={e => { setSearch(e.target.value); setPage(0); }}
+          className="border rounded p-1"
+          aria-label={t('tabla.buscarAria')}
+        />
+        <div className="relative">
+          <button
+            type="button"
+            onClick={() => setShowColumns(v => !v)}
+            className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300"
+            aria-expanded={showColumns}
+          >{t('tabla.columnas')}</button>
+          {showColumns && (
+            <div className="absolute z-20 mt-1 p-2 bg-white border rounded shadow">
+              {columns.filter(c => c.hideable !== false).map(c => (
+                <label key={c.key} className="flex items-center space-x-2 whitespace-nowrap">
+                  <input type="checkbox" checked={!hidden.has(c.key)} onChange={() => toggleColumn(c.key)} />
+                  <span>{c.header}</span>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+        {toolbar && <div className="ml-auto flex items-center gap-2">{toolbar}</div>}
+      </div>
+
+      <div className="max-h-[32rem] overflow-auto">
+        <table className="w-full table-auto">
+          <thead className="bg-gray-100 sticky top-0 z-10">
+            <tr>
+              {visibleColumns.map(c => {
+                const sortable = c.sortable !== false;
+                const active = sort?.key === c.key;
+                return (
+                  <th
+                    key={c.key}
+                    className={`p-2 ${sortable ? 'cursor-pointer select-none' : ''}`}
+                    onClick={sortable ? () => toggleSort(c.key) : undefined}
+                    aria-sort={active ? (sort.dir === 'asc' ? 'ascending' : 'descending') : undefined}
+                  >
+                    {c.header}
+                    {active && (sort.dir === 'asc' ? ' ▲' : ' ▼')}
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.map(r => {
+              const expanded = renderExpanded?.(r);
+              return (
+                <React.Fragment key={rowKey(r)}>
+                  <tr
+                    className={`border-t ${onRowClick ? 'cursor-pointer hover:bg-gray-50' : ''} ${rowClassName?.(r) || ''}`}
+                    onClick={onRowClick ? () => onRowClick(r) : undefined}
+                  >
+                    {visibleColumns.map(c => (
+                      <td key={c.key} className={`p-2 ${c.className || ''}`}>
+                        {c.render ? c.render(r) : r[c.key]}
+                      </td>
+                    ))}
+                  </tr>
+                  {expanded && (
+                    <tr>
+                      <td colSpan={visibleColumns.length} className="p-0">{expanded}</td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+            {pageRows.length === 0 && (
+              <tr>
+                <td colSpan={visibleColumns.length} className="p-2 text-gray-500">{emptyMessage ?? t('tabla.vacia')}</td>
+              </tr>
+            )}
+          </tbody>
+          {footer && (
+            <tfoot>
+              <tr className="border-t font-semibold">
+                <td colSpan={visibleColumns.length} className="p-2">{footer}</td>
+              </tr>
+            </tfoot>
+          )}
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-2 mt-2 text-sm">
+        <span>
+          {filtered.length === 0
+            ? t('tabla.sinRegistros')
+            : t('tabla.rango', {
+              desde: formato.number(page * pageSize + 1),
+              hasta: formato.number(Math.min((page + 1) * pageSize, filtered.length)),
+              total: formato.number(filtered.length)
+            })}
+          {filtered.length !== rows.length && t('tabla.filtrados', { total: formato.number(rows.length) })}
+        </span>
+        <div className="flex items-center gap-1">
+          <label>
+            {t('tabla.filas')}{' '}
+            <select
+              value={pageSize}
+              onChange={e => { setPageSize(Number(e.target.value)); setPage(0); }}
+              className="border rounded p-1"
+            >
+              {pageSizes.map(n => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+          <button
+            type="button"
+            onClick={() => setPage(p => p - 1)}
+            disabled={page === 0}
+            className="px-2 py-1 bg-gray-200 rounded disabled:opacity-50"
+            aria-label={t('tabla.anterior')}
+          >‹</button>
+          <span>{page + 1} / {pageCount}</span>
+          <button
+            type="button"
+            onClick={() => setPage(p => p + 1)}
+            disabled={page >= pageCount - 1}
+            className="px-2 py-1 bg-gray-200 rounded disabled:opacity-50"
+            aria-label={t('tabla.siguiente')}
+          >›</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,170 +1,396 @@
-import React, { useState, useCallback, useEffect } from "react";
-// Importamos React y los hooks useState (para manejar estado local), 
-// useEffect (para ejecutar efectos al montar o actualizar el componente)
-// y useCallback (para optimizar funciones que dependen de estado)
+import React, { useState, useCallback, useEffect, useMemo } from "react";
+// Importamos React y los hooks useState (para manejar estado local),
+// useEffect (para ejecutar la consulta indicada en la URL),
+// useCallback y useMemo (para optimizar funciones y datos derivados)
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+// Hooks de react-router para leer y actualizar la consulta desde la URL, y enlace al modo caja
+import { searchVentas } from '../api/ventas';
+import { isAbortError, errorMessage } from '../api/client';
+import useAbortSignal from '../hooks/useAbortSignal';
+import { useClientes, useProductos } from '../hooks/useConsultas';
+import useI18n from '../hooks/useI18n';
+import useAuth from '../hooks/useAuth';
+// Funciones del cliente de API compartido, hook para cancelar peticiones al desmontar,
+// catálogos de la caché de consultas, textos traducidos y permisos del usuario
+import { daysFromToday, eachDay } from '../utils/fechas';
+import { groupVentas, productNameResolver } from '../utils/ventas';
+import { EXPORT_LOCALE } from '../utils/export';
+// Utilidades de fechas y de agrupación de líneas de venta
+import NuevaVenta from './nuevaVenta';
+import VentasPendientes from './ventasPendientes';
+import Exportar from './exportar';
+import Tabla from './tabla';
+import Boleta from './boleta';
+import { boletaFromVenta } from '../utils/boleta';
+import Promociones from './promociones';
+// Editor guiado de líneas de venta, cola de ventas sin conexión, botones de exportación, tabla reutilizable,
+// boleta de cada venta y configuración de promociones
+
+// Lista vacía estable, usada mientras no hay datos.
+const EMPTY_LIST = [];
+
+// Cantidad máxima de consultas día a día (clientes × días) que se permite en una búsqueda.
+const MAX_REQUESTS = 2000;
+
+// Lee los parámetros de búsqueda desde la URL.
+// Soporta la ruta histórica /ventas/cliente/:clienteId/fecha/:fecha y la forma
+// /ventas?desde=YYYY-MM-DD&hasta=YYYY-MM-DD&clientes=1,2&producto=3.
+function readQuery(routeParams, searchParams) {
+  if (routeParams.clienteId && routeParams.fecha) {
+    return {
+      desde: routeParams.fecha,
+      hasta: routeParams.fecha,
+      clientes: [routeParams.clienteId],
+      producto: ''
+    };
+  }
+  return {
+    desde: searchParams.get('desde') || '',
+    hasta: searchParams.get('hasta') || '',
+    clientes: (searchParams.get('clientes') || '').split(',').filter(Boolean),
+    producto: searchParams.get('producto') || ''
+  };
+}
 
 // Componente "Ventas":
-// Permite registrar nuevas ventas y consultar ventas existentes por cliente y fecha.
-// Presenta formularios separados para registro y consulta, y una tabla para mostrar resultados.
+// Permite registrar nuevas ventas y buscar ventas por rango de fechas,
+// uno, varios o todos los clientes y opcionalmente un producto.
+// Los resultados se agrupan por venta en filas expandibles con sus líneas.
 export default function Ventas() {
+  // Parámetros de la consulta tomados de la URL, para poder recargarla o compartirla.
+  const routeParams = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const query = useMemo(
+    () => readQuery(routeParams, searchParams),
+    [routeParams, searchParams]
+  );
+  const queryKey = JSON.stringify(query);
 
-  // URL base de la API para ventas.
-  // En desarrollo, CRA proxy '/api/ventas' a 'http://localhost:3000/api/ventas'.
-  const API = "http://localhost:3001/venta";
+  // Catálogos de la caché compartida, para los filtros y para resolver nombres:
+  // todos los clientes (incluidos los inactivos, que pueden tener ventas en el rango)
+  // y el catálogo completo de productos, con los deshabilitados que se vendieron antes.
+  const clientesQuery       = useClientes();
+  const disponiblesQuery    = useProductos({ disponible: true });
+  const deshabilitadosQuery = useProductos({ disponible: false });
+  const clientes            = clientesQuery.data || EMPTY_LIST;
+  const productos           = useMemo(
+    () => [...(disponiblesQuery.data || EMPTY_LIST), ...(deshabilitadosQuery.data || EMPTY_LIST)],
+    [disponiblesQuery.data, deshabilitadosQuery.data]
+  );
+  const catalogError = clientesQuery.error || disponiblesQuery.error || deshabilitadosQuery.error;
 
   // Estado local del componente:
-  // - saleForm: datos del formulario para nueva venta (clienteId, items en JSON y fecha)
-  // - results: array de ventas obtenidas tras consulta por cliente y fecha
-  // - error: mensaje de error en caso de fallo en peticiones
-  const [saleForm, setSaleForm] = useState({
-    clienteId: '',
-    items: '[{"id":"1","cantidad":1,"precio":0}]',
-    fecha: ''
+  // - searchForm: valores del formulario de búsqueda antes de aplicarlos
+  // - results: líneas de venta obtenidas en la búsqueda
+  // - expanded: IDs de venta cuyas líneas están desplegadas
+  // - visibleVentas: ventas que quedan tras la búsqueda de la tabla (las que se exportan)
+  // - progress: avance de la búsqueda ({ done, total }) o null
+  // - boleta: boleta abierta en el diálogo (o null)
+  // - error: clave del mensaje de error o error de la petición (se traducen al mostrarlos)
+  // - configurando: muestra el diálogo de configuración de promociones
+  const [searchForm, setSearchForm] = useState({
+    desde: query.desde || daysFromToday(-7),
+    hasta: query.hasta || daysFromToday(0),
+    clientes: query.clientes,
+    producto: query.producto
   });
-  const [results, setResults] = useState([]);
-  const [error, setError] = useState('');
+  const [results, setResults]     = useState([]);
+  const [expanded, setExpanded]   = useState(() => new Set());
+  const [visibleVentas, setVisibleVentas] = useState([]);
+  const [progress, setProgress]   = useState(null);
+  const [boleta, setBoleta]       = useState(null);
+  const [error, setError]         = useState(null);
+  const [configurando, setConfigurando] = useState(false);
+  const signalFor = useAbortSignal();
+  const { t, formato } = useI18n();
+  const { can } = useAuth();
 
-  // useEffect para ejecutar código cuando el componente se monta
-  useEffect(() => {
-    // Código que se ejecuta al montar el componente
-    console.log('Componente Ventas montado');
-    
-    // Cleanup function (opcional) - se ejecuta al desmontar el componente
-    return () => {
-      console.log('Componente Ventas desmontado');
-    };
-  }, []); // Array vacío significa que solo se ejecuta una vez al montar
-
-  // Función para registrar una nueva venta en el sistema.
-  // Envía POST a /api/ventas con clienteId y array de productos (parsed del JSON).
-  // Limpia el formulario tras éxito y maneja errores apropiadamente.
-  const handleNewSale = useCallback(async e => {
-    e.preventDefault();
-    try {
-      setError('');
-      const res = await fetch(API, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          clienteId: saleForm.clienteId,
-          productos: JSON.parse(saleForm.items)
-        })
-      });
-      if (!res.ok) throw new Error(res.statusText);
-      alert('Venta registrada con éxito');
-      setSaleForm(form => ({ ...form, clienteId: '', items: '[{"id":"1","cantidad":1,"precio":0}]' }));
-    } catch (err) {
-      console.error(err);
-      setError('Error registrando la venta.');
+  // Función para buscar ventas según los parámetros de la URL.
+  // Sin clientes seleccionados se consultan todos los clientes ("todos": sus IDs), incluidos los inactivos.
+  // No depende del idioma: los errores se guardan como claves y se traducen al mostrarlos,
+  // así cambiar de idioma no repite una búsqueda que puede hacer muchas peticiones.
+  const runQuery = useCallback(async (q, todos) => {
+    const clienteIds = q.clientes.length ? q.clientes : todos;
+    const days = eachDay(q.desde, q.hasta).length;
+    if (days === 0) {
+      setError('ventas.errorFechas');
+      setResults([]);
+      return;
     }
-  }, [API, saleForm.clienteId, saleForm.items]);
-
-  // Función para consultar ventas por cliente y fecha específica.
-  // Construye URL GET /api/ventas/cliente/:clienteId/fecha/:fecha y guarda el resultado en 'results'.
-  // Valida que tanto cliente como fecha estén presentes antes de realizar la consulta.
-  const handleQuery = useCallback(async e => {
-    e.preventDefault();
-    const { clienteId, fecha } = saleForm;
-    if (!clienteId || !fecha) {
-      setError('Completa cliente y fecha para realizar la consulta.');
+    if (clienteIds.length * days > MAX_REQUESTS) {
+      setError('ventas.errorAmplia');
+      setResults([]);
       return;
     }
     try {
-      setError('');
-      // construye la URL con path params YYYY-MM-DD
-      const url = `${API}/cliente/${clienteId}/fecha/${fecha}`;
-      console.log('Fetching URL:', url);
-      const res = await fetch(url);
-      if (!res.ok) {
-        const text = await res.text();
-        console.error('Fetch failed:', res.status, text);
-        throw new Error(`${res.status}: ${text}`);
-      }
-      const data = await res.json();
+      setError(null);
+      setExpanded(new Set());
+      setProgress({ done: 0, total: clienteIds.length * days });
+      const data = await searchVentas({ clienteIds, desde: q.desde, hasta: q.hasta }, {
+        signal: signalFor('query'),
+        onProgress: (done, total) => setProgress({ done, total })
+      });
       setResults(data);
+      setProgress(null);
     } catch (err) {
-      console.error('GET error:', err);
-      setError('Error consultando las ventas.');
+      if (isAbortError(err)) return;
+      setError(err);
       setResults([]);
+      setProgress(null);
     }
-  }, [API, saleForm]);
+  }, [signalFor]);
+
+  // Hook que ejecuta la búsqueda cada vez que cambia la consulta de la URL.
+  // Si no se indicaron clientes espera a tener el catálogo para consultar a todos.
+  // Depende de los IDs de los clientes (no de la lista), para no repetir la búsqueda
+  // cada vez que la caché actualiza el catálogo en segundo plano sin cambios.
+  const todosKey = clientes.map(c => String(c.id)).join(',');
+  const todos = useMemo(() => todosKey.split(',').filter(Boolean), [todosKey]);
+  const allClientes = query.clientes.length ? null : todos;
+  useEffect(() => {
+    const q = JSON.parse(queryKey);
+    if (!q.desde || !q.hasta) {
+      setResults([]);
+      return;
+    }
+    setSearchForm(q);
+    if (allClientes && allClientes.length === 0) return;
+    runQuery(q, allClientes || []);
+  }, [queryKey, allClientes, runQuery]);
+
+  // Función que maneja el envío del formulario de búsqueda.
+  // Navega a la URL de la consulta, lo que dispara la búsqueda y deja el enlace listo para compartir.
+  const handleQuery = e => {
+    e.preventDefault();
+    const { desde, hasta, clientes: ids, producto } = searchForm;
+    const params = new URLSearchParams({ desde, hasta });
+    if (ids.length) params.set('clientes', ids.join(','));
+    if (producto) params.set('producto', producto);
+    const search = `?${params.toString()}`;
+    if (routeParams.clienteId || search !== `?${searchParams.toString()}`) {
+      navigate({ pathname: '/ventas', search });
+    } else {
+      runQuery(query, todos);
+    }
+  };
+
+  // Al registrar una venta se repite la búsqueda mostrada si su rango incluye hoy, para que la venta
+  // nueva aparezca en los resultados. Las que quedan en la cola local aparecerán al enviarse.
+  const handleRegistered = registrada => {
+    const hoy = daysFromToday(0);
+    if (registrada.pendiente || !query.desde || query.desde > hoy || hoy > query.hasta) return;
+    runQuery(query, allClientes || []);
+  };
+
+  // Mensaje del error de la búsqueda, traducido en el idioma actual.
+  const errorTexto = error && (typeof error === 'string' ? t(error) : errorMessage(error, t('ventas.errorConsulta'), t));
+
+  // Ventas agrupadas por ventaId, filtradas por producto si corresponde.
+  const ventas = useMemo(() => {
+    const grupos = groupVentas(results);
+    if (!query.producto) return grupos;
+    return grupos.filter(g => g.lineas.some(l => String(l.productoId) === query.producto));
+  }, [results, query.producto]);
+
+  const nombreProducto = useMemo(() => productNameResolver(productos), [productos]);
+  const nombreCliente = clienteId =>
+    clientes.find(c => String(c.id) === String(clienteId))?.nombre || t('ventas.clienteId', { id: clienteId });
+
+  // Columnas de la tabla de ventas agrupadas.
+  const columns = [
+    {
+      key: 'expand', header: '', sortable: false, hideable: false, searchValue: () => '',
+      render: v => (expanded.has(v.ventaId) ? '▾' : '▸')
+    },
+    { key: 'ventaId', header: t('ventas.ventaId') },
+    {
+      key: 'cliente', header: t('ventas.cliente'),
+      sortValue: v => nombreCliente(v.clienteId), render: v => nombreCliente(v.clienteId)
+    },
+    {
+      key: 'fecha', header: t('ventas.fecha'),
+      sortValue: v => new Date(v.fecha).getTime(),
+      searchValue: v => formato.date(v.fecha),
+      render: v => formato.date(v.fecha)
+    },
+    { key: 'unidades', header: t('ventas.unidades'), render: v => formato.number(v.unidades) },
+    { key: 'total', header: t('ventas.total'), searchValue: v => formato.money(v.total), render: v => formato.money(v.total) },
+    {
+      key: 'boleta', header: '', sortable: false, hideable: false, searchValue: () => '',
+      render: v => (
+        <button
+          type="button"
+          onClick={e => {
+            e.stopPropagation();
+            setBoleta(boletaFromVenta(v, {
+              cliente: clientes.find(c => String(c.id) === String(v.clienteId)),
+              nombreProducto
+            }));
+          }}
+          className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300"
+          aria-label={t('ventas.verBoletaAria', { id: v.ventaId })}
+          title={t('ventas.verBoleta')}
+        >🧾</button>
+      )
+    }
+  ];
+
+  // Filas y columnas exportadas: una fila por línea de las ventas visibles en la tabla.
+  const exportRows = useMemo(
+    () => visibleVentas.flatMap(v => v.lineas.map(l => ({ ...l, clienteId: v.clienteId }))),
+    [visibleVentas]
+  );
+  const exportColumns = [
+    { header: 'Venta ID',    value: l => l.ventaId, type: 'integer' },
+    { header: 'Fecha',       value: l => new Date(l.fecha).toLocaleDateString(EXPORT_LOCALE) },
+    { header: 'Cliente ID',  value: l => l.clienteId, type: 'integer' },
+    { header: 'Cliente',     value: l => nombreCliente(l.clienteId) },
+    { header: 'Producto ID', value: l => l.productoId, type: 'integer' },
+    { header: 'Producto',    value: l => nombreProducto(l.productoId) },
+    { header: 'Cantidad',    value: l => l.cantidad, type: 'integer' },
+    { header: 'Subtotal',    value: l => l.subtotal, type: 'decimal' }
+  ];
+
+  // Muestra u oculta las líneas de una venta.
+  const toggle = ventaId => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(ventaId)) next.delete(ventaId);
+      else next.add(ventaId);
+      return next;
+    });
+  };
 
   // Renderizado de la UI:
   // - Muestra mensaje de error si existe.
-  // - Formulario para registrar ventas con clienteId y productos en JSON.
-  // - Formulario para consultar ventas por cliente y fecha.
-  // - Tabla para mostrar resultados de la consulta con detalles de venta.
+  // - Ventas registradas sin conexión pendientes de envío (si hay).
+  // - Editor guiado para registrar ventas (componente NuevaVenta), enlace al modo caja y configuración de promociones.
+  // - Formulario de búsqueda por rango de fechas, clientes y producto.
+  // - Tabla de ventas agrupadas con filas expandibles, total por venta, búsqueda y paginación.
+  // - Boleta de la venta seleccionada (diálogo).
   return (
     <div>
-      {error && <div className="mb-4 text-red-600">{error}</div>}
-      <h2 className="text-xl font-semibold mb-4">Registrar Venta</h2>
-      <form onSubmit={handleNewSale} className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-8">
-        <input
-          type="text"
-          placeholder="ID Cliente"
-          value={saleForm.clienteId}
-          onChange={e => setSaleForm({ ...saleForm, clienteId: e.target.value })}
-          className="border rounded p-2"
-          required
-        />
-        <textarea
-          placeholder='Productos JSON: [{"id":"1","cantidad":2,"precio":1500},...]'
-          value={saleForm.items}
-          onChange={e => setSaleForm({ ...saleForm, items: e.target.value })}
-          className="border rounded p-2"
-          rows={3}
-          required
-        />
-        <button className="sm:col-span-2 bg-green-500 text-white py-2 rounded hover:bg-green-600">
-          Registrar Venta
-        </button>
-      </form>
+      {boleta && <Boleta boleta={boleta} onClose={() => setBoleta(null)} />}
+      {errorTexto && <div className="mb-4 text-red-600">{errorTexto}</div>}
+      {catalogError && (
+        <div className="mb-4 text-red-600">{errorMessage(catalogError, t('ventas.errorCatalogos'), t)}</div>
+      )}
+      {configurando && can('promociones:edit') && <Promociones onClose={() => setConfigurando(false)} />}
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold">{t('ventas.registrar')}</h2>
+        <div className="space-x-2">
+          <Link to="/caja" className="px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600">{t('caja.abrir')}</Link>
+          {can('promociones:edit') && (
+            <button onClick={() => setConfigurando(true)} className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300">
+              {t('promociones.configurar')}
+            </button>
+          )}
+        </div>
+      </div>
+      <VentasPendientes />
+      <NuevaVenta onRegistered={handleRegistered} />
 
-      <h2 className="text-xl font-semibold mb-4">Consultar Ventas</h2>
-      <form onSubmit={handleQuery} className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
-        <input
-          type="text"
-          placeholder="ID Cliente"
-          value={saleForm.clienteId}
-          onChange={e => setSaleForm({ ...saleForm, clienteId: e.target.value })}
-          className="border rounded p-2"
-          required
-        />
-        <input
-          type="date"
-          value={saleForm.fecha}
-          onChange={e => setSaleForm({ ...saleForm, fecha: e.target.value })}
-          className="border rounded p-2"
-          required
-        />
-        <button className="bg-blue-500 text-white py-2 rounded hover:bg-blue-600">
-          Consultar Ventas
+      <h2 className="text-xl font-semibold mb-4">{t('ventas.consultar')}</h2>
+      <form onSubmit={handleQuery} className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+        <label className="flex flex-col">
+          <span className="text-sm text-gray-600">{t('ventas.desde')}</span>
+          <input
+            type="date"
+            value={searchForm.desde}
+            onChange={e => setSearchForm({ ...searchForm, desde: e.target.value })}
+            className="border rounded p-2"
+            required
+          />
+        </label>
+        <label className="flex flex-col">
+          <span className="text-sm text-gray-600">{t('ventas.hasta')}</span>
+          <input
+            type="date"
+            value={searchForm.hasta}
+            onChange={e => setSearchForm({ ...searchForm, hasta: e.target.value })}
+            className="border rounded p-2"
+            required
+          />
+        </label>
+        <label className="flex flex-col">
+          <span className="text-sm text-gray-600">{t('ventas.clientes')}</span>
+          <select
+            multiple
+            value={searchForm.clientes}
+            onChange={e => setSearchForm({
+              ...searchForm,
+              clientes: Array.from(e.target.selectedOptions, o => o.value)
+            })}
+            className="border rounded p-2 h-24"
+          >
+            {clientes.map(c => (
+              <option key={c.id} value={String(c.id)}>{c.nombre}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col">
+          <span className="text-sm text-gray-600">{t('ventas.producto')}</span>
+          <select
+            value={searchForm.producto}
+            onChange={e => setSearchForm({ ...searchForm, producto: e.target.value })}
+            className="border rounded p-2"
+          >
+            <option value="">{t('ventas.todosProductos')}</option>
+            {productos.map(p => (
+              <option key={p.productoID} value={String(p.productoID)}>{p.nombre}</option>
+            ))}
+          </select>
+        </label>
+        <button className="sm:col-span-2 bg-blue-500 text-white py-2 rounded hover:bg-blue-600">
+          {t('ventas.consultar')}
         </button>
       </form>
 
-      {results.length > 0 && (
-        <table className="w-full table-auto">
-          <thead className="bg-gray-100">
-            <tr>
-              <th className="p-2">Venta ID</th>
-              <th className="p-2">Producto ID</th>
-              <th className="p-2">Cantidad</th>
-              <th className="p-2">Subtotal</th>
-              <th className="p-2">Fecha</th>
-            </tr>
-          </thead>
-          <tbody>
-            {results.map((v, i) => (
-              <tr key={i} className="border-t">
-                <td className="p-2">{v.ventaId}</td>
-                <td className="p-2">{v.productoId}</td>
-                <td className="p-2">{v.cantidad}</td>
-                <td className="p-2">{v.subtotal}</td>
-                <td className="p-2">{new Date(v.fecha).toLocaleDateString()}</td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
+      {progress && (
+        <p className="mb-4 text-sm text-gray-500">
+          {t('ventas.consultando', progress)}
+        </p>
+      )}
+
+      {ventas.length > 0 && (
+        <Tabla
+          rows={ventas}
+          columns={columns}
+          rowKey={v => v.ventaId}
+          onRowClick={v => toggle(v.ventaId)}
+          renderExpanded={v => expanded.has(v.ventaId) && (
+            <table className="w-full text-sm bg-gray-50">
+              <tbody>
+                {v.lineas.map((l, i) => (
+                  <tr key={i} className={String(l.productoId) === query.producto ? 'bg-yellow-50' : ''}>
+                    <td className="p-2 pl-8">{nombreProducto(l.productoId)}</td>
+                    <td className="p-2">{t('ventas.lineaUnidades', { cantidad: formato.number(l.cantidad) })}</td>
+                    <td className="p-2">{formato.money(l.subtotal)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          initialSort={{ key: 'fecha', dir: 'desc' }}
+          onVisibleRowsChange={setVisibleVentas}
+          toolbar={
+            <Exportar
+              filename={`ventas-${query.desde}_${query.hasta}`}
+              sheetName="Ventas"
+              rows={exportRows}
+              columns={exportColumns}
+            />
+          }
+          footer={t('ventas.resumen', {
+            ventas: formato.number(visibleVentas.length),
+            unidades: formato.number(visibleVentas.reduce((s, v) => s + v.unidades, 0)),
+            total: formato.money(visibleVentas.reduce((s, v) => s + v.total, 0))
+          })}
+        />
+      )}
+      {!progress && query.desde && ventas.length === 0 && !error && (
+        <p className="text-gray-500">{t('ventas.sinResultados')}</p>
       )}
     </div>
   );
@@ -0,0 +1,271 @@
+import { screen, fireEvent, within, waitFor } from '@testing-library/react';
+import renderApp from '../mocks/renderApp';
+import { installMockBackend, SEED } from '../mocks/backend';
+import { daysFromToday } from '../utils/fechas';
+
+// Pruebas de integración de la sección Ventas contra el backend de prueba en memoria.
+
+let backend;
+beforeEach(() => {
+  backend = installMockBackend();
+});
+
+// Elemento de la lista de productos del editor que corresponde al producto indicado.
+const itemProducto = producto => screen.getAllByRole('listitem')
+  .find(li => within(li).queryByText(`${producto} —`, { exact: false }));
+
+// Arma una venta en el editor: elige el cliente y agrega los productos con sus cantidades.
+const armarVenta = async (cliente, lineas) => {
+  const select = await screen.findByDisplayValue('Selecciona un cliente…');
+  await screen.findAllByText(cliente, { selector: 'option', exact: false });
+  fireEvent.change(select, { target: { value: String(backend.db.clientes.find(c => c.nombre === cliente).id) } });
+  for (const [producto, cantidad] of lineas) {
+    await screen.findByText(`${producto} —`, { exact: false });
+    fireEvent.click(within(itemProducto(producto)).getByText('Agregar'));
+    const linea = await screen.findByRole('row', { name: new RegExp(producto) });
+    fireEvent.change(within(linea).getByRole('spinbutton'), { target: { value: String(cantidad) } });
+  }
+};
+
+// Sin promociones, para que los precios no dependan del día ni de la hora.
+const SIN_PROMOCIONES = { storage: { 'vitoko.promociones': [] } };
+
+test('registra una venta, descuenta el stock y muestra la boleta', async () => {
+  renderApp('/ventas', SIN_PROMOCIONES);
+  await armarVenta('María Soto', [['Café americano', 2], ['Cappuccino', 1]]);
+  expect(screen.getByText('$5.200', { selector: 'td' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Registrar Venta' }));
+
+  const boleta = await screen.findByRole('dialog');
+  expect(boleta).toHaveTextContent('María Soto');
+  expect(boleta).toHaveTextContent('$5.200');
+  expect(screen.getByText('Venta registrada con éxito por $5.200.')).toBeInTheDocument();
+  expect(backend.db.productos[0].stock).toBe(18);
+  expect(backend.db.productos[1].stock).toBe(2);
+  expect(backend.db.ventas).toHaveLength(2);
+  expect(backend.requests).toContainEqual(expect.objectContaining({
+    method: 'POST',
+    path: '/venta',
+    body: { clienteId: '2', productos: [{ id: '1', cantidad: 2, precio: 1500 }, { id: '2', cantidad: 1, precio: 2200 }], medioPago: 'efectivo' }
+  }));
+  // Cada venta lleva un ID propio para que un reintento no la duplique.
+  const post = backend.requests.find(r => r.method === 'POST' && r.path === '/venta');
+  expect(post.headers['Idempotency-Key']).toEqual(expect.any(String));
+});
+
+test('aplica el descuento Premium y el combo café + pastelería y envía los precios descontados', async () => {
+  renderApp('/ventas', {
+    storage: {
+      'vitoko.promociones': [
+        { id: 'premium', tipo: 'cliente', nombre: 'Cliente Premium', activa: true, porcentaje: 10, tipoCliente: 2 },
+        { id: 'combo', tipo: 'combo', nombre: 'Combo desayuno', activa: true, porcentaje: 20, categorias: ['cafe', 'pasteleria'] }
+      ]
+    }
+  });
+  backend.db.productos[2].stock = 5;
+  await armarVenta('María Soto', [['Café americano', 2], ['Medialuna', 1]]);
+
+  // Café: 2 × 1.500 − 10 % = 2.700; una unidad en combo: −20 % de 1.350 = 270 → 2.430 (1.215 c/u).
+  // Medialuna: 900 − 10 % = 810; en combo: −162 → 648.
+  const cafe = screen.getByRole('row', { name: /Café americano/ });
+  expect(within(cafe).getByText('Cliente Premium: -$300')).toBeInTheDocument();
+  expect(within(cafe).getByText('Combo desayuno: -$270')).toBeInTheDocument();
+  expect(within(cafe).getByText('$2.430')).toBeInTheDocument();
+  expect(screen.getByText('-$390')).toBeInTheDocument();
+  expect(screen.getByText('-$432')).toBeInTheDocument();
+  expect(screen.getByText('$3.078', { selector: 'td' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Registrar Venta' }));
+
+  const boleta = await screen.findByRole('dialog');
+  expect(boleta).toHaveTextContent('Combo desayuno');
+  expect(boleta).toHaveTextContent('$3.078');
+  expect(backend.requests).toContainEqual(expect.objectContaining({
+    method: 'POST',
+    path: '/venta',
+    body: { clienteId: '2', productos: [{ id: '1', cantidad: 2, precio: 1215 }, { id: '3', cantidad: 1, precio: 648 }], medioPago: 'efectivo' }
+  }));
+  expect(backend.db.ventas.map(l => l.subtotal)).toEqual([2430, 648]);
+});
+
+test('aplica descuentos por cantidad y por horario solo a las líneas que cumplen', async () => {
+  renderApp('/ventas', {
+    storage: {
+      'vitoko.promociones': [
+        { id: 'cantidad', tipo: 'cantidad', nombre: 'Lleva 3', activa: true, porcentaje: 10, categoria: '', minimo: 3 },
+        {
+          id: 'happy', tipo: 'horario', nombre: 'Happy hour', activa: true, porcentaje: 50, categoria: 'pasteleria',
+          dias: [0, 1, 2, 3, 4, 5, 6], desde: '00:00', hasta: '24:00'
+        },
+        { id: 'premium', tipo: 'cliente', nombre: 'Cliente Premium', activa: false, porcentaje: 10, tipoCliente: 1 }
+      ]
+    }
+  });
+  backend.db.productos[2].stock = 5;
+  await armarVenta('José Pérez', [['Café americano', 3], ['Cappuccino', 1], ['Medialuna', 1]]);
+
+  expect(within(screen.getByRole('row', { name: /Café americano/ })).getByText('Lleva 3: -$450')).toBeInTheDocument();
+  expect(within(screen.getByRole('row', { name: /Cappuccino/ })).queryByText(/-\$/)).not.toBeInTheDocument();
+  expect(within(screen.getByRole('row', { name: /Medialuna/ })).getByText('Happy hour: -$450')).toBeInTheDocument();
+  expect(screen.queryByText(/Cliente Premium/)).not.toBeInTheDocument();
+  expect(screen.getByText('$6.700', { selector: 'td' })).toBeInTheDocument();
+});
+
+test('el gerente configura las promociones y se aplican al instante', async () => {
+  renderApp('/ventas', {
+    rol: 'gerente',
+    storage: { 'vitoko.promociones': [{ id: 'premium', tipo: 'cliente', nombre: 'Cliente Premium', activa: true, porcentaje: 10, tipoCliente: 2 }] }
+  });
+  await armarVenta('María Soto', [['Cappuccino', 1]]);
+  expect(screen.getByText('Cliente Premium: -$220')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Promociones' }));
+  const regla = within(await screen.findByRole('dialog')).getByRole('listitem', { name: 'Cliente Premium' });
+  fireEvent.change(within(regla).getByLabelText('Descuento (%)'), { target: { value: '25' } });
+  expect(screen.getByText('Cliente Premium: -$550')).toBeInTheDocument();
+  fireEvent.click(within(regla).getByLabelText('Activa'));
+  fireEvent.click(screen.getByRole('button', { name: 'Cerrar' }));
+
+  await waitFor(() => expect(screen.queryByText(/Cliente Premium:/)).not.toBeInTheDocument());
+  expect(screen.getByText('$2.200', { selector: 'tfoot td' })).toBeInTheDocument();
+  expect(JSON.parse(window.localStorage.getItem('vitoko.promociones'))[0]).toMatchObject({ activa: false, porcentaje: 25 });
+});
+
+test('un mínimo de unidades vacío o menor a 2 no se guarda ni descuenta', async () => {
+  const regla = { id: 'cantidad-3', tipo: 'cantidad', nombre: 'Llevando 3 o más', activa: true, porcentaje: 5, categoria: '', minimo: 3 };
+  renderApp('/ventas', { rol: 'gerente', storage: { 'vitoko.promociones': [regla] } });
+  await armarVenta('José Pérez', [['Café americano', 1]]);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Promociones' }));
+  const minimo = within(await screen.findByRole('dialog')).getByLabelText('Mínimo por producto');
+  fireEvent.change(minimo, { target: { value: '' } });
+  expect(screen.getByRole('alert')).toHaveTextContent('Indica el mínimo de unidades.');
+  fireEvent.change(minimo, { target: { value: '1' } });
+  expect(screen.getByRole('alert')).toHaveTextContent('El mínimo debe ser al menos 2.');
+  expect(minimo).toHaveAttribute('aria-invalid', 'true');
+  expect(JSON.parse(window.localStorage.getItem('vitoko.promociones'))[0].minimo).toBe(3);
+  expect(screen.queryByText(/Llevando 3 o más:/)).not.toBeInTheDocument();
+
+  fireEvent.change(minimo, { target: { value: '2' } });
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  expect(JSON.parse(window.localStorage.getItem('vitoko.promociones'))[0].minimo).toBe(2);
+});
+
+test('las promociones iniciales vienen inactivas y se avisa que son locales al navegador', async () => {
+  renderApp('/ventas', { rol: 'gerente' });
+  await armarVenta('María Soto', [['Café americano', 3]]);
+  expect(screen.queryByText(/: -\$/)).not.toBeInTheDocument();
+  expect(screen.getByText('$4.500', { selector: 'tfoot td' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Promociones' }));
+  const dialogo = await screen.findByRole('dialog');
+  expect(within(dialogo).getByRole('note')).toHaveTextContent('vitoko.promociones');
+  expect(within(dialogo).getAllByLabelText('Activa').every(c => !c.checked)).toBe(true);
+});
+
+test('el cajero no ve la configuración de promociones', async () => {
+  renderApp('/ventas', { rol: 'cajero' });
+  await screen.findByDisplayValue('Selecciona un cliente…');
+  expect(screen.queryByRole('button', { name: 'Promociones' })).not.toBeInTheDocument();
+});
+
+test('no permite vender más que el stock disponible', async () => {
+  renderApp('/ventas');
+  await armarVenta('José Pérez', [['Cappuccino', 5]]);
+  expect(await screen.findByText(/stock/i, { selector: 'td div' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Registrar Venta' })).toBeDisabled();
+  expect(within(itemProducto('Medialuna')).getByRole('button', { name: 'Agregar' })).toBeDisabled();
+});
+
+test('muestra el rechazo del servidor si el stock cambió entre tanto', async () => {
+  renderApp('/ventas');
+  await armarVenta('José Pérez', [['Cappuccino', 3]]);
+  backend.db.productos[1].stock = 1;
+  fireEvent.click(screen.getByRole('button', { name: 'Registrar Venta' }));
+
+  expect(await screen.findByText('Error registrando la venta. Stock insuficiente para "Cappuccino".')).toBeInTheDocument();
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  expect(backend.db.ventas).toHaveLength(0);
+});
+
+test('consulta las ventas por rango de fechas y cliente', async () => {
+  const ayer = new Date();
+  ayer.setDate(ayer.getDate() - 1);
+  backend = installMockBackend({
+    ...SEED,
+    ventas: [
+      { ventaId: 7, clienteId: 1, productoId: 1, cantidad: 2, subtotal: 3000, fecha: ayer.toISOString() },
+      { ventaId: 7, clienteId: 1, productoId: 3, cantidad: 1, subtotal: 900, fecha: ayer.toISOString() },
+      { ventaId: 8, clienteId: 2, productoId: 2, cantidad: 1, subtotal: 2200, fecha: ayer.toISOString() }
+    ]
+  });
+  renderApp(`/ventas?desde=${daysFromToday(-7)}&hasta=${daysFromToday(0)}&clientes=1`);
+
+  const venta = await screen.findByRole('row', { name: /José Pérez/ });
+  expect(within(venta).getByText('7')).toBeInTheDocument();
+  expect(within(venta).getByText('José Pérez')).toBeInTheDocument();
+  expect(within(venta).getByText('$3.900')).toBeInTheDocument();
+  expect(screen.queryByText('8', { selector: 'td' })).not.toBeInTheDocument();
+  expect(await screen.findByText('1 ventas · 3 unidades · Total $3.900')).toBeInTheDocument();
+
+  fireEvent.click(venta);
+  expect(await screen.findByText('Medialuna', { selector: 'td' })).toBeInTheDocument();
+  expect(screen.getByText('2 u.')).toBeInTheDocument();
+});
+
+test('consulta todos los clientes, incluidos los inactivos, y filtra por producto', async () => {
+  const hoy = new Date().toISOString();
+  backend = installMockBackend({
+    ...SEED,
+    ventas: [
+      { ventaId: 1, clienteId: 1, productoId: 1, cantidad: 1, subtotal: 1500, fecha: hoy },
+      { ventaId: 2, clienteId: 2, productoId: 2, cantidad: 2, subtotal: 4400, fecha: hoy },
+      { ventaId: 3, clienteId: 3, productoId: 2, cantidad: 3, subtotal: 6600, fecha: hoy }
+    ]
+  });
+  renderApp(`/ventas?desde=${daysFromToday(0)}&hasta=${daysFromToday(0)}&producto=2`);
+
+  expect(await screen.findByText('$4.400', { selector: 'td' })).toBeInTheDocument();
+  expect(screen.getByRole('row', { name: /Luis Rojas/ })).toHaveTextContent('$6.600');
+  expect(screen.queryByText('$1.500', { selector: 'td' })).not.toBeInTheDocument();
+  // Las ventas de un cliente dado de baja siguen en el historial.
+  const consultados = backend.requests.filter(r => r.path.startsWith('/venta/cliente/')).map(r => r.path.split('/')[3]);
+  expect([...new Set(consultados)].sort()).toEqual(['1', '2', '3']);
+});
+
+test('nombra los productos deshabilitados, no repite la búsqueda al cambiar de idioma y suma la venta recién registrada', async () => {
+  backend = installMockBackend({
+    ...SEED,
+    ventas: [{ ventaId: 5, clienteId: 2, productoId: 4, cantidad: 1, subtotal: 1800, fecha: new Date().toISOString() }]
+  });
+  renderApp(`/ventas?desde=${daysFromToday(0)}&hasta=${daysFromToday(0)}`, SIN_PROMOCIONES);
+
+  fireEvent.click(await screen.findByRole('row', { name: /María Soto/ }));
+  expect(await screen.findByText('Té chai', { selector: 'td' })).toBeInTheDocument();
+
+  const consultas = () => backend.requests.filter(r => r.path.startsWith('/venta/cliente/')).length;
+  const antes = consultas();
+  fireEvent.change(screen.getByLabelText('Idioma'), { target: { value: 'en' } });
+  expect(await screen.findByText(/^1 sales · 1 units · Total/)).toBeInTheDocument();
+  expect(consultas()).toBe(antes);
+  fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'es' } });
+
+  await armarVenta('José Pérez', [['Café americano', 1]]);
+  fireEvent.click(screen.getByRole('button', { name: 'Registrar Venta' }));
+  fireEvent.click(within(await screen.findByRole('dialog')).getByRole('button', { name: 'Cerrar' }));
+  expect(await screen.findByRole('row', { name: /José Pérez/ })).toHaveTextContent('$1.500');
+  expect(screen.getByText('2 ventas · 2 unidades · Total $3.300')).toBeInTheDocument();
+});
+
+test('muestra el error del servidor al consultar ventas', async () => {
+  backend.failNext('GET', `/venta/cliente/1/desde/${daysFromToday(-1)}/hasta/${daysFromToday(0)}`, {
+    status: 500, body: { message: 'Tiempo de consulta agotado.' }
+  });
+  renderApp(`/ventas?desde=${daysFromToday(-1)}&hasta=${daysFromToday(0)}&clientes=1`);
+  expect(await screen.findByText('Error consultando las ventas. Tiempo de consulta agotado.')).toBeInTheDocument();
+});
+
+test('valida el rango de fechas antes de consultar', async () => {
+  renderApp(`/ventas?desde=${daysFromToday(0)}&hasta=${daysFromToday(-3)}&clientes=1`);
+  expect(await screen.findByText('La fecha "desde" debe ser anterior o igual a "hasta".')).toBeInTheDocument();
+  await waitFor(() => expect(backend.requests.some(r => r.path.startsWith('/venta/'))).toBe(false));
+});
@@ -0,0 +1,103 @@
+import React from 'react';
+// Importamos React
+import useColaVentas from '../hooks/useColaVentas';
+import useOnline from '../hooks/useOnline';
+import useConfirm from '../hooks/useConfirm';
+import useI18n from '../hooks/useI18n';
+// Cola de ventas sin conexión, estado de la red, diálogos de confirmación y textos traducidos
+
+// Componente "VentasPendientes":
+// Muestra las ventas registradas sin conexión que aún no se enviaron al servidor.
+// Las que quedaron en conflicto (stock insuficiente, producto deshabilitado o rechazo
+// del servidor) muestran el motivo y permiten reintentarlas o descartarlas. Las que quedaron
+// por revisar (la conexión se cortó mientras se enviaban) piden comprobar si el servidor ya
+// las registró antes de reenviarlas o descartarlas.
+// No se muestra si la cola está vacía; si no se pudo leer, lo avisa.
+export default function VentasPendientes() {
+  const { ventas, error, pendientes, syncing, sincronizar, descartar, reintentar } = useColaVentas();
+  const online = useOnline();
+  const confirm = useConfirm();
+  const { t, formato } = useI18n();
+
+  if (ventas.length === 0) {
+    return error ? <div className="mb-6 text-red-600">{t('colaVentas.errorLeer')}</div> : null;
+  }
+
+  const nombreCliente = v => v.clienteNombre || t('ventas.clienteId', { id: v.venta.clienteId });
+
+  // Motivo de conflicto traducido, con el nombre que tenía el producto al registrar la venta.
+  // Los motivos guardados como texto (versiones anteriores de la cola) se muestran tal cual.
+  const motivo = (v, c) => {
+    if (typeof c === 'string') return c;
+    const id = c.params?.id;
+    const producto = v.productos?.find(p => String(p.id) === String(id))?.nombre || `#${id}`;
+    return t(c, { producto });
+  };
+
+  // Descarta una venta de la cola, previa confirmación.
+  const handleDiscard = async v => {
+    const ok = await confirm({
+      title: t('colaVentas.descartarTitulo'),
+      message: t('colaVentas.descartarMensaje', { cliente: nombreCliente(v), total: formato.money(v.total) }),
+      confirmLabel: t('colaVentas.descartar'),
+      danger: true
+    });
+    if (ok) await descartar(v.id);
+  };
+
+  // Renderizado de la UI:
+  // - Encabezado con el conteo y el botón para enviar ahora.
+  // - Lista de ventas con su estado y, si hay conflicto o quedó por revisar, el motivo y las acciones.
+  return (
+    <div className="mb-6 p-4 border border-yellow-300 rounded bg-yellow-50">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-medium">{t('colaVentas.titulo', { count: ventas.length })}</h3>
+        <button
+          type="button"
+          onClick={sincronizar}
+          disabled={!online || syncing || pendientes === 0}
+          className="px-3 py-1 bg-blue-500 text-white rounded disabled:opacity-50"
+        >
+          {t(syncing ? 'colaVentas.enviando' : 'colaVentas.enviar')}
+        </button>
+      </div>
+      <ul className="divide-y">
+        {ventas.map(v => (
+          <li key={v.id} className="py-2">
+            <div className="flex flex-wrap items-center gap-2">
+              <span>{formato.dateTime(v.creadaEn)}</span>
+              <span className="font-medium">{nombreCliente(v)}</span>
+              <span>
+                {t('colaVentas.resumen', {
+                  unidades: formato.number(v.venta.productos.reduce((n, l) => n + l.cantidad, 0)),
+                  total: formato.money(v.total)
+                })}
+              </span>
+              <span className={`px-2 text-xs rounded-full ${v.estado === 'pendiente' ? 'bg-yellow-400' : 'bg-red-500 text-white'}`}>
+                {t(`colaVentas.${v.estado}`)}
+              </span>
+              {v.estado !== 'pendiente' && (
+                <span className="ml-auto space-x-1">
+                  <button type="button" onClick={() => reintentar(v)} className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300">
+                    {t(v.estado === 'revisar' ? 'colaVentas.reenviar' : 'colaVentas.reintentar')}
+                  </button>
+                  <button type="button" onClick={() => handleDiscard(v)} className="px-2 py-1 bg-red-500 text-white rounded">
+                    {t('colaVentas.descartar')}
+                  </button>
+                </span>
+              )}
+            </div>
+            {v.estado === 'revisar' && (
+              <p className="mt-1 text-sm text-red-600">{t('colaVentas.revisarAyuda')}</p>
+            )}
+            {v.conflictos?.length > 0 && (
+              <ul className="mt-1 text-sm text-red-600 list-disc list-inside">
+                {v.conflictos.map((c, i) => <li key={i}>{motivo(v, c)}</li>)}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
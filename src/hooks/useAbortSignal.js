@@ -0,0 +1,25 @@
+import { useEffect, useRef, useCallback } from 'react';
+
+// Hook que entrega señales de cancelación ligadas al ciclo de vida del componente.
+// Cada llamada a la función devuelta aborta la petición anterior del mismo "key"
+// y todas las pendientes se abortan al desmontar, evitando que respuestas
+// tardías (p. ej. tras cambiar de pestaña) actualicen un componente desmontado.
+export default function useAbortSignal() {
+  const controllers = useRef(new Map());
+
+  useEffect(() => {
+    const map = controllers.current;
+    return () => {
+      map.forEach(c => c.abort());
+      map.clear();
+    };
+  }, []);
+
+  return useCallback((key = 'default') => {
+    const map = controllers.current;
+    map.get(key)?.abort();
+    const controller = new AbortController();
+    map.set(key, controller);
+    return controller.signal;
+  }, []);
+}
@@ -0,0 +1,43 @@
+import { useCallback } from 'react';
+import useLocalStorage from './useLocalStorage';
+import useAuth from './useAuth';
+
+// Clave de localStorage con el registro de bajas.
+export const ARCHIVO_KEY = 'vitoko.archivo';
+
+// Registro vacío: bajas por recurso y por ID.
+const EMPTY_ARCHIVO = { clientes: {}, productos: {} };
+
+/**
+ * @typedef {Object} Baja
+ * @property {string} fecha Fecha y hora de la baja (ISO)
+ * @property {string} usuario Quién la hizo
+ * @property {number} [tipo] Tipo que tenía el cliente antes de desactivarlo
+ */
+
+// Hook con el registro local de clientes desactivados y productos deshabilitados
+// ({ clientes: { [id]: Baja }, productos: { [id]: Baja } }). La API no informa cuándo
+// se dio de baja un registro, así que se anota en este navegador al hacerlo.
+// Devuelve [archivo, archivar(recurso, id, datos), desarchivar(recurso, id)].
+export default function useArchivo() {
+  const [archivo, setArchivo] = useLocalStorage(ARCHIVO_KEY, EMPTY_ARCHIVO);
+  const { user } = useAuth();
+  const usuario = user?.nombre || user?.usuario || '';
+
+  const archivar = useCallback((recurso, id, datos = {}) => {
+    setArchivo(prev => ({
+      ...EMPTY_ARCHIVO,
+      ...prev,
+      [recurso]: { ...prev?.[recurso], [id]: { fecha: new Date().toISOString(), usuario, ...datos } }
+    }));
+  }, [setArchivo, usuario]);
+
+  const desarchivar = useCallback((recurso, id) => {
+    setArchivo(prev => {
+      const { [id]: _, ...resto } = prev?.[recurso] || {};
+      return { ...EMPTY_ARCHIVO, ...prev, [recurso]: resto };
+    });
+  }, [setArchivo]);
+
+  return [{ ...EMPTY_ARCHIVO, ...archivo }, archivar, desarchivar];
+}
@@ -0,0 +1,56 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { login as apiLogin, logout as apiLogout } from '../api/auth';
+import { getSession, SESSION_EXPIRED_EVENT } from '../api/session';
+import { hasPermission } from '../utils/permisos';
+
+// Contexto con la sesión del usuario autenticado.
+const AuthContext = createContext(null);
+
+// Proveedor de autenticación: expone el usuario actual, login/logout y "can(accion)"
+// para mostrar u ocultar acciones según el rol. Si el cliente de API cierra la sesión
+// (401 sin posibilidad de refresco) o se cierra en otra pestaña, el usuario queda deslogueado.
+export function AuthProvider({ children }) {
+  const [session, setSession] = useState(getSession);
+  const [expired, setExpired] = useState(false);
+
+  useEffect(() => {
+    const onExpired = () => {
+      setSession(null);
+      setExpired(true);
+    };
+    const onStorage = () => setSession(getSession());
+    window.addEventListener(SESSION_EXPIRED_EVENT, onExpired);
+    window.addEventListener('storage', onStorage);
+    return () => {
+      window.removeEventListener(SESSION_EXPIRED_EVENT, onExpired);
+      window.removeEventListener('storage', onStorage);
+    };
+  }, []);
+
+  const login = useCallback(async (usuario, password) => {
+    const s = await apiLogin(usuario, password);
+    setSession(s);
+    setExpired(false);
+    return s;
+  }, []);
+
+  const logout = useCallback(() => {
+    apiLogout();
+    setSession(null);
+  }, []);
+
+  const value = useMemo(() => ({
+    user: session?.user || null,
+    expired,
+    login,
+    logout,
+    can: accion => !!session && hasPermission(session.user?.rol, accion)
+  }), [session, expired, login, logout]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+// Hook para acceder a la sesión desde cualquier componente.
+export default function useAuth() {
+  return useContext(AuthContext);
+}
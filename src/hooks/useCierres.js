@@ -0,0 +1,21 @@
+import { useCallback } from 'react';
+import useLocalStorage from './useLocalStorage';
+import { CIERRES_KEY, MAX_CIERRES } from '../utils/cierre';
+
+// Lista de cierres guardada (vacía si el valor guardado no es válido).
+const lista = valor => (Array.isArray(valor) ? valor : []);
+
+// Hook con los cierres de caja (Cierre[]) guardados localmente, del día más reciente al más antiguo.
+// Devuelve [cierres, guardar, eliminar]: "guardar(cierre)" reemplaza el cierre del mismo día si ya existía
+// y "eliminar(fecha)" quita el cierre de ese día.
+export default function useCierres() {
+  const [cierres, setCierres] = useLocalStorage(CIERRES_KEY, []);
+
+  const guardar = useCallback(cierre => setCierres(prev => [cierre, ...lista(prev).filter(c => c.fecha !== cierre.fecha)]
+    .sort((a, b) => b.fecha.localeCompare(a.fecha))
+    .slice(0, MAX_CIERRES)), [setCierres]);
+
+  const eliminar = useCallback(fecha => setCierres(prev => lista(prev).filter(c => c.fecha !== fecha)), [setCierres]);
+
+  return [lista(cierres), guardar, eliminar];
+}
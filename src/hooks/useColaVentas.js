@@ -0,0 +1,77 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  listarVentasPendientes, sincronizarVentas, descartarVenta, reintentarVenta, COLA_VENTAS_EVENT
+} from '../api/colaVentas';
+import { errorMessage } from '../api/client';
+import useOnline from './useOnline';
+import useInterval from './useInterval';
+import useToast from './useToast';
+import useI18n from './useI18n';
+
+// Intervalo para reintentar el envío mientras queden ventas pendientes (en milisegundos).
+const RETRY_MS = 30000;
+
+// Hook que expone la cola de ventas registradas sin conexión.
+// Con { autoSync: true } (se usa una sola vez, en el layout) envía las pendientes
+// al recuperar la conexión y luego periódicamente mientras queden, notificando el resultado.
+// "error" es el error de la última lectura de la cola (null si se pudo leer).
+export default function useColaVentas({ autoSync = false } = {}) {
+  const [ventas, setVentas]   = useState([]);
+  const [error, setError]     = useState(null);
+  const [syncing, setSyncing] = useState(false);
+  const online                = useOnline();
+  const toast                 = useToast();
+  const { t }                 = useI18n();
+
+  const load = useCallback(async () => {
+    try {
+      setVentas(await listarVentasPendientes());
+      setError(null);
+    } catch (err) {
+      setError(err);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+    window.addEventListener(COLA_VENTAS_EVENT, load);
+    return () => window.removeEventListener(COLA_VENTAS_EVENT, load);
+  }, [load]);
+
+  // Envía las ventas pendientes e informa cuántas se enviaron y cuántas quedaron en conflicto.
+  const sincronizar = useCallback(async () => {
+    setSyncing(true);
+    try {
+      const { enviadas, conflictos, revisar } = await sincronizarVentas();
+      if (enviadas > 0) toast.success(t('colaVentas.enviadas', { count: enviadas }));
+      if (conflictos > 0) toast.error(t('colaVentas.conflictos', { count: conflictos }));
+      if (revisar > 0) toast.error(t('colaVentas.perdidaConexion'));
+    } catch (err) {
+      toast.error(errorMessage(err, t('colaVentas.errorEnviar'), t));
+    } finally {
+      setSyncing(false);
+    }
+  }, [toast, t]);
+
+  const pendientes = ventas.filter(v => v.estado === 'pendiente').length;
+  // Las ventas por revisar también esperan una decisión del usuario, como las en conflicto.
+  const conflictos = ventas.filter(v => v.estado !== 'pendiente').length;
+  const shouldSync = autoSync && online && pendientes > 0;
+
+  useEffect(() => {
+    if (shouldSync) sincronizar();
+  }, [shouldSync, sincronizar]);
+
+  useInterval(sincronizar, shouldSync ? RETRY_MS : null);
+
+  return {
+    ventas,
+    error,
+    pendientes,
+    conflictos,
+    syncing,
+    sincronizar,
+    descartar: descartarVenta,
+    reintentar: reintentarVenta
+  };
+}
@@ -0,0 +1,56 @@
+import React, { createContext, useContext, useState, useCallback, useRef } from 'react';
+import Modal from '../components/modal';
+import useI18n from './useI18n';
+
+// Contexto con la función para pedir confirmación.
+const ConfirmContext = createContext(null);
+
+// Proveedor de diálogos de confirmación para acciones destructivas.
+// confirm({ title, message, confirmLabel, danger }) abre un diálogo modal y devuelve
+// una promesa que se resuelve en true (confirmado) o false (cancelado o cerrado).
+export function ConfirmProvider({ children }) {
+  const [dialog, setDialog] = useState(null);
+  const resolver = useRef(null);
+  const { t } = useI18n();
+
+  const confirm = useCallback(options => new Promise(resolve => {
+    resolver.current?.(false);
+    resolver.current = resolve;
+    setDialog(options);
+  }), []);
+
+  const close = result => {
+    resolver.current?.(result);
+    resolver.current = null;
+    setDialog(null);
+  };
+
+  return (
+    <ConfirmContext.Provider value={confirm}>
+      {children}
+      {dialog && (
+        <Modal title={dialog.title || t('confirmar.titulo')} onClose={() => close(false)}>
+          {dialog.message && <p className="mb-4">{dialog.message}</p>}
+          <div className="flex justify-end space-x-2">
+            <button type="button" onClick={() => close(false)} className="px-3 py-2 bg-gray-200 rounded hover:bg-gray-300">
+              {t('comun.cancelar')}
+            </button>
+            <button
+              type="button"
+              autoFocus
+              onClick={() => close(true)}
+              className={`px-3 py-2 text-white rounded ${dialog.danger ? 'bg-red-500 hover:bg-red-600' : 'bg-blue-500 hover:bg-blue-600'}`}
+            >
+              {dialog.confirmLabel || t('confirmar.confirmar')}
+            </button>
+          </div>
+        </Modal>
+      )}
+    </ConfirmContext.Provider>
+  );
+}
+
+// Hook para pedir confirmación: if (await confirm({ title: '¿Eliminar?' })) { ... }
+export default function useConfirm() {
+  return useContext(ConfirmContext);
+}
@@ -0,0 +1,47 @@
+import useQuery from './useQuery';
+import { listClientes } from '../api/clientes';
+import { listProductos, getSoldThisWeek, getSoldThisYear } from '../api/productos';
+import { searchVentas } from '../api/ventas';
+
+// Lista vacía estable, usada mientras no hay datos.
+const EMPTY_LIST = [];
+
+// Consultas compartidas entre secciones. Todas pasan por la caché de consultas,
+// así que varias secciones que muestran los mismos datos hacen una sola petición
+// y se actualizan juntas cuando una mutación los invalida.
+// Cada hook devuelve lo mismo que useQuery ({ data, error, isLoading, isFetching, updatedAt, refetch }).
+
+// Clientes, opcionalmente filtrados por tipo ('1' | '2' | 'inactivos'; cualquier otro valor = todos).
+export function useClientes({ type } = {}, options) {
+  const filtro = ['1', '2', 'inactivos'].includes(type) ? type : 'all';
+  return useQuery(['clientes', { type: filtro }], () => listClientes({ type: filtro }), options);
+}
+
+// Productos, por defecto solo los disponibles.
+export function useProductos({ disponible = true } = {}, options) {
+  return useQuery(['productos', { disponible }], () => listProductos({ disponible }), options);
+}
+
+// Productos vendidos durante la semana actual.
+export function useVendidosSemana(options) {
+  return useQuery(['vendidosSemana'], () => getSoldThisWeek(), options);
+}
+
+// Unidades vendidas en el año actual.
+export function useVendidosAnio(options) {
+  return useQuery(['vendidosAnio'], () => getSoldThisYear(), options);
+}
+
+// Líneas de las ventas de un día (YYYY-MM-DD) de todos los clientes, incluidos los inactivos,
+// que pueden haber comprado ese día. La API no tiene un endpoint agregado: se consulta cliente
+// por cliente con un límite de consultas simultáneas (ver searchVentas). Se pide cuando ya se
+// conocen los clientes, y el dashboard y el cierre de caja comparten la misma consulta.
+export function useVentasDelDia(fecha, { enabled = true, ...options } = {}) {
+  const clientes   = useClientes();
+  const clienteIds = (clientes.data || EMPTY_LIST).map(c => c.id);
+  return useQuery(
+    ['ventas', { desde: fecha, hasta: fecha, clientes: clienteIds.join(',') }],
+    () => searchVentas({ clienteIds, desde: fecha, hasta: fecha }),
+    { ...options, enabled: enabled && !!clientes.data }
+  );
+}
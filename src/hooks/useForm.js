@@ -0,0 +1,103 @@
+import { useState, useMemo, useCallback, useRef } from 'react';
+import { validate } from '../utils/validacion';
+import useI18n from './useI18n';
+
+// Hook para formularios validados con un esquema (ver utils/validacion).
+// - Los errores de un campo se muestran recién cuando el campo pierde el foco
+//   o tras intentar enviar, para no marcar en rojo mientras se escribe.
+// - Los errores por campo que devuelve el servidor (ApiError.fieldErrors) se muestran
+//   sobre el campo correspondiente hasta que el usuario lo modifica.
+// - Los mensajes de validación son claves del catálogo (ver utils/validacion): "errorFor"
+//   los devuelve ya traducidos; "errors" conserva las claves.
+// - "submitting" es true mientras se ejecuta el envío; "canSubmit" es false si el
+//   formulario es inválido o hay un envío en curso.
+//
+// Opciones:
+// - serverFields: { campoDelServidor: campoDelFormulario } para errores con otro nombre
+export default function useForm(schema, initialValues, { serverFields = {} } = {}) {
+  const initialRef = useRef(initialValues);
+  const [values, setValues]             = useState(initialValues);
+  const [touched, setTouched]           = useState({});
+  const [submitted, setSubmitted]       = useState(false);
+  const [serverErrors, setServerErrorsState] = useState({});
+  const [submitting, setSubmitting]     = useState(false);
+  const { t }                           = useI18n();
+
+  const errors = useMemo(() => validate(schema, values), [schema, values]);
+  const isValid = Object.keys(errors).length === 0;
+
+  // Cambia el valor de un campo y descarta el error del servidor para ese campo.
+  const setValue = useCallback((field, value) => {
+    setValues(prev => ({ ...prev, [field]: value }));
+    setServerErrorsState(prev => {
+      if (!prev[field]) return prev;
+      const { [field]: _omit, ...rest } = prev;
+      return rest;
+    });
+  }, []);
+
+  // Reemplaza todos los valores (p. ej. al cargar un registro para editar) y limpia los errores.
+  const reset = useCallback((next = initialRef.current) => {
+    setValues(next);
+    setTouched({});
+    setSubmitted(false);
+    setServerErrorsState({});
+  }, []);
+
+  // Error visible de un campo: primero el del servidor, luego el de validación si corresponde mostrarlo.
+  // Los errores del servidor ya vienen como texto; t() los devuelve sin cambios.
+  const errorFor = field => {
+    const error = serverErrors[field] || ((touched[field] || submitted) ? errors[field] : null);
+    return error ? t(error) : null;
+  };
+
+  // Props para conectar un input/select: value, onChange, onBlur y aria-invalid.
+  const field = name => ({
+    name,
+    value: values[name] ?? '',
+    onChange: e => setValue(name, e.target.value),
+    onBlur: () => setTouched(prev => (prev[name] ? prev : { ...prev, [name]: true })),
+    'aria-invalid': errorFor(name) ? true : undefined
+  });
+
+  // Traslada los errores por campo de un ApiError a los campos del formulario.
+  // Devuelve true si al menos uno corresponde a un campo conocido.
+  const setServerErrors = useCallback(err => {
+    const mapped = {};
+    Object.entries(err?.fieldErrors || {}).forEach(([key, message]) => {
+      const target = serverFields[key] || key;
+      if (target in schema || target in initialRef.current) mapped[target] = message;
+    });
+    setServerErrorsState(mapped);
+    return Object.keys(mapped).length > 0;
+  }, [schema, serverFields]);
+
+  // Devuelve el manejador de onSubmit: si el formulario es válido ejecuta "onValid(values)"
+  // marcando el envío en curso; si no, muestra todos los errores.
+  const handleSubmit = onValid => async e => {
+    e?.preventDefault();
+    setSubmitted(true);
+    if (!isValid || submitting) return;
+    setServerErrorsState({});
+    setSubmitting(true);
+    try {
+      await onValid(values);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return {
+    values,
+    errors,
+    isValid,
+    submitting,
+    canSubmit: isValid && !submitting,
+    field,
+    errorFor,
+    setValue,
+    reset,
+    setServerErrors,
+    handleSubmit
+  };
+}
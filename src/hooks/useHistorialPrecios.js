@@ -0,0 +1,26 @@
+import { useCallback } from 'react';
+import useLocalStorage from './useLocalStorage';
+import useAuth from './useAuth';
+import { PRICE_HISTORY_KEY, agregarCambio } from '../utils/precios';
+
+// Hook con el historial de precios por producto ({ [productoID]: CambioPrecio[] }) guardado localmente.
+// "registrar(productoID, anterior, nuevo, origen)" agrega un cambio con la fecha actual y el
+// usuario de la sesión; los cambios sin variación de precio se ignoran.
+export default function useHistorialPrecios() {
+  const [historial, setHistorial] = useLocalStorage(PRICE_HISTORY_KEY, {});
+  const { user } = useAuth();
+  const usuario = user?.nombre || user?.usuario || '';
+
+  const registrar = useCallback((productoID, anterior, nuevo, origen) => {
+    if (Number(anterior) === Number(nuevo)) return;
+    setHistorial(prev => agregarCambio(prev, productoID, {
+      fecha: new Date().toISOString(),
+      anterior: Number(anterior),
+      nuevo: Number(nuevo),
+      usuario,
+      origen
+    }));
+  }, [setHistorial, usuario]);
+
+  return [historial, registrar];
+}
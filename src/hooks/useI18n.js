@@ -0,0 +1,76 @@
+import React, { createContext, useContext, useEffect, useMemo, useCallback } from 'react';
+import useLocalStorage from './useLocalStorage';
+import { createFormatters, CURRENCY } from '../utils/formato';
+import es from '../locales/es';
+import en from '../locales/en';
+
+// Idiomas disponibles: catálogo de mensajes, configuración regional para Intl y nombre para el selector.
+export const IDIOMAS = {
+  es: { mensajes: es, locale: 'es-CL', nombre: 'Español' },
+  en: { mensajes: en, locale: 'en-US', nombre: 'English' }
+};
+
+// Clave de localStorage con el idioma elegido.
+export const IDIOMA_KEY = 'vitoko.idioma';
+
+// Idioma por defecto de la interfaz.
+export const DEFAULT_IDIOMA = 'es';
+
+// Reemplaza los marcadores {nombre} del mensaje por los parámetros.
+const interpolar = (mensaje, params) =>
+  mensaje.replace(/\{(\w+)\}/g, (m, k) => (params[k] !== undefined ? String(params[k]) : m));
+
+// Crea la función de traducción para un idioma. Si el mensaje no existe en el catálogo
+// del idioma se usa el español, y si tampoco existe se devuelve la clave (fácil de detectar).
+// Con un parámetro "count" igual a 1 se prefiere la variante "<clave>_one" si existe.
+// La clave también puede venir como { key, params }, la forma en que las validaciones y los registros
+// locales guardan los mensajes con parámetros (ver utils/validacion).
+function createT(idioma) {
+  const mensajes = IDIOMAS[idioma].mensajes;
+  const t = (key, params = {}) => {
+    if (key && typeof key === 'object') return t(key.key, { ...key.params, ...params });
+    const singular = params.count === 1 ? `${key}_one` : null;
+    const mensaje = (singular && (mensajes[singular] ?? es[singular])) ?? mensajes[key] ?? es[key] ?? key;
+    return interpolar(mensaje, params);
+  };
+  return t;
+}
+
+// Valor del contexto: idioma actual, función de traducción y formateadores (ver utils/formato).
+// Sin proveedor se usa español, así los componentes funcionan también aislados (p. ej. en pruebas).
+const defaultValue = {
+  idioma: 'es',
+  setIdioma: () => {},
+  t: createT('es'),
+  formato: createFormatters(IDIOMAS.es.locale, CURRENCY)
+};
+
+const I18nContext = createContext(defaultValue);
+
+// Proveedor del idioma de la interfaz. El idioma elegido se guarda en el navegador
+// y se refleja en el atributo "lang" del documento.
+export function I18nProvider({ children }) {
+  const [guardado, setGuardado] = useLocalStorage(IDIOMA_KEY, null);
+  const idioma = IDIOMAS[guardado] ? guardado : DEFAULT_IDIOMA;
+
+  useEffect(() => {
+    document.documentElement.lang = idioma;
+  }, [idioma]);
+
+  const setIdioma = useCallback(value => setGuardado(value), [setGuardado]);
+
+  const value = useMemo(() => ({
+    idioma,
+    setIdioma,
+    t: createT(idioma),
+    formato: createFormatters(IDIOMAS[idioma].locale, CURRENCY)
+  }), [idioma, setIdioma]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+// Hook para traducir textos y formatear montos, números y fechas según el idioma elegido.
+// Devuelve { idioma, setIdioma, t(clave, params), formato: { money, number, date, dateTime, time } }.
+export default function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,20 @@
+import { useEffect, useRef } from 'react';
+
+// Hook que ejecuta "callback" cada "delay" milisegundos mientras el componente esté montado.
+// Con delay null o 0 el intervalo queda detenido. Mientras la pestaña del navegador
+// está oculta no se ejecuta, para no consultar la API sin que nadie mire la pantalla.
+export default function useInterval(callback, delay) {
+  const saved = useRef(callback);
+
+  useEffect(() => {
+    saved.current = callback;
+  }, [callback]);
+
+  useEffect(() => {
+    if (!delay) return undefined;
+    const id = setInterval(() => {
+      if (document.visibilityState !== 'hidden') saved.current();
+    }, delay);
+    return () => clearInterval(id);
+  }, [delay]);
+}
@@ -0,0 +1,45 @@
+import { useEffect, useRef } from 'react';
+
+// Indica si el elemento recibe texto (ahí las teclas son del usuario, no del lector).
+export const esEditable = el => !!el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+
+// Hook para lectores de códigos de barras que funcionan como teclado: "escriben" el código
+// muy rápido y terminan con Enter. Se junta cada ráfaga de caracteres que llegan con menos de
+// "intervalo" ms entre teclas y, al llegar Enter, si tiene al menos "minimo" caracteres se llama
+// a onCodigo(codigo). Las teclas escritas en campos de texto se ignoran: ahí el propio campo
+// resuelve el código al presionar Enter (ver PuntoVenta).
+//
+// Opciones:
+// - minimo: largo mínimo de un código (por defecto 4, para no confundirlo con atajos)
+// - intervalo: tiempo máximo entre teclas de una misma lectura (en milisegundos)
+// - activo: false para dejar de escuchar (p. ej. con un diálogo abierto)
+export default function useLectorCodigos(onCodigo, { minimo = 4, intervalo = 50, activo = true } = {}) {
+  const saved = useRef(onCodigo);
+
+  useEffect(() => {
+    saved.current = onCodigo;
+  }, [onCodigo]);
+
+  useEffect(() => {
+    if (!activo) return undefined;
+    let buffer = '';
+    let ultima = 0;
+    const onKeyDown = e => {
+      if (esEditable(e.target)) return;
+      const ahora = Date.now();
+      if (ahora - ultima > intervalo) buffer = '';
+      ultima = ahora;
+      if (e.key === 'Enter') {
+        if (buffer.length >= minimo) {
+          e.preventDefault();
+          saved.current(buffer);
+        }
+        buffer = '';
+      } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        buffer += e.key;
+      }
+    };
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, [minimo, intervalo, activo]);
+}
@@ -0,0 +1,58 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+// Evento propio para avisar a otros componentes de la misma pestaña que una clave cambió
+// (el evento "storage" del navegador solo llega a las demás pestañas).
+const CHANGE_EVENT = 'local-storage-change';
+
+// Lee y parsea el valor JSON guardado en "key", o devuelve "initial" si no existe o es inválido.
+export function readStorage(key, initial) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw === null ? initial : JSON.parse(raw);
+  } catch {
+    return initial;
+  }
+}
+
+// Guarda "value" como JSON en "key" y notifica a los componentes suscritos.
+// Devuelve false si el navegador no permitió guardarlo (almacenamiento lleno o bloqueado):
+// el valor sigue vigente en memoria mientras la página esté abierta.
+export function writeStorage(key, value) {
+  let guardado = true;
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    guardado = false;
+  }
+  window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: { key } }));
+  return guardado;
+}
+
+// Hook tipo useState cuyo valor persiste en localStorage y se sincroniza
+// entre todos los componentes (y pestañas) que usan la misma clave.
+// El valor inicial se toma solo en el primer render (suele ser un literal nuevo en cada render).
+export default function useLocalStorage(key, initial) {
+  const initialRef = useRef(initial);
+  const [value, setValue] = useState(() => readStorage(key, initial));
+
+  useEffect(() => {
+    const sync = e => {
+      if ((e.key ?? e.detail?.key) === key) setValue(readStorage(key, initialRef.current));
+    };
+    window.addEventListener('storage', sync);
+    window.addEventListener(CHANGE_EVENT, sync);
+    return () => {
+      window.removeEventListener('storage', sync);
+      window.removeEventListener(CHANGE_EVENT, sync);
+    };
+  }, [key]);
+
+  // Acepta un valor o una función (prev => next), igual que setState.
+  const update = useCallback(next => {
+    const resolved = typeof next === 'function' ? next(readStorage(key, initialRef.current)) : next;
+    writeStorage(key, resolved);
+    setValue(resolved);
+  }, [key]);
+
+  return [value, update];
+}
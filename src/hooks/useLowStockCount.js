@@ -0,0 +1,17 @@
+import { useProductos } from './useConsultas';
+import useStockThresholds from './useStockThresholds';
+import { isLowStock } from '../utils/stock';
+
+// Intervalo de actualización del conteo (en milisegundos).
+const REFRESH_MS = 60000;
+
+// Hook que cuenta los productos disponibles bajo su stock mínimo,
+// usado para mostrar la alerta en la pestaña de Productos.
+// Comparte la lista de productos de la caché de consultas, así que se actualiza
+// junto con las demás secciones (p. ej. al registrar una venta), además de periódicamente
+// y al cambiar los mínimos configurados.
+export default function useLowStockCount() {
+  const { data: productos = [] } = useProductos({ disponible: true }, { refetchInterval: REFRESH_MS });
+  const [thresholds] = useStockThresholds();
+  return productos.filter(p => isLowStock(p, thresholds)).length;
+}
@@ -0,0 +1,19 @@
+import { useState, useEffect } from 'react';
+
+// Hook que indica si el navegador tiene conexión de red (navigator.onLine),
+// actualizado con los eventos "online" y "offline".
+export default function useOnline() {
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine !== false);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return online;
+}
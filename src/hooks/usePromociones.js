@@ -0,0 +1,13 @@
+import { useCallback } from 'react';
+import useLocalStorage from './useLocalStorage';
+import { PROMOCIONES_KEY, DEFAULT_PROMOCIONES } from '../utils/promociones';
+
+// Hook con las reglas de promociones (Promocion[]) guardadas localmente.
+// Devuelve [promociones, setPromociones, restablecer]; "restablecer" vuelve a las reglas iniciales.
+export default function usePromociones() {
+  const [promociones, setPromociones] = useLocalStorage(PROMOCIONES_KEY, DEFAULT_PROMOCIONES);
+
+  const restablecer = useCallback(() => setPromociones(DEFAULT_PROMOCIONES), [setPromociones]);
+
+  return [Array.isArray(promociones) ? promociones : DEFAULT_PROMOCIONES, setPromociones, restablecer];
+}
@@ -0,0 +1,50 @@
+import { useEffect, useRef, useCallback, useSyncExternalStore } from 'react';
+import { hashKey, subscribe, getQueryState, fetchQuery, isStale, DEFAULT_STALE_TIME } from '../api/cache';
+import useInterval from './useInterval';
+
+// Hook que lee una consulta de la caché compartida (ver api/cache.js).
+// - key: [recurso, parámetros], p. ej. ['productos', { disponible: true }]
+// - fetcher: función que pide los datos a la API (sin argumentos)
+// Opciones:
+// - staleTime: milisegundos durante los cuales los datos no se vuelven a pedir al montar
+// - enabled: false para no pedir los datos todavía (p. ej. si dependen de otra consulta)
+// - refetchInterval: milisegundos entre actualizaciones automáticas (0 o null = desactivado)
+// Devuelve { data, error, isLoading, isFetching, updatedAt, refetch }:
+// isLoading es true solo mientras se piden datos por primera vez (sin nada que mostrar);
+// isFetching también lo es al actualizar en segundo plano datos ya mostrados.
+export default function useQuery(key, fetcher, { staleTime = DEFAULT_STALE_TIME, enabled = true, refetchInterval } = {}) {
+  const hash = hashKey(key);
+
+  // El fetcher suele definirse en cada render: se guarda la última versión
+  // para que la caché siempre llame a la más reciente.
+  const fetcherRef = useRef(fetcher);
+  useEffect(() => {
+    fetcherRef.current = fetcher;
+  }, [fetcher]);
+  const run = useCallback(() => fetcherRef.current(), []);
+
+  const subscribeToQuery = useCallback(
+    listener => subscribe(hash, listener, enabled ? run : null),
+    [hash, enabled, run]
+  );
+  const state = useSyncExternalStore(subscribeToQuery, () => getQueryState(hash));
+
+  // Al montar (o cambiar la clave) se piden los datos si no hay o están vencidos;
+  // mientras tanto se muestran los que haya guardados.
+  useEffect(() => {
+    if (enabled && isStale(hash, staleTime)) fetchQuery(hash, run).catch(() => {});
+  }, [hash, enabled, staleTime, run]);
+
+  const refetch = useCallback(() => fetchQuery(hash, run), [hash, run]);
+
+  useInterval(() => { refetch().catch(() => {}); }, enabled ? refetchInterval : null);
+
+  return {
+    data: state.data,
+    error: state.error,
+    isLoading: state.isFetching && state.data === undefined,
+    isFetching: state.isFetching,
+    updatedAt: state.updatedAt,
+    refetch
+  };
+}
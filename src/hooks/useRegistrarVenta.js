@@ -0,0 +1,62 @@
+import { useCallback } from 'react';
+import { createVenta } from '../api/ventas';
+import { isNetworkError } from '../api/offline';
+import { encolarVenta, nuevoIdVenta } from '../api/colaVentas';
+import { boletaFromCarrito } from '../utils/boleta';
+import useAbortSignal from './useAbortSignal';
+import useToast from './useToast';
+import useI18n from './useI18n';
+
+// Hook que registra una venta armada con useSaleCart, usado por el editor de ventas y el modo caja.
+// Envía POST /venta con un ID de venta generado aquí (clave de idempotencia) y, si no hay conexión,
+// deja la venta en la cola local, que se envía sola al volver la conexión. Si la conexión se corta
+// después de enviarla, el servidor pudo registrarla: queda en la cola por revisar, sin reenvío
+// automático (ver api/colaVentas). Devuelve la boleta de la venta; los demás errores
+// (validación, stock insuficiente, cancelación) se propagan para que cada pantalla los muestre.
+//
+// registrar({ clienteId, medioPago, cliente, cart }):
+// - clienteId: ID del cliente tal como se envía a la API
+// - medioPago: medio de pago de la venta (ver utils/mediosPago)
+// - cliente: cliente de la venta (para la boleta y la cola local)
+// - cart: carrito de useSaleCart con las promociones ya aplicadas
+export default function useRegistrarVenta() {
+  const signalFor      = useAbortSignal();
+  const toast          = useToast();
+  const { t, formato } = useI18n();
+
+  return useCallback(async ({ clienteId, medioPago, cliente, cart }) => {
+    const venta = { clienteId, productos: cart.payload, medioPago };
+    const idVenta = nuevoIdVenta();
+
+    // Guarda la venta en la cola local para enviarla cuando vuelva la conexión
+    // o, con "revisar", para que alguien confirme si el servidor la registró.
+    const queueSale = async (revisar = false) => {
+      await encolarVenta(venta, {
+        idVenta,
+        clienteNombre: cliente?.nombre || '',
+        productos: cart.lines.map(l => ({ id: String(l.producto.productoID), nombre: l.producto.nombre })),
+        total: cart.total,
+        revisar
+      });
+      toast.info(t(revisar ? 'nuevaVenta.encoladaRevisar' : 'nuevaVenta.encolada'));
+    };
+
+    let ventaId = null;
+    let pendiente = false;
+    if (navigator.onLine === false) {
+      await queueSale();
+      pendiente = true;
+    } else {
+      try {
+        const res = await createVenta(venta, { signal: signalFor('create'), idempotencyKey: idVenta });
+        ventaId = res?.ventaId ?? res?.id ?? null;
+        toast.success(t('nuevaVenta.registrada', { total: formato.money(cart.total) }));
+      } catch (err) {
+        if (!isNetworkError(err)) throw err;
+        await queueSale(true);
+        pendiente = true;
+      }
+    }
+    return boletaFromCarrito({ ventaId, pendiente, cliente, medioPago, lines: cart.lines, detalle: cart.detalle });
+  }, [signalFor, toast, t, formato]);
+}
@@ -0,0 +1,82 @@
+import { useState, useMemo, useCallback } from 'react';
+import { aplicarPromociones } from '../utils/promociones';
+
+// Hook que administra las líneas de una venta en construcción.
+// Cada línea guarda el producto (con su precio y stock al momento de agregarlo)
+// y la cantidad elegida. Expone el total y los errores de stock por línea (claves del catálogo de mensajes).
+// Los precios se calculan con las promociones vigentes para el cliente y el momento
+// indicados (ver utils/promociones); "detalle" trae los descuentos aplicados a cada línea.
+//
+// Opciones:
+// - promociones: reglas de descuento (Promocion[])
+// - cliente: cliente de la venta (o null si aún no se elige)
+// - fecha: momento de la venta, para las promociones por horario
+export default function useSaleCart({ promociones, cliente = null, fecha } = {}) {
+  const [lines, setLines] = useState([]);
+
+  // Agrega un producto al carrito. Si ya estaba, suma una unidad a su línea.
+  const addProduct = useCallback(producto => {
+    setLines(prev => {
+      const existing = prev.find(l => l.producto.productoID === producto.productoID);
+      if (existing) {
+        return prev.map(l => l === existing ? { ...l, cantidad: l.cantidad + 1 } : l);
+      }
+      return [...prev, { producto, cantidad: 1 }];
+    });
+  }, []);
+
+  // Cambia la cantidad de una línea. Valores no numéricos se guardan como 0
+  // para que el usuario pueda borrar el campo mientras escribe.
+  const setQuantity = useCallback((productoID, value) => {
+    const cantidad = Math.max(0, parseInt(value, 10) || 0);
+    setLines(prev => prev.map(l => l.producto.productoID === productoID ? { ...l, cantidad } : l));
+  }, []);
+
+  // Quita una línea del carrito.
+  const removeLine = useCallback(productoID => {
+    setLines(prev => prev.filter(l => l.producto.productoID !== productoID));
+  }, []);
+
+  // Vacía el carrito (por ejemplo, tras registrar la venta).
+  const clear = useCallback(() => setLines([]), []);
+
+  // Errores de validación por línea, como mensajes para t() (ver utils/validacion).
+  const errors = useMemo(() => {
+    const errs = {};
+    lines.forEach(l => {
+      const { productoID, stock } = l.producto;
+      if (l.cantidad < 1) errs[productoID] = 'validacion.lineaCantidad';
+      else if (l.cantidad > stock) errs[productoID] = { key: 'validacion.lineaStock', params: { stock } };
+    });
+    return errs;
+  }, [lines]);
+
+  // Precios con las promociones aplicadas: detalle por línea (en el mismo orden que "lines"),
+  // subtotal sin descuentos, descuentos por promoción y total a pagar.
+  const detalle = useMemo(
+    () => aplicarPromociones(lines, promociones, { cliente, fecha }),
+    [lines, promociones, cliente, fecha]
+  );
+
+  // Líneas en el formato que espera POST /venta, con el precio unitario ya descontado.
+  const payload = useMemo(() => lines.map((l, i) => ({
+    id: String(l.producto.productoID),
+    cantidad: l.cantidad,
+    precio: detalle.lineas[i].precio
+  })), [lines, detalle]);
+
+  return {
+    lines,
+    detalle,
+    subtotal: detalle.subtotal,
+    descuento: detalle.descuento,
+    total: detalle.total,
+    errors,
+    payload,
+    isValid: lines.length > 0 && Object.keys(errors).length === 0,
+    addProduct,
+    setQuantity,
+    removeLine,
+    clear
+  };
+}
@@ -0,0 +1,21 @@
+import { useCallback } from 'react';
+import useLocalStorage from './useLocalStorage';
+import { STOCK_THRESHOLDS_KEY } from '../utils/stock';
+
+// Hook con los mínimos de stock por producto ({ [productoID]: mínimo }) guardados localmente.
+// "setThreshold" con un valor vacío elimina el mínimo propio y vuelve al valor por defecto.
+export default function useStockThresholds() {
+  const [thresholds, setThresholds] = useLocalStorage(STOCK_THRESHOLDS_KEY, {});
+
+  const setThreshold = useCallback((productoID, value) => {
+    setThresholds(prev => {
+      const next = { ...prev };
+      const n = parseInt(value, 10);
+      if (value === '' || Number.isNaN(n) || n < 0) delete next[productoID];
+      else next[productoID] = n;
+      return next;
+    });
+  }, [setThresholds]);
+
+  return [thresholds, setThreshold];
+}
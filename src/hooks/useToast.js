@@ -0,0 +1,100 @@
+import React, { createContext, useContext, useState, useCallback, useMemo, useRef, useEffect } from 'react';
+import useI18n from './useI18n';
+
+// Contexto con las funciones para mostrar notificaciones.
+const ToastContext = createContext(null);
+
+// Duración por defecto de cada notificación (en milisegundos).
+const DEFAULT_DURATION = { success: 4000, info: 5000, error: 8000 };
+
+// Cantidad máxima de notificaciones visibles a la vez (las más antiguas se descartan).
+const MAX_TOASTS = 5;
+
+// Estilos por tipo de notificación.
+const STYLES = {
+  success: 'bg-green-600',
+  error:   'bg-red-600',
+  info:    'bg-gray-800'
+};
+
+let nextId = 1;
+
+// Proveedor de notificaciones ("toasts") para toda la app.
+// Las notificaciones se apilan en la esquina inferior derecha y se cierran solas
+// tras su duración; pasar el mouse por encima pausa el cierre. Opcionalmente
+// pueden llevar una acción (p. ej. "Deshacer") que también cierra la notificación.
+export function ToastProvider({ children }) {
+  const [toasts, setToasts] = useState([]);
+  const timers = useRef(new Map());
+  const { t: traducir } = useI18n();
+
+  const dismiss = useCallback(id => {
+    clearTimeout(timers.current.get(id));
+    timers.current.delete(id);
+    setToasts(prev => prev.filter(t => t.id !== id));
+  }, []);
+
+  const schedule = useCallback((id, duration) => {
+    clearTimeout(timers.current.get(id));
+    if (duration > 0) timers.current.set(id, setTimeout(() => dismiss(id), duration));
+  }, [dismiss]);
+
+  // Muestra una notificación. Opciones: duration (ms, 0 = no se cierra sola), action { label, onClick }.
+  // Devuelve el id para poder cerrarla manualmente.
+  const show = useCallback((type, message, { duration = DEFAULT_DURATION[type], action } = {}) => {
+    const id = nextId++;
+    setToasts(prev => [...prev, { id, type, message, action, duration }].slice(-MAX_TOASTS));
+    schedule(id, duration);
+    return id;
+  }, [schedule]);
+
+  // Al desmontar se cancelan los cierres pendientes.
+  useEffect(() => {
+    const pending = timers.current;
+    return () => pending.forEach(clearTimeout);
+  }, []);
+
+  const value = useMemo(() => ({
+    success: (message, options) => show('success', message, options),
+    error:   (message, options) => show('error', message, options),
+    info:    (message, options) => show('info', message, options),
+    dismiss
+  }), [show, dismiss]);
+
+  return (
+    <ToastContext.Provider value={value}>
+      {children}
+      <div className="fixed bottom-4 right-4 z-50 flex flex-col items-end space-y-2" aria-live="polite">
+        {toasts.map(t => (
+          <div
+            key={t.id}
+            role={t.type === 'error' ? 'alert' : 'status'}
+            onMouseEnter={() => schedule(t.id, 0)}
+            onMouseLeave={() => schedule(t.id, t.duration)}
+            className={`flex items-center max-w-sm px-4 py-2 rounded shadow text-white ${STYLES[t.type]}`}
+          >
+            <span>{t.message}</span>
+            {t.action && (
+              <button
+                type="button"
+                onClick={() => { dismiss(t.id); t.action.onClick(); }}
+                className="ml-3 font-semibold underline"
+              >{t.action.label}</button>
+            )}
+            <button
+              type="button"
+              onClick={() => dismiss(t.id)}
+              className="ml-3 opacity-75 hover:opacity-100"
+              aria-label={traducir('toast.cerrar')}
+            >✕</button>
+          </div>
+        ))}
+      </div>
+    </ToastContext.Provider>
+  );
+}
+
+// Hook para mostrar notificaciones: const toast = useToast(); toast.success('Guardado');
+export default function useToast() {
+  return useContext(ToastContext);
+}
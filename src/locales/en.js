@@ -0,0 +1,547 @@
+// Catálogo de mensajes en inglés. Usa las mismas claves que locales/es.js;
+// si falta un mensaje se muestra el texto en español.
+const en = {
+  // Navegación y barra superior
+  'nav.clientes': 'Customers',
+  'nav.productos': 'Products',
+  'nav.ventas': 'Sales',
+  'nav.dashboard': 'Dashboard',
+  'nav.cierre': 'Register closing',
+  'nav.stockBajo': '{count} products below minimum stock',
+  'nav.stockBajo_one': '1 product below minimum stock',
+  'nav.colaVentas': '{pendientes} sales waiting to be sent, {conflictos} with conflicts or needing review',
+  'nav.idioma': 'Language',
+  'nav.salir': 'Log out',
+  'nav.sinConexion': 'Offline: showing the last saved data; sales stay pending until the connection is back.',
+
+  // Roles de usuario
+  'rol.cajero': 'Cashier',
+  'rol.gerente': 'Manager',
+  'rol.admin': 'Administrator',
+
+  // Textos comunes
+  'comun.id': 'ID',
+  'comun.nombre': 'Name',
+  'comun.acciones': 'Actions',
+  'comun.cargar': 'Load',
+  'comun.cancelar': 'Cancel',
+  'comun.deshacer': 'Undo',
+  'comun.guardando': 'Saving…',
+  'comun.importarCsv': 'Import CSV',
+  'comun.revisarCampos': 'Check the highlighted fields.',
+  'comun.revertido': 'The change was reverted.',
+  'comun.cargando': 'Loading…',
+  'comun.actualizando': 'Refreshing…',
+  'comun.unidades': '{cantidad} units',
+  'comun.unidades_one': '1 unit',
+  'comun.cerrar': 'Close',
+  'comun.guardar': 'Save',
+  'comun.errorGuardar': 'Could not save.',
+
+  // Errores sin respuesta del servidor (ver api/client)
+  'api.timeout': 'The server took too long to respond.',
+  'api.sinConexion': 'Could not connect to the server.',
+
+  // Notificaciones (ver hooks/useToast)
+  'toast.cerrar': 'Close notification',
+
+  // Diálogo de confirmación (ver hooks/useConfirm)
+  'confirmar.titulo': 'Confirm?',
+  'confirmar.confirmar': 'Confirm',
+
+  // Mensajes de validación de formularios (ver utils/validacion y hooks/useSaleCart)
+  'validacion.requerido': 'This field is required.',
+  'validacion.minLength': 'Must be at least {n} characters long.',
+  'validacion.maxLength': 'Must be at most {n} characters long.',
+  'validacion.numero': 'Must be a number.',
+  'validacion.entero': 'Must be a whole number.',
+  'validacion.min': 'Must be greater than or equal to {n}.',
+  'validacion.positivo': 'Must be greater than 0.',
+  'validacion.maxDecimales': 'Allows at most {n} decimals.',
+  'validacion.valorInvalido': 'Invalid value.',
+  'validacion.nombreRequerido': 'The name is required.',
+  'validacion.ciudadRequerida': 'The city is required.',
+  'validacion.tipoRequerido': 'The type is required.',
+  'validacion.tipoInvalido': 'The type must be Regular or Premium.',
+  'validacion.precioRequerido': 'The price is required.',
+  'validacion.precioNumero': 'The price must be a number.',
+  'validacion.precioPositivo': 'The price must be greater than 0.',
+  'validacion.precioDecimales': 'The price allows at most 2 decimals.',
+  'validacion.stockRequerido': 'The stock is required.',
+  'validacion.stockEntero': 'The stock must be a whole number.',
+  'validacion.stockNegativo': 'The stock cannot be negative.',
+  'validacion.categoriaInvalida': 'Invalid category.',
+  'validacion.codigoInvalido': 'The code must have 4 to 32 letters, digits or hyphens.',
+  'validacion.imagenInvalida': 'The file must be an image.',
+  'validacion.imagenPesada': 'The image must be at most {kb} KB.',
+  'validacion.cantidadRequerida': 'Enter the quantity.',
+  'validacion.cantidadEntera': 'The quantity must be a whole number.',
+  'validacion.cantidadPositiva': 'The quantity must be greater than 0.',
+  'validacion.ajusteRequerido': 'Enter the adjustment.',
+  'validacion.ajusteNumero': 'The adjustment must be a number.',
+  'validacion.ajusteDecimales': 'The adjustment allows at most 2 decimals.',
+  'validacion.ajusteCero': 'The adjustment cannot be 0.',
+  'validacion.clienteRequerido': 'Select a customer.',
+  'validacion.clienteInvalido': 'The customer does not exist or is inactive.',
+  'validacion.medioPagoRequerido': 'Enter the payment method.',
+  'validacion.medioPagoInvalido': 'Invalid payment method.',
+  'validacion.minimoRequerido': 'Enter the minimum units.',
+  'validacion.minimoEntero': 'The minimum must be a whole number.',
+  'validacion.minimoMinimo': 'The minimum must be at least 2.',
+  'validacion.fondoNumero': 'The float must be a number.',
+  'validacion.fondoNegativo': 'The float cannot be negative.',
+  'validacion.fondoDecimales': 'The float allows at most 2 decimals.',
+  'validacion.contadoRequerido': 'Enter the counted cash.',
+  'validacion.contadoNumero': 'The counted cash must be a number.',
+  'validacion.contadoNegativo': 'The counted cash cannot be negative.',
+  'validacion.contadoDecimales': 'The counted cash allows at most 2 decimals.',
+  'validacion.notasLargo': 'Notes allow at most 500 characters.',
+  'validacion.lineaCantidad': 'The quantity must be at least 1.',
+  'validacion.lineaStock': 'Only {stock} in stock.',
+
+  // Importación y exportación de tablas
+  'exportar.titulo': 'Export:',
+  'importar.columnas': "Expected columns: {columnas}. Separator ',' or ';', UTF-8 encoding.",
+  'importar.faltan': 'Missing columns in {archivo}: {columnas}',
+  'importar.errorArchivo': 'Could not read {archivo}: make sure it is a plain-text CSV file.',
+  'importar.linea': 'Line',
+  'importar.estado': 'Status',
+  'importar.yaExiste': 'Already exists',
+  'importar.repetido': 'Repeated in the file',
+  'importar.conErrores': 'With errors',
+  'importar.ok': 'OK',
+  'importar.omitirDuplicados': 'Skip duplicates',
+  'importar.importar': 'Import {count} of {total} rows',
+  'importar.importar_one': 'Import 1 of {total} rows',
+  'importar.importando': 'Importing {done}/{total}…',
+  'importar.importados': '{count} records imported successfully.',
+  'importar.importados_one': '1 record imported successfully.',
+  'importar.fallaron': '{count} records failed:',
+  'importar.fallaron_one': '1 record failed:',
+  'importar.fallo': 'Line {linea} ({nombre}): {mensaje}',
+  'importar.errorGuardar': 'Error while saving.',
+
+  // Reposición de stock
+  'reposicion.titulo': 'Stock replenishment',
+  'reposicion.errorSemana': 'Could not load this week\'s sales; suggestions only use the minimum.',
+  'reposicion.sinProductos': 'No products are below their minimum stock.',
+  'reposicion.vendidosSemana': 'Sold this week',
+  'reposicion.reponer': 'Restock',
+  'reposicion.reponerAria': 'Restock {nombre}',
+  'reposicion.reponiendo': 'Restocking…',
+  'reposicion.reponerSeleccionados': 'Restock {count} products',
+  'reposicion.reponerSeleccionados_one': 'Restock 1 product',
+  'reposicion.repuestos': '{count} products restocked.',
+  'reposicion.repuestos_one': '1 product restocked.',
+  'reposicion.errorStock': 'Error while increasing stock.',
+
+  // Ajuste masivo de precios
+  'ajuste.titulo': 'Price adjustment',
+  'ajuste.tipo': 'Adjustment type',
+  'ajuste.tipo.porcentaje': 'Percentage (%)',
+  'ajuste.tipo.monto': 'Fixed amount ($)',
+  'ajuste.variacion.porcentaje': 'Change (%)',
+  'ajuste.variacion.monto': 'Change ($)',
+  'ajuste.ejemplo': 'E.g.: 10 or -5',
+  'ajuste.redondeo': 'Rounding',
+  'ajuste.sentido': 'Rounding direction',
+  'ajuste.paso.ninguno': 'No rounding',
+  'ajuste.paso.uno': 'To the peso',
+  'ajuste.paso.diez': 'To 10 pesos',
+  'ajuste.paso.cincuenta': 'To 50 pesos',
+  'ajuste.paso.cien': 'To 100 pesos',
+  'ajuste.modo.cercano': 'To the nearest',
+  'ajuste.modo.arriba': 'Up',
+  'ajuste.modo.abajo': 'Down',
+  'ajuste.seleccionarTodos': 'Select all',
+  'ajuste.precioActual': 'Current price',
+  'ajuste.precioNuevo': 'New price',
+  'ajuste.diferencia': 'Difference',
+  'ajuste.ajustarAria': 'Adjust price of {nombre}',
+  'ajuste.precioInvalido': 'Invalid price',
+  'ajuste.aplicando': 'Applying…',
+  'ajuste.aplicar': 'Apply to {count} products',
+  'ajuste.aplicar_one': 'Apply to 1 product',
+  'ajuste.progreso': 'Applying {done}/{total}…',
+  'ajuste.actualizados': '{count} prices updated.',
+  'ajuste.actualizados_one': '1 price updated.',
+  'ajuste.errorPrecio': 'Error while changing the price.',
+
+  // Historial de precios (el origen de cada cambio se guarda como clave, ver utils/precios)
+  'historial.titulo': 'Price history: {nombre}',
+  'historial.precioActual': 'Current price:',
+  'historial.sinCambios': 'No price changes recorded on this device.',
+  'precios.origen.edicion': 'Edit',
+  'precios.origen.cambio': 'Price change',
+  'precios.origen.ajuste': 'Bulk adjustment {cambio}',
+  'precios.origen.ajusteRedondeo': 'Bulk adjustment {cambio} (rounded to {paso})',
+
+  // Detalle de cliente
+  'clienteDetalle.volver': '← Back to customers',
+  'clienteDetalle.editar': '✎ Edit',
+  'clienteDetalle.aplicar': 'Apply',
+  'clienteDetalle.consultando': 'Querying {done}/{total} days…',
+  'clienteDetalle.errorRango': 'The range cannot exceed {dias} days.',
+  'clienteDetalle.errorHistorial': 'Could not load the purchase history.',
+  'clienteDetalle.errorCliente': 'Could not load the customer.',
+  'clienteDetalle.totalGastado': 'Total spent',
+  'clienteDetalle.visitas': 'Visits',
+  'clienteDetalle.ticket': 'Average ticket',
+  'clienteDetalle.ultimaCompra': 'Last purchase',
+  'clienteDetalle.favoritos': 'Favorite products',
+  'clienteDetalle.sinCompras': 'No purchases in the selected range.',
+  'clienteDetalle.gastado': 'Spent',
+
+  // Dashboard
+  'dashboard.titulo': 'Sales dashboard',
+  'dashboard.actualizarCada': 'Refresh every:',
+  'dashboard.nunca': 'Never',
+  'dashboard.segundos': '{s} s',
+  'dashboard.minutos': '{m} min',
+  'dashboard.actualizar': 'Refresh',
+  'dashboard.ultimaActualizacion': 'Last updated: {hora}',
+  'dashboard.error': 'Could not refresh the dashboard.',
+  'dashboard.unidadesAnio': 'Units sold this year',
+  'dashboard.unidadesSemana': 'Units this week',
+  'dashboard.ingresosHoy': 'Today\'s revenue ({count} sales)',
+  'dashboard.ingresosHoy_one': 'Today\'s revenue (1 sale)',
+  'dashboard.ticket': 'Average ticket: {monto}',
+  'dashboard.ingresosSemana': 'Estimated revenue this week',
+  'dashboard.ingresosSemanaAyuda': 'Units × current price',
+  'dashboard.masVendidos': 'Best sellers this week',
+  'grafico.sinDatos': 'No data to show.',
+
+  // Inicio de sesión
+  'login.usuario': 'Username',
+  'login.password': 'Password',
+  'login.ingresar': 'Sign in',
+  'login.ingresando': 'Signing in…',
+  'login.incorrecto': 'Incorrect username or password.',
+  'login.error': 'Could not sign in.',
+  'login.expirada': 'Your session expired. Please sign in again.',
+
+  // Diálogo de la boleta (el contenido de la boleta va siempre en español)
+  'boleta.titulo': 'Receipt',
+  'boleta.pdf': 'Download PDF',
+  'boleta.imprimir': 'Print',
+
+  // Filas con cambios pendientes de confirmar
+  'pendiente.crear': 'Saving…',
+  'pendiente.editar': 'Saving…',
+  'pendiente.eliminar': 'Deleting…',
+
+  // Tabla reutilizable
+  'tabla.buscar': 'Search…',
+  'tabla.buscarAria': 'Search the table',
+  'tabla.columnas': 'Columns',
+  'tabla.vacia': 'No records.',
+  'tabla.sinRegistros': '0 records',
+  'tabla.rango': '{desde}–{hasta} of {total}',
+  'tabla.filtrados': ' (filtered from {total})',
+  'tabla.filas': 'Rows:',
+  'tabla.anterior': 'Previous page',
+  'tabla.siguiente': 'Next page',
+
+  // Clientes
+  'clientes.tipo.normal': 'Regular',
+  'clientes.tipo.premium': 'Premium',
+  'clientes.tipo.inactivo': 'Inactive',
+  'clientes.ciudad': 'City',
+  'clientes.tipo': 'Type',
+  'clientes.filtro': 'Filter:',
+  'clientes.filtro.todos': 'All',
+  'clientes.filtro.normales': 'Regular',
+  'clientes.filtro.premium': 'Premium',
+  'clientes.filtro.inactivos': 'Inactive (archive)',
+  'clientes.importar': 'Import customers',
+  'clientes.errorCarga': 'Could not load the customers.',
+  'clientes.editar': 'Edit Customer',
+  'clientes.registrar': 'Add Customer',
+  'clientes.actualizar': 'Update Customer',
+  'clientes.actualizado': 'Customer updated.',
+  'clientes.registrado': 'Customer "{nombre}" added.',
+  'clientes.errorGuardar': 'Error saving the customer.',
+  'clientes.reactivado': 'Customer "{nombre}" reactivated.',
+  'clientes.errorReactivar': 'Could not reactivate the customer.',
+  'clientes.desactivar': 'Deactivate',
+  'clientes.desactivarAria': 'Deactivate {nombre}',
+  'clientes.desactivarTitulo': 'Deactivate customer',
+  'clientes.desactivarMensaje': '"{nombre}" will no longer appear in the lists and will not be able to make purchases.',
+  'clientes.desactivado': 'Customer "{nombre}" deactivated.',
+  'clientes.errorDesactivar': 'Error deactivating the customer.',
+
+  // Categorías del catálogo de productos (ver utils/productos)
+  'categoria.cafe': 'Coffees',
+  'categoria.te': 'Teas',
+  'categoria.pasteleria': 'Pastries',
+  'categoria.snacks': 'Snacks',
+  'categoria.sinCategoria': 'Uncategorized',
+
+  // Productos
+  'productos.precio': 'Price',
+  'productos.stock': 'Stock',
+  'productos.minimo': 'Minimum',
+  'productos.categoria': 'Category',
+  'productos.descripcion': 'Description',
+  'productos.codigo': 'Barcode',
+  'productos.filtroCategoria': 'Category:',
+  'productos.todasCategorias': 'All',
+  'productos.modo': 'Display mode',
+  'productos.modo.tabla': 'Table',
+  'productos.modo.tarjetas': 'Cards',
+  'productos.sinProductos': 'There are no products to show.',
+  'productos.stockDisponible': 'Stock: {stock}',
+  'productos.editarAria': 'Edit {nombre}',
+  'productos.vistaPrevia': 'Image preview',
+  'productos.elegirImagen': 'Choose image',
+  'productos.quitarImagen': 'Remove image',
+  'productos.errorImagen': 'Could not read the image.',
+  'productos.activo': 'Active (available for sale)',
+  'productos.minimoAria': 'Minimum stock for {nombre}',
+  'productos.minimoActual': 'Current minimum: {minimo}',
+  'productos.vista.disponibles': 'Available',
+  'productos.vista.semana': 'Sold this week',
+  'productos.vista.anual': 'This year\'s total',
+  'productos.vista.archivo': 'Disabled',
+  'productos.errorDisponibles': 'Could not load the available products.',
+  'productos.errorSemana': 'Could not load the products sold this week.',
+  'productos.errorAnual': 'Could not load this year\'s sales count.',
+  'productos.ajustarPrecios': 'Adjust prices',
+  'productos.importar': 'Import products',
+  'productos.stockBajo': '{count} products are below their minimum stock.',
+  'productos.stockBajo_one': '1 product is below its minimum stock.',
+  'productos.verReposicion': 'View restock',
+  'productos.cambiarPrecioAria': 'Change price of {nombre}',
+  'productos.historialAria': 'Price history of {nombre}',
+  'productos.historial': 'Price history',
+  'productos.incrementarAria': 'Increase stock of {nombre}',
+  'productos.deshabilitar': 'Disable',
+  'productos.deshabilitarAria': 'Disable {nombre}',
+  'productos.deshabilitarTitulo': 'Disable product',
+  'productos.deshabilitarMensaje': '"{nombre}" will no longer be available for sale. You can restore it from Disabled.',
+  'productos.deshabilitado': 'Product "{nombre}" disabled.',
+  'productos.errorDeshabilitar': 'Error disabling the product.',
+  'productos.actualizado': 'Product updated.',
+  'productos.registrado': 'Product "{nombre}" added.',
+  'productos.errorGuardar': 'Error saving the product.',
+  'productos.precioDe': 'Price of {nombre}',
+  'productos.nuevoPrecio': 'New price',
+  'productos.precioActualizado': 'Price of "{nombre}" updated.',
+  'productos.errorPrecio': 'Could not change the price of "{nombre}".',
+  'productos.stockDe': 'Stock of {nombre}',
+  'productos.incrementarEn': 'Increase stock by (current: {stock})',
+  'productos.stockIncrementado': 'Stock of "{nombre}" increased by {cantidad}.',
+  'productos.errorStock': 'Could not increase the stock of "{nombre}".',
+  'productos.vendidosSemana': 'Sold This Week',
+  'productos.totalAnio': 'Total sold this year:',
+  'productos.editar': 'Edit Product',
+  'productos.registrar': 'Add Product',
+  'productos.actualizar': 'Update Product',
+
+  // Archivo de clientes desactivados y productos deshabilitados
+  'archivo.desactivado': 'Deactivated',
+  'archivo.deshabilitado': 'Disabled',
+  'archivo.bajaPor': '{fecha} by {usuario}',
+  'archivo.reactivar': 'Reactivate',
+  'archivo.reactivarAria': 'Reactivate {nombre}',
+  'archivo.clienteReactivado': 'Customer "{nombre}" reactivated as {tipo}.',
+  'archivo.sinClientes': 'There are no inactive customers.',
+  'archivo.restaurar': 'Restore',
+  'archivo.restaurarAria': 'Restore {nombre}',
+  'archivo.productoRestaurado': 'Product "{nombre}" restored.',
+  'archivo.errorRestaurar': 'Could not restore the product.',
+  'archivo.sinProductos': 'There are no disabled products.',
+  'archivo.errorCarga': 'Could not load the disabled products.',
+
+  // Ventas
+  'ventas.registrar': 'New Sale',
+  'ventas.consultar': 'Search Sales',
+  'ventas.desde': 'From',
+  'ventas.hasta': 'To',
+  'ventas.clientes': 'Customers (none = all)',
+  'ventas.producto': 'Product',
+  'ventas.todosProductos': 'All products',
+  'ventas.consultando': 'Searching {done}/{total}…',
+  'ventas.sinResultados': 'No sales found for this search.',
+  'ventas.errorFechas': 'The "from" date must be on or before the "to" date.',
+  'ventas.errorAmplia': 'The search is too broad: narrow the date range or select customers.',
+  'ventas.errorConsulta': 'Error searching the sales.',
+  'ventas.errorCatalogos': 'Could not load customers and products.',
+  'ventas.ventaId': 'Sale ID',
+  'ventas.cliente': 'Customer',
+  'ventas.clienteId': 'Customer #{id}',
+  'ventas.fecha': 'Date',
+  'ventas.unidades': 'Units',
+  'ventas.total': 'Total',
+  'ventas.verBoleta': 'View receipt',
+  'ventas.verBoletaAria': 'View receipt for sale {id}',
+  'ventas.lineaUnidades': '{cantidad} u.',
+  'ventas.resumen': '{ventas} sales · {unidades} units · Total {total}',
+
+  // Nueva venta
+  'nuevaVenta.seleccionaCliente': 'Select a customer…',
+  'nuevaVenta.buscarProducto': 'Search product by name or ID',
+  'nuevaVenta.stock': 'stock: {stock}',
+  'nuevaVenta.agregar': 'Add',
+  'nuevaVenta.sinCoincidencias': 'No matching products.',
+  'nuevaVenta.precio': 'Price',
+  'nuevaVenta.cantidad': 'Quantity',
+  'nuevaVenta.subtotal': 'Subtotal',
+  'nuevaVenta.registrando': 'Saving…',
+  'nuevaVenta.registrada': 'Sale registered for {total}.',
+  'nuevaVenta.encolada': 'Offline: the sale is pending and will be sent when the connection is back.',
+  'nuevaVenta.encoladaRevisar': 'The connection dropped while registering the sale: it needs review, because the server may have registered it.',
+  'nuevaVenta.error': 'Error registering the sale.',
+  'nuevaVenta.descuento': '{nombre}: -{monto}',
+  'nuevaVenta.promocion': 'Promotion',
+
+  // Modo caja (punto de venta en pantalla completa)
+  'caja.abrir': 'POS mode',
+  'caja.titulo': 'POS mode',
+  'caja.salir': 'Exit POS mode',
+  'caja.buscarProducto': 'Search product or scan code (F2)',
+  'caja.categorias': 'Categories',
+  'caja.cliente': 'Customer',
+  'caja.buscarCliente': 'Search customer by name or ID (F4)',
+  'caja.cambiarCliente': 'Change customer',
+  'caja.sinClientes': 'No active customers match.',
+  'caja.venta': 'Current sale',
+  'caja.ventaVacia': 'Tap a product or scan its code to add it.',
+  'caja.lineaDetalle': '{cantidad} × {precio}',
+  'caja.quitar': 'Remove {nombre}',
+  'caja.teclado': 'Numeric keypad',
+  'caja.cantidadDe': 'Quantity of {nombre}',
+  'caja.seleccionaLinea': 'Tap a line to change its quantity.',
+  'caja.borrar': 'Delete',
+  'caja.limpiar': 'Back to 1',
+  'caja.cobrar': 'Charge {total}',
+  'caja.cobrando': 'Charging…',
+  'caja.cancelar': 'Cancel sale',
+  'caja.cancelarTitulo': 'Cancel the sale?',
+  'caja.cancelarMensaje': 'The products and customer of the current sale will be cleared.',
+  'caja.faltaCliente': 'Choose the customer before charging.',
+  'caja.revisarCantidades': 'Check the quantities: some lines have no units or more units than in stock.',
+  'caja.sinStock': '"{nombre}" is out of stock.',
+  'caja.codigoDesconocido': 'No product has the code {codigo}.',
+  'caja.atajos': 'Shortcuts: F2 or / search · Enter add · F4 customer · F9 charge · Esc cancel',
+
+  // Configuración de promociones
+  'promociones.configurar': 'Promotions',
+  'promociones.titulo': 'Promotions',
+  'promociones.ayuda': 'Active promotions are applied when registering sales, in list order and each on the price left by the previous ones. Changes are saved in this browser.',
+  'promociones.soloLocal': 'Rules are stored only in this browser (vitoko.promociones): other tills do not see these changes and may charge different prices. Set up the same promotions on every device.',
+  'promociones.tipo.cliente': 'By customer type',
+  'promociones.tipo.combo': 'Category combo',
+  'promociones.tipo.cantidad': 'By quantity',
+  'promociones.tipo.horario': 'By time (happy hour)',
+  'promociones.activa': 'Active',
+  'promociones.nombre': 'Promotion name',
+  'promociones.porcentaje': 'Discount (%)',
+  'promociones.tipoCliente': 'Customers',
+  'promociones.categoriasCombo': 'One unit of:',
+  'promociones.categoria': 'Category',
+  'promociones.minimo': 'Minimum per product',
+  'promociones.dias': 'Days',
+  'promociones.desde': 'From',
+  'promociones.hasta': 'To',
+  'promociones.subir': 'Move up',
+  'promociones.bajar': 'Move down',
+  'promociones.eliminar': 'Delete promotion',
+  'promociones.sinReglas': 'There are no promotions configured.',
+  'promociones.tipoNueva': 'Promotion type',
+  'promociones.agregar': 'Add',
+  'promociones.restablecer': 'Reset',
+
+  // Medios de pago (ver utils/mediosPago)
+  'mediosPago.titulo': 'Payment method',
+  'mediosPago.efectivo': 'Cash',
+  'mediosPago.tarjeta': 'Card',
+  'mediosPago.transferencia': 'Bank transfer',
+  'mediosPago.sinRegistro': 'Not recorded',
+
+  // Cierre de caja
+  'cierre.titulo': 'Cash register closing',
+  'cierre.fecha': 'Closing date',
+  'cierre.actualizar': 'Refresh',
+  'cierre.errorConsulta': 'Could not load the sales of the day.',
+  'cierre.pendientes': 'There are {count} sales registered offline that have not been sent yet: they are not included in the closing.',
+  'cierre.pendientes_one': 'There is 1 sale registered offline that has not been sent yet: it is not included in the closing.',
+  'cierre.transacciones': 'Transactions',
+  'cierre.unidades': 'Units',
+  'cierre.total': 'Total sold',
+  'cierre.ticket': 'Average ticket',
+  'cierre.porProducto': 'Sales by product',
+  'cierre.sinVentas': 'No sales were registered on this day.',
+  'cierre.porMedio': 'By payment method',
+  'cierre.ventas': 'Sales',
+  'cierre.monto': 'Amount',
+  'cierre.sinRegistroAyuda': 'Sales registered on another device have no recorded payment method and are not counted as cash.',
+  'cierre.conciliacion': 'Reconciliation with this week\'s sold units',
+  'cierre.unidadesDia': 'Units of the day',
+  'cierre.unidadesSemana': 'Week (API)',
+  'cierre.estado': 'Status',
+  'cierre.cuadra': '✓ Matches',
+  'cierre.noCuadra': '⚠ Exceeds the units reported for the week',
+  'cierre.conciliacionFuera': 'Reconciliation with this week\'s sold units is only possible for the last 7 days.',
+  'cierre.errorSemana': 'Could not load this week\'s sold units.',
+  'cierre.arqueo': 'Cash count',
+  'cierre.fondo': 'Opening float',
+  'cierre.contado': 'Counted cash',
+  'cierre.notas': 'Notes',
+  'cierre.esperado': 'Expected in the register: {monto} (float + cash sales)',
+  'cierre.diferencia': 'Difference: {monto}',
+  'cierre.diferenciaProvisional': 'Provisional difference: {monto}',
+  'cierre.sinRegistroArqueo': '{count} sales totalling {monto} have no payment method recorded in this browser (e.g. registered at another till). If any was paid in cash, the expected amount is higher: check those sales before accepting the difference.',
+  'cierre.sinRegistroArqueo_one': '1 sale of {monto} has no payment method recorded in this browser (e.g. registered at another till). If it was paid in cash, the expected amount is higher: check it before accepting the difference.',
+  'cierre.provisional': 'provisional',
+  'cierre.estado.sobrante': 'Over',
+  'cierre.estado.faltante': 'Short',
+  'cierre.estado.cuadrada': 'Balanced',
+  'cierre.guardar': 'Save closing',
+  'cierre.guardado': 'Closing of {fecha} saved.',
+  'cierre.reemplazarTitulo': 'Replace the saved closing?',
+  'cierre.reemplazarMensaje': 'A closing is already saved for {fecha}; it will be replaced by this one.',
+  'cierre.reemplazar': 'Replace',
+  'cierre.historial': 'Saved closings',
+  'cierre.sinHistorial': 'No closings saved in this browser yet.',
+  'cierre.usuario': 'User',
+  'cierre.ver': 'View',
+  'cierre.verAria': 'View closing of {fecha}',
+  'cierre.eliminarAria': 'Delete closing of {fecha}',
+  'cierre.eliminarTitulo': 'Delete the closing?',
+  'cierre.eliminarMensaje': 'The closing of {fecha} saved in this browser will be deleted.',
+  'cierre.eliminar': 'Delete',
+  'cierre.eliminado': 'Closing of {fecha} deleted.',
+  'cierre.resumen': 'Cash register closing of {fecha}',
+  'cierre.pdf': 'Download PDF',
+  'cierre.imprimir': 'Print',
+
+  // Ventas pendientes de envío
+  'colaVentas.titulo': 'Sales waiting to be sent ({count})',
+  'colaVentas.enviar': 'Send now',
+  'colaVentas.enviando': 'Sending…',
+  'colaVentas.resumen': '{unidades} units — {total}',
+  'colaVentas.conflicto': 'Conflict',
+  'colaVentas.pendiente': 'Pending',
+  'colaVentas.revisar': 'Needs review',
+  'colaVentas.revisarAyuda': 'The connection dropped while it was being sent and the server may have registered it. Check the customer\'s sales before sending it again; if it is already there, discard it.',
+  'colaVentas.reenviar': 'Send again',
+  'colaVentas.reintentar': 'Retry',
+  'colaVentas.descartar': 'Discard',
+  'colaVentas.descartarTitulo': 'Discard pending sale',
+  'colaVentas.motivo.noDisponible': '{producto} is no longer available.',
+  'colaVentas.motivo.stock': 'Not enough stock of {producto}: {disponible} left, the sale needs {pedido}.',
+  'colaVentas.motivo.rechazada': 'The server rejected the sale: {mensaje}',
+  'colaVentas.motivo.rechazadaSinMotivo': 'The server rejected the sale.',
+  'colaVentas.descartarMensaje': 'The sale for {cliente} totalling {total} will not be registered.',
+  'colaVentas.enviadas': '{count} pending sales sent.',
+  'colaVentas.enviadas_one': '1 pending sale sent.',
+  'colaVentas.conflictos': '{count} pending sales have conflicts. Review them in Sales.',
+  'colaVentas.conflictos_one': '1 pending sale has conflicts. Review it in Sales.',
+  'colaVentas.perdidaConexion': 'The connection dropped while sending a pending sale: review it in Sales before sending it again.',
+  'colaVentas.errorLeer': 'Could not read the pending sales stored in this browser.',
+  'colaVentas.errorEnviar': 'Could not send the pending sales.',
+  'colaVentas.sinAlmacenamiento': 'This browser cannot store sales while offline.'
+};
+
+export default en;
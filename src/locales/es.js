@@ -0,0 +1,540 @@
+// Catálogo de mensajes en español (idioma por defecto de la interfaz).
+// Las claves se agrupan por sección con un prefijo ("nav.", "clientes.", ...).
+// Los marcadores {nombre} se reemplazan por los parámetros de t(clave, params) y la variante
+// "<clave>_one" se usa cuando el parámetro "count" es 1 (ver hooks/useI18n).
+// Al agregar un mensaje aquí, agrégalo también en los demás idiomas (locales/en.js).
+const es = {
+  // Navegación y barra superior
+  'nav.clientes': 'Clientes',
+  'nav.productos': 'Productos',
+  'nav.ventas': 'Ventas',
+  'nav.dashboard': 'Dashboard',
+  'nav.cierre': 'Cierre de caja',
+  'nav.stockBajo': '{count} productos bajo el stock mínimo',
+  'nav.stockBajo_one': '1 producto bajo el stock mínimo',
+  'nav.colaVentas': '{pendientes} ventas pendientes de envío, {conflictos} con conflicto o por revisar',
+  'nav.idioma': 'Idioma',
+  'nav.salir': 'Salir',
+  'nav.sinConexion': 'Sin conexión: se muestran los últimos datos guardados y las ventas quedan pendientes hasta reconectar.',
+
+  // Roles de usuario
+  'rol.cajero': 'Cajero',
+  'rol.gerente': 'Gerente',
+  'rol.admin': 'Administrador',
+
+  // Textos comunes
+  'comun.id': 'ID',
+  'comun.nombre': 'Nombre',
+  'comun.acciones': 'Acciones',
+  'comun.cargar': 'Cargar',
+  'comun.cancelar': 'Cancelar',
+  'comun.deshacer': 'Deshacer',
+  'comun.guardando': 'Guardando…',
+  'comun.importarCsv': 'Importar CSV',
+  'comun.revisarCampos': 'Revisa los campos marcados.',
+  'comun.revertido': 'Se revirtió el cambio.',
+  'comun.cargando': 'Cargando…',
+  'comun.actualizando': 'Actualizando…',
+  'comun.unidades': '{cantidad} unidades',
+  'comun.unidades_one': '1 unidad',
+  'comun.cerrar': 'Cerrar',
+  'comun.guardar': 'Guardar',
+  'comun.errorGuardar': 'No se pudo guardar.',
+
+  // Errores sin respuesta del servidor (ver api/client)
+  'api.timeout': 'El servidor tardó demasiado en responder.',
+  'api.sinConexion': 'No se pudo conectar con el servidor.',
+
+  // Notificaciones (ver hooks/useToast)
+  'toast.cerrar': 'Cerrar notificación',
+
+  // Diálogo de confirmación (ver hooks/useConfirm)
+  'confirmar.titulo': '¿Confirmar?',
+  'confirmar.confirmar': 'Confirmar',
+
+  // Mensajes de validación de formularios (ver utils/validacion y hooks/useSaleCart)
+  'validacion.requerido': 'Este campo es obligatorio.',
+  'validacion.minLength': 'Debe tener al menos {n} caracteres.',
+  'validacion.maxLength': 'Debe tener como máximo {n} caracteres.',
+  'validacion.numero': 'Debe ser un número.',
+  'validacion.entero': 'Debe ser un número entero.',
+  'validacion.min': 'Debe ser mayor o igual a {n}.',
+  'validacion.positivo': 'Debe ser mayor a 0.',
+  'validacion.maxDecimales': 'Admite como máximo {n} decimales.',
+  'validacion.valorInvalido': 'Valor no válido.',
+  'validacion.nombreRequerido': 'El nombre es obligatorio.',
+  'validacion.ciudadRequerida': 'La ciudad es obligatoria.',
+  'validacion.tipoRequerido': 'El tipo es obligatorio.',
+  'validacion.tipoInvalido': 'El tipo debe ser Normal o Premium.',
+  'validacion.precioRequerido': 'El precio es obligatorio.',
+  'validacion.precioNumero': 'El precio debe ser un número.',
+  'validacion.precioPositivo': 'El precio debe ser mayor a 0.',
+  'validacion.precioDecimales': 'El precio admite como máximo 2 decimales.',
+  'validacion.stockRequerido': 'El stock es obligatorio.',
+  'validacion.stockEntero': 'El stock debe ser un número entero.',
+  'validacion.stockNegativo': 'El stock no puede ser negativo.',
+  'validacion.categoriaInvalida': 'Categoría no válida.',
+  'validacion.codigoInvalido': 'El código debe tener de 4 a 32 letras, números o guiones.',
+  'validacion.imagenInvalida': 'El archivo debe ser una imagen.',
+  'validacion.imagenPesada': 'La imagen debe pesar como máximo {kb} KB.',
+  'validacion.cantidadRequerida': 'Indica la cantidad.',
+  'validacion.cantidadEntera': 'La cantidad debe ser un número entero.',
+  'validacion.cantidadPositiva': 'La cantidad debe ser mayor a 0.',
+  'validacion.ajusteRequerido': 'Indica el ajuste.',
+  'validacion.ajusteNumero': 'El ajuste debe ser un número.',
+  'validacion.ajusteDecimales': 'El ajuste admite como máximo 2 decimales.',
+  'validacion.ajusteCero': 'El ajuste no puede ser 0.',
+  'validacion.clienteRequerido': 'Selecciona un cliente.',
+  'validacion.clienteInvalido': 'El cliente no existe o está inactivo.',
+  'validacion.medioPagoRequerido': 'Indica el medio de pago.',
+  'validacion.medioPagoInvalido': 'Medio de pago no válido.',
+  'validacion.minimoRequerido': 'Indica el mínimo de unidades.',
+  'validacion.minimoEntero': 'El mínimo debe ser un número entero.',
+  'validacion.minimoMinimo': 'El mínimo debe ser al menos 2.',
+  'validacion.fondoNumero': 'El fondo debe ser un número.',
+  'validacion.fondoNegativo': 'El fondo no puede ser negativo.',
+  'validacion.fondoDecimales': 'El fondo admite como máximo 2 decimales.',
+  'validacion.contadoRequerido': 'Ingresa el efectivo contado.',
+  'validacion.contadoNumero': 'El efectivo contado debe ser un número.',
+  'validacion.contadoNegativo': 'El efectivo contado no puede ser negativo.',
+  'validacion.contadoDecimales': 'El efectivo contado admite como máximo 2 decimales.',
+  'validacion.notasLargo': 'Las observaciones admiten como máximo 500 caracteres.',
+  'validacion.lineaCantidad': 'La cantidad debe ser al menos 1.',
+  'validacion.lineaStock': 'Solo hay {stock} en stock.',
+
+  // Importación y exportación de tablas
+  'exportar.titulo': 'Exportar:',
+  'importar.columnas': "Columnas esperadas: {columnas}. Separador ',' o ';', codificación UTF-8.",
+  'importar.faltan': 'Faltan columnas en {archivo}: {columnas}',
+  'importar.errorArchivo': 'No se pudo leer {archivo}: revisa que sea un CSV de texto.',
+  'importar.linea': 'Línea',
+  'importar.estado': 'Estado',
+  'importar.yaExiste': 'Ya existe',
+  'importar.repetido': 'Repetido en el archivo',
+  'importar.conErrores': 'Con errores',
+  'importar.ok': 'OK',
+  'importar.omitirDuplicados': 'Omitir duplicados',
+  'importar.importar': 'Importar {count} de {total} filas',
+  'importar.importando': 'Importando {done}/{total}…',
+  'importar.importados': '{count} registros importados correctamente.',
+  'importar.fallaron': '{count} registros fallaron:',
+  'importar.fallo': 'Línea {linea} ({nombre}): {mensaje}',
+  'importar.errorGuardar': 'Error al guardar.',
+
+  // Reposición de stock
+  'reposicion.titulo': 'Reposición de stock',
+  'reposicion.errorSemana': 'No se pudo cargar lo vendido esta semana; las sugerencias usan solo el mínimo.',
+  'reposicion.sinProductos': 'No hay productos bajo su stock mínimo.',
+  'reposicion.vendidosSemana': 'Vendidos semana',
+  'reposicion.reponer': 'Reponer',
+  'reposicion.reponerAria': 'Reponer {nombre}',
+  'reposicion.reponiendo': 'Reponiendo…',
+  'reposicion.reponerSeleccionados': 'Reponer {count} productos',
+  'reposicion.repuestos': '{count} productos repuestos.',
+  'reposicion.errorStock': 'Error al incrementar stock.',
+
+  // Ajuste masivo de precios
+  'ajuste.titulo': 'Ajuste de precios',
+  'ajuste.tipo': 'Tipo de ajuste',
+  'ajuste.tipo.porcentaje': 'Porcentaje (%)',
+  'ajuste.tipo.monto': 'Monto fijo ($)',
+  'ajuste.variacion.porcentaje': 'Variación (%)',
+  'ajuste.variacion.monto': 'Variación ($)',
+  'ajuste.ejemplo': 'Ej.: 10 o -5',
+  'ajuste.redondeo': 'Redondeo',
+  'ajuste.sentido': 'Sentido del redondeo',
+  'ajuste.paso.ninguno': 'Sin redondeo',
+  'ajuste.paso.uno': 'Al peso',
+  'ajuste.paso.diez': 'A 10 pesos',
+  'ajuste.paso.cincuenta': 'A 50 pesos',
+  'ajuste.paso.cien': 'A 100 pesos',
+  'ajuste.modo.cercano': 'Al más cercano',
+  'ajuste.modo.arriba': 'Hacia arriba',
+  'ajuste.modo.abajo': 'Hacia abajo',
+  'ajuste.seleccionarTodos': 'Seleccionar todos',
+  'ajuste.precioActual': 'Precio actual',
+  'ajuste.precioNuevo': 'Precio nuevo',
+  'ajuste.diferencia': 'Diferencia',
+  'ajuste.ajustarAria': 'Ajustar precio de {nombre}',
+  'ajuste.precioInvalido': 'Precio no válido',
+  'ajuste.aplicando': 'Aplicando…',
+  'ajuste.aplicar': 'Aplicar a {count} productos',
+  'ajuste.progreso': 'Aplicando {done}/{total}…',
+  'ajuste.actualizados': '{count} precios actualizados.',
+  'ajuste.errorPrecio': 'Error al cambiar el precio.',
+
+  // Historial de precios (el origen de cada cambio se guarda como clave, ver utils/precios)
+  'historial.titulo': 'Historial de precios: {nombre}',
+  'historial.precioActual': 'Precio actual:',
+  'historial.sinCambios': 'No hay cambios de precio registrados en este equipo.',
+  'precios.origen.edicion': 'Edición',
+  'precios.origen.cambio': 'Cambio de precio',
+  'precios.origen.ajuste': 'Ajuste masivo {cambio}',
+  'precios.origen.ajusteRedondeo': 'Ajuste masivo {cambio} (redondeo a {paso})',
+
+  // Detalle de cliente
+  'clienteDetalle.volver': '← Volver a clientes',
+  'clienteDetalle.editar': '✎ Editar',
+  'clienteDetalle.aplicar': 'Aplicar',
+  'clienteDetalle.consultando': 'Consultando {done}/{total} días…',
+  'clienteDetalle.errorRango': 'El rango no puede superar {dias} días.',
+  'clienteDetalle.errorHistorial': 'No se pudo cargar el historial de compras.',
+  'clienteDetalle.errorCliente': 'No se pudo cargar el cliente.',
+  'clienteDetalle.totalGastado': 'Total gastado',
+  'clienteDetalle.visitas': 'Visitas',
+  'clienteDetalle.ticket': 'Ticket promedio',
+  'clienteDetalle.ultimaCompra': 'Última compra',
+  'clienteDetalle.favoritos': 'Productos favoritos',
+  'clienteDetalle.sinCompras': 'Sin compras en el rango seleccionado.',
+  'clienteDetalle.gastado': 'Gastado',
+
+  // Dashboard
+  'dashboard.titulo': 'Dashboard de ventas',
+  'dashboard.actualizarCada': 'Actualizar cada:',
+  'dashboard.nunca': 'Nunca',
+  'dashboard.segundos': '{s} s',
+  'dashboard.minutos': '{m} min',
+  'dashboard.actualizar': 'Actualizar',
+  'dashboard.ultimaActualizacion': 'Última actualización: {hora}',
+  'dashboard.error': 'No se pudo actualizar el panel.',
+  'dashboard.unidadesAnio': 'Unidades vendidas este año',
+  'dashboard.unidadesSemana': 'Unidades esta semana',
+  'dashboard.ingresosHoy': 'Ingresos de hoy ({count} ventas)',
+  'dashboard.ticket': 'Ticket promedio: {monto}',
+  'dashboard.ingresosSemana': 'Ingresos estimados semana',
+  'dashboard.ingresosSemanaAyuda': 'Unidades × precio actual',
+  'dashboard.masVendidos': 'Más vendidos esta semana',
+  'grafico.sinDatos': 'Sin datos para mostrar.',
+
+  // Inicio de sesión
+  'login.usuario': 'Usuario',
+  'login.password': 'Contraseña',
+  'login.ingresar': 'Ingresar',
+  'login.ingresando': 'Ingresando…',
+  'login.incorrecto': 'Usuario o contraseña incorrectos.',
+  'login.error': 'No se pudo iniciar sesión.',
+  'login.expirada': 'Tu sesión expiró. Inicia sesión nuevamente.',
+
+  // Diálogo de la boleta (el contenido de la boleta va siempre en español)
+  'boleta.titulo': 'Boleta',
+  'boleta.pdf': 'Descargar PDF',
+  'boleta.imprimir': 'Imprimir',
+
+  // Filas con cambios pendientes de confirmar (ver utils/optimista)
+  'pendiente.crear': 'Guardando…',
+  'pendiente.editar': 'Guardando…',
+  'pendiente.eliminar': 'Eliminando…',
+
+  // Tabla reutilizable
+  'tabla.buscar': 'Buscar…',
+  'tabla.buscarAria': 'Buscar en la tabla',
+  'tabla.columnas': 'Columnas',
+  'tabla.vacia': 'No hay registros.',
+  'tabla.sinRegistros': '0 registros',
+  'tabla.rango': '{desde}–{hasta} de {total}',
+  'tabla.filtrados': ' (filtrados de {total})',
+  'tabla.filas': 'Filas:',
+  'tabla.anterior': 'Página anterior',
+  'tabla.siguiente': 'Página siguiente',
+
+  // Clientes
+  'clientes.tipo.normal': 'Normal',
+  'clientes.tipo.premium': 'Premium',
+  'clientes.tipo.inactivo': 'Inactivo',
+  'clientes.ciudad': 'Ciudad',
+  'clientes.tipo': 'Tipo',
+  'clientes.filtro': 'Filtro:',
+  'clientes.filtro.todos': 'Todos',
+  'clientes.filtro.normales': 'Normales',
+  'clientes.filtro.premium': 'Premium',
+  'clientes.filtro.inactivos': 'Inactivos (archivo)',
+  'clientes.importar': 'Importar clientes',
+  'clientes.errorCarga': 'No se pudieron cargar los clientes.',
+  'clientes.editar': 'Editar Cliente',
+  'clientes.registrar': 'Registrar Cliente',
+  'clientes.actualizar': 'Actualizar Cliente',
+  'clientes.actualizado': 'Cliente actualizado.',
+  'clientes.registrado': 'Cliente "{nombre}" registrado.',
+  'clientes.errorGuardar': 'Error al guardar el cliente.',
+  'clientes.reactivado': 'Cliente "{nombre}" reactivado.',
+  'clientes.errorReactivar': 'No se pudo reactivar el cliente.',
+  'clientes.desactivar': 'Desactivar',
+  'clientes.desactivarAria': 'Desactivar {nombre}',
+  'clientes.desactivarTitulo': 'Desactivar cliente',
+  'clientes.desactivarMensaje': '"{nombre}" dejará de aparecer en los listados y no podrá registrar compras.',
+  'clientes.desactivado': 'Cliente "{nombre}" desactivado.',
+  'clientes.errorDesactivar': 'Error al desactivar el cliente.',
+
+  // Categorías del catálogo de productos (ver utils/productos)
+  'categoria.cafe': 'Cafés',
+  'categoria.te': 'Tés',
+  'categoria.pasteleria': 'Pastelería',
+  'categoria.snacks': 'Snacks',
+  'categoria.sinCategoria': 'Sin categoría',
+
+  // Productos
+  'productos.precio': 'Precio',
+  'productos.stock': 'Stock',
+  'productos.minimo': 'Mínimo',
+  'productos.categoria': 'Categoría',
+  'productos.descripcion': 'Descripción',
+  'productos.codigo': 'Código de barras',
+  'productos.filtroCategoria': 'Categoría:',
+  'productos.todasCategorias': 'Todas',
+  'productos.modo': 'Modo de visualización',
+  'productos.modo.tabla': 'Tabla',
+  'productos.modo.tarjetas': 'Tarjetas',
+  'productos.sinProductos': 'No hay productos para mostrar.',
+  'productos.stockDisponible': 'Stock: {stock}',
+  'productos.editarAria': 'Editar {nombre}',
+  'productos.vistaPrevia': 'Vista previa de la imagen',
+  'productos.elegirImagen': 'Elegir imagen',
+  'productos.quitarImagen': 'Quitar imagen',
+  'productos.errorImagen': 'No se pudo leer la imagen.',
+  'productos.activo': 'Activo (disponible para la venta)',
+  'productos.minimoAria': 'Stock mínimo de {nombre}',
+  'productos.minimoActual': 'Mínimo actual: {minimo}',
+  'productos.vista.disponibles': 'Disponibles',
+  'productos.vista.semana': 'Vendidos esta semana',
+  'productos.vista.anual': 'Total año actual',
+  'productos.vista.archivo': 'Deshabilitados',
+  'productos.errorDisponibles': 'No se pudo cargar productos disponibles.',
+  'productos.errorSemana': 'No se pudo cargar productos vendidos esta semana.',
+  'productos.errorAnual': 'No se pudo cargar conteo de ventas anual.',
+  'productos.ajustarPrecios': 'Ajustar precios',
+  'productos.importar': 'Importar productos',
+  'productos.stockBajo': '{count} productos están bajo su stock mínimo.',
+  'productos.stockBajo_one': '1 producto está bajo su stock mínimo.',
+  'productos.verReposicion': 'Ver reposición',
+  'productos.cambiarPrecioAria': 'Cambiar precio de {nombre}',
+  'productos.historialAria': 'Historial de precios de {nombre}',
+  'productos.historial': 'Historial de precios',
+  'productos.incrementarAria': 'Incrementar stock de {nombre}',
+  'productos.deshabilitar': 'Deshabilitar',
+  'productos.deshabilitarAria': 'Deshabilitar {nombre}',
+  'productos.deshabilitarTitulo': 'Deshabilitar producto',
+  'productos.deshabilitarMensaje': '"{nombre}" dejará de estar disponible para la venta. Podrás restaurarlo desde Deshabilitados.',
+  'productos.deshabilitado': 'Producto "{nombre}" deshabilitado.',
+  'productos.errorDeshabilitar': 'Error al deshabilitar el producto.',
+  'productos.actualizado': 'Producto actualizado.',
+  'productos.registrado': 'Producto "{nombre}" registrado.',
+  'productos.errorGuardar': 'Error al guardar el producto.',
+  'productos.precioDe': 'Precio de {nombre}',
+  'productos.nuevoPrecio': 'Nuevo precio',
+  'productos.precioActualizado': 'Precio de "{nombre}" actualizado.',
+  'productos.errorPrecio': 'No se pudo cambiar el precio de "{nombre}".',
+  'productos.stockDe': 'Stock de {nombre}',
+  'productos.incrementarEn': 'Incrementar stock en (actual: {stock})',
+  'productos.stockIncrementado': 'Stock de "{nombre}" incrementado en {cantidad}.',
+  'productos.errorStock': 'No se pudo incrementar el stock de "{nombre}".',
+  'productos.vendidosSemana': 'Vendidos Esta Semana',
+  'productos.totalAnio': 'Total vendidos este año:',
+  'productos.editar': 'Editar Producto',
+  'productos.registrar': 'Registrar Producto',
+  'productos.actualizar': 'Actualizar Producto',
+
+  // Archivo de clientes desactivados y productos deshabilitados
+  'archivo.desactivado': 'Desactivado',
+  'archivo.deshabilitado': 'Deshabilitado',
+  'archivo.bajaPor': '{fecha} por {usuario}',
+  'archivo.reactivar': 'Reactivar',
+  'archivo.reactivarAria': 'Reactivar {nombre}',
+  'archivo.clienteReactivado': 'Cliente "{nombre}" reactivado como {tipo}.',
+  'archivo.sinClientes': 'No hay clientes desactivados.',
+  'archivo.restaurar': 'Restaurar',
+  'archivo.restaurarAria': 'Restaurar {nombre}',
+  'archivo.productoRestaurado': 'Producto "{nombre}" restaurado.',
+  'archivo.errorRestaurar': 'No se pudo restaurar el producto.',
+  'archivo.sinProductos': 'No hay productos deshabilitados.',
+  'archivo.errorCarga': 'No se pudieron cargar los productos deshabilitados.',
+
+  // Ventas
+  'ventas.registrar': 'Registrar Venta',
+  'ventas.consultar': 'Consultar Ventas',
+  'ventas.desde': 'Desde',
+  'ventas.hasta': 'Hasta',
+  'ventas.clientes': 'Clientes (ninguno = todos)',
+  'ventas.producto': 'Producto',
+  'ventas.todosProductos': 'Todos los productos',
+  'ventas.consultando': 'Consultando {done}/{total}…',
+  'ventas.sinResultados': 'No se encontraron ventas para la consulta.',
+  'ventas.errorFechas': 'La fecha "desde" debe ser anterior o igual a "hasta".',
+  'ventas.errorAmplia': 'La búsqueda es demasiado amplia: acota el rango de fechas o selecciona clientes.',
+  'ventas.errorConsulta': 'Error consultando las ventas.',
+  'ventas.errorCatalogos': 'No se pudieron cargar clientes y productos.',
+  'ventas.ventaId': 'Venta ID',
+  'ventas.cliente': 'Cliente',
+  'ventas.clienteId': 'Cliente #{id}',
+  'ventas.fecha': 'Fecha',
+  'ventas.unidades': 'Unidades',
+  'ventas.total': 'Total',
+  'ventas.verBoleta': 'Ver boleta',
+  'ventas.verBoletaAria': 'Ver boleta de la venta {id}',
+  'ventas.lineaUnidades': '{cantidad} u.',
+  'ventas.resumen': '{ventas} ventas · {unidades} unidades · Total {total}',
+
+  // Nueva venta
+  'nuevaVenta.seleccionaCliente': 'Selecciona un cliente…',
+  'nuevaVenta.buscarProducto': 'Buscar producto por nombre o ID',
+  'nuevaVenta.stock': 'stock: {stock}',
+  'nuevaVenta.agregar': 'Agregar',
+  'nuevaVenta.sinCoincidencias': 'No hay productos que coincidan.',
+  'nuevaVenta.precio': 'Precio',
+  'nuevaVenta.cantidad': 'Cantidad',
+  'nuevaVenta.subtotal': 'Subtotal',
+  'nuevaVenta.registrando': 'Registrando…',
+  'nuevaVenta.registrada': 'Venta registrada con éxito por {total}.',
+  'nuevaVenta.encolada': 'Sin conexión: la venta quedó pendiente y se enviará al volver la conexión.',
+  'nuevaVenta.encoladaRevisar': 'Se perdió la conexión al registrar la venta: quedó por revisar, porque el servidor pudo haberla registrado.',
+  'nuevaVenta.error': 'Error registrando la venta.',
+  'nuevaVenta.descuento': '{nombre}: -{monto}',
+  'nuevaVenta.promocion': 'Promoción',
+
+  // Modo caja (punto de venta en pantalla completa)
+  'caja.abrir': 'Modo caja',
+  'caja.titulo': 'Modo caja',
+  'caja.salir': 'Salir del modo caja',
+  'caja.buscarProducto': 'Buscar producto o escanear código (F2)',
+  'caja.categorias': 'Categorías',
+  'caja.cliente': 'Cliente',
+  'caja.buscarCliente': 'Buscar cliente por nombre o ID (F4)',
+  'caja.cambiarCliente': 'Cambiar cliente',
+  'caja.sinClientes': 'No hay clientes activos que coincidan.',
+  'caja.venta': 'Venta actual',
+  'caja.ventaVacia': 'Toca un producto o escanea su código para agregarlo.',
+  'caja.lineaDetalle': '{cantidad} × {precio}',
+  'caja.quitar': 'Quitar {nombre}',
+  'caja.teclado': 'Teclado numérico',
+  'caja.cantidadDe': 'Cantidad de {nombre}',
+  'caja.seleccionaLinea': 'Toca una línea para cambiar su cantidad.',
+  'caja.borrar': 'Borrar',
+  'caja.limpiar': 'Volver a 1',
+  'caja.cobrar': 'Cobrar {total}',
+  'caja.cobrando': 'Cobrando…',
+  'caja.cancelar': 'Cancelar venta',
+  'caja.cancelarTitulo': '¿Cancelar la venta?',
+  'caja.cancelarMensaje': 'Se quitarán los productos y el cliente de la venta actual.',
+  'caja.faltaCliente': 'Elige el cliente antes de cobrar.',
+  'caja.revisarCantidades': 'Revisa las cantidades: hay líneas sin unidades o con más unidades que el stock.',
+  'caja.sinStock': '"{nombre}" no tiene stock.',
+  'caja.codigoDesconocido': 'No hay un producto con el código {codigo}.',
+  'caja.atajos': 'Atajos: F2 o / buscar · Enter agregar · F4 cliente · F9 cobrar · Esc cancelar',
+
+  // Configuración de promociones
+  'promociones.configurar': 'Promociones',
+  'promociones.titulo': 'Promociones',
+  'promociones.ayuda': 'Las promociones activas se aplican al registrar ventas, en el orden de la lista y cada una sobre el precio que dejan las anteriores. Los cambios se guardan en este navegador.',
+  'promociones.soloLocal': 'Las reglas se guardan solo en este navegador (vitoko.promociones): otras cajas no ven estos cambios y pueden cobrar precios distintos. Configura las mismas promociones en cada equipo.',
+  'promociones.tipo.cliente': 'Por tipo de cliente',
+  'promociones.tipo.combo': 'Combo de categorías',
+  'promociones.tipo.cantidad': 'Por cantidad',
+  'promociones.tipo.horario': 'Por horario (happy hour)',
+  'promociones.activa': 'Activa',
+  'promociones.nombre': 'Nombre de la promoción',
+  'promociones.porcentaje': 'Descuento (%)',
+  'promociones.tipoCliente': 'Clientes',
+  'promociones.categoriasCombo': 'Una unidad de:',
+  'promociones.categoria': 'Categoría',
+  'promociones.minimo': 'Mínimo por producto',
+  'promociones.dias': 'Días',
+  'promociones.desde': 'Desde',
+  'promociones.hasta': 'Hasta',
+  'promociones.subir': 'Subir',
+  'promociones.bajar': 'Bajar',
+  'promociones.eliminar': 'Eliminar promoción',
+  'promociones.sinReglas': 'No hay promociones configuradas.',
+  'promociones.tipoNueva': 'Tipo de promoción',
+  'promociones.agregar': 'Agregar',
+  'promociones.restablecer': 'Restablecer',
+
+  // Medios de pago (ver utils/mediosPago)
+  'mediosPago.titulo': 'Medio de pago',
+  'mediosPago.efectivo': 'Efectivo',
+  'mediosPago.tarjeta': 'Tarjeta',
+  'mediosPago.transferencia': 'Transferencia',
+  'mediosPago.sinRegistro': 'Sin registro',
+
+  // Cierre de caja
+  'cierre.titulo': 'Cierre de caja',
+  'cierre.fecha': 'Fecha del cierre',
+  'cierre.actualizar': 'Actualizar',
+  'cierre.errorConsulta': 'No se pudieron obtener las ventas del día.',
+  'cierre.pendientes': 'Hay {count} ventas registradas sin conexión que aún no se envían: no se incluyen en el cierre.',
+  'cierre.pendientes_one': 'Hay 1 venta registrada sin conexión que aún no se envía: no se incluye en el cierre.',
+  'cierre.transacciones': 'Transacciones',
+  'cierre.unidades': 'Unidades',
+  'cierre.total': 'Total vendido',
+  'cierre.ticket': 'Ticket promedio',
+  'cierre.porProducto': 'Ventas por producto',
+  'cierre.sinVentas': 'No hay ventas registradas en el día.',
+  'cierre.porMedio': 'Por medio de pago',
+  'cierre.ventas': 'Ventas',
+  'cierre.monto': 'Monto',
+  'cierre.sinRegistroAyuda': 'Las ventas registradas en otro equipo no tienen el medio de pago anotado y no se cuentan como efectivo.',
+  'cierre.conciliacion': 'Conciliación con los vendidos de la semana',
+  'cierre.unidadesDia': 'Unidades del día',
+  'cierre.unidadesSemana': 'Semana (API)',
+  'cierre.estado': 'Estado',
+  'cierre.cuadra': '✓ Cuadra',
+  'cierre.noCuadra': '⚠ Supera lo informado para la semana',
+  'cierre.conciliacionFuera': 'La conciliación con los vendidos de la semana solo es posible para los últimos 7 días.',
+  'cierre.errorSemana': 'No se pudieron cargar los vendidos de la semana.',
+  'cierre.arqueo': 'Arqueo de efectivo',
+  'cierre.fondo': 'Fondo inicial',
+  'cierre.contado': 'Efectivo contado',
+  'cierre.notas': 'Observaciones',
+  'cierre.esperado': 'Esperado en caja: {monto} (fondo + ventas en efectivo)',
+  'cierre.diferencia': 'Diferencia: {monto}',
+  'cierre.diferenciaProvisional': 'Diferencia provisional: {monto}',
+  'cierre.sinRegistroArqueo': 'Hay {count} ventas por {monto} sin medio de pago anotado en este navegador (p. ej. registradas en otra caja). Si alguna se pagó en efectivo, el esperado es mayor: revisa esas ventas antes de dar la diferencia por buena.',
+  'cierre.sinRegistroArqueo_one': 'Hay 1 venta por {monto} sin medio de pago anotado en este navegador (p. ej. registrada en otra caja). Si se pagó en efectivo, el esperado es mayor: revísala antes de dar la diferencia por buena.',
+  'cierre.provisional': 'provisional',
+  'cierre.estado.sobrante': 'Sobrante',
+  'cierre.estado.faltante': 'Faltante',
+  'cierre.estado.cuadrada': 'Caja cuadrada',
+  'cierre.guardar': 'Guardar cierre',
+  'cierre.guardado': 'Cierre del {fecha} guardado.',
+  'cierre.reemplazarTitulo': '¿Reemplazar el cierre guardado?',
+  'cierre.reemplazarMensaje': 'Ya hay un cierre guardado para el {fecha}; se reemplazará por este.',
+  'cierre.reemplazar': 'Reemplazar',
+  'cierre.historial': 'Cierres guardados',
+  'cierre.sinHistorial': 'Aún no hay cierres guardados en este navegador.',
+  'cierre.usuario': 'Usuario',
+  'cierre.ver': 'Ver',
+  'cierre.verAria': 'Ver cierre del {fecha}',
+  'cierre.eliminarAria': 'Eliminar cierre del {fecha}',
+  'cierre.eliminarTitulo': '¿Eliminar el cierre?',
+  'cierre.eliminarMensaje': 'Se eliminará el cierre del {fecha} guardado en este navegador.',
+  'cierre.eliminar': 'Eliminar',
+  'cierre.eliminado': 'Cierre del {fecha} eliminado.',
+  'cierre.resumen': 'Cierre de caja del {fecha}',
+  'cierre.pdf': 'Descargar PDF',
+  'cierre.imprimir': 'Imprimir',
+
+  // Ventas pendientes de envío
+  'colaVentas.titulo': 'Ventas pendientes de envío ({count})',
+  'colaVentas.enviar': 'Enviar ahora',
+  'colaVentas.enviando': 'Enviando…',
+  'colaVentas.resumen': '{unidades} unidades — {total}',
+  'colaVentas.conflicto': 'Conflicto',
+  'colaVentas.pendiente': 'Pendiente',
+  'colaVentas.revisar': 'Por revisar',
+  'colaVentas.revisarAyuda': 'La conexión se cortó mientras se enviaba y el servidor pudo haberla registrado. Revisa las ventas del cliente antes de reenviarla; si ya aparece, descártala.',
+  'colaVentas.reenviar': 'Reenviar',
+  'colaVentas.reintentar': 'Reintentar',
+  'colaVentas.descartar': 'Descartar',
+  'colaVentas.descartarTitulo': 'Descartar venta pendiente',
+  'colaVentas.motivo.noDisponible': '{producto} ya no está disponible.',
+  'colaVentas.motivo.stock': 'Stock insuficiente de {producto}: quedan {disponible}, la venta pide {pedido}.',
+  'colaVentas.motivo.rechazada': '{mensaje}',
+  'colaVentas.motivo.rechazadaSinMotivo': 'El servidor rechazó la venta.',
+  'colaVentas.descartarMensaje': 'La venta de {cliente} por {total} no se registrará.',
+  'colaVentas.enviadas': '{count} ventas pendientes enviadas.',
+  'colaVentas.conflictos': '{count} ventas pendientes tienen conflictos. Revísalas en Ventas.',
+  'colaVentas.perdidaConexion': 'Se perdió la conexión al enviar una venta pendiente: revísala en Ventas antes de reenviarla.',
+  'colaVentas.errorLeer': 'No se pudieron leer las ventas pendientes de envío guardadas en este navegador.',
+  'colaVentas.errorEnviar': 'No se pudieron enviar las ventas pendientes.',
+  'colaVentas.sinAlmacenamiento': 'Este navegador no permite guardar ventas sin conexión.'
+};
+
+export default es;
@@ -0,0 +1,286 @@
+// Backend de prueba en memoria para las pruebas de integración (sin MySQL ni servidor HTTP).
+// Reemplaza a "fetch" e implementa los endpoints que usa la app: /clientes, /producto,
+// /venta y /auth, con las mismas reglas que el backend real (clientes inactivos,
+// productos deshabilitados, stock insuficiente, errores por campo).
+//
+// Uso en una prueba:
+//   const backend = installMockBackend();          // datos de ejemplo (ver SEED)
+//   backend.db.productos[0].stock = 0;             // ajustar los datos
+//   backend.failNext('PUT', '/producto/1', { status: 409, body: { message: 'Bloqueado.' } });
+//   ...
+//   expect(backend.requests).toContainEqual(expect.objectContaining({ method: 'POST', path: '/venta' }));
+import { toISODate } from '../utils/fechas';
+
+// Datos iniciales: dos clientes activos y uno inactivo, tres productos disponibles y uno deshabilitado.
+export const SEED = {
+  clientes: [
+    { id: 1, nombre: 'José Pérez', ciudad: 'Ñuñoa', tipo: 1 },
+    { id: 2, nombre: 'María Soto', ciudad: 'Providencia', tipo: 2 },
+    { id: 3, nombre: 'Luis Rojas', ciudad: 'Maipú', tipo: 0 }
+  ],
+  productos: [
+    { productoID: 1, nombre: 'Café americano', precio: 1500, stock: 20, categoria: 'cafe', codigo: '7801234500011', disponible: true },
+    { productoID: 2, nombre: 'Cappuccino', precio: 2200, stock: 3, categoria: 'cafe', codigo: '7801234500028', disponible: true },
+    { productoID: 3, nombre: 'Medialuna', precio: 900, stock: 0, categoria: 'pasteleria', disponible: true },
+    { productoID: 4, nombre: 'Té chai', precio: 1800, stock: 10, categoria: 'te', disponible: false }
+  ],
+  ventas: []
+};
+
+// Usuarios de /auth/login (la contraseña es igual al usuario), como en mock/authServer.js.
+const USERS = {
+  cajero:  { usuario: 'cajero',  nombre: 'Camila Cajera',   rol: 'cajero' },
+  gerente: { usuario: 'gerente', nombre: 'Gonzalo Gerente', rol: 'gerente' },
+  admin:   { usuario: 'admin',   nombre: 'Ana Admin',       rol: 'admin' }
+};
+
+// Error de la API con su código HTTP y cuerpo JSON.
+class HttpError extends Error {
+  constructor(status, body) {
+    super(body?.message || `Error ${status}`);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const notFound = message => new HttpError(404, { message });
+const badRequest = errors => new HttpError(400, { message: 'Datos inválidos.', errors });
+
+// Respuesta con la forma que el cliente de API lee de fetch (ok, status, statusText, text()).
+const respond = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: status === 404 ? 'Not Found' : '',
+  text: async () => (body === undefined ? '' : JSON.stringify(body))
+});
+
+// Fecha local 'YYYY-MM-DD' de una venta.
+const diaDe = fecha => toISODate(new Date(fecha));
+
+// Crea un backend con una copia de los datos iniciales.
+// Devuelve:
+// - fetch: implementación de fetch que atiende las peticiones
+// - db: datos actuales ({ clientes, productos, ventas }), modificables desde la prueba
+// - requests: peticiones recibidas ({ method, path, query, body, headers })
+// - failNext(method, path, { status, body }): la próxima petición que coincida responde ese error
+// - reset(): vuelve a los datos iniciales
+export function createMockBackend(seed = SEED) {
+  let db;
+  let fallas;
+  const requests = [];
+  let nextVentaId;
+
+  const reset = () => {
+    db = JSON.parse(JSON.stringify(seed));
+    fallas = [];
+    requests.length = 0;
+    nextVentaId = db.ventas.reduce((max, l) => Math.max(max, l.ventaId), 0) + 1;
+  };
+  reset();
+
+  const nextId = (list, key) => list.reduce((max, x) => Math.max(max, x[key]), 0) + 1;
+
+  const findCliente = id => {
+    const c = db.clientes.find(x => String(x.id) === String(id));
+    if (!c) throw notFound('Cliente no encontrado.');
+    return c;
+  };
+
+  const findProducto = id => {
+    const p = db.productos.find(x => String(x.productoID) === String(id));
+    if (!p) throw notFound('Producto no encontrado.');
+    return p;
+  };
+
+  // Validaciones de los datos de un cliente (errores por campo, como el backend real).
+  const validarCliente = data => {
+    const errors = {};
+    if (!String(data.nombre ?? '').trim()) errors.nombre = 'El nombre es obligatorio.';
+    if (!String(data.ciudad ?? '').trim()) errors.ciudad = 'La ciudad es obligatoria.';
+    if (![0, 1, 2].includes(Number(data.tipo))) errors.tipo = 'Tipo de cliente no válido.';
+    if (Object.keys(errors).length) throw badRequest(errors);
+  };
+
+  // Validaciones de los datos de un producto; "parcial" permite omitir campos (PUT).
+  const validarProducto = (data, parcial) => {
+    const errors = {};
+    if ((!parcial || data.name !== undefined) && !String(data.name ?? '').trim()) errors.nombre = 'El nombre es obligatorio.';
+    if ((!parcial || data.price !== undefined) && !(Number(data.price) > 0)) errors.precio = 'El precio debe ser mayor a 0.';
+    if ((!parcial || data.stock !== undefined) && !(Number.isInteger(Number(data.stock)) && Number(data.stock) >= 0)) {
+      errors.stock = 'El stock debe ser un entero mayor o igual a 0.';
+    }
+    if (Object.keys(errors).length) throw badRequest(errors);
+  };
+
+  // Registra una venta: valida cliente, productos y stock, descuenta el stock y guarda las líneas
+  // con el precio unitario enviado (ya descontado por las promociones) o, si falta, el del producto.
+  const registrarVenta = ({ clienteId, productos = [] }) => {
+    const cliente = findCliente(clienteId);
+    if (cliente.tipo !== 1 && cliente.tipo !== 2) throw new HttpError(400, { message: 'El cliente está inactivo.' });
+    if (!productos.length) throw badRequest({ productos: 'La venta no tiene productos.' });
+    const lineas = productos.map(l => {
+      const p = findProducto(l.id);
+      if (!p.disponible) throw new HttpError(409, { message: `El producto "${p.nombre}" no está disponible.` });
+      if (Number(l.cantidad) > p.stock) throw new HttpError(409, { message: `Stock insuficiente para "${p.nombre}".` });
+      return { p, cantidad: Number(l.cantidad), precio: l.precio !== undefined ? Number(l.precio) : p.precio };
+    });
+    const ventaId = nextVentaId++;
+    const fecha = new Date().toISOString();
+    lineas.forEach(({ p, cantidad, precio }) => {
+      p.stock -= cantidad;
+      db.ventas.push({ ventaId, clienteId: cliente.id, productoId: p.productoID, cantidad, subtotal: precio * cantidad, fecha });
+    });
+    return { ventaId };
+  };
+
+  // Líneas de venta de un cliente entre dos fechas (sin el clienteId, como el backend real).
+  const ventasDe = (clienteId, desde, hasta) => db.ventas
+    .filter(l => String(l.clienteId) === String(clienteId) && diaDe(l.fecha) >= desde && diaDe(l.fecha) <= hasta)
+    .map(({ clienteId: _, ...l }) => l);
+
+  // Rutas: [método, patrón, manejador(params, body, query)].
+  const routes = [
+    ['POST', /^\/auth\/login$/, (p, body) => {
+      const user = USERS[body.usuario];
+      if (!user || body.password !== body.usuario) throw new HttpError(401, { message: 'Usuario o contraseña incorrectos.' });
+      return { token: `token-${user.usuario}`, refreshToken: `refresh-${user.usuario}`, expiresIn: 900, user };
+    }],
+    ['POST', /^\/auth\/refresh$/, (p, body) => {
+      const user = USERS[String(body.refreshToken || '').replace(/^refresh-/, '')];
+      if (!user) throw new HttpError(401, { message: 'Sesión expirada.' });
+      return { token: `token-${user.usuario}`, refreshToken: body.refreshToken, expiresIn: 900, user };
+    }],
+
+    ['GET', /^\/clientes$/, (p, body, query) => {
+      const type = query.get('type');
+      return type ? db.clientes.filter(c => String(c.tipo) === type) : db.clientes;
+    }],
+    ['POST', /^\/clientes$/, (p, body) => {
+      validarCliente(body);
+      const cliente = { id: nextId(db.clientes, 'id'), nombre: body.nombre, ciudad: body.ciudad, tipo: Number(body.tipo) };
+      db.clientes.push(cliente);
+      return { id: cliente.id };
+    }],
+    ['PUT', /^\/clientes\/(\d+)$/, ([id], body) => {
+      const cliente = findCliente(id);
+      validarCliente(body);
+      Object.assign(cliente, { nombre: body.nombre, ciudad: body.ciudad, tipo: Number(body.tipo) });
+      return { message: 'Cliente actualizado.' };
+    }],
+    ['DELETE', /^\/clientes\/(\d+)$/, ([id]) => {
+      findCliente(id).tipo = 0;
+      return { message: 'Cliente desactivado.' };
+    }],
+
+    ['GET', /^\/producto$/, (p, body, query) => {
+      const disponible = query.get('disponible') !== 'false';
+      return db.productos.filter(x => x.disponible === disponible).map(({ disponible: _, ...x }) => x);
+    }],
+    ['GET', /^\/producto\/sold\/estaSemana$/, () => {
+      const desde = toISODate(new Date(Date.now() - 6 * 24 * 3600 * 1000));
+      const vendidos = new Map();
+      db.ventas.filter(l => diaDe(l.fecha) >= desde).forEach(l => {
+        vendidos.set(l.productoId, (vendidos.get(l.productoId) || 0) + l.cantidad);
+      });
+      return [...vendidos].map(([productId, quantitySold]) => ({
+        productId, productName: findProducto(productId).nombre, quantitySold
+      }));
+    }],
+    ['GET', /^\/producto\/vendidos\/añoActual$/, () => {
+      const anio = String(new Date().getFullYear());
+      return { count: db.ventas.filter(l => diaDe(l.fecha).startsWith(anio)).reduce((n, l) => n + l.cantidad, 0) };
+    }],
+    ['POST', /^\/producto$/, (p, body) => {
+      validarProducto(body, false);
+      const producto = {
+        productoID: nextId(db.productos, 'productoID'),
+        nombre: body.name, precio: Number(body.price), stock: Number(body.stock), disponible: body.disponible !== false
+      };
+      if (body.category) producto.categoria = body.category;
+      if (body.description) producto.descripcion = body.description;
+      if (body.code) producto.codigo = body.code;
+      if (body.image) producto.imagen = body.image;
+      db.productos.push(producto);
+      return { productoID: producto.productoID };
+    }],
+    ['PUT', /^\/producto\/(\d+)\/stock$/, ([id], body) => {
+      const producto = findProducto(id);
+      if (!(Number.isInteger(Number(body.amount)) && Number(body.amount) > 0)) {
+        throw badRequest({ amount: 'La cantidad debe ser un entero mayor a 0.' });
+      }
+      producto.stock += Number(body.amount);
+      return { stock: producto.stock };
+    }],
+    ['PUT', /^\/producto\/(\d+)$/, ([id], body) => {
+      const producto = findProducto(id);
+      validarProducto(body, true);
+      if (body.name !== undefined) producto.nombre = body.name;
+      if (body.price !== undefined) producto.precio = Number(body.price);
+      if (body.stock !== undefined) producto.stock = Number(body.stock);
+      if (body.disponible !== undefined) producto.disponible = Boolean(body.disponible);
+      if (body.category !== undefined) producto.categoria = body.category;
+      if (body.description !== undefined) producto.descripcion = body.description;
+      if (body.code !== undefined) producto.codigo = body.code;
+      if (body.image !== undefined) producto.imagen = body.image;
+      return { message: 'Producto actualizado.' };
+    }],
+    ['DELETE', /^\/producto\/(\d+)$/, ([id]) => {
+      findProducto(id).disponible = false;
+      return { message: 'Producto deshabilitado.' };
+    }],
+
+    ['POST', /^\/venta$/, (p, body) => registrarVenta(body)],
+    ['GET', /^\/venta\/cliente\/(\d+)\/fecha\/([\d-]+)$/, ([id, fecha]) => {
+      const lineas = ventasDe(id, fecha, fecha);
+      if (!lineas.length) throw notFound('No hay ventas para la fecha.');
+      return lineas;
+    }],
+    ['GET', /^\/venta\/cliente\/(\d+)\/desde\/([\d-]+)\/hasta\/([\d-]+)$/, ([id, desde, hasta]) => ventasDe(id, desde, hasta)]
+  ];
+
+  // Atiende una petición con la firma de fetch. Respeta la cancelación (AbortSignal).
+  const fetch = async (input, init = {}) => {
+    const url = new URL(String(input), 'http://localhost');
+    const path = decodeURIComponent(url.pathname);
+    const method = (init.method || 'GET').toUpperCase();
+    const body = init.body ? JSON.parse(init.body) : {};
+    requests.push({ method, path, query: Object.fromEntries(url.searchParams), body, headers: init.headers || {} });
+
+    await Promise.resolve();
+    if (init.signal?.aborted) throw new DOMException('The operation was aborted.', 'AbortError');
+
+    const falla = fallas.findIndex(f => f.method === method && f.path === path);
+    if (falla !== -1) {
+      const [{ status, body: errorBody }] = fallas.splice(falla, 1);
+      if (status === 0) throw new TypeError('Failed to fetch');
+      return respond(status, errorBody);
+    }
+
+    for (const [m, pattern, handler] of routes) {
+      const match = m === method && path.match(pattern);
+      if (!match) continue;
+      try {
+        return respond(200, handler(match.slice(1), body, url.searchParams));
+      } catch (err) {
+        if (err instanceof HttpError) return respond(err.status, err.body);
+        throw err;
+      }
+    }
+    return respond(404, { message: 'Ruta no encontrada' });
+  };
+
+  return {
+    fetch,
+    get db() { return db; },
+    requests,
+    failNext: (method, path, { status = 500, body } = {}) => fallas.push({ method, path, status, body }),
+    reset
+  };
+}
+
+// Crea un backend de prueba y lo instala como "fetch" global. Devuelve el backend.
+export function installMockBackend(seed) {
+  const backend = createMockBackend(seed);
+  global.fetch = jest.fn(backend.fetch);
+  return backend;
+}
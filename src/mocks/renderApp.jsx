@@ -0,0 +1,42 @@
+import React from 'react';
+import { render } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import App from '../App';
+import { AuthProvider } from '../hooks/useAuth';
+import { ToastProvider } from '../hooks/useToast';
+import { ConfirmProvider } from '../hooks/useConfirm';
+import { I18nProvider } from '../hooks/useI18n';
+import { saveSession } from '../api/session';
+import { clearQueries } from '../api/cache';
+// Aplicación completa con sus proveedores, sesión del usuario y caché de consultas
+
+// Usuarios con sesión iniciada para las pruebas, uno por rol.
+export const USUARIOS = {
+  cajero:  { usuario: 'cajero',  nombre: 'Camila Cajera',   rol: 'cajero' },
+  gerente: { usuario: 'gerente', nombre: 'Gonzalo Gerente', rol: 'gerente' },
+  admin:   { usuario: 'admin',   nombre: 'Ana Admin',       rol: 'admin' }
+};
+
+// Renderiza la aplicación completa en la ruta indicada, como en src/index.js pero con
+// un router en memoria. Con "rol" se inicia la sesión de ese usuario (null = sin sesión).
+// Parte siempre de un navegador limpio: sin datos guardados ni consultas en caché, salvo
+// los valores de "storage" ({ clave: valor }), que se guardan en localStorage como JSON.
+export default function renderApp(path = '/', { rol = 'admin', storage = {} } = {}) {
+  window.localStorage.clear();
+  clearQueries();
+  Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, JSON.stringify(value)));
+  if (rol) saveSession({ token: `token-${rol}`, refreshToken: `refresh-${rol}`, expiresIn: 900, user: USUARIOS[rol] });
+  return render(
+    <MemoryRouter initialEntries={[path]}>
+      <I18nProvider>
+        <ToastProvider>
+          <ConfirmProvider>
+            <AuthProvider>
+              <App />
+            </AuthProvider>
+          </ConfirmProvider>
+        </ToastProvider>
+      </I18nProvider>
+    </MemoryRouter>
+  );
+}
@@ -0,0 +1,20 @@
+// Registro del service worker (public/sw.js), que permite abrir la aplicación sin conexión.
+// Solo se registra en la build de producción: en desarrollo la caché interferiría con la recarga en caliente.
+// Si el navegador no lo permite la aplicación funciona igual, solo que no abre sin conexión.
+
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/sw.js`)
+      .catch(() => {});
+  });
+}
+
+// Elimina el service worker registrado (útil para depurar problemas de caché).
+export function unregister() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then(registration => registration.unregister())
+    .catch(() => {});
+}
@@ -0,0 +1,111 @@
+// Boletas de venta: modelo común para la vista en pantalla, la impresión y el PDF.
+import { tipoLabel } from './clientes';
+import { formatMoney, formatDateTime } from './formato';
+import { medioPagoLabel } from './mediosPago';
+
+// Datos del local que encabezan la boleta.
+export const NEGOCIO = 'Vitoko’s Coffee';
+
+// Caracteres por renglón de la boleta en PDF (rollo de 80 mm en Courier 8 pt).
+export const ANCHO_BOLETA = 42;
+
+/**
+ * @typedef {Object} Boleta
+ * @property {number|null} ventaId null si el servidor no lo informó o la venta aún no se registró
+ * @property {boolean} [pendiente] true si la venta quedó en la cola sin conexión
+ * @property {string} fecha Fecha ISO de la venta
+ * @property {{ nombre: string, tipo: number }} cliente
+ * @property {string} [medioPago] Solo en las ventas recién registradas (la API no lo devuelve)
+ * @property {{ nombre: string, cantidad: number, precio: number, subtotal: number }[]} lineas
+ * @property {number} [subtotal] Suma sin descuentos (solo si hubo promociones)
+ * @property {{ nombre: string, monto: number }[]} [descuentos] Promociones aplicadas
+ * @property {number} total
+ */
+
+// Arma la boleta de una venta agrupada (ver utils/ventas.groupVentas). La API no devuelve
+// el precio unitario, así que se calcula a partir del subtotal y la cantidad.
+/** @returns {Boleta} */
+export function boletaFromVenta(venta, { cliente, nombreProducto }) {
+  return {
+    ventaId: venta.ventaId,
+    fecha: venta.fecha,
+    cliente: cliente || { nombre: `Cliente #${venta.clienteId}`, tipo: null },
+    lineas: venta.lineas.map(l => ({
+      nombre: nombreProducto(l.productoId),
+      cantidad: Number(l.cantidad),
+      precio: Number(l.cantidad) ? Number(l.subtotal) / Number(l.cantidad) : 0,
+      subtotal: Number(l.subtotal)
+    })),
+    total: venta.total
+  };
+}
+
+// Arma la boleta de una venta recién registrada a partir de las líneas del carrito.
+// Con "detalle" (ver utils/promociones.aplicarPromociones) las líneas llevan el precio
+// con descuento y la boleta detalla las promociones aplicadas.
+/** @returns {Boleta} */
+export function boletaFromCarrito({
+  ventaId = null, pendiente = false, cliente, medioPago, lines, detalle, fecha = new Date().toISOString()
+}) {
+  const lineas = lines.map(({ producto, cantidad }, i) => {
+    const precio = detalle ? detalle.lineas[i].precio : Number(producto.precio);
+    return { nombre: producto.nombre, cantidad, precio, subtotal: detalle ? detalle.lineas[i].subtotal : precio * cantidad };
+  });
+  const conDescuentos = detalle?.descuentos.length > 0;
+  return {
+    ventaId,
+    pendiente,
+    fecha,
+    cliente: { nombre: cliente?.nombre || '', tipo: cliente?.tipo ?? null },
+    ...(medioPago && { medioPago }),
+    lineas,
+    ...(conDescuentos && {
+      subtotal: detalle.subtotal,
+      descuentos: detalle.descuentos.map(({ nombre, monto }) => ({ nombre, monto }))
+    }),
+    total: lineas.reduce((sum, l) => sum + l.subtotal, 0)
+  };
+}
+
+// Alinea "izquierda" y "derecha" en un renglón del ancho indicado.
+export const fila = (izquierda, derecha, ancho) => {
+  const espacio = ancho - derecha.length;
+  const texto = izquierda.length >= espacio ? izquierda.slice(0, Math.max(0, espacio - 1)) : izquierda;
+  return texto.padEnd(espacio) + derecha;
+};
+// Centra un texto en un renglón del ancho indicado.
+export const centrar = (texto, ancho) => texto.padStart(Math.floor((ancho + texto.length) / 2)).padEnd(ancho);
+
+// Identificación de la venta bajo el nombre del local (o null si no hay).
+export function encabezadoVenta(boleta) {
+  if (boleta.pendiente) return 'Venta pendiente de envío';
+  return boleta.ventaId ? `Venta N° ${boleta.ventaId}` : null;
+}
+
+// Renglones de texto monoespaciado de la boleta, para el PDF.
+export function boletaTexto(boleta, ancho = ANCHO_BOLETA) {
+  const separador = '-'.repeat(ancho);
+  const lineas = boleta.lineas.flatMap(l => [
+    l.nombre.slice(0, ancho),
+    fila(`  ${l.cantidad} x ${formatMoney(l.precio)}`, formatMoney(l.subtotal), ancho)
+  ]);
+  return [
+    { text: centrar(NEGOCIO, ancho), bold: true },
+    ...(encabezadoVenta(boleta) ? [centrar(encabezadoVenta(boleta), ancho)] : []),
+    centrar(formatDateTime(boleta.fecha), ancho),
+    separador,
+    fila('Cliente:', boleta.cliente.nombre, ancho),
+    ...(boleta.cliente.tipo != null ? [fila('Tipo:', tipoLabel(boleta.cliente.tipo), ancho)] : []),
+    separador,
+    ...lineas,
+    separador,
+    ...(boleta.descuentos?.length ? [
+      fila('Subtotal', formatMoney(boleta.subtotal), ancho),
+      ...boleta.descuentos.map(d => fila(d.nombre, `-${formatMoney(d.monto)}`, ancho))
+    ] : []),
+    { text: fila('TOTAL', formatMoney(boleta.total), ancho), bold: true },
+    ...(boleta.medioPago ? [fila('Pago:', medioPagoLabel(boleta.medioPago), ancho)] : []),
+    '',
+    centrar('¡Gracias por su compra!', ancho)
+  ];
+}
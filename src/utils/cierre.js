@@ -0,0 +1,207 @@
+// Cierre de caja: resumen de las ventas de un día para cuadrar la caja al final de la jornada.
+// Los cierres guardados quedan en este navegador (ver useCierres) para revisarlos después.
+import { groupVentas } from './ventas';
+import { MEDIOS_PAGO, medioPagoLabel } from './mediosPago';
+import { NEGOCIO, ANCHO_BOLETA, fila, centrar } from './boleta';
+import { formatMoney, formatDateTime, DEFAULT_LOCALE } from './formato';
+import { parseISODate } from './fechas';
+
+// Clave de localStorage donde se guardan los cierres (Cierre[]).
+export const CIERRES_KEY = 'vitoko.cierres';
+
+// Cantidad máxima de cierres guardados (los más antiguos se descartan).
+export const MAX_CIERRES = 120;
+
+/**
+ * @typedef {Object} ResumenVentas
+ * @property {number} transacciones Ventas distintas (por ventaId)
+ * @property {number} unidades
+ * @property {number} total
+ * @property {{ productoId: number, nombre: string, unidades: number, total: number }[]} porProducto
+ * @property {{ medio: string, ventas: number, total: number }[]} porMedio 'sinRegistro' = medio desconocido
+ */
+
+/**
+ * @typedef {Object} Cierre
+ * @property {string} fecha Día del cierre 'YYYY-MM-DD'
+ * @property {string} generado Fecha ISO en que se guardó
+ * @property {string} usuario
+ * @property {number} transacciones
+ * @property {number} unidades
+ * @property {number} total
+ * @property {ResumenVentas['porProducto']} porProducto
+ * @property {ResumenVentas['porMedio']} porMedio
+ * @property {number} fondo Fondo inicial de la caja
+ * @property {number} efectivoEsperado Fondo inicial + ventas en efectivo
+ * @property {number} contado Efectivo contado al cerrar
+ * @property {number} diferencia Contado - esperado (positivo = sobrante, negativo = faltante)
+ * @property {boolean} [provisional] Hubo ventas sin medio de pago anotado: el esperado puede quedar corto
+ * @property {string} [notas]
+ */
+
+// Redondea un monto a 2 decimales.
+const redondear = n => Math.round(n * 100) / 100;
+
+// Resume las líneas de venta de un día (ver api/ventas.searchVentas): transacciones, unidades y total,
+// ventas por producto (de mayor a menor recaudación) y por medio de pago. "mediosPago" son los medios
+// anotados localmente ({ [ventaId]: medio }); las ventas sin medio conocido van a 'sinRegistro'.
+/** @returns {ResumenVentas} */
+export function resumenVentas(lineas, { nombreProducto, mediosPago = {} }) {
+  const ventas = groupVentas(lineas);
+
+  const productos = new Map();
+  lineas.forEach(l => {
+    const key = String(l.productoId);
+    const p = productos.get(key) || { productoId: l.productoId, nombre: nombreProducto(l.productoId), unidades: 0, total: 0 };
+    p.unidades += Number(l.cantidad) || 0;
+    p.total = redondear(p.total + (Number(l.subtotal) || 0));
+    productos.set(key, p);
+  });
+
+  const medios = new Map(MEDIOS_PAGO.map(medio => [medio, { medio, ventas: 0, total: 0 }]));
+  ventas.forEach(v => {
+    const medio = MEDIOS_PAGO.includes(mediosPago[v.ventaId]) ? mediosPago[v.ventaId] : 'sinRegistro';
+    const m = medios.get(medio) || { medio, ventas: 0, total: 0 };
+    m.ventas += 1;
+    m.total = redondear(m.total + v.total);
+    medios.set(medio, m);
+  });
+
+  return {
+    transacciones: ventas.length,
+    unidades: ventas.reduce((n, v) => n + v.unidades, 0),
+    total: redondear(ventas.reduce((sum, v) => sum + v.total, 0)),
+    porProducto: [...productos.values()].sort((a, b) => b.total - a.total || a.nombre.localeCompare(b.nombre)),
+    porMedio: [...medios.values()]
+  };
+}
+
+// Compara las unidades del día por producto con los vendidos de la semana que informa la API
+// (GET /producto/sold/estaSemana): un día nunca puede superar a la semana que lo incluye.
+// Devuelve una fila por producto vendido en el día, con "ok" = false si no cuadra.
+export function conciliarSemana(porProducto, vendidosSemana) {
+  const semana = new Map(vendidosSemana.map(v => [String(v.productId), Number(v.quantitySold) || 0]));
+  return porProducto.map(p => {
+    const unidadesSemana = semana.get(String(p.productoId)) ?? 0;
+    return { productoId: p.productoId, nombre: p.nombre, unidadesDia: p.unidades, unidadesSemana, ok: p.unidades <= unidadesSemana };
+  });
+}
+
+// Efectivo que debería haber en la caja (fondo inicial + ventas en efectivo) y diferencia con lo contado.
+// Las ventas sin medio de pago anotado ("sinRegistro", el monto) pudieron pagarse en efectivo: si hay,
+// el esperado puede quedar corto y la diferencia es provisional (un sobrante puede no serlo).
+export function cuadrarCaja({ fondo = 0, contado, porMedio }) {
+  const efectivo = porMedio.find(m => m.medio === 'efectivo')?.total || 0;
+  const sinRegistro = porMedio.find(m => m.medio === 'sinRegistro')?.total || 0;
+  const efectivoEsperado = redondear(Number(fondo) + efectivo);
+  return {
+    efectivo,
+    efectivoEsperado,
+    diferencia: redondear(Number(contado) - efectivoEsperado),
+    sinRegistro,
+    provisional: sinRegistro > 0
+  };
+}
+
+// Arma el cierre de un día a partir del resumen de ventas y el arqueo de la caja.
+/** @returns {Cierre} */
+export function armarCierre({ fecha, resumen, fondo = 0, contado, notas = '', usuario = '', generado = new Date().toISOString() }) {
+  const { efectivoEsperado, diferencia, provisional } = cuadrarCaja({ fondo, contado, porMedio: resumen.porMedio });
+  return {
+    fecha,
+    generado,
+    usuario,
+    transacciones: resumen.transacciones,
+    unidades: resumen.unidades,
+    total: resumen.total,
+    porProducto: resumen.porProducto,
+    porMedio: resumen.porMedio,
+    fondo: Number(fondo),
+    efectivoEsperado,
+    contado: Number(contado),
+    diferencia,
+    ...(provisional && { provisional }),
+    ...(notas.trim() && { notas: notas.trim() })
+  };
+}
+
+// Estado del arqueo según la diferencia: 'sobrante', 'faltante' o 'cuadrada'.
+export function estadoArqueo(diferencia) {
+  if (diferencia > 0) return 'sobrante';
+  if (diferencia < 0) return 'faltante';
+  return 'cuadrada';
+}
+
+// Día del cierre en formato local, p. ej. "19-10-2026".
+export const fechaCierre = fecha => parseISODate(fecha).toLocaleDateString(DEFAULT_LOCALE);
+
+// Monto con signo (+ para sobrante).
+const montoConSigno = n => (n > 0 ? `+${formatMoney(n)}` : formatMoney(n));
+
+// Corta un texto en renglones del ancho indicado, respetando las palabras.
+const renglones = (texto, ancho) => texto.split(/\s+/).reduce((lineas, palabra) => {
+  const ultima = lineas[lineas.length - 1];
+  if (ultima !== undefined && `${ultima} ${palabra}`.length <= ancho) lineas[lineas.length - 1] = `${ultima} ${palabra}`;
+  else lineas.push(palabra.slice(0, ancho));
+  return lineas;
+}, []);
+
+// Renglones de texto monoespaciado del cierre, para la impresión y el PDF (mismo ancho que la boleta).
+export function cierreTexto(cierre, ancho = ANCHO_BOLETA) {
+  const separador = '-'.repeat(ancho);
+  const titulo = texto => ({ text: texto, bold: true });
+  return [
+    { text: centrar(NEGOCIO, ancho), bold: true },
+    { text: centrar('CIERRE DE CAJA', ancho), bold: true },
+    centrar(fechaCierre(cierre.fecha), ancho),
+    separador,
+    fila('Generado:', formatDateTime(cierre.generado), ancho),
+    ...(cierre.usuario ? [fila('Usuario:', cierre.usuario, ancho)] : []),
+    fila('Transacciones:', String(cierre.transacciones), ancho),
+    fila('Unidades:', String(cierre.unidades), ancho),
+    separador,
+    titulo('VENTAS POR PRODUCTO'),
+    ...cierre.porProducto.flatMap(p => [p.nombre.slice(0, ancho), fila(`  ${p.unidades} u.`, formatMoney(p.total), ancho)]),
+    separador,
+    titulo('POR MEDIO DE PAGO'),
+    ...cierre.porMedio.map(m => fila(`${medioPagoLabel(m.medio)} (${m.ventas})`, formatMoney(m.total), ancho)),
+    separador,
+    { text: fila('TOTAL VENDIDO', formatMoney(cierre.total), ancho), bold: true },
+    separador,
+    titulo('ARQUEO DE EFECTIVO'),
+    fila('Fondo inicial', formatMoney(cierre.fondo), ancho),
+    fila('Esperado en caja', formatMoney(cierre.efectivoEsperado), ancho),
+    fila('Contado', formatMoney(cierre.contado), ancho),
+    { text: fila(`Diferencia (${estadoArqueo(cierre.diferencia)})`, montoConSigno(cierre.diferencia), ancho), bold: true },
+    ...(cierre.provisional ? renglones('Provisional: hay ventas sin medio de pago anotado.', ancho) : []),
+    ...(cierre.notas ? [separador, 'Observaciones:', ...renglones(cierre.notas, ancho)] : []),
+    '',
+    '',
+    centrar('______________________', ancho),
+    centrar('Firma', ancho)
+  ];
+}
+
+// Columnas de la exportación del cierre a CSV/XLSX (ver filasCierre).
+export const CIERRE_EXPORT_COLUMNS = [
+  { header: 'Sección',  value: f => f.seccion },
+  { header: 'Concepto', value: f => f.concepto },
+  { header: 'Cantidad', value: f => f.cantidad, type: 'integer' },
+  { header: 'Monto',    value: f => f.monto, type: 'decimal' }
+];
+
+// Filas para exportar el cierre a CSV/XLSX: { seccion, concepto, cantidad, monto }.
+export function filasCierre(cierre) {
+  return [
+    { seccion: 'Resumen', concepto: `Fecha ${fechaCierre(cierre.fecha)}`, cantidad: null, monto: null },
+    { seccion: 'Resumen', concepto: 'Transacciones', cantidad: cierre.transacciones, monto: null },
+    { seccion: 'Resumen', concepto: 'Unidades', cantidad: cierre.unidades, monto: null },
+    { seccion: 'Resumen', concepto: 'Total vendido', cantidad: null, monto: cierre.total },
+    ...cierre.porProducto.map(p => ({ seccion: 'Producto', concepto: p.nombre, cantidad: p.unidades, monto: p.total })),
+    ...cierre.porMedio.map(m => ({ seccion: 'Medio de pago', concepto: medioPagoLabel(m.medio), cantidad: m.ventas, monto: m.total })),
+    { seccion: 'Arqueo', concepto: 'Fondo inicial', cantidad: null, monto: cierre.fondo },
+    { seccion: 'Arqueo', concepto: 'Esperado en caja', cantidad: null, monto: cierre.efectivoEsperado },
+    { seccion: 'Arqueo', concepto: 'Contado', cantidad: null, monto: cierre.contado },
+    { seccion: 'Arqueo', concepto: cierre.provisional ? 'Diferencia (provisional)' : 'Diferencia', cantidad: null, monto: cierre.diferencia }
+  ];
+}
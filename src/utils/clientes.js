@@ -0,0 +1,16 @@
+// Utilidades compartidas para clientes.
+
+// Nombre legible del tipo de cliente: 1 = Normal, 2 = Premium, cualquier otro valor = Inactivo.
+export function tipoLabel(tipo) {
+  return tipo === 1 ? 'Normal' : tipo === 2 ? 'Premium' : 'Inactivo';
+}
+
+// Indica si un cliente está activo (Normal o Premium); los demás tipos son clientes desactivados.
+export function esActivo(cliente) {
+  return cliente.tipo === 1 || cliente.tipo === 2;
+}
+
+// Clave del tipo de cliente en el catálogo de mensajes ("clientes.tipo.<clave>").
+export function tipoKey(tipo) {
+  return tipo === 1 ? 'normal' : tipo === 2 ? 'premium' : 'inactivo';
+}
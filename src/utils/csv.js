@@ -0,0 +1,72 @@
+// Lector de CSV para importar datos desde el navegador.
+// Soporta campos entre comillas (con comillas dobles escapadas y saltos de línea),
+// separador ',' o ';' (detectado en la primera línea) y el BOM de UTF-8 que agrega Excel.
+import { normalizeText } from './texto';
+
+// Detecta el separador contando comas y punto y comas en la primera línea fuera de comillas.
+function detectSeparator(text) {
+  let commas = 0;
+  let semicolons = 0;
+  let quoted = false;
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && (ch === '\n' || ch === '\r')) break;
+    else if (!quoted && ch === ',') commas++;
+    else if (!quoted && ch === ';') semicolons++;
+  }
+  return semicolons > commas ? ';' : ',';
+}
+
+// Convierte el texto CSV en un arreglo de filas (arreglos de strings).
+// Las filas completamente vacías se descartan.
+export function parseCsv(input) {
+  const text = input.replace(/^\uFEFF/, '');
+  const separator = detectSeparator(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === separator) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+// Convierte las filas en objetos usando la primera fila como encabezado.
+// Los nombres de columna se normalizan a minúsculas y sin tildes ("Categoría" -> "categoria").
+export function parseCsvObjects(input) {
+  const [header = [], ...rows] = parseCsv(input);
+  const keys = header.map(normalizeKey);
+  return {
+    columns: keys,
+    rows: rows.map(r => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? '').trim()])))
+  };
+}
+
+// Normaliza un nombre de columna: minúsculas, sin tildes ni espacios extremos.
+export function normalizeKey(key) {
+  return normalizeText(key.trim());
+}
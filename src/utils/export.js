@@ -0,0 +1,91 @@
+// Utilidades para exportar tablas a CSV y XLSX desde el navegador.
+// Las columnas se describen como [{ header, value: fila => valor, type }], donde
+// type es 'text' (por defecto), 'integer' o 'decimal' (montos como precio o subtotal).
+import { buildXlsx } from './xlsx';
+import { toISODate } from './fechas';
+
+// Configuración regional usada para formatear números en el CSV.
+export const EXPORT_LOCALE = 'es-CL';
+
+// Devuelve el separador decimal de la configuración regional (',' en español).
+function decimalSeparator(locale) {
+  return new Intl.NumberFormat(locale).formatToParts(1.5).find(p => p.type === 'decimal')?.value || '.';
+}
+
+// Formatea un valor para el CSV según el tipo de la columna.
+// Los números no llevan separador de miles para que Excel los reconozca como números.
+function formatCsvValue(value, type, locale) {
+  if (value === null || value === undefined) return '';
+  if ((type === 'integer' || type === 'decimal') && value !== '' && !Number.isNaN(Number(value))) {
+    return new Intl.NumberFormat(locale, {
+      useGrouping: false,
+      minimumFractionDigits: type === 'decimal' ? 2 : 0,
+      maximumFractionDigits: type === 'decimal' ? 2 : 0
+    }).format(Number(value));
+  }
+  return String(value);
+}
+
+// Escapa un campo CSV: se encierra entre comillas si contiene separador, comillas o saltos de línea.
+function escapeCsv(field, separator) {
+  if (field.includes(separator) || field.includes('"') || /[\r\n]/.test(field)) {
+    return `"${field.replace(/"/g, '""')}"`;
+  }
+  return field;
+}
+
+// Genera el contenido CSV de las filas indicadas.
+// Con configuraciones regionales de coma decimal se usa ';' como separador de campos,
+// que es lo que espera Excel en español.
+export function toCsv(rows, columns, locale = EXPORT_LOCALE) {
+  const separator = decimalSeparator(locale) === ',' ? ';' : ',';
+  const lines = [
+    columns.map(c => escapeCsv(c.header, separator)).join(separator),
+    ...rows.map(row => columns
+      .map(c => escapeCsv(formatCsvValue(c.value(row), c.type, locale), separator))
+      .join(separator))
+  ];
+  return lines.join('\r\n');
+}
+
+// Descarga un Blob con el nombre indicado.
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Agrega la fecha de hoy al nombre base del archivo (p. ej. "clientes-premium-2025-06-30").
+function datedName(basename) {
+  return `${basename}-${toISODate(new Date())}`;
+}
+
+// Exporta las filas a CSV en UTF-8. Se antepone el BOM para que Excel
+// interprete correctamente tildes y eñes en nombres como "Ñuñoa" o "José".
+export function exportCsv(basename, rows, columns) {
+  const blob = new Blob(['\uFEFF', toCsv(rows, columns)], { type: 'text/csv;charset=utf-8' });
+  downloadBlob(blob, `${datedName(basename)}.csv`);
+}
+
+// Exporta las filas a XLSX. Los números se guardan como valores numéricos con formato,
+// por lo que Excel los muestra según la configuración regional del usuario.
+export function exportXlsx(basename, rows, columns, sheetName) {
+  const blob = buildXlsx({
+    sheetName: sheetName || basename,
+    headers: columns.map(c => c.header),
+    types: columns.map(c => c.type || 'text'),
+    rows: rows.map(row => columns.map(c => {
+      const v = c.value(row);
+      if ((c.type === 'integer' || c.type === 'decimal') && v !== '' && v !== null && !Number.isNaN(Number(v))) {
+        return Number(v);
+      }
+      return v ?? '';
+    }))
+  });
+  downloadBlob(blob, `${datedName(basename)}.xlsx`);
+}
@@ -0,0 +1,35 @@
+// Utilidades de fechas para las consultas por día de la API.
+// Se trabaja siempre con cadenas 'YYYY-MM-DD' en hora local, que es el formato
+// que espera el endpoint /venta/cliente/:id/fecha/:fecha.
+
+// Convierte un Date a 'YYYY-MM-DD' usando la hora local (no UTC).
+export function toISODate(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+// Convierte 'YYYY-MM-DD' a un Date local (a medianoche).
+export function parseISODate(str) {
+  const [y, m, d] = str.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+// Fecha de hoy desplazada "offset" días (negativo hacia el pasado), en formato 'YYYY-MM-DD'.
+export function daysFromToday(offset = 0) {
+  const d = new Date();
+  d.setDate(d.getDate() + offset);
+  return toISODate(d);
+}
+
+// Lista de días entre "desde" y "hasta" (ambos incluidos) en formato 'YYYY-MM-DD'.
+// Si el rango está invertido devuelve un arreglo vacío.
+export function eachDay(desde, hasta) {
+  const days = [];
+  const end = parseISODate(hasta);
+  for (let d = parseISODate(desde); d <= end; d.setDate(d.getDate() + 1)) {
+    days.push(toISODate(d));
+  }
+  return days;
+}
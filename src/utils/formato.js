@@ -0,0 +1,65 @@
+// Formato de montos, números y fechas para mostrar al usuario mediante Intl.
+// La moneda se configura con REACT_APP_CURRENCY (código ISO 4217, por defecto CLP) y la
+// configuración regional depende del idioma elegido (ver useI18n). Las exportaciones
+// mantienen su propio formato (ver utils/export).
+
+// Moneda de los precios.
+export const CURRENCY = (process.env.REACT_APP_CURRENCY || 'CLP').toUpperCase();
+
+// Configuración regional por defecto (español de Chile).
+export const DEFAULT_LOCALE = 'es-CL';
+
+/**
+ * @typedef {Object} Formatters
+ * @property {(value: number) => string} money Monto en la moneda configurada
+ * @property {(value: number, options?: Intl.NumberFormatOptions) => string} number Número con separadores de miles
+ * @property {(value: string|Date) => string} date Fecha corta
+ * @property {(value: string|Date) => string} dateTime Fecha y hora cortas
+ * @property {(value: string|Date) => string} time Hora
+ */
+
+// Crea los formateadores para una configuración regional y una moneda.
+// Los montos se muestran con los decimales propios de la moneda (0 en CLP, 2 en USD);
+// si el valor tiene decimales que la moneda no usa (p. ej. un precio de 1290,5 pesos) se muestran 2.
+/** @returns {Formatters} */
+export function createFormatters(locale = DEFAULT_LOCALE, currency = CURRENCY) {
+  const moneyFormat = new Intl.NumberFormat(locale, { style: 'currency', currency });
+  const digits = moneyFormat.resolvedOptions().maximumFractionDigits;
+  const moneyFormatDecimals = new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  });
+  const numberFormat = new Intl.NumberFormat(locale);
+  const dateFormat = new Intl.DateTimeFormat(locale, { dateStyle: 'short' });
+  const dateTimeFormat = new Intl.DateTimeFormat(locale, { dateStyle: 'short', timeStyle: 'short' });
+  const timeFormat = new Intl.DateTimeFormat(locale, { timeStyle: 'medium' });
+  const toDate = value => (value instanceof Date ? value : new Date(value));
+
+  return {
+    money: value => {
+      const n = Number(value) || 0;
+      const factor = 10 ** digits;
+      return (Math.round(n * factor) / factor === Math.round(n * 100) / 100 ? moneyFormat : moneyFormatDecimals).format(n);
+    },
+    number: (value, options) => (options ? new Intl.NumberFormat(locale, options) : numberFormat).format(Number(value) || 0),
+    date: value => dateFormat.format(toDate(value)),
+    dateTime: value => dateTimeFormat.format(toDate(value)),
+    time: value => timeFormat.format(toDate(value))
+  };
+}
+
+// Formateadores en español de Chile, para lo que no depende del idioma de la interfaz
+// (p. ej. la boleta, que es un documento para el cliente).
+const defaults = createFormatters();
+
+// Formatea un monto: 1500 => "$1.500", 1290.5 => "$1.290,50".
+export function formatMoney(value) {
+  return defaults.money(value);
+}
+
+// Formatea una fecha con hora, p. ej. "05-03-25, 14:32".
+export function formatDateTime(value) {
+  return defaults.dateTime(value);
+}
@@ -0,0 +1,73 @@
+// Envoltorio mínimo de IndexedDB basado en promesas, sin dependencias.
+// Base "vitoko" con dos almacenes:
+// - catalogos: últimas listas obtenidas de la API (clientes, productos) para usarlas sin conexión
+// - ventasPendientes: ventas registradas sin conexión, a la espera de enviarse
+// Si el navegador no tiene IndexedDB (o está bloqueado) las funciones no fallan:
+// las lecturas devuelven vacío y las escrituras se ignoran. Quien necesite que el dato
+// se guarde de verdad (p. ej. una venta) debe comprobarlo antes con idbAvailable().
+
+const DB_NAME = 'vitoko';
+const DB_VERSION = 1;
+export const STORES = { catalogos: 'catalogos', ventasPendientes: 'ventasPendientes' };
+
+let dbPromise = null;
+
+// Abre (y crea o migra si hace falta) la base de datos. La conexión se reutiliza.
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise(resolve => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORES.catalogos)) db.createObjectStore(STORES.catalogos);
+        if (!db.objectStoreNames.contains(STORES.ventasPendientes)) {
+          db.createObjectStore(STORES.ventasPendientes, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      // Si no se puede abrir (p. ej. navegación privada) se trabaja como sin IndexedDB.
+      req.onerror = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+// Indica si IndexedDB está disponible en este navegador.
+export async function idbAvailable() {
+  return (await openDb()) !== null;
+}
+
+// Ejecuta "fn(store)" en una transacción y devuelve el resultado de la petición que retorne.
+async function run(storeName, mode, fn, fallback) {
+  const db = await openDb();
+  if (!db) return fallback;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Lee un valor por clave (undefined si no existe).
+export function idbGet(storeName, key) {
+  return run(storeName, 'readonly', store => store.get(key), undefined);
+}
+
+// Lee todos los valores del almacén, en orden de clave.
+export function idbGetAll(storeName) {
+  return run(storeName, 'readonly', store => store.getAll(), []);
+}
+
+// Guarda un valor. En almacenes con keyPath la clave se toma del valor (o se genera);
+// devuelve la clave asignada.
+export function idbPut(storeName, value, key) {
+  return run(storeName, 'readwrite', store => (key === undefined ? store.put(value) : store.put(value, key)), undefined);
+}
+
+// Elimina un valor por clave.
+export function idbDelete(storeName, key) {
+  return run(storeName, 'readwrite', store => store.delete(key), undefined);
+}
@@ -0,0 +1,49 @@
+// Medios de pago de las ventas.
+// El medio de pago viaja con la venta en POST /venta ("medioPago"), pero las consultas de ventas
+// de la API no lo devuelven: por eso también se anota en este navegador, por ID de venta,
+// para separar lo recaudado por medio de pago en el cierre de caja (ver utils/cierre).
+
+// Medios de pago, en el orden en que se ofrecen. El primero es el valor por defecto.
+export const MEDIOS_PAGO = ['efectivo', 'tarjeta', 'transferencia'];
+
+// Clave de localStorage con el medio de pago de cada venta ({ [ventaId]: medio }).
+export const MEDIOS_PAGO_KEY = 'vitoko.mediosPago';
+
+// Cantidad máxima de ventas con medio de pago anotado. Se descartan las de ID más bajo (las más
+// antiguas); en los cierres de esos días sus ventas aparecen "Sin registro".
+export const MAX_MEDIOS_PAGO = 5000;
+
+// Nombres legibles (en español, para la boleta, el cierre impreso y las exportaciones).
+// 'sinRegistro' agrupa las ventas registradas en otro equipo o antes de anotar el medio de pago.
+const MEDIO_PAGO_LABELS = { efectivo: 'Efectivo', tarjeta: 'Tarjeta', transferencia: 'Transferencia', sinRegistro: 'Sin registro' };
+
+// Nombre legible de un medio de pago.
+export function medioPagoLabel(medio) {
+  return MEDIO_PAGO_LABELS[medio] || MEDIO_PAGO_LABELS.sinRegistro;
+}
+
+// Medios de pago anotados en este navegador ({ [ventaId]: medio }).
+export function leerMediosPago() {
+  try {
+    return JSON.parse(window.localStorage.getItem(MEDIOS_PAGO_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+// Anota el medio de pago de una venta registrada (sin ID o sin medio válido no hace nada).
+// Si el navegador no permite guardarlo, la venta queda "sin registro" en el cierre de caja,
+// que ya avisa que la diferencia es provisional.
+export function anotarMedioPago(ventaId, medio) {
+  if (ventaId == null || !MEDIOS_PAGO.includes(medio)) return;
+  const medios = { ...leerMediosPago(), [ventaId]: medio };
+  const ids = Object.keys(medios);
+  if (ids.length > MAX_MEDIOS_PAGO) {
+    ids.sort((a, b) => Number(a) - Number(b)).slice(0, ids.length - MAX_MEDIOS_PAGO).forEach(id => delete medios[id]);
+  }
+  try {
+    window.localStorage.setItem(MEDIOS_PAGO_KEY, JSON.stringify(medios));
+  } catch {
+    // Sin almacenamiento disponible: ver arriba.
+  }
+}
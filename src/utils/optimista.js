@@ -0,0 +1,25 @@
+// Utilidades para las actualizaciones optimistas de las listas (ver optimisticMutation en api/cache.js).
+// Las filas con un cambio aún no confirmado por el servidor llevan una marca "_pendiente"
+// con la acción en curso: 'crear' | 'editar' | 'eliminar'. La marca desaparece sola
+// cuando la lista se vuelve a pedir al servidor.
+
+// Los textos que acompañan a una fila pendiente están en el catálogo de mensajes
+// ("pendiente.<acción>"), igual que el aviso de cambio revertido ("comun.revertido").
+
+// Contador para los IDs temporales de las filas creadas antes de la respuesta del servidor.
+let seq = 0;
+
+// ID temporal para una fila nueva (se reemplaza por el del servidor al confirmarse).
+export const idTemporal = () => `tmp-${++seq}`;
+
+// Acción pendiente de una fila, o null si no tiene cambios sin confirmar.
+export const pendiente = fila => fila?._pendiente || null;
+
+// Devuelve la fila marcada con la acción pendiente.
+export const marcar = (fila, accion) => ({ ...fila, _pendiente: accion });
+
+// Devuelve la fila sin la marca de pendiente.
+export const desmarcar = ({ _pendiente, ...fila }) => fila;
+
+// Aplica "fn" a las filas de la lista que cumplen "match" y deja el resto igual.
+export const actualizarFilas = (lista, match, fn) => lista.map(f => (match(f) ? fn(f) : f));
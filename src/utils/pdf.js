@@ -0,0 +1,80 @@
+// Generador mínimo de PDF en el navegador, sin dependencias externas.
+// Crea un documento de una página con líneas de texto en Courier (monoespaciada),
+// suficiente para boletas e informes simples con columnas alineadas por espacios.
+// El texto se codifica en WinAnsi, que cubre los caracteres del español.
+
+// Caracteres fuera de Latin-1 que WinAnsi ubica en el rango 0x80–0x9F.
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '•': 0x95, '–': 0x96, '—': 0x97,
+  '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94
+};
+
+// Convierte el texto a bytes WinAnsi (como string de un byte por carácter).
+// Los caracteres no representables se reemplazan por "?".
+function toWinAnsi(text) {
+  let out = '';
+  for (const ch of String(text)) {
+    const code = ch.charCodeAt(0);
+    if (WIN_ANSI[ch]) out += String.fromCharCode(WIN_ANSI[ch]);
+    else if (code < 256 && ch.length === 1) out += ch;
+    else out += '?';
+  }
+  return out;
+}
+
+// Escapa un texto para un literal de string de PDF.
+const escapePdf = text => toWinAnsi(text).replace(/[\\()]/g, c => `\\${c}`);
+
+// Milímetros a puntos PDF.
+export const mm = value => (value * 72) / 25.4;
+
+// Genera el PDF y devuelve sus bytes.
+// - lines: [texto | { text, bold }] una por renglón (vacío = renglón en blanco)
+// - pageWidth: ancho de página en puntos (por defecto 80 mm, rollo de boleta)
+// - pageHeight: alto en puntos (por defecto se ajusta al contenido)
+// - fontSize / margin: tamaño de letra y margen en puntos
+export function buildTextPdf(lines, { pageWidth = mm(80), pageHeight, fontSize = 8, margin = mm(4) } = {}) {
+  const leading = fontSize * 1.25;
+  const height = pageHeight || Math.ceil(margin * 2 + lines.length * leading);
+
+  const content = ['BT', `${leading.toFixed(2)} TL`, `${margin.toFixed(2)} ${(height - margin - fontSize).toFixed(2)} Td`];
+  let currentFont = null;
+  lines.forEach(line => {
+    const { text = '', bold = false } = typeof line === 'string' ? { text: line } : line;
+    const font = bold ? 'F2' : 'F1';
+    if (font !== currentFont) {
+      content.push(`/${font} ${fontSize} Tf`);
+      currentFont = font;
+    }
+    content.push(`(${escapePdf(text)}) Tj T*`);
+  });
+  content.push('ET');
+  const stream = content.join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth.toFixed(2)} ${height}] ` +
+      '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+  ];
+
+  // Todo el contenido es de un byte por carácter, así que la longitud del string
+  // coincide con la posición en bytes que exige la tabla xref.
+  let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = objects.map((obj, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${obj}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  const bytes = new Uint8Array(pdf.length);
+  for (let i = 0; i < pdf.length; i++) bytes[i] = pdf.charCodeAt(i);
+  return bytes;
+}
@@ -0,0 +1,33 @@
+// Roles de usuario y acciones que cada uno puede realizar.
+// - cajero: registra ventas y clientes, consulta información.
+// - gerente: además gestiona productos, precios, stock y promociones, ve el dashboard
+//   y elimina cierres de caja guardados.
+// - admin: todo lo anterior.
+
+export const ROLES = {
+  cajero:  'Cajero',
+  gerente: 'Gerente',
+  admin:   'Administrador'
+};
+
+// Acción => roles que la tienen permitida.
+const PERMISOS = {
+  'clientes:delete':   ['gerente', 'admin'],
+  'clientes:import':   ['gerente', 'admin'],
+  'clientes:restore':  ['gerente', 'admin'],
+  'productos:edit':    ['gerente', 'admin'],
+  'productos:price':   ['gerente', 'admin'],
+  'productos:stock':   ['gerente', 'admin'],
+  'productos:delete':  ['gerente', 'admin'],
+  'productos:import':  ['gerente', 'admin'],
+  'productos:restore': ['gerente', 'admin'],
+  'promociones:edit':  ['gerente', 'admin'],
+  'dashboard:view':    ['gerente', 'admin'],
+  'cierres:delete':    ['gerente', 'admin']
+};
+
+// Indica si el rol puede realizar la acción. Las acciones no listadas están permitidas a todos.
+export function hasPermission(rol, accion) {
+  const roles = PERMISOS[accion];
+  return !roles || roles.includes(rol);
+}
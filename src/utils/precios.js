@@ -0,0 +1,79 @@
+// Ajustes masivos de precios y redondeo, e historial de cambios de precio por producto.
+// El historial se guarda localmente (ver useHistorialPrecios).
+
+// Clave de localStorage donde se guarda el historial ({ [productoID]: CambioPrecio[] }).
+export const PRICE_HISTORY_KEY = 'vitoko.historialPrecios';
+
+// Cantidad máxima de cambios que se conservan por producto (se descartan los más antiguos).
+export const MAX_HISTORIAL = 100;
+
+/**
+ * @typedef {Object} CambioPrecio
+ * @property {string} fecha Fecha y hora ISO del cambio
+ * @property {number} anterior Precio antes del cambio
+ * @property {number} nuevo Precio después del cambio
+ * @property {string} usuario Nombre de quien hizo el cambio
+ * @property {string|{ key: string, params: Object }} origen Cómo se hizo, como mensaje para t():
+ *   'precios.origen.edicion', 'precios.origen.cambio' o la descripción del ajuste masivo (ver describirAjuste)
+ */
+
+/**
+ * @typedef {Object} AjustePrecio
+ * @property {'porcentaje'|'monto'} tipo Variación en % del precio o en pesos
+ * @property {number} valor Variación (negativa para bajar el precio)
+ * @property {number} paso Múltiplo al que se redondea (0 = sin redondeo, solo 2 decimales)
+ * @property {'cercano'|'arriba'|'abajo'} modo Sentido del redondeo
+ */
+
+// Opciones de redondeo para el selector (label = clave del catálogo de mensajes).
+export const PASOS_REDONDEO = [
+  { value: 0,   label: 'ajuste.paso.ninguno' },
+  { value: 1,   label: 'ajuste.paso.uno' },
+  { value: 10,  label: 'ajuste.paso.diez' },
+  { value: 50,  label: 'ajuste.paso.cincuenta' },
+  { value: 100, label: 'ajuste.paso.cien' }
+];
+
+export const MODOS_REDONDEO = [
+  { value: 'cercano', label: 'ajuste.modo.cercano' },
+  { value: 'arriba',  label: 'ajuste.modo.arriba' },
+  { value: 'abajo',   label: 'ajuste.modo.abajo' }
+];
+
+const FN_REDONDEO = { cercano: Math.round, arriba: Math.ceil, abajo: Math.floor };
+
+// Redondea un precio al múltiplo "paso" en el sentido indicado.
+// Sin paso solo se limita a 2 decimales (lo que admite la API).
+export function redondearPrecio(precio, paso = 0, modo = 'cercano') {
+  const fn = FN_REDONDEO[modo] || Math.round;
+  if (!paso) return Math.round(precio * 100) / 100;
+  // Se quitan los errores de coma flotante (p. ej. 1100.0000000002) antes de redondear hacia arriba.
+  const veces = Math.round((precio / paso) * 1e6) / 1e6;
+  return fn(veces) * paso;
+}
+
+// Calcula el nuevo precio según el ajuste.
+/** @param {AjustePrecio} ajuste */
+export function ajustarPrecio(precio, { tipo, valor, paso, modo }) {
+  const base = Number(precio);
+  const bruto = tipo === 'porcentaje' ? base * (1 + valor / 100) : base + valor;
+  return redondearPrecio(bruto, paso, modo);
+}
+
+// Descripción breve de un ajuste para el historial, como mensaje para t():
+// "Ajuste masivo +10 % (redondeo a 10)", "Ajuste masivo -200 $".
+/** @param {AjustePrecio} ajuste */
+export function describirAjuste({ tipo, valor, paso }) {
+  const signo = valor > 0 ? '+' : '';
+  const cambio = tipo === 'porcentaje' ? `${signo}${valor} %` : `${signo}${valor} $`;
+  return paso
+    ? { key: 'precios.origen.ajusteRedondeo', params: { cambio, paso } }
+    : { key: 'precios.origen.ajuste', params: { cambio } };
+}
+
+// Agrega un cambio al historial de un producto y devuelve el historial nuevo.
+/** @param {CambioPrecio} cambio */
+export function agregarCambio(historial, productoID, cambio) {
+  const previos = historial[productoID] || [];
+  return { ...historial, [productoID]: [...previos, cambio].slice(-MAX_HISTORIAL) };
+}
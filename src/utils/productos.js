@@ -0,0 +1,61 @@
+// Utilidades compartidas para el catálogo de productos.
+
+// Categorías del catálogo, en el orden en que se muestran.
+export const CATEGORIAS = ['cafe', 'te', 'pasteleria', 'snacks'];
+
+// Nombres legibles de las categorías (en español, para exportaciones).
+const CATEGORIA_LABELS = { cafe: 'Cafés', te: 'Tés', pasteleria: 'Pastelería', snacks: 'Snacks' };
+
+// Ícono de cada categoría, usado en las tarjetas de productos sin imagen.
+const CATEGORIA_ICONOS = { cafe: '☕', te: '🍵', pasteleria: '🥐', snacks: '🍪' };
+
+// Tamaño máximo de la imagen de un producto (en bytes). Se envía a la API como data URL.
+export const MAX_IMAGEN_BYTES = 300 * 1024;
+
+// Formato aceptado para los códigos de barras de los productos (EAN, UPC o códigos internos).
+export const CODIGO_REGEX = /^[A-Za-z0-9-]{4,32}$/;
+
+// Clave de la categoría en el catálogo de mensajes ("categoria.<clave>"); 'sinCategoria' si no tiene una conocida.
+export function categoriaKey(categoria) {
+  return CATEGORIAS.includes(categoria) ? categoria : 'sinCategoria';
+}
+
+// Nombre legible de la categoría, o "Sin categoría".
+export function categoriaLabel(categoria) {
+  return CATEGORIA_LABELS[categoria] || 'Sin categoría';
+}
+
+// Ícono de la categoría, o uno genérico.
+export function categoriaIcono(categoria) {
+  return CATEGORIA_ICONOS[categoria] || '📦';
+}
+
+// Indica si un producto corresponde al filtro de categoría ('' = todas, 'sinCategoria' = sin categoría).
+export function enCategoria(producto, filtro) {
+  return !filtro || categoriaKey(producto.categoria) === filtro;
+}
+
+// Producto con un código de barras dado (sin distinguir mayúsculas), o undefined.
+// Los productos sin código propio se pueden buscar por su ID, como en las etiquetas impresas en el local.
+export function buscarPorCodigo(productos, codigo) {
+  const buscado = String(codigo).trim().toUpperCase();
+  if (!buscado) return undefined;
+  return productos.find(p => p.codigo && String(p.codigo).toUpperCase() === buscado)
+    || productos.find(p => !p.codigo && String(p.productoID) === buscado);
+}
+
+// Tamaño aproximado en bytes del contenido de una data URL en base64 (0 si es una URL común).
+export function bytesDataUrl(url) {
+  const [cabecera, datos = ''] = String(url).split(',');
+  return cabecera.endsWith(';base64') ? Math.floor((datos.length * 3) / 4) : 0;
+}
+
+// Lee un archivo de imagen como data URL (para previsualizarlo y enviarlo a la API).
+export function leerImagen(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
@@ -0,0 +1,182 @@
+// Motor de promociones: descuentos configurables que se aplican a las líneas de una venta
+// antes de registrarla. Las reglas se guardan localmente (ver usePromociones).
+//
+// Tipos de regla:
+// - 'cliente': descuento a todas las líneas si el cliente es del tipo indicado (p. ej. Premium).
+// - 'combo': una unidad de cada categoría forma un combo (p. ej. café + pastelería); las
+//   unidades que forman combos reciben el descuento, empezando por las más baratas.
+// - 'cantidad': descuento a las líneas que llevan al menos "minimo" unidades del mismo producto.
+// - 'horario': descuento durante una franja horaria de ciertos días (happy hour).
+//
+// Las reglas activas se aplican en el orden de la lista, cada una sobre el precio que dejaron
+// las anteriores, así los descuentos se acumulan sin superar el precio de la línea.
+import { categoriaKey } from './productos';
+
+// Clave de localStorage donde se guardan las reglas.
+export const PROMOCIONES_KEY = 'vitoko.promociones';
+
+/**
+ * @typedef {Object} Promocion
+ * @property {string} id
+ * @property {'cliente'|'combo'|'cantidad'|'horario'} tipo
+ * @property {string} nombre Texto que se muestra en las líneas de la venta
+ * @property {boolean} activa
+ * @property {number} porcentaje Descuento en % (de 0 a 100)
+ * @property {number} [tipoCliente] (cliente) 1 = Normal, 2 = Premium
+ * @property {string[]} [categorias] (combo) categorías que forman el combo
+ * @property {string} [categoria] (cantidad, horario) categoría a la que se aplica ('' = todas)
+ * @property {number} [minimo] (cantidad) unidades mínimas del mismo producto
+ * @property {number[]} [dias] (horario) días de la semana (0 = domingo)
+ * @property {string} [desde] (horario) hora de inicio "HH:MM"
+ * @property {string} [hasta] (horario) hora de término "HH:MM" (no incluida)
+ */
+
+/**
+ * @typedef {Object} DescuentoAplicado
+ * @property {string} id ID de la promoción
+ * @property {string} nombre
+ * @property {number} monto Descuento en pesos
+ */
+
+// Tipos de regla, en el orden en que se ofrecen al agregar una.
+export const TIPOS_PROMOCION = ['cliente', 'combo', 'cantidad', 'horario'];
+
+// Reglas iniciales, hasta que un gerente las cambie. Vienen inactivas: son ejemplos para
+// configurar, y ningún descuento se aplica sin que alguien lo active explícitamente.
+/** @type {Promocion[]} */
+export const DEFAULT_PROMOCIONES = [
+  { id: 'premium', tipo: 'cliente', nombre: 'Cliente Premium', activa: false, porcentaje: 10, tipoCliente: 2 },
+  {
+    id: 'combo-cafe-pasteleria', tipo: 'combo', nombre: 'Combo café + pastelería', activa: false, porcentaje: 15,
+    categorias: ['cafe', 'pasteleria']
+  },
+  { id: 'cantidad-3', tipo: 'cantidad', nombre: 'Llevando 3 o más', activa: false, porcentaje: 5, categoria: '', minimo: 3 },
+  {
+    id: 'happy-hour', tipo: 'horario', nombre: 'Happy hour', activa: false, porcentaje: 20, categoria: 'cafe',
+    dias: [1, 2, 3, 4, 5], desde: '16:00', hasta: '18:00'
+  }
+];
+
+// Valores iniciales de una regla nueva de cada tipo.
+export function nuevaPromocion(tipo) {
+  const base = { id: `promo-${Date.now().toString(36)}`, tipo, nombre: '', activa: true, porcentaje: 10 };
+  if (tipo === 'cliente') return { ...base, tipoCliente: 2 };
+  if (tipo === 'combo') return { ...base, categorias: ['cafe', 'pasteleria'] };
+  if (tipo === 'cantidad') return { ...base, categoria: '', minimo: 3 };
+  return { ...base, categoria: '', dias: [1, 2, 3, 4, 5], desde: '16:00', hasta: '18:00' };
+}
+
+// Redondea un monto a 2 decimales.
+const redondear = n => Math.round(n * 100) / 100;
+
+// Porcentaje de una regla limitado a 0–100 (valores no numéricos = 0).
+const porcentajeDe = promo => Math.min(100, Math.max(0, Number(promo.porcentaje) || 0));
+
+// Unidades mínimas de una regla por cantidad: un entero mayor o igual a 2, o null si falta o no es
+// válido (la regla entonces no se aplica, en vez de descontar a todas las líneas).
+const minimoDe = promo => {
+  const minimo = promo.minimo === '' || promo.minimo === null ? NaN : Number(promo.minimo);
+  return Number.isInteger(minimo) && minimo >= 2 ? minimo : null;
+};
+
+// Indica si una línea corresponde a la categoría de la regla ('' = todas).
+const enCategoriaPromo = (linea, categoria) => !categoria || linea.categoria === categoria;
+
+// Hora "HH:MM" de una fecha, para comparar con las franjas horarias.
+const horaDe = fecha => `${String(fecha.getHours()).padStart(2, '0')}:${String(fecha.getMinutes()).padStart(2, '0')}`;
+
+// Indica si una fecha cae dentro de la franja de una regla de horario.
+// Una franja que termina antes de empezar (p. ej. 22:00–02:00) cruza la medianoche.
+export function enHorario(promo, fecha) {
+  if (!(promo.dias || []).includes(fecha.getDay())) return false;
+  const hora = horaDe(fecha);
+  const { desde = '00:00', hasta = '24:00' } = promo;
+  return desde <= hasta ? hora >= desde && hora < hasta : hora >= desde || hora < hasta;
+}
+
+// Unidades de cada línea que forman combos: la cantidad de combos es la menor cantidad de
+// unidades entre las categorías del combo, y en cada categoría se toman las unidades más baratas.
+function unidadesEnCombo(categorias, lineas) {
+  const unidades = lineas.map(() => 0);
+  const distintas = [...new Set(categorias || [])];
+  if (distintas.length < 2) return unidades;
+  const porCategoria = distintas.map(c => lineas
+    .map((l, i) => ({ l, i }))
+    .filter(({ l }) => l.categoria === c && l.cantidad > 0)
+    .sort((a, b) => a.l.restante / a.l.cantidad - b.l.restante / b.l.cantidad));
+  const combos = Math.min(...porCategoria.map(grupo => grupo.reduce((n, { l }) => n + l.cantidad, 0)));
+  porCategoria.forEach(grupo => {
+    let faltan = combos;
+    grupo.forEach(({ l, i }) => {
+      const n = Math.min(l.cantidad, faltan);
+      unidades[i] = n;
+      faltan -= n;
+    });
+  });
+  return unidades;
+}
+
+// Unidades de cada línea a las que se aplica una regla.
+function unidadesAfectadas(promo, lineas, { cliente, fecha }) {
+  switch (promo.tipo) {
+    case 'cliente':
+      return lineas.map(l => (cliente && Number(cliente.tipo) === Number(promo.tipoCliente) ? l.cantidad : 0));
+    case 'combo':
+      return unidadesEnCombo(promo.categorias, lineas);
+    case 'cantidad': {
+      const minimo = minimoDe(promo);
+      return lineas.map(l => (minimo && enCategoriaPromo(l, promo.categoria) && l.cantidad >= minimo ? l.cantidad : 0));
+    }
+    case 'horario':
+      return lineas.map(l => (enCategoriaPromo(l, promo.categoria) && enHorario(promo, fecha) ? l.cantidad : 0));
+    default:
+      return lineas.map(() => 0);
+  }
+}
+
+// Aplica las promociones activas a las líneas de una venta ({ producto, cantidad }).
+// Devuelve el detalle por línea (precio unitario final ya descontado, subtotal y descuentos
+// aplicados) y los totales de la venta. "fecha" es el momento de la venta (para las franjas horarias).
+export function aplicarPromociones(lines, promociones = [], { cliente = null, fecha = new Date() } = {}) {
+  const lineas = lines.map(({ producto, cantidad }) => {
+    const precioBase = Number(producto.precio);
+    return {
+      productoID: producto.productoID,
+      categoria: categoriaKey(producto.categoria),
+      cantidad,
+      precioBase,
+      subtotalBase: redondear(precioBase * cantidad),
+      restante: precioBase * cantidad,
+      descuentos: []
+    };
+  });
+
+  promociones.filter(p => p.activa && porcentajeDe(p) > 0).forEach(promo => {
+    unidadesAfectadas(promo, lineas, { cliente, fecha }).forEach((unidades, i) => {
+      const l = lineas[i];
+      if (!unidades || !l.cantidad) return;
+      const monto = redondear((l.restante / l.cantidad) * unidades * porcentajeDe(promo) / 100);
+      if (monto <= 0) return;
+      l.restante -= monto;
+      l.descuentos.push({ id: promo.id, nombre: promo.nombre, monto });
+    });
+  });
+
+  // El precio unitario se redondea a 2 decimales y el subtotal se calcula con él,
+  // igual que lo hará el servidor con el precio enviado.
+  const detalle = lineas.map(({ restante, ...l }) => {
+    const precio = l.cantidad ? redondear(restante / l.cantidad) : l.precioBase;
+    return { ...l, precio, subtotal: redondear(precio * l.cantidad) };
+  });
+
+  // Descuentos de la venta agrupados por promoción.
+  const porPromocion = new Map();
+  detalle.forEach(l => l.descuentos.forEach(d => {
+    const acumulado = porPromocion.get(d.id) || { ...d, monto: 0 };
+    porPromocion.set(d.id, { ...acumulado, monto: redondear(acumulado.monto + d.monto) });
+  }));
+
+  const subtotal = redondear(detalle.reduce((sum, l) => sum + l.subtotalBase, 0));
+  const total = redondear(detalle.reduce((sum, l) => sum + l.subtotal, 0));
+  return { lineas: detalle, descuentos: [...porPromocion.values()], subtotal, descuento: redondear(subtotal - total), total };
+}
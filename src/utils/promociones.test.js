@@ -0,0 +1,59 @@
+import { aplicarPromociones } from './promociones';
+
+// Pruebas del motor de promociones (funciones puras, sin backend).
+
+const cafe = { productoID: 1, nombre: 'Café americano', precio: 1500, categoria: 'cafe' };
+const medialuna = { productoID: 2, nombre: 'Medialuna', precio: 900, categoria: 'pasteleria' };
+const premium = { id: 2, nombre: 'María Soto', tipo: 2 };
+
+const porCliente = { id: 'premium', tipo: 'cliente', nombre: 'Cliente Premium', activa: true, porcentaje: 10, tipoCliente: 2 };
+const porCantidad = (minimo, categoria = '') => ({
+  id: 'cantidad', tipo: 'cantidad', nombre: 'Llevando varios', activa: true, porcentaje: 10, categoria, minimo
+});
+
+test('acumula las promociones en orden, cada una sobre el precio que deja la anterior', () => {
+  const venta = aplicarPromociones([{ producto: cafe, cantidad: 3 }], [porCliente, porCantidad(3)], { cliente: premium });
+
+  expect(venta.lineas[0]).toMatchObject({ precioBase: 1500, precio: 1215, subtotal: 3645 });
+  expect(venta.lineas[0].descuentos).toEqual([
+    { id: 'premium', nombre: 'Cliente Premium', monto: 450 },
+    { id: 'cantidad', nombre: 'Llevando varios', monto: 405 }
+  ]);
+  expect(venta).toMatchObject({ subtotal: 4500, descuento: 855, total: 3645 });
+});
+
+test('la regla por cantidad se limita a su categoría', () => {
+  const venta = aplicarPromociones(
+    [{ producto: cafe, cantidad: 3 }, { producto: medialuna, cantidad: 3 }],
+    [porCantidad(3, 'pasteleria')]
+  );
+
+  expect(venta.lineas[0].descuentos).toEqual([]);
+  expect(venta.lineas[1]).toMatchObject({ precio: 810, subtotal: 2430 });
+  expect(venta.descuentos).toEqual([{ id: 'cantidad', nombre: 'Llevando varios', monto: 270 }]);
+});
+
+test.each([
+  ['vacío', ''],
+  ['ausente', undefined],
+  ['cero', 0],
+  ['menor a 2', 1],
+  ['decimal', 2.5],
+  ['no numérico', 'tres']
+])('una regla por cantidad con mínimo %s no se aplica', (_, minimo) => {
+  const venta = aplicarPromociones([{ producto: cafe, cantidad: 1 }, { producto: medialuna, cantidad: 5 }], [porCantidad(minimo)]);
+
+  expect(venta.descuentos).toEqual([]);
+  expect(venta.total).toBe(6000);
+});
+
+test('ignora las promociones inactivas', () => {
+  const venta = aplicarPromociones(
+    [{ producto: cafe, cantidad: 3 }],
+    [{ ...porCliente, activa: false }, { ...porCantidad(2), activa: false }],
+    { cliente: premium }
+  );
+
+  expect(venta.lineas[0]).toMatchObject({ precio: 1500, descuentos: [] });
+  expect(venta).toMatchObject({ descuentos: [], descuento: 0, total: 4500 });
+});
@@ -0,0 +1,25 @@
+// Reglas de stock mínimo y sugerencia de reposición.
+// Los mínimos se configuran por producto y se guardan localmente (ver useStockThresholds).
+
+// Clave de localStorage donde se guardan los mínimos por producto.
+export const STOCK_THRESHOLDS_KEY = 'vitoko.stockMinimo';
+
+// Mínimo usado para los productos que no tienen uno configurado.
+export const DEFAULT_MIN_STOCK = 5;
+
+// Mínimo configurado para un producto (o el valor por defecto).
+export function minStockFor(productoID, thresholds) {
+  const min = thresholds?.[productoID];
+  return Number.isFinite(min) ? min : DEFAULT_MIN_STOCK;
+}
+
+// Indica si el stock de un producto está por debajo de su mínimo.
+export function isLowStock(producto, thresholds) {
+  return Number(producto.stock) < minStockFor(producto.productoID, thresholds);
+}
+
+// Cantidad sugerida a reponer: lo vendido en la semana más el mínimo, descontando
+// el stock actual. Así el producto alcanza para otra semana sin quedar bajo el mínimo.
+export function suggestedReorder(producto, min, weeklySold = 0) {
+  return Math.max(0, Math.ceil(weeklySold + min - Number(producto.stock)));
+}
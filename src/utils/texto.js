@@ -0,0 +1,7 @@
+// Utilidades de texto compartidas.
+
+// Normaliza texto para comparaciones y búsquedas: minúsculas y sin tildes
+// ("Café Ñandú" -> "cafe nandu").
+export function normalizeText(value) {
+  return String(value ?? '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
@@ -0,0 +1,146 @@
+// Validación declarativa de formularios.
+// Un esquema es un objeto { campo: [regla, regla, ...] } donde cada regla recibe el valor
+// (tal como viene del formulario, normalmente texto) y devuelve un mensaje de error o null.
+// Por campo se informa solo el primer error. Salvo "required", las reglas no se aplican
+// a valores vacíos, así un campo opcional vacío es válido.
+// Los mensajes son claves del catálogo de mensajes ("validacion.*", ver locales), o { key, params }
+// si llevan parámetros, y se traducen al mostrarlos con t() (ver hooks/useI18n y hooks/useForm).
+
+import { CATEGORIAS, CODIGO_REGEX, MAX_IMAGEN_BYTES, bytesDataUrl } from './productos';
+import { MEDIOS_PAGO } from './mediosPago';
+
+// Convierte texto a número aceptando coma decimal ("1500,5"). Vacío => NaN.
+export const toNumber = v => (typeof v === 'number' ? v : String(v ?? '').trim() === '' ? NaN : Number(String(v).replace(',', '.')));
+
+const isEmpty = v => v === undefined || v === null || String(v).trim() === '';
+
+// Mensaje de error con parámetros para t().
+const mensaje = (key, params) => ({ key, params });
+
+// Reglas reutilizables.
+export const rules = {
+  required:  (msg = 'validacion.requerido') => Object.assign(v => (isEmpty(v) ? msg : null), { required: true }),
+  minLength: (n, msg = mensaje('validacion.minLength', { n })) => v => (String(v).trim().length < n ? msg : null),
+  maxLength: (n, msg = mensaje('validacion.maxLength', { n })) => v => (String(v).trim().length > n ? msg : null),
+  number:    (msg = 'validacion.numero') => v => (Number.isFinite(toNumber(v)) ? null : msg),
+  integer:   (msg = 'validacion.entero') => v => (Number.isInteger(toNumber(v)) ? null : msg),
+  min:       (n, msg = mensaje('validacion.min', { n })) => v => (toNumber(v) < n ? msg : null),
+  positive:  (msg = 'validacion.positivo') => v => (toNumber(v) > 0 ? null : msg),
+  maxDecimals: (n, msg = mensaje('validacion.maxDecimales', { n })) => v => {
+    const [, dec = ''] = String(v).replace(',', '.').split('.');
+    return dec.length > n ? msg : null;
+  },
+  oneOf:     (values, msg = 'validacion.valorInvalido') => v => (values.map(String).includes(String(v)) ? null : msg)
+};
+
+// Valida un valor con la lista de reglas de un campo. Devuelve el primer error o null.
+export function validateField(fieldRules = [], value) {
+  if (isEmpty(value)) {
+    const required = fieldRules.find(rule => rule.required);
+    return required ? required(value) : null;
+  }
+  for (const rule of fieldRules) {
+    const err = rule(value);
+    if (err) return err;
+  }
+  return null;
+}
+
+// Valida todos los campos del esquema. Devuelve { campo: mensaje } solo con los campos inválidos.
+export function validate(schema, values) {
+  const errors = {};
+  Object.entries(schema).forEach(([field, fieldRules]) => {
+    const err = validateField(fieldRules, values[field]);
+    if (err) errors[field] = err;
+  });
+  return errors;
+}
+
+// Esquemas por entidad.
+
+// Cliente: { nombre, ciudad, tipo } (tipo 1 = Normal, 2 = Premium).
+export const clienteSchema = {
+  nombre: [rules.required('validacion.nombreRequerido'), rules.minLength(2), rules.maxLength(100)],
+  ciudad: [rules.required('validacion.ciudadRequerida'), rules.minLength(2), rules.maxLength(100)],
+  tipo:   [rules.required('validacion.tipoRequerido'), rules.oneOf([1, 2], 'validacion.tipoInvalido')]
+};
+
+// Producto: { name, price, stock, category, description, code, image }, con los nombres de campo que espera la API.
+// La categoría, la descripción, el código de barras y la imagen (data URL o dirección http) son opcionales.
+export const productoSchema = {
+  name:  [rules.required('validacion.nombreRequerido'), rules.minLength(2), rules.maxLength(100)],
+  price: [
+    rules.required('validacion.precioRequerido'),
+    rules.number('validacion.precioNumero'),
+    rules.positive('validacion.precioPositivo'),
+    rules.maxDecimals(2, 'validacion.precioDecimales')
+  ],
+  stock: [
+    rules.required('validacion.stockRequerido'),
+    rules.integer('validacion.stockEntero'),
+    rules.min(0, 'validacion.stockNegativo')
+  ],
+  category:    [rules.oneOf(CATEGORIAS, 'validacion.categoriaInvalida')],
+  description: [rules.maxLength(500)],
+  code:        [v => (CODIGO_REGEX.test(String(v).trim()) ? null : 'validacion.codigoInvalido')],
+  image: [
+    v => (/^(data:image\/|https?:\/\/)/.test(v) ? null : 'validacion.imagenInvalida'),
+    v => (bytesDataUrl(v) > MAX_IMAGEN_BYTES ? mensaje('validacion.imagenPesada', { kb: MAX_IMAGEN_BYTES / 1024 }) : null)
+  ]
+};
+
+// Cantidad a sumar al stock de un producto.
+export const incrementoStockSchema = {
+  amount: [
+    rules.required('validacion.cantidadRequerida'),
+    rules.integer('validacion.cantidadEntera'),
+    rules.positive('validacion.cantidadPositiva')
+  ]
+};
+
+// Ajuste masivo de precios: { tipo, valor, paso, modo }. El valor puede ser negativo (baja de precio).
+export const ajustePreciosSchema = {
+  tipo:  [rules.oneOf(['porcentaje', 'monto'])],
+  valor: [
+    rules.required('validacion.ajusteRequerido'),
+    rules.number('validacion.ajusteNumero'),
+    rules.maxDecimals(2, 'validacion.ajusteDecimales'),
+    v => (toNumber(v) === 0 ? 'validacion.ajusteCero' : null)
+  ],
+  paso:  [rules.oneOf([0, 1, 10, 50, 100])],
+  modo:  [rules.oneOf(['cercano', 'arriba', 'abajo'])]
+};
+
+// Venta: { clienteId, medioPago }. Las líneas se validan en useSaleCart.
+// Recibe los IDs de clientes activos, que son los únicos válidos.
+export function ventaSchema(clienteIds) {
+  return {
+    clienteId: [rules.required('validacion.clienteRequerido'), rules.oneOf(clienteIds, 'validacion.clienteInvalido')],
+    medioPago: [rules.required('validacion.medioPagoRequerido'), rules.oneOf(MEDIOS_PAGO, 'validacion.medioPagoInvalido')]
+  };
+}
+
+// Unidades mínimas de una promoción por cantidad (ver utils/promociones).
+export const promocionSchema = {
+  minimo: [
+    rules.required('validacion.minimoRequerido'),
+    rules.integer('validacion.minimoEntero'),
+    rules.min(2, 'validacion.minimoMinimo')
+  ]
+};
+
+// Arqueo del cierre de caja: { fondo, contado, notas }. El fondo inicial es opcional (vacío = 0).
+export const cierreSchema = {
+  fondo: [
+    rules.number('validacion.fondoNumero'),
+    rules.min(0, 'validacion.fondoNegativo'),
+    rules.maxDecimals(2, 'validacion.fondoDecimales')
+  ],
+  contado: [
+    rules.required('validacion.contadoRequerido'),
+    rules.number('validacion.contadoNumero'),
+    rules.min(0, 'validacion.contadoNegativo'),
+    rules.maxDecimals(2, 'validacion.contadoDecimales')
+  ],
+  notas: [rules.maxLength(500, 'validacion.notasLargo')]
+};
@@ -0,0 +1,28 @@
+// Utilidades para trabajar con las líneas de venta que devuelve la API.
+// El backend entrega una fila por producto vendido ({ ventaId, productoId, cantidad, subtotal, fecha });
+// aquí se agrupan por venta para mostrarlas como una sola transacción.
+
+// Agrupa líneas de venta por ventaId. Cada grupo contiene:
+// ventaId, clienteId, fecha, lineas, unidades y total (suma de subtotales).
+// El resultado se ordena de la venta más reciente a la más antigua.
+export function groupVentas(lineas) {
+  const grupos = new Map();
+  lineas.forEach(l => {
+    let g = grupos.get(l.ventaId);
+    if (!g) {
+      g = { ventaId: l.ventaId, clienteId: l.clienteId, fecha: l.fecha, lineas: [], unidades: 0, total: 0 };
+      grupos.set(l.ventaId, g);
+    }
+    g.lineas.push(l);
+    g.unidades += Number(l.cantidad) || 0;
+    g.total    += Number(l.subtotal) || 0;
+  });
+  return [...grupos.values()].sort((a, b) => new Date(b.fecha) - new Date(a.fecha) || b.ventaId - a.ventaId);
+}
+
+// Devuelve una función que resuelve el nombre de un producto por su ID
+// a partir del catálogo, con un texto de respaldo si no se encuentra.
+export function productNameResolver(productos) {
+  const names = new Map(productos.map(p => [String(p.productoID), p.nombre]));
+  return productoId => names.get(String(productoId)) || `Producto #${productoId}`;
+}